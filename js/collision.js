@@ -7,15 +7,43 @@ class CollisionManager {
     constructor(game, map) {
         this.game = game;
         this.map = map;
-        this.lastValidPosition = { x: 1000, y: 1000 };
+        this.lastValidPosition = { x: 1000, y: 1000 }; // The player's
+        this.lastValidPositions = new WeakMap(); // Other ships -> last position clear of land
         this.townAreas = new Map();
         
         // Collision settings
         this.collisionBuffer = 10; // Small buffer for smoother collision
         this.shipRadiusMultiplier = 1.0;
         
+        // Sliding response; islands can override these with their own bounce/friction
+        this.defaultBounce = 0.2;   // Share of the head-on speed turned into recoil
+        this.defaultFriction = 0.1; // Share of the remaining speed lost on impact
+        this.maxResolveIterations = 4;
+        this.contacts = new WeakMap(); // ship -> { island, point, normal } it is currently touching
+        this.contactMargin = 5; // Touching ends once the hull is this far past the collision distance
+        this.groundingDamageThreshold = 80;  // Impact speed (px/s into the coast) below which hitting land does no damage
+        this.groundingDamagePerSpeed = 0.08; // Hull damage per px/s of impact speed above the threshold
+        
+        // Ship-vs-ship response
+        this.shipRestitution = 0.3;    // 0 = ships stop dead against each other, 1 = fully elastic
+        this.ramDamageThreshold = 60;  // Closing speed (px/s) below which rams do no damage
+        this.ramDamagePerSpeed = 0.05; // Damage per px/s of closing speed above the threshold
+        
+        // Collision and proximity events (names in CollisionManager.EVENTS)
+        this.events = new EventBus();
+        this.townPresence = new WeakMap(); // ship -> Map(townId -> { state, townArea })
+        this.hazardPresence = new WeakMap(); // ship -> Set of hazard zones it is inside
+        
         // Debug info
         this.lastCollisionInfo = null;
+        this.lastBroadphase = null;
+        
+        // Broadphase: islands are indexed by GameMap, town areas here.
+        // Turn off to fall back to testing every shape (benchmarks/debugging).
+        this.useBroadphase = true;
+        this.townIndex = typeof SpatialHash !== 'undefined' ? new SpatialHash(256) : null;
+        this.townAreasVersion = -1;
+        this.shipIndex = typeof SpatialHash !== 'undefined' ? new SpatialHash(256) : null;
         
         // Initialize town areas
         this.initializeTownAreas();
@@ -23,116 +51,587 @@ class CollisionManager {
         console.log('🎯 Multi-Circle Collision Manager initialized');
     }
     
+    // Events
+    
+    /**
+     * Subscribe to a collision/proximity event. Every event carries the
+     * ship, a contact point, the contact normal and the impact speed
+     * (px/s along the normal). Returns an unsubscribe function.
+     */
+    on(event, listener, options = {}) {
+        return this.events.on(event, listener, options);
+    }
+    
+    off(event, listener) {
+        this.events.off(event, listener);
+    }
+    
+    emit(event, data) {
+        this.events.emit(event, data);
+    }
+    
+    /**
+     * Place every island's town areas in world space. Towns are stored
+     * with their island (offsets from its centre), so they follow it when
+     * the island moves; missing fields come from CollisionManager.TOWN_DEFAULTS.
+     */
     initializeTownAreas() {
-        // Define town areas within Saint Kitts Island
-        const saintKittsIsland = this.map.islands.find(island => island.name === 'Saint Kitts Island');
-        if (saintKittsIsland) {
-            this.townAreas.set('saint_kitts_port', {
-                id: 'saint_kitts_port',
-                name: 'Saint Kitts Port',
-                islandId: 'saint_kits',
-                x: saintKittsIsland.x + 150,
-                y: saintKittsIsland.y - 100,
-                radius: 80,
-                entryRadius: 120,
-                type: 'port',
-                services: ['governor', 'market', 'tavern', 'dockmaster', 'bank', 'church'],
-                discovered: false
+        this.map.islands.forEach(island => {
+            (island.towns || []).forEach((town, index) => {
+                const id = town.id || `${island.id || island.name}-town-${index + 1}`;
+                const defaults = CollisionManager.TOWN_DEFAULTS;
+                const radius = town.radius || defaults.radius;
+                
+                this.townAreas.set(id, {
+                    ...defaults,
+                    ...town,
+                    id,
+                    islandId: island.id,
+                    islandName: island.name,
+                    x: island.x + (town.x || 0),
+                    y: island.y + (town.y || 0),
+                    radius,
+                    entryRadius: Math.max(town.entryRadius || radius * 1.5, radius),
+                    services: Array.isArray(town.services) ? town.services : defaults.services,
+                    discovered: false
+                });
             });
-            
-            console.log('🏘️ Town area initialized:', this.townAreas.get('saint_kitts_port'));
+        });
+        
+        if (this.townAreas.size > 0) {
+            console.log(`🏘️ ${this.townAreas.size} town areas initialized:`, [...this.townAreas.keys()].join(', '));
         }
+        
+        this.rebuildTownIndex();
     }
     
-    checkIslandCollision(ship) {
-        // Multi-Circle collision detection - simple and efficient
+    rebuildTownIndex() {
+        this.townAreasVersion = this.map.islandsVersion;
+        if (!this.townIndex) return;
+        
+        this.townIndex.clear();
+        for (let townArea of this.townAreas.values()) {
+            this.townIndex.insert(townArea, townArea.x, townArea.y, townArea.entryRadius);
+        }
+    }
+    
+    /**
+     * Town areas sit on islands, so re-place them after the islands were
+     * replaced (hot reload), keeping what has been discovered
+     */
+    refreshTownAreas() {
+        const discovered = new Set();
+        this.townAreas.forEach((townArea, townId) => {
+            if (townArea.discovered) discovered.add(townId);
+        });
+        
+        this.townAreas.clear();
+        this.initializeTownAreas();
+        discovered.forEach(townId => {
+            if (this.townAreas.has(townId)) this.townAreas.get(townId).discovered = true;
+        });
+    }
+    
+    /**
+     * Every island collision shape in island order, without the broadphase
+     */
+    getAllCollisionShapes() {
+        const shapes = [];
         for (let island of this.map.islands) {
-            // Check if island has collision circles
             if (!island.collisionCircles || island.collisionCircles.length === 0) {
-                // Fallback to single circle using island radius
-                const distance = Math.sqrt(
-                    Math.pow(ship.x - island.x, 2) + 
-                    Math.pow(ship.y - island.y, 2)
-                );
+                shapes.push({ island, circle: null, x: island.x, y: island.y, radius: island.radius });
+            } else {
+                for (let circle of island.collisionCircles) {
+                    shapes.push({ island, circle, x: island.x + circle.x, y: island.y + circle.y, radius: circle.radius });
+                }
+            }
+        }
+        return shapes;
+    }
+    
+    /**
+     * The ship's hull circles in world space. Anything without a hull
+     * (e.g. a plain { x, y, radius }) is a single circle.
+     */
+    getShipHull(ship) {
+        if (typeof ship.getHullCircles === 'function') {
+            return ship.getHullCircles();
+        }
+        return [{ x: ship.x, y: ship.y, radius: ship.radius, offsetX: 0, offsetY: 0 }];
+    }
+    
+    /**
+     * Shapes the ship could be touching: the broadphase candidates, or
+     * every shape when the broadphase is off
+     */
+    getNearbyShapes(ship) {
+        const reach = ship.radius + this.collisionBuffer;
+        const useIndex = this.useBroadphase && this.map.collisionIndex;
+        const shapes = useIndex
+            ? this.map.collisionIndex.query(ship.x, ship.y, reach)
+            : this.getAllCollisionShapes();
+        
+        if (window.DEBUG_MODE && useIndex) {
+            this.lastBroadphase = { x: ship.x, y: ship.y, radius: reach, candidates: shapes.length };
+        }
+        return shapes;
+    }
+    
+    checkIslandCollision(ship) {
+        // Broadphase: only the shapes in grid cells the ship can reach
+        const shapes = this.getNearbyShapes(ship);
+        const hull = this.getShipHull(ship);
+        
+        // Multi-Circle collision detection: every hull circle against every island circle
+        for (let shape of shapes) {
+            const island = shape.island;
+            
+            for (let hullCircle of hull) {
+                // Distance from this hull circle to the island circle
+                // (islands without collision circles use their radius)
+                const dx = hullCircle.x - shape.x;
+                const dy = hullCircle.y - shape.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
                 
-                const collisionDistance = island.radius + ship.radius + this.collisionBuffer;
+                // Check collision with buffer
+                const collisionDistance = shape.radius + hullCircle.radius + this.collisionBuffer;
+                if (distance >= collisionDistance) continue;
                 
-                if (distance < collisionDistance) {
+                // Calculate push direction
+                const pushX = distance > 0 ? dx / distance : 1;
+                const pushY = distance > 0 ? dy / distance : 0;
+                
+                if (!shape.circle) {
                     return {
                         collision: true,
                         island: island,
                         distance: distance,
-                        pushX: (ship.x - island.x) / distance,
-                        pushY: (ship.y - island.y) / distance
+                        pushX: pushX,
+                        pushY: pushY
                     };
                 }
-            } else {
-                // Multi-Circle collision check
-                for (let circle of island.collisionCircles) {
-                    // Calculate world position of this circle
-                    const circleWorldX = island.x + circle.x;
-                    const circleWorldY = island.y + circle.y;
+                
+                if (window.DEBUG_MODE) {
+                    this.lastCollisionInfo = {
+                        shipPos: { x: hullCircle.x, y: hullCircle.y },
+                        circlePos: { x: shape.x, y: shape.y },
+                        distance: distance,
+                        shipRadius: hullCircle.radius,
+                        circleRadius: shape.radius,
+                        collisionBuffer: this.collisionBuffer,
+                        timestamp: Date.now()
+                    };
                     
-                    // Distance from ship to this circle
-                    const dx = ship.x - circleWorldX;
-                    const dy = ship.y - circleWorldY;
+                    console.log('🚢 Circle collision detected:', this.lastCollisionInfo);
+                }
+                
+                return {
+                    collision: true,
+                    island: island,
+                    circle: shape.circle,
+                    distance: distance,
+                    pushX: pushX,
+                    pushY: pushY,
+                    closestPoint: {
+                        x: shape.x + pushX * shape.radius,
+                        y: shape.y + pushY * shape.radius
+                    }
+                };
+            }
+        }
+        
+        // Clear collision info when not colliding
+        if (window.DEBUG_MODE && this.lastCollisionInfo) {
+            this.lastCollisionInfo = null;
+        }
+        
+        return { collision: false };
+    }
+    
+    /**
+     * Island shapes the segment could touch when padded by `radius`: the
+     * broadphase cells along the segment, or every shape without one
+     */
+    getShapesAlongSegment(fromX, fromY, toX, toY, radius = 0) {
+        if (this.useBroadphase && this.map.collisionIndex) {
+            return this.map.collisionIndex.querySegment(fromX, fromY, toX, toY, radius);
+        }
+        return this.getAllCollisionShapes();
+    }
+    
+    /**
+     * Move a group of circles (offsets from a moving point, e.g. a hull)
+     * from (fromX, fromY) to (toX, toY) and find the first island circle
+     * any of them touches. Circles already overlapping at the start only
+     * count if the move goes deeper, unless startInsideBlocks is set.
+     */
+    castCircles(fromX, fromY, toX, toY, circles, startInsideBlocks = false) {
+        const moveX = toX - fromX;
+        const moveY = toY - fromY;
+        const padding = circles.reduce((bound, circle) =>
+            Math.max(bound, Math.hypot(circle.offsetX, circle.offsetY) + circle.radius), 0);
+        const shapes = this.getShapesAlongSegment(fromX, fromY, toX, toY, padding);
+        
+        let best = null;
+        const a = moveX * moveX + moveY * moveY;
+        
+        for (let shape of shapes) {
+            for (let circle of circles) {
+                const combinedRadius = shape.radius + circle.radius;
+                const offsetX = fromX + circle.offsetX - shape.x;
+                const offsetY = fromY + circle.offsetY - shape.y;
+                const b = offsetX * moveX + offsetY * moveY; // half the usual b
+                const c = offsetX * offsetX + offsetY * offsetY - combinedRadius * combinedRadius;
+                
+                let time;
+                if (c <= 0) {
+                    // Starting on or inside the circle: a hit only if moving further in
+                    if (b >= 0 && !startInsideBlocks) continue;
+                    time = 0;
+                } else {
+                    if (a === 0 || b >= 0) continue; // standing still or moving away
+                    const discriminant = b * b - a * c;
+                    if (discriminant < 0) continue; // path misses the circle
+                    time = (-b - Math.sqrt(discriminant)) / a;
+                    if (time > 1) continue; // circle is beyond this move
+                }
+                
+                if (!best || time < best.time) {
+                    best = { shape, circle, time };
+                }
+            }
+        }
+        
+        if (!best) {
+            return { hit: false };
+        }
+        
+        const x = fromX + moveX * best.time;
+        const y = fromY + moveY * best.time;
+        const normalX = x + best.circle.offsetX - best.shape.x;
+        const normalY = y + best.circle.offsetY - best.shape.y;
+        const normalLength = Math.sqrt(normalX * normalX + normalY * normalY);
+        
+        return {
+            hit: true,
+            time: best.time,
+            normal: normalLength > 0 ? { x: normalX / normalLength, y: normalY / normalLength } : { x: 1, y: 0 },
+            island: best.shape.island,
+            circle: best.shape.circle,
+            x: x,
+            y: y
+        };
+    }
+    
+    /**
+     * Swept test of the ship's hull moving from (fromX, fromY) to (toX, toY)
+     * at its current heading against every island circle on the way.
+     * Returns the earliest hit as { hit, time (0-1 along the move), normal,
+     * island, circle, x, y } where x/y is the ship position at contact,
+     * or { hit: false }.
+     */
+    sweepIslandCollision(ship, fromX, fromY, toX, toY) {
+        const hull = this.getShipHull(ship).map(hullCircle => ({
+            offsetX: hullCircle.offsetX,
+            offsetY: hullCircle.offsetY,
+            radius: hullCircle.radius + this.collisionBuffer
+        }));
+        return this.castCircles(fromX, fromY, toX, toY, hull);
+    }
+    
+    // Line queries (cannon fire, line of sight, NPC avoidance)
+    
+    /**
+     * First land along the ray from (fromX, fromY) to (toX, toY), optionally
+     * thickened to `radius` (e.g. a cannonball). Returns { hit, x, y,
+     * normal, distance, time, island, circle } with x/y the hit point on
+     * the coast (or where the thick ray stops), or { hit: false }. A ray
+     * starting inside land hits at its start.
+     */
+    raycast(fromX, fromY, toX, toY, radius = 0) {
+        const hit = this.castCircles(fromX, fromY, toX, toY, [{ offsetX: 0, offsetY: 0, radius }], true);
+        if (!hit.hit) {
+            return hit;
+        }
+        
+        // For a plain ray the stopping point is on the coast; report it there either way
+        return {
+            ...hit,
+            x: hit.x - hit.normal.x * radius,
+            y: hit.y - hit.normal.y * radius,
+            distance: hit.time * Math.hypot(toX - fromX, toY - fromY)
+        };
+    }
+    
+    /**
+     * Whether land blocks the straight line between two points
+     */
+    isSegmentBlocked(fromX, fromY, toX, toY, radius = 0) {
+        return this.raycast(fromX, fromY, toX, toY, radius).hit;
+    }
+    
+    /**
+     * Closest coast to (x, y) within maxDistance, as { distance, x, y,
+     * normal, island, circle } with x/y the coast point and the normal
+     * pointing from the land towards (x, y), or null if there is none.
+     * The distance is negative inside land. With the broadphase the
+     * search grows outwards from the point until nothing closer can exist.
+     */
+    nearestLand(x, y, maxDistance = Infinity) {
+        let best = null;
+        const consider = shapes => {
+            for (let shape of shapes) {
+                const distance = Math.hypot(x - shape.x, y - shape.y) - shape.radius;
+                if (distance <= maxDistance && (!best || distance < best.distance)) {
+                    best = { shape, distance };
+                }
+            }
+        };
+        
+        const index = this.useBroadphase && this.map.collisionIndex;
+        if (index) {
+            // Anything within `radius` of the point is in the cells the query covers
+            const worldSize = this.map.width + this.map.height;
+            for (let radius = index.cellSize; ; radius *= 2) {
+                consider(index.query(x, y, Math.min(radius, maxDistance)));
+                if ((best && best.distance <= radius) || radius >= maxDistance || radius > worldSize) break;
+            }
+        }
+        if (!best && (!index || maxDistance === Infinity)) {
+            consider(this.getAllCollisionShapes());
+        }
+        if (!best) {
+            return null;
+        }
+        
+        const shape = best.shape;
+        const centerDistance = Math.hypot(x - shape.x, y - shape.y);
+        const normal = centerDistance > 0
+            ? { x: (x - shape.x) / centerDistance, y: (y - shape.y) / centerDistance }
+            : { x: 1, y: 0 };
+        
+        return {
+            distance: best.distance,
+            x: shape.x + normal.x * shape.radius,
+            y: shape.y + normal.y * shape.radius,
+            normal,
+            island: shape.island,
+            circle: shape.circle
+        };
+    }
+    
+    /**
+     * Sliding collision response. The ship's move from its previous position
+     * is swept against the islands (so fast ships and long frames cannot
+     * tunnel through small circles); at each contact the rest of the move
+     * loses its component into the coast so the ship slides along the
+     * circle union. Anything still overlapping is pushed clear. On the
+     * first frame of contact the ship keeps the tangential share of its
+     * speed (less the island's friction) and recoils by the island's bounce.
+     * Falls back to the last valid position if it cannot be pushed clear,
+     * so the ship never ends up inside land.
+     */
+    resolveIslandCollision(ship, sweep = null) {
+        let x = ship.prevX;
+        let y = ship.prevY;
+        let moveX = ship.x - x;
+        let moveY = ship.y - y;
+        let contact = null;
+        
+        let hit = sweep || this.sweepIslandCollision(ship, x, y, ship.x, ship.y);
+        for (let step = 0; hit.hit; step++) {
+            contact = contact || { island: hit.island, circle: hit.circle, normal: hit.normal, time: hit.time };
+            
+            // Advance to the contact point
+            x += moveX * hit.time;
+            y += moveY * hit.time;
+            moveX *= 1 - hit.time;
+            moveY *= 1 - hit.time;
+            
+            if (step + 1 >= this.maxResolveIterations) {
+                moveX = 0;
+                moveY = 0;
+                break;
+            }
+            
+            // Slide: drop the rest of the move's component into the coast
+            const moveIntoNormal = moveX * hit.normal.x + moveY * hit.normal.y;
+            if (moveIntoNormal < 0) {
+                moveX -= hit.normal.x * moveIntoNormal;
+                moveY -= hit.normal.y * moveIntoNormal;
+            }
+            hit = this.sweepIslandCollision(ship, x, y, x + moveX, y + moveY);
+        }
+        ship.x = x + moveX;
+        ship.y = y + moveY;
+        
+        // Already overlapping without sweeping into it (e.g. the islands changed under the ship)
+        if (!contact) {
+            const overlap = this.checkIslandCollision(ship);
+            if (!overlap.collision) {
+                const touching = this.contacts.get(ship);
+                if (touching && !this.isNearIsland(ship, touching.island, this.contactMargin)) {
+                    this.endIslandContact(ship);
+                }
+                return overlap;
+            }
+            contact = { island: overlap.island, circle: overlap.circle, normal: { x: overlap.pushX, y: overlap.pushY }, time: 1 };
+        }
+        
+        const clear = this.pushClearOfIslands(ship);
+        const island = contact.island;
+        const normal = contact.normal;
+        
+        // Speed only changes on impact, not while grinding along the same coast
+        const touching = this.contacts.get(ship);
+        const isImpact = !touching || touching.island !== island;
+        if (isImpact && touching) {
+            this.endIslandContact(ship);
+        }
+        const point = this.getContactPoint(island, contact.circle, normal);
+        this.contacts.set(ship, { island, point, normal });
+        
+        let impact = 0;
+        if (isImpact) {
+            const velocity = ship.getVelocity();
+            const impactSpeed = Math.max(0, -(velocity.x * normal.x + velocity.y * normal.y));
+            
+            const direction = Math.sign(ship.currentSpeed) || 1;
+            const headingX = Math.cos(ship.angle - Math.PI/2) * direction;
+            const headingY = Math.sin(ship.angle - Math.PI/2) * direction;
+            
+            // 1 = head-on, 0 = grazing
+            impact = Math.max(0, -(headingX * normal.x + headingY * normal.y));
+            const tangentShare = Math.sqrt(1 - impact * impact);
+            
+            const bounce = island.bounce !== undefined ? island.bounce : this.defaultBounce;
+            const friction = island.friction !== undefined ? island.friction : this.defaultFriction;
+            ship.currentSpeed = ship.currentSpeed * tangentShare * (1 - friction) -
+                                ship.currentSpeed * impact * bounce;
+            
+            // Running aground holes the hull, more the harder the impact
+            const damage = Math.max(0, (impactSpeed - this.groundingDamageThreshold) * this.groundingDamagePerSpeed);
+            if (damage > 0) {
+                ship.takeDamage(damage, 'grounding');
+                console.log(`💥 Ship ${ship.id} ran aground on ${island.name}: ${damage.toFixed(1)} damage (${Math.round(ship.health)}/${ship.maxHealth})`);
+            }
+            
+            this.showCollisionEffect(ship, impactSpeed);
+            this.emit(CollisionManager.EVENTS.COLLISION_BEGIN, {
+                ship, island, circle: contact.circle, point, normal, impactSpeed, damage
+            });
+        }
+        
+        if (!clear) {
+            this.revertShipPosition(ship);
+        }
+        
+        return {
+            collision: true,
+            island: island,
+            circle: contact.circle,
+            pushX: normal.x,
+            pushY: normal.y,
+            time: contact.time,
+            impact,
+            isImpact,
+            resolved: clear
+        };
+    }
+    
+    /**
+     * Point on the island's coast (the touched circle) in the direction of
+     * the contact normal
+     */
+    getContactPoint(island, circle, normal) {
+        const centerX = circle ? island.x + circle.x : island.x;
+        const centerY = circle ? island.y + circle.y : island.y;
+        const radius = circle ? circle.radius : island.radius;
+        return { x: centerX + normal.x * radius, y: centerY + normal.y * radius };
+    }
+    
+    /**
+     * Whether the ship's hull is within `margin` of the island's collision
+     * distance (so grazing along a coast does not flicker between contacts)
+     */
+    isNearIsland(ship, island, margin) {
+        const circles = island.collisionCircles && island.collisionCircles.length > 0
+            ? island.collisionCircles
+            : [{ x: 0, y: 0, radius: island.radius }];
+        
+        return this.getShipHull(ship).some(hullCircle => circles.some(circle => {
+            const distance = Math.hypot(hullCircle.x - (island.x + circle.x), hullCircle.y - (island.y + circle.y));
+            return distance < circle.radius + hullCircle.radius + this.collisionBuffer + margin;
+        }));
+    }
+    
+    endIslandContact(ship) {
+        const touching = this.contacts.get(ship);
+        if (!touching) return;
+        
+        this.contacts.delete(ship);
+        this.emit(CollisionManager.EVENTS.COLLISION_END, {
+            ship, island: touching.island, point: touching.point, normal: touching.normal, impactSpeed: 0
+        });
+    }
+    
+    /**
+     * Push the ship's hull out of every overlapping collision circle (a
+     * push out of one circle can land it in a neighbouring one, hence the
+     * passes). Returns false if it is still overlapping after the last pass.
+     */
+    pushClearOfIslands(ship) {
+        const hull = this.getShipHull(ship);
+        
+        for (let pass = 0; pass < this.maxResolveIterations; pass++) {
+            let pushed = false;
+            
+            for (let shape of this.getNearbyShapes(ship)) {
+                for (let hullCircle of hull) {
+                    const dx = ship.x + hullCircle.offsetX - shape.x;
+                    const dy = ship.y + hullCircle.offsetY - shape.y;
                     const distance = Math.sqrt(dx * dx + dy * dy);
-                    
-                    // Check collision with buffer
-                    const collisionDistance = circle.radius + ship.radius + this.collisionBuffer;
+                    const collisionDistance = shape.radius + hullCircle.radius + this.collisionBuffer;
                     
                     if (distance < collisionDistance) {
-                        // Calculate push direction
                         const pushX = distance > 0 ? dx / distance : 1;
                         const pushY = distance > 0 ? dy / distance : 0;
-                        
-                        if (window.DEBUG_MODE) {
-                            this.lastCollisionInfo = {
-                                shipPos: { x: ship.x, y: ship.y },
-                                circlePos: { x: circleWorldX, y: circleWorldY },
-                                distance: distance,
-                                shipRadius: ship.radius,
-                                circleRadius: circle.radius,
-                                collisionBuffer: this.collisionBuffer,
-                                timestamp: Date.now()
-                            };
-                            
-                            console.log('🚢 Circle collision detected:', this.lastCollisionInfo);
-                        }
-                        
-                        return {
-                            collision: true,
-                            island: island,
-                            circle: circle,
-                            distance: distance,
-                            pushX: pushX,
-                            pushY: pushY,
-                            closestPoint: {
-                                x: circleWorldX + pushX * circle.radius,
-                                y: circleWorldY + pushY * circle.radius
-                            }
-                        };
+                        // A hair past the edge so rounding cannot leave it touching
+                        const depth = collisionDistance - distance + 0.01;
+                        ship.x += pushX * depth;
+                        ship.y += pushY * depth;
+                        pushed = true;
                     }
                 }
             }
+            
+            if (!pushed) return true;
         }
         
-        // Clear collision info when not colliding
-        if (window.DEBUG_MODE && this.lastCollisionInfo) {
-            this.lastCollisionInfo = null;
+        return !this.checkIslandCollision(ship).collision;
+    }
+    
+    getLastValidPosition(ship) {
+        if (ship === this.game.ship) {
+            return this.lastValidPosition;
         }
-        
-        return { collision: false };
+        let position = this.lastValidPositions.get(ship);
+        if (!position) {
+            position = { x: ship.x, y: ship.y };
+            this.lastValidPositions.set(ship, position);
+        }
+        return position;
     }
     
     revertShipPosition(ship) {
         // Revert ship to last valid position when collision occurs
+        const lastValidPosition = this.getLastValidPosition(ship);
         if (window.DEBUG_MODE) {
-            console.log('🔄 Reverting ship position from', { x: ship.x, y: ship.y }, 'to', this.lastValidPosition);
+            console.log('🔄 Reverting ship position from', { x: ship.x, y: ship.y }, 'to', lastValidPosition);
         }
         
-        ship.x = this.lastValidPosition.x;
-        ship.y = this.lastValidPosition.y;
+        ship.x = lastValidPosition.x;
+        ship.y = lastValidPosition.y;
         
         // Reduce speed significantly on collision
         ship.currentSpeed *= 0.2;
@@ -145,14 +644,163 @@ class CollisionManager {
         // Only update if ship is not colliding with anything
         const collision = this.checkIslandCollision(ship);
         if (!collision.collision) {
-            this.lastValidPosition.x = ship.x;
-            this.lastValidPosition.y = ship.y;
+            const lastValidPosition = this.getLastValidPosition(ship);
+            lastValidPosition.x = ship.x;
+            lastValidPosition.y = ship.y;
+        }
+    }
+    
+    // Ship-vs-ship collision
+    
+    /**
+     * Deepest overlap between two hulls as { depth, normalX, normalY, point }
+     * with the normal pointing from b to a, or null if they do not touch
+     */
+    checkShipCollision(hullA, hullB) {
+        let deepest = null;
+        for (let circleA of hullA) {
+            for (let circleB of hullB) {
+                const dx = circleA.x - circleB.x;
+                const dy = circleA.y - circleB.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                const depth = circleA.radius + circleB.radius - distance;
+                
+                if (depth > 0 && (!deepest || depth > deepest.depth)) {
+                    const normalX = distance > 0 ? dx / distance : 1;
+                    const normalY = distance > 0 ? dy / distance : 0;
+                    // Middle of the overlap
+                    const reach = circleB.radius - depth / 2;
+                    deepest = {
+                        depth,
+                        normalX,
+                        normalY,
+                        point: { x: circleB.x + normalX * reach, y: circleB.y + normalY * reach }
+                    };
+                }
+            }
+        }
+        return deepest;
+    }
+    
+    /**
+     * Resolve ship-vs-ship contacts after every vessel has moved this
+     * physics step. All contacts and their impulses are worked out from
+     * the positions and velocities at the start of resolution and only
+     * then applied, so the outcome does not depend on how many ships
+     * there are or the order they are listed in. Impulses are shared by
+     * mass (1/mass each), and rams closing faster than ramDamageThreshold
+     * damage both hulls, the lighter ship taking the larger share.
+     * Returns the contacts in ship ID order.
+     */
+    resolveShipCollisions(vessels) {
+        const ships = [...vessels].sort((a, b) => a.id - b.id);
+        const hulls = new Map(ships.map(ship => [ship, this.getShipHull(ship)]));
+        const velocities = new Map(ships.map(ship => [ship, ship.getVelocity()]));
+        
+        // Broadphase: ships are few but move, so the grid is rebuilt every step
+        const useIndex = this.useBroadphase && this.shipIndex;
+        if (useIndex) {
+            this.shipIndex.clear();
+            ships.forEach(ship => this.shipIndex.insert(ship, ship.x, ship.y, ship.radius));
         }
+        
+        const contacts = [];
+        ships.forEach(a => {
+            const others = useIndex ? this.shipIndex.query(a.x, a.y, a.radius) : ships;
+            others.forEach(b => {
+                if (b.id <= a.id) return;
+                const overlap = this.checkShipCollision(hulls.get(a), hulls.get(b));
+                if (overlap) {
+                    contacts.push({ a, b, ...overlap });
+                }
+            });
+        });
+        if (contacts.length === 0) return contacts;
+        
+        const changes = new Map(ships.map(ship => [ship, { x: 0, y: 0, vx: 0, vy: 0, damage: 0 }]));
+        contacts.forEach(contact => {
+            const { a, b, normalX, normalY } = contact;
+            const inverseMassA = 1 / a.mass;
+            const inverseMassB = 1 / b.mass;
+            const inverseMassSum = inverseMassA + inverseMassB;
+            const changeA = changes.get(a);
+            const changeB = changes.get(b);
+            
+            // Separate the hulls, the lighter ship moving further
+            const separation = (contact.depth + 0.01) / inverseMassSum;
+            changeA.x += normalX * separation * inverseMassA;
+            changeA.y += normalY * separation * inverseMassA;
+            changeB.x -= normalX * separation * inverseMassB;
+            changeB.y -= normalY * separation * inverseMassB;
+            
+            const velocityA = velocities.get(a);
+            const velocityB = velocities.get(b);
+            contact.closingSpeed = -((velocityA.x - velocityB.x) * normalX + (velocityA.y - velocityB.y) * normalY);
+            contact.damageA = 0;
+            contact.damageB = 0;
+            if (contact.closingSpeed <= 0) return; // already moving apart
+            
+            const impulse = (1 + this.shipRestitution) * contact.closingSpeed / inverseMassSum;
+            changeA.vx += normalX * impulse * inverseMassA;
+            changeA.vy += normalY * impulse * inverseMassA;
+            changeB.vx -= normalX * impulse * inverseMassB;
+            changeB.vy -= normalY * impulse * inverseMassB;
+            
+            const damage = (contact.closingSpeed - this.ramDamageThreshold) * this.ramDamagePerSpeed;
+            if (damage > 0) {
+                contact.damageA = damage * b.mass / (a.mass + b.mass);
+                contact.damageB = damage * a.mass / (a.mass + b.mass);
+                changeA.damage += contact.damageA;
+                changeB.damage += contact.damageB;
+            }
+        });
+        
+        ships.forEach(ship => {
+            const change = changes.get(ship);
+            if (change.x === 0 && change.y === 0) return;
+            
+            ship.x += change.x;
+            ship.y += change.y;
+            ship.applyVelocityChange(change.vx, change.vy);
+            if (change.damage > 0) {
+                ship.takeDamage(change.damage, 'ramming');
+                console.log(`💥 Ship ${ship.id} rammed: ${change.damage.toFixed(1)} damage (${Math.round(ship.health)}/${ship.maxHealth})`);
+            }
+            
+            // Being shoved must not put a ship aground
+            if (!this.pushClearOfIslands(ship)) {
+                this.revertShipPosition(ship);
+            }
+        });
+        
+        // Impacts only: ships resting against each other do not repeat the event
+        contacts.forEach(contact => {
+            if (contact.closingSpeed <= 0) return;
+            this.emit(CollisionManager.EVENTS.SHIP_CONTACT, {
+                ship: contact.a,
+                other: contact.b,
+                point: contact.point,
+                normal: { x: contact.normalX, y: contact.normalY },
+                impactSpeed: contact.closingSpeed,
+                damage: contact.damageA,
+                otherDamage: contact.damageB
+            });
+        });
+        
+        return contacts;
     }
     
     checkTownAreaEntry(ship) {
-        // Check if ship enters any town areas
-        for (let [townId, townArea] of this.townAreas) {
+        if (this.townAreasVersion !== this.map.islandsVersion) {
+            this.refreshTownAreas();
+        }
+        
+        // Check if ship enters any town areas (broadphase: towns whose entry radius covers the ship's cell)
+        const townAreas = this.useBroadphase && this.townIndex
+            ? this.townIndex.query(ship.x, ship.y)
+            : this.townAreas.values();
+        
+        for (let townArea of townAreas) {
             const distance = Math.sqrt(
                 Math.pow(ship.x - townArea.x, 2) + 
                 Math.pow(ship.y - townArea.y, 2)
@@ -187,17 +835,112 @@ class CollisionManager {
         return { canEnter: false };
     }
     
-    showCollisionEffect(ship) {
-        // Visual feedback for collision (simple screen shake effect)
-        if (this.game.canvas) {
-            const originalTransform = this.game.ctx.getTransform();
-            
-            // Small shake effect
-            setTimeout(() => {
-                if (this.game.ctx) {
-                    this.game.ctx.setTransform(originalTransform);
+    /**
+     * Track which town radii the ship is inside and emit town:approach /
+     * town:depart for the entry radius and town:enter / town:leave for the
+     * town radius when that changes. Call once per frame per ship.
+     */
+    updateTownProximity(ship) {
+        if (this.townAreasVersion !== this.map.islandsVersion) {
+            this.refreshTownAreas();
+        }
+        
+        const townAreas = this.useBroadphase && this.townIndex
+            ? this.townIndex.query(ship.x, ship.y)
+            : this.townAreas.values();
+        
+        const current = new Map();
+        for (let townArea of townAreas) {
+            const distance = Math.hypot(ship.x - townArea.x, ship.y - townArea.y);
+            if (distance <= townArea.radius) {
+                current.set(townArea.id, { state: 'inside', townArea });
+            } else if (distance <= townArea.entryRadius) {
+                current.set(townArea.id, { state: 'approaching', townArea });
+            }
+        }
+        
+        const previous = this.townPresence.get(ship) || new Map();
+        this.townPresence.set(ship, current);
+        
+        const events = CollisionManager.EVENTS;
+        previous.forEach((was, townId) => {
+            const now = current.get(townId);
+            if (was.state === 'inside' && (!now || now.state !== 'inside')) {
+                this.emit(events.TOWN_LEAVE, this.createTownEvent(ship, was.townArea, was.townArea.radius));
+            }
+            if (!now) {
+                this.emit(events.TOWN_DEPART, this.createTownEvent(ship, was.townArea, was.townArea.entryRadius));
+            }
+        });
+        current.forEach((now, townId) => {
+            const was = previous.get(townId);
+            if (!was) {
+                // Only the player's own ship discovers towns
+                if (ship === this.game.ship && !now.townArea.discovered) {
+                    now.townArea.discovered = true;
+                    this.showTownDiscoveryMessage(now.townArea);
                 }
-            }, 100);
+                this.emit(events.TOWN_APPROACH, this.createTownEvent(ship, now.townArea, now.townArea.entryRadius));
+            }
+            if (now.state === 'inside' && (!was || was.state !== 'inside')) {
+                this.emit(events.TOWN_ENTER, this.createTownEvent(ship, now.townArea, now.townArea.radius));
+            }
+        });
+    }
+    
+    /**
+     * Hazard zones the ship's centre is inside, emitting hazard:enter /
+     * hazard:leave when that changes. Call once per step per ship.
+     */
+    updateHazards(ship) {
+        const hazards = this.map.getHazardsAt ? this.map.getHazardsAt(ship.x, ship.y) : [];
+        const current = new Set(hazards);
+        const previous = this.hazardPresence.get(ship) || new Set();
+        this.hazardPresence.set(ship, current);
+        
+        const events = CollisionManager.EVENTS;
+        previous.forEach(hazard => {
+            if (!current.has(hazard)) {
+                this.emit(events.HAZARD_LEAVE, { ship, hazard });
+            }
+        });
+        current.forEach(hazard => {
+            if (!previous.has(hazard)) {
+                this.emit(events.HAZARD_ENTER, { ship, hazard });
+            }
+        });
+        
+        return hazards;
+    }
+    
+    /**
+     * Town event payload: where the ship crossed the boundary circle of
+     * `radius`, the outward normal there and the speed across it
+     */
+    createTownEvent(ship, townArea, radius) {
+        const dx = ship.x - townArea.x;
+        const dy = ship.y - townArea.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const normal = distance > 0 ? { x: dx / distance, y: dy / distance } : { x: 1, y: 0 };
+        const velocity = ship.getVelocity();
+        
+        return {
+            ship,
+            townArea,
+            distance,
+            point: { x: townArea.x + normal.x * radius, y: townArea.y + normal.y * radius },
+            normal,
+            impactSpeed: Math.abs(velocity.x * normal.x + velocity.y * normal.y)
+        };
+    }
+    
+    /**
+     * Visual feedback for the player's collisions: a screen shake that
+     * grows with the impact speed
+     */
+    showCollisionEffect(ship, impactSpeed = 100) {
+        if (ship === this.game.ship && typeof this.game.shakeCamera === 'function') {
+            this.game.shakeCamera(Math.min(12, 2 + impactSpeed / 40));
         }
     }
     
@@ -295,10 +1038,84 @@ class CollisionManager {
         this.hideTownEntryPrompt();
     }
     
+    /**
+     * Broadphase grid: occupied cells with their shape counts, and the
+     * area the last ship query covered
+     */
+    drawBroadphaseDebug(ctx) {
+        const index = this.map.collisionIndex;
+        if (!index || !this.useBroadphase) return;
+        
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.setLineDash([]);
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'left';
+        
+        index.getCells().forEach(cell => {
+            ctx.fillStyle = `rgba(0, 200, 255, ${Math.min(0.05 * cell.count, 0.3)})`;
+            ctx.fillRect(cell.x, cell.y, cell.size, cell.size);
+            ctx.strokeStyle = 'rgba(0, 200, 255, 0.4)';
+            ctx.strokeRect(cell.x, cell.y, cell.size, cell.size);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.fillText(`${cell.count}`, cell.x + 6, cell.y + 16);
+        });
+        
+        if (this.lastBroadphase) {
+            const query = this.lastBroadphase;
+            const range = index.cellRange(query.x, query.y, query.radius);
+            ctx.strokeStyle = 'rgba(255, 255, 0, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(range.minX * index.cellSize, range.minY * index.cellSize,
+                (range.maxX - range.minX + 1) * index.cellSize, (range.maxY - range.minY + 1) * index.cellSize);
+            ctx.fillStyle = 'rgba(255, 255, 0, 0.9)';
+            ctx.fillText(`Broadphase: ${query.candidates}/${index.size} shapes`,
+                range.minX * index.cellSize + 6, range.minY * index.cellSize - 6);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Hazard zones, coloured by type, with their effect strength
+     */
+    drawHazardDebug(ctx) {
+        const colors = CollisionManager.HAZARD_COLORS;
+        
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        
+        this.map.hazards.forEach(hazard => {
+            const color = colors[hazard.type] || '255, 255, 255';
+            ctx.fillStyle = `rgba(${color}, 0.15)`;
+            ctx.strokeStyle = `rgba(${color}, 0.8)`;
+            ctx.setLineDash(hazard.type === 'calm' ? [10, 6] : []);
+            ctx.beginPath();
+            ctx.arc(hazard.x, hazard.y, hazard.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            
+            const effect = {
+                shallows: `max ${hazard.maxSpeed} px/s`,
+                reef: `${hazard.damagePerSecond} dmg/s`,
+                whirlpool: `pull ${hazard.pull} px/s²`,
+                calm: `wind ×${hazard.windFactor}`
+            }[hazard.type];
+            ctx.fillStyle = 'white';
+            ctx.fillText(`${hazard.name || hazard.id || hazard.type} (${effect})`, hazard.x, hazard.y - hazard.radius - 8);
+        });
+        
+        ctx.restore();
+    }
+    
     // Debug rendering for Multi-Circle collision boundaries and town areas
     drawDebugInfo(ctx) {
         if (!window.DEBUG_MODE) return;
         
+        this.drawBroadphaseDebug(ctx);
+        
         // Draw island collision circles
         this.map.islands.forEach(island => {
             if (island.collisionCircles && island.collisionCircles.length > 0) {
@@ -344,16 +1161,27 @@ class CollisionManager {
             }
         });
         
-        // Draw ship collision radius
-        if (this.game.ship) {
-            ctx.strokeStyle = 'rgba(0, 255, 255, 0.6)';
-            ctx.lineWidth = 2;
+        this.drawHazardDebug(ctx);
+        
+        // Draw ship hull circles and their bounding radius
+        const vessels = this.game.vessels || (this.game.ship ? [this.game.ship] : []);
+        vessels.forEach(ship => {
+            ctx.strokeStyle = 'rgba(0, 255, 255, 0.3)';
+            ctx.lineWidth = 1;
             ctx.setLineDash([5, 5]);
             ctx.beginPath();
-            ctx.arc(this.game.ship.x, this.game.ship.y, this.game.ship.radius, 0, Math.PI * 2);
+            ctx.arc(ship.x, ship.y, ship.radius, 0, Math.PI * 2);
             ctx.stroke();
             ctx.setLineDash([]);
-        }
+            
+            ctx.strokeStyle = 'rgba(0, 255, 255, 0.8)';
+            ctx.lineWidth = 2;
+            this.getShipHull(ship).forEach(hullCircle => {
+                ctx.beginPath();
+                ctx.arc(hullCircle.x, hullCircle.y, hullCircle.radius, 0, Math.PI * 2);
+                ctx.stroke();
+            });
+        });
         
         // Draw town areas
         for (let [townId, townArea] of this.townAreas) {
@@ -418,4 +1246,40 @@ class CollisionManager {
             ctx.fillText(`Circle Radius: ${this.lastCollisionInfo.circleRadius.toFixed(1)}`, 10, 75);
         }
     }
-}
\ No newline at end of file
+}
+
+// Event names emitted by CollisionManager (subscribe with collisionManager.on)
+CollisionManager.EVENTS = {
+    COLLISION_BEGIN: 'collision:begin', // Ship hit an island
+    COLLISION_END: 'collision:end',     // Ship no longer touching that island
+    TOWN_APPROACH: 'town:approach',     // Inside a town's entry radius
+    TOWN_DEPART: 'town:depart',
+    TOWN_ENTER: 'town:enter',           // Inside a town's radius (can dock)
+    TOWN_LEAVE: 'town:leave',
+    SHIP_CONTACT: 'ship:contact',       // Two ships collided (ship/other)
+    HAZARD_ENTER: 'hazard:enter',       // Ship centre entered a hazard zone (ship/hazard)
+    HAZARD_LEAVE: 'hazard:leave'
+};
+
+// Town area fields an island's town can leave out
+CollisionManager.TOWN_DEFAULTS = {
+    type: 'port',
+    radius: 80,        // Close enough to dock
+    // entryRadius defaults to 1.5x the radius (approach/discovery)
+    services: ['governor', 'market', 'tavern', 'dockmaster', 'bank', 'church'],
+    nation: null,
+    background: null   // Image in assets/Ports; PortManager falls back to a default
+};
+
+// Debug overlay colour (r, g, b) per hazard type
+CollisionManager.HAZARD_COLORS = {
+    shallows: '120, 220, 200',
+    reef: '255, 120, 60',
+    whirlpool: '170, 90, 255',
+    calm: '200, 200, 200'
+};
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollisionManager;
+}
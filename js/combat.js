@@ -0,0 +1,332 @@
+/**
+ * Pirate Game - Naval Combat
+ * Broadside batteries, cannonball flight and hit resolution
+ */
+
+class CombatManager {
+    /**
+     * Shot spread and crew casualties come from a random generator seeded
+     * with options.seed, so the same seed and the same inputs give the
+     * same fight (tests resolve hits without a canvas)
+     */
+    constructor(collisionManager = null, options = {}) {
+        this.collisionManager = collisionManager; // Islands stop cannonballs (optional)
+        this.seed = options.seed !== undefined ? options.seed : Date.now();
+        this.random = CombatManager.createRandom(this.seed);
+        
+        // Ballistics
+        this.gravity = 120; // px/s², pulls cannonballs down to the water
+        this.spread = 0.04; // Largest aim error in radians
+        this.speedJitter = 0.05; // Largest muzzle speed error (share of the speed)
+        
+        this.cannonballs = [];
+        this.effects = []; // Splashes and hits being drawn
+        this.effectDuration = 0.6;
+        
+        this.events = new EventBus();
+        
+        console.log('💣 Combat manager initialized, seed:', this.seed);
+    }
+    
+    // Events
+    
+    /**
+     * Subscribe to a combat event (CombatManager.EVENTS). Returns an
+     * unsubscribe function.
+     */
+    on(event, listener, options = {}) {
+        return this.events.on(event, listener, options);
+    }
+    
+    off(event, listener) {
+        this.events.off(event, listener);
+    }
+    
+    emit(event, data) {
+        this.events.emit(event, data);
+    }
+    
+    // Firing
+    
+    /**
+     * Load `ammoId` (a CombatManager.AMMO key) for the ship's next
+     * broadsides. Returns false for unknown ammunition.
+     */
+    selectAmmo(ship, ammoId) {
+        if (!Object.prototype.hasOwnProperty.call(CombatManager.AMMO, ammoId)) {
+            console.warn(`⚠️ Unknown ammunition: ${ammoId}`);
+            return false;
+        }
+        ship.ammo = ammoId;
+        return true;
+    }
+    
+    /**
+     * Fire every gun on one side ('port' or 'starboard') of the ship.
+     * Returns the cannonballs fired, or an empty array if the battery is
+     * still reloading, has no guns or the ship has no crew to work them.
+     */
+    fireBroadside(ship, side) {
+        const battery = ship.batteries && ship.batteries[side];
+        if (!battery || battery.cannons === 0 || battery.reload > 0 || ship.crew <= 0 || ship.sinking) {
+            return [];
+        }
+        
+        const ammoId = Object.prototype.hasOwnProperty.call(CombatManager.AMMO, ship.ammo) ? ship.ammo : 'round';
+        const ammo = CombatManager.AMMO[ammoId];
+        const velocity = ship.getVelocity();
+        
+        // Guns fire square to the hull: starboard is +y in ship space
+        const heading = ship.angle - Math.PI / 2;
+        const aim = heading + (side === 'starboard' ? Math.PI / 2 : -Math.PI / 2);
+        const flightTime = ammo.range / ammo.speed;
+        
+        // Guns spaced along the middle 60% of the keel, at the ship's side
+        const fired = [];
+        for (let i = 0; i < battery.cannons; i++) {
+            const along = battery.cannons > 1 ? (i / (battery.cannons - 1) - 0.5) * ship.width * 0.6 : 0;
+            const angle = aim + (this.random() * 2 - 1) * this.spread;
+            const speed = ammo.speed * (1 + (this.random() * 2 - 1) * this.speedJitter);
+            
+            const cannonball = {
+                shooter: ship,
+                ammo: ammoId,
+                x: ship.x + Math.cos(heading) * along + Math.cos(aim) * ship.height / 2,
+                y: ship.y + Math.sin(heading) * along + Math.sin(aim) * ship.height / 2,
+                z: 0,
+                vx: Math.cos(angle) * speed + velocity.x,
+                vy: Math.sin(angle) * speed + velocity.y,
+                vz: this.gravity * flightTime / 2 // Back at the water after flightTime
+            };
+            this.cannonballs.push(cannonball);
+            fired.push(cannonball);
+        }
+        
+        battery.reload = ammo.reload;
+        this.emit(CombatManager.EVENTS.FIRE, { ship, side, ammo: ammoId, cannonballs: fired });
+        return fired;
+    }
+    
+    // Simulation
+    
+    /**
+     * Move the cannonballs one step and resolve what each hits first on
+     * the way: a ship's hull (not the shooter's), land, or the water where
+     * it comes down
+     */
+    update(deltaTime, vessels = []) {
+        this.cannonballs = this.cannonballs.filter(cannonball => {
+            const fromX = cannonball.x;
+            const fromY = cannonball.y;
+            const toX = fromX + cannonball.vx * deltaTime;
+            const toY = fromY + cannonball.vy * deltaTime;
+            
+            // Share of the step before the ball comes down (1 if it stays up)
+            const z = cannonball.z + cannonball.vz * deltaTime - this.gravity * deltaTime * deltaTime / 2;
+            let landing = 1;
+            if (z <= 0) {
+                const a = this.gravity / 2;
+                const b = -cannonball.vz;
+                const c = -cannonball.z;
+                landing = Math.min(1, (-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a) / deltaTime);
+            }
+            
+            // Earliest of: a ship's hull, land, the water
+            const shipHit = this.findShipHit(cannonball, fromX, fromY, toX, toY, vessels);
+            const landHit = this.collisionManager ? this.collisionManager.raycast(fromX, fromY, toX, toY) : { hit: false };
+            const shipTime = shipHit ? shipHit.time : Infinity;
+            const landTime = landHit.hit ? landHit.time : Infinity;
+            
+            if (shipTime <= landTime && shipTime <= landing) {
+                this.resolveHit(cannonball, shipHit.ship, fromX + (toX - fromX) * shipTime, fromY + (toY - fromY) * shipTime);
+                return false;
+            }
+            if (landTime <= landing) {
+                this.resolveSplash(cannonball, landHit.x, landHit.y, landHit.island);
+                return false;
+            }
+            if (z <= 0) {
+                this.resolveSplash(cannonball, fromX + (toX - fromX) * landing, fromY + (toY - fromY) * landing, null);
+                return false;
+            }
+            
+            cannonball.x = toX;
+            cannonball.y = toY;
+            cannonball.z = z;
+            cannonball.vz -= this.gravity * deltaTime;
+            return true;
+        });
+        
+        this.effects.forEach(effect => effect.age += deltaTime);
+        this.effects = this.effects.filter(effect => effect.age < this.effectDuration);
+    }
+    
+    /**
+     * First hull circle the segment crosses, as { ship, time } with time
+     * the share of the segment, or null. The shooter and ships already
+     * going down are skipped.
+     */
+    findShipHit(cannonball, fromX, fromY, toX, toY, vessels) {
+        const dx = toX - fromX;
+        const dy = toY - fromY;
+        const lengthSquared = dx * dx + dy * dy;
+        let best = null;
+        
+        vessels.forEach(ship => {
+            if (ship === cannonball.shooter || ship.sinking) return;
+            
+            ship.getHullCircles().forEach(circle => {
+                // Solve |from + t * d - centre| = radius for the entry time
+                const fx = fromX - circle.x;
+                const fy = fromY - circle.y;
+                const c = fx * fx + fy * fy - circle.radius * circle.radius;
+                let time;
+                if (c <= 0) {
+                    time = 0; // Already inside the circle
+                } else if (lengthSquared > 0) {
+                    const b = fx * dx + fy * dy;
+                    const discriminant = b * b - lengthSquared * c;
+                    if (b >= 0 || discriminant < 0) return;
+                    time = (-b - Math.sqrt(discriminant)) / lengthSquared;
+                } else {
+                    return;
+                }
+                
+                if (time <= 1 && (!best || time < best.time)) {
+                    best = { ship, time };
+                }
+            });
+        });
+        return best;
+    }
+    
+    /**
+     * Damage the ship a cannonball hit: the ammunition's damage is split
+     * between hull, sails and crew (casualties round up or down at random,
+     * in proportion to the fraction)
+     */
+    resolveHit(cannonball, ship, x, y) {
+        const ammo = CombatManager.AMMO[cannonball.ammo];
+        const hull = ammo.damage * ammo.split.hull;
+        const sails = ammo.damage * ammo.split.sails;
+        const crew = Math.floor(ammo.damage * ammo.split.crew + this.random());
+        
+        ship.takeSailDamage(sails, 'cannon fire');
+        ship.takeCrewCasualties(crew);
+        ship.takeDamage(hull, 'cannon fire');
+        
+        this.effects.push({ type: 'hit', x, y, age: 0 });
+        this.emit(CombatManager.EVENTS.HIT, {
+            ship,
+            shooter: cannonball.shooter,
+            ammo: cannonball.ammo,
+            x,
+            y,
+            hull,
+            sails,
+            crew
+        });
+    }
+    
+    /**
+     * A cannonball that missed: into the water, or onto an island's coast
+     */
+    resolveSplash(cannonball, x, y, island) {
+        this.effects.push({ type: island ? 'land' : 'water', x, y, age: 0 });
+        this.emit(CombatManager.EVENTS.SPLASH, {
+            shooter: cannonball.shooter,
+            ammo: cannonball.ammo,
+            x,
+            y,
+            island
+        });
+    }
+    
+    // Rendering
+    
+    draw(ctx) {
+        ctx.save();
+        
+        // Cannonballs with their shadow on the water; higher balls cast it further off
+        this.cannonballs.forEach(cannonball => {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+            ctx.beginPath();
+            ctx.arc(cannonball.x + cannonball.z * 0.3, cannonball.y + cannonball.z * 0.3, 3, 0, Math.PI * 2);
+            ctx.fill();
+            
+            ctx.fillStyle = '#222';
+            ctx.beginPath();
+            ctx.arc(cannonball.x, cannonball.y - cannonball.z * 0.2, 3 + cannonball.z * 0.02, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        
+        // Splashes (white), dust on land (sand) and hits (orange), growing and fading
+        const colors = { water: '255, 255, 255', land: '194, 160, 110', hit: '255, 140, 40' };
+        this.effects.forEach(effect => {
+            const progress = effect.age / this.effectDuration;
+            ctx.strokeStyle = `rgba(${colors[effect.type]}, ${1 - progress})`;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(effect.x, effect.y, 4 + progress * 14, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Seeded random generator (mulberry32): returns a function giving
+     * numbers in [0, 1), the same sequence for the same seed
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Combat events (all carry the ammo type and where it happened)
+CombatManager.EVENTS = {
+    FIRE: 'cannon:fire',     // A broadside went off (ship/side/cannonballs)
+    HIT: 'cannon:hit',       // A cannonball struck a ship (ship/shooter/hull/sails/crew)
+    SPLASH: 'cannon:splash'  // A cannonball missed: water, or land when island is set
+};
+
+// Ammunition: range (px), muzzle speed (px/s), reload (s), damage per
+// cannonball and how that damage splits between hull, sails and crew
+CombatManager.AMMO = {
+    round: {
+        name: 'Round shot',
+        range: 600,
+        speed: 400,
+        reload: 4,
+        damage: 6,
+        split: { hull: 0.8, sails: 0.1, crew: 0.1 }
+    },
+    chain: {
+        name: 'Chain shot',
+        range: 450,
+        speed: 380,
+        reload: 5,
+        damage: 5,
+        split: { hull: 0.15, sails: 0.75, crew: 0.1 }
+    },
+    grape: {
+        name: 'Grapeshot',
+        range: 300,
+        speed: 350,
+        reload: 3.5,
+        damage: 4,
+        split: { hull: 0.1, sails: 0.2, crew: 0.7 }
+    }
+};
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CombatManager;
+}
@@ -0,0 +1,81 @@
+/**
+ * Pirate Game - Event Bus
+ * Named events with priority-ordered listeners. Shared by the game
+ * (collision/proximity events) and the advanced map editor.
+ */
+
+class EventBus {
+    constructor() {
+        this.listeners = new Map();
+        this.debugMode = false;
+    }
+    
+    /**
+     * Subscribe to an event. Higher priorities run first; `once` listeners
+     * are removed after their first call. Returns an unsubscribe function.
+     */
+    on(event, listener, options = {}) {
+        const { once = false, priority = 0 } = options;
+        
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        
+        const wrappedListener = {
+            listener,
+            once,
+            priority,
+            id: Math.random().toString(36).substr(2, 9)
+        };
+        
+        const listeners = this.listeners.get(event);
+        listeners.push(wrappedListener);
+        listeners.sort((a, b) => b.priority - a.priority);
+        
+        return () => this.off(event, listener);
+    }
+    
+    emit(event, data) {
+        const listeners = this.listeners.get(event) || [];
+        
+        // Iterate a copy so listeners can unsubscribe while the event is dispatched
+        [...listeners].forEach(wrapper => {
+            try {
+                wrapper.listener(data);
+            } catch (error) {
+                console.error(`Event listener error for '${event}':`, error);
+            }
+            
+            // Remove 'once' listeners
+            if (wrapper.once) {
+                const index = listeners.indexOf(wrapper);
+                if (index > -1) {
+                    listeners.splice(index, 1);
+                }
+            }
+        });
+        
+        if (this.debugMode) {
+            console.log(`📡 Event '${event}' emitted to ${listeners.length} listeners`);
+        }
+    }
+    
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        
+        const index = listeners.findIndex(wrapper => wrapper.listener === listener);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.EventBus = EventBus;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+}
@@ -0,0 +1,71 @@
+// Trade goods: what ships carry in their hold and markets buy and sell
+// Hand-edited (not generated). Ship cargo and PortManager markets read these values.
+//
+// weight: tons per unit (counts against a ship type's cargoCapacity)
+// volume: hold space per unit (counts against a ship type's cargoVolume)
+// basePrice: gold per unit before each port's price factor
+
+// var (not const) so the game and the tests can share one definition
+var GOODS = {
+    provisions: {
+        name: 'Provisions',
+        icon: '🍖',
+        weight: 1,
+        volume: 1,
+        basePrice: 10
+    },
+    timber: {
+        name: 'Timber',
+        icon: '🪵',
+        weight: 2,
+        volume: 2,
+        basePrice: 15
+    },
+    sugar: {
+        name: 'Sugar',
+        icon: '🍬',
+        weight: 1,
+        volume: 1,
+        basePrice: 25
+    },
+    rum: {
+        name: 'Rum',
+        icon: '🍾',
+        weight: 1.5,
+        volume: 1,
+        basePrice: 30
+    },
+    tobacco: {
+        name: 'Tobacco',
+        icon: '🍂',
+        weight: 0.5,
+        volume: 1,
+        basePrice: 40
+    },
+    cloth: {
+        name: 'Cloth',
+        icon: '🧵',
+        weight: 0.5,
+        volume: 1.5,
+        basePrice: 50
+    },
+    gunpowder: {
+        name: 'Gunpowder',
+        icon: '🧨',
+        weight: 1,
+        volume: 1,
+        basePrice: 60
+    },
+    spices: {
+        name: 'Spices',
+        icon: '🌶️',
+        weight: 0.2,
+        volume: 0.5,
+        basePrice: 120
+    }
+};
+
+// Export for both CommonJS and ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GOODS;
+}
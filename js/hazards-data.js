@@ -0,0 +1,11 @@
+// Auto-generated by map editor - 2026-10-19T09:44:31.214Z
+// Do not edit manually - changes will be overwritten
+// Hazard zones: shallows, reef, whirlpool, calm
+
+// var (not const) so the game can re-run this script to hot-reload hazards
+var HAZARDS_DATA = [];
+
+// Export for both CommonJS and ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HAZARDS_DATA;
+}
@@ -1,9 +1,11 @@
-// Auto-generated by map editor - 2025-08-09T19:23:31.366Z
+// Auto-generated by map editor - 2026-10-19T09:01:16.301Z
 // Do not edit manually - changes will be overwritten
 // Multi-Circle Collision System
 
-const ISLANDS_DATA = [
+// var (not const) so the game can re-run this script to hot-reload islands
+var ISLANDS_DATA = [
   {
+    "id": "saint-kitts-island",
     "name": "Saint Kitts Island",
     "x": 2000,
     "y": 1500,
@@ -25,9 +27,31 @@ const ISLANDS_DATA = [
         "radius": 100
       }
     ],
-    "imageFilename": "Saint_Kitts.png"
+    "imageFilename": "Saint_Kitts.png",
+    "towns": [
+      {
+        "id": "saint_kitts_port",
+        "name": "Saint Kitts Port",
+        "x": 150,
+        "y": -100,
+        "radius": 80,
+        "entryRadius": 120,
+        "type": "port",
+        "nation": "england",
+        "services": [
+          "governor",
+          "market",
+          "tavern",
+          "dockmaster",
+          "bank",
+          "church"
+        ],
+        "background": "Saint-Kitts.jpg"
+      }
+    ]
   },
   {
+    "id": "nevis-island",
     "name": "Nevis Island",
     "x": 2000,
     "y": 3000,
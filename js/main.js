@@ -24,11 +24,13 @@ class Game {
         // Game objects
         this.map = null;
         this.ship = null;
+        this.vessels = []; // Every ship in the world, the player's included
         this.collisionManager = null;
+        this.combat = null;
         this.portManager = null;
         
         // Game state
-        this.gameState = 'loading'; // loading, playing, paused
+        this.gameState = 'loading'; // loading, playing, paused, port, sunk
         this.assets = {};
         this.loadedAssets = 0;
         this.totalAssets = 0;
@@ -45,6 +47,14 @@ class Game {
         // Camera position (for future panning)
         this.cameraX = 0;
         this.cameraY = 0;
+        this.cameraShake = 0; // Shake offset in pixels, decays every frame
+        
+        // Player: start and respawn point (when no port has been visited yet),
+        // starting purse and the share of it lost when the ship sinks
+        this.spawnPoint = { x: 1000, y: 1000 };
+        this.lastPortId = null; // Town area the player last docked at; sunk ships respawn there
+        this.startingGold = 500;
+        this.sinkingGoldLoss = 0.5;
         
         // Time and FPS
         this.lastTime = 0;
@@ -53,12 +63,26 @@ class Game {
         this.currentFPS = 0;
         this.fpsUpdateTime = 0;
         
+        // Fixed-step physics: vessels move and collide in steps of physicsStep
+        // seconds whatever the frame rate; time beyond maxPhysicsSteps per
+        // frame (e.g. after a tab switch) is dropped
+        this.physicsStep = 1 / 60;
+        this.maxPhysicsSteps = 5;
+        this.physicsAccumulator = 0;
+        
         // UI elements
         this.loadingScreen = document.getElementById('loadingScreen');
         this.loadingProgress = document.getElementById('loadingProgress');
         this.loadingText = document.getElementById('loadingText');
         this.speedValue = document.getElementById('speedValue');
         this.directionValue = document.getElementById('directionValue');
+        this.windArrow = document.getElementById('windArrow');
+        this.windText = document.getElementById('windText');
+        this.sailValue = document.getElementById('sailValue');
+        this.hullValue = document.getElementById('hullValue');
+        this.gunsValue = document.getElementById('gunsValue');
+        this.crewValue = document.getElementById('crewValue');
+        this.noticeTimer = null; // Hides the current notice (showNotice)
         
         // Check if essential UI elements exist
         if (!this.loadingScreen) console.warn('⚠️ Loading screen element not found');
@@ -98,6 +122,9 @@ class Game {
             console.log('🎭 Hiding loading screen...');
             this.hideLoadingScreen();
             
+            // Follow map edits saved on the server
+            this.setupLiveUpdates();
+            
             // Display version in header
             if (window.GameVersion) {
                 const versionElement = document.getElementById('gameVersion');
@@ -157,6 +184,35 @@ class Game {
                 console.log('🔧 Debug mode:', window.DEBUG_MODE ? 'ON' : 'OFF');
             }
             
+            // Cycle the player's ship type on F9 (debug mode only)
+            if (e.code === 'F9' && window.DEBUG_MODE && this.ship) {
+                e.preventDefault();
+                const typeIds = Object.keys(SHIP_TYPES);
+                this.setPlayerShipType(typeIds[(typeIds.indexOf(this.ship.type) + 1) % typeIds.length]);
+            }
+            
+            // Back to sea after sinking on ENTER
+            if (e.code === 'Enter' && this.gameState === 'sunk') {
+                this.respawnPlayer();
+                return;
+            }
+            
+            // Broadsides on Q (port) and E (starboard); 1/2/3 load round, chain or grape shot
+            if (this.combat && this.gameState === 'playing' && !e.repeat) {
+                if (e.code === 'KeyQ' || e.code === 'KeyE') {
+                    this.combat.fireBroadside(this.ship, e.code === 'KeyQ' ? 'port' : 'starboard');
+                }
+                const ammoKeys = { Digit1: 'round', Digit2: 'chain', Digit3: 'grape' };
+                if (ammoKeys[e.code]) {
+                    this.combat.selectAmmo(this.ship, ammoKeys[e.code]);
+                }
+            }
+            
+            // Cargo panel on C
+            if (e.code === 'KeyC' && this.gameState === 'playing' && !e.repeat) {
+                this.toggleCargoPanel();
+            }
+            
             // Town entry on ENTER
             if (e.code === 'Enter' && this.collisionManager) {
                 const townCheck = this.collisionManager.checkTownAreaEntry(this.ship);
@@ -219,10 +275,21 @@ class Game {
         // List of resources to load
         const assetList = [
             { key: 'map', type: 'placeholder', width: 10240, height: 7680, color: '#1e3a5f' },
-            { key: 'ship', type: 'image', src: 'assets/Ships/ship-4741839_960_720.webp' },
             { key: 'wave', type: 'placeholder', width: 128, height: 128, color: '#2980b9' }
         ];
         
+        // One sprite per distinct image in SHIP_TYPES
+        const shipSprites = new Set(Object.values(SHIP_TYPES).map(type => type.sprite).filter(Boolean));
+        shipSprites.forEach(filename => {
+            assetList.push({
+                key: `ship_${filename}`,
+                type: 'image',
+                src: `assets/Ships/${filename}`,
+                width: 64,
+                height: 64
+            });
+        });
+        
         // Dynamically add island images from ISLANDS_DATA
         const islandImages = new Set();
         if (typeof ISLANDS_DATA !== 'undefined' && Array.isArray(ISLANDS_DATA)) {
@@ -305,7 +372,7 @@ class Game {
                 // Create single shade map background - 10x bigger
                 ctx.fillStyle = '#2980b9'; // Same single shade as map.js
                 ctx.fillRect(0, 0, 10240, 7680);
-            } else if (assetInfo.key === 'ship') {
+            } else if (assetInfo.key.startsWith('ship_')) {
                 // Simple ship sprite
                 ctx.fillStyle = '#8b4513';
                 ctx.fillRect(20, 10, 24, 40);
@@ -374,18 +441,248 @@ class Game {
         this.map = new GameMap(this.canvas, this.assets);
         
         // Initialize ship at a safe starting position in the massive ocean
-        this.ship = new Ship(1000, 1000, this.assets.ship);
+        this.ship = new Ship(this.spawnPoint.x, this.spawnPoint.y, Ship.DEFAULT_TYPE, this.getShipSprite(Ship.DEFAULT_TYPE));
+        this.ship.gold = this.startingGold;
+        this.addVessel(this.ship);
         
         // Initialize collision manager
         this.collisionManager = new CollisionManager(this, this.map);
         
+        // Initialize combat (cannonballs stop at islands)
+        this.combat = new CombatManager(this.collisionManager);
+        
         // Initialize port manager
         this.portManager = new PortManager(this);
         
+        this.setupCollisionEvents();
+        
         // Make game instance globally accessible for map editor integration
         window.game = this;
     }
     
+    /**
+     * React to the player's collision/proximity events
+     */
+    setupCollisionEvents() {
+        const events = CollisionManager.EVENTS;
+        this.nearbyTown = null; // Town the player can dock at
+        
+        this.collisionManager.on(events.TOWN_ENTER, event => {
+            if (event.ship !== this.ship) return;
+            this.nearbyTown = event.townArea;
+            this.collisionManager.showTownEntryPrompt(event.townArea);
+        });
+        this.collisionManager.on(events.TOWN_LEAVE, event => {
+            if (event.ship !== this.ship) return;
+            this.nearbyTown = null;
+            this.collisionManager.hideTownEntryPrompt();
+        });
+        this.collisionManager.on(events.HAZARD_ENTER, event => {
+            if (event.ship !== this.ship) return;
+            console.log(`⚠️ Entering ${event.hazard.name || event.hazard.type}`);
+        });
+    }
+    
+    /**
+     * Loaded sprite for a ship type (null draws the fallback shape)
+     */
+    getShipSprite(typeId) {
+        const type = Ship.getType(typeId);
+        return type && type.sprite ? this.assets[`ship_${type.sprite}`] || null : null;
+    }
+    
+    /**
+     * Debug command: turn the player's ship into another type in place.
+     * From the console: game.setPlayerShipType('frigate'); F9 cycles the
+     * types in debug mode.
+     */
+    setPlayerShipType(typeId) {
+        if (!this.ship || !this.ship.setType(typeId, this.getShipSprite(typeId))) {
+            return false;
+        }
+        
+        // A bigger hull can reach into the coast it was sailing along
+        if (this.collisionManager) {
+            this.collisionManager.pushClearOfIslands(this.ship);
+            this.collisionManager.updateLastValidPosition(this.ship);
+        }
+        
+        console.log(`🚢 Player ship is now a ${this.ship.typeName}`);
+        return true;
+    }
+    
+    /**
+     * Remove ships that have finished sinking; the player's ends the voyage
+     */
+    checkSinkings() {
+        this.vessels.filter(vessel => vessel.isSunk()).forEach(vessel => {
+            if (vessel === this.ship) {
+                this.showSunkScreen();
+            } else {
+                this.removeVessel(vessel);
+            }
+        });
+    }
+    
+    /**
+     * Game over screen for the player's ship. Half the purse and the whole
+     * hold go down with the ship; ENTER or the button respawns at the last port.
+     */
+    showSunkScreen() {
+        this.gameState = 'sunk';
+        this.keys = {};
+        this.nearbyTown = null;
+        this.toggleCargoPanel(false);
+        if (this.collisionManager) {
+            this.collisionManager.hideTownEntryPrompt();
+        }
+        
+        const goldLost = Math.floor(this.ship.gold * this.sinkingGoldLoss);
+        this.ship.gold -= goldLost;
+        
+        const port = this.getRespawnPort();
+        let screen = document.getElementById('sunkScreen');
+        if (!screen) {
+            screen = document.createElement('div');
+            screen.id = 'sunkScreen';
+            screen.className = 'sunk-screen';
+            document.body.appendChild(screen);
+        }
+        screen.innerHTML = `
+            <h2>☠️ Your ${this.ship.typeName} has sunk</h2>
+            <p>${this.ship.sunkBy ? `Lost to ${this.ship.sunkBy}. ` : ''}${goldLost} gold and all her cargo went down with her.</p>
+            <button class="sunk-screen-btn" onclick="game.respawnPlayer()">Sail again from ${port ? port.name : 'open water'}</button>
+            <p><small>or press <strong>ENTER</strong></small></p>
+        `;
+        screen.style.display = 'block';
+        console.log(`☠️ Player ship sunk, ${goldLost} gold lost`);
+    }
+    
+    /**
+     * Town area the player respawns at: the last port visited, if it still exists
+     */
+    getRespawnPort() {
+        if (!this.lastPortId || !this.collisionManager) return null;
+        return this.collisionManager.townAreas.get(this.lastPortId) || null;
+    }
+    
+    /**
+     * Refloat the player's ship (whole hull, same type) at the last port
+     * or the starting point, and carry on
+     */
+    respawnPlayer() {
+        if (!this.ship) return;
+        
+        const port = this.getRespawnPort();
+        const point = port || this.spawnPoint;
+        this.ship.refloat(point.x, point.y);
+        if (this.collisionManager) {
+            this.collisionManager.pushClearOfIslands(this.ship);
+            this.collisionManager.updateLastValidPosition(this.ship);
+        }
+        
+        const screen = document.getElementById('sunkScreen');
+        if (screen) {
+            screen.style.display = 'none';
+        }
+        this.physicsAccumulator = 0;
+        this.gameState = 'playing';
+        console.log(`⚓ Respawned at ${port ? port.name : 'the starting point'}`);
+    }
+    
+    /**
+     * Tell the player when payday goes badly: wages left owed, or a mutiny
+     */
+    reportPayday(payday) {
+        if (payday.mutiny) {
+            this.showNotice(`☠️ Mutiny! ${payday.mutiny.deserters} hands deserted with ${payday.mutiny.gold} gold and every officer walked off`);
+        } else if (payday.owed > 0) {
+            this.showNotice(`💸 The crew is owed ${payday.owed} gold - morale ${Math.round(payday.morale)}%`);
+        }
+    }
+    
+    /**
+     * Short message over the ocean view for a few seconds
+     */
+    showNotice(text, duration = 4000) {
+        let notice = document.getElementById('gameNotice');
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.id = 'gameNotice';
+            notice.className = 'game-notice';
+            document.body.appendChild(notice);
+        }
+        notice.textContent = text;
+        notice.style.display = 'block';
+        
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = setTimeout(() => {
+            notice.style.display = 'none';
+        }, duration);
+    }
+    
+    /**
+     * Cargo hold summary: purse, load against the ship's limits and every
+     * good aboard (the ocean cargo panel and the port's cargo modal)
+     */
+    getCargoHTML() {
+        const info = this.ship.getInfo();
+        const overloaded = info.cargoLoad.weight > info.cargoCapacity;
+        const goodIds = Object.keys(info.cargo);
+        const rows = goodIds.map(goodId => {
+            const good = Ship.getGood(goodId);
+            return `<li>${good.icon} ${good.name} <span>${info.cargo[goodId]}</span></li>`;
+        }).join('');
+        return `
+            <p class="cargo-purse">💰 ${info.gold} gold</p>
+            <p class="cargo-load${overloaded ? ' overloaded' : ''}">
+                ${info.cargoLoad.weight.toFixed(1)}/${info.cargoCapacity} t · ${info.cargoLoad.volume.toFixed(1)}/${info.cargoVolume} space
+                ${overloaded ? `<br>Overloaded: ${Math.round((1 - this.ship.getCargoSpeedFactor()) * 100)}% slower` : ''}
+            </p>
+            ${goodIds.length > 0 ? `<ul class="cargo-list">${rows}</ul>` : '<p class="cargo-empty">The hold is empty.</p>'}
+        `;
+    }
+    
+    /**
+     * Show or hide the cargo panel over the ocean view (C); with no
+     * argument it flips
+     */
+    toggleCargoPanel(show) {
+        let panel = document.getElementById('cargoPanel');
+        if (!panel) {
+            if (show === false) return;
+            panel = document.createElement('div');
+            panel.id = 'cargoPanel';
+            panel.className = 'cargo-panel';
+            panel.style.display = 'none';
+            document.body.appendChild(panel);
+        }
+        
+        const visible = show === undefined ? panel.style.display === 'none' : show;
+        if (visible && this.ship) {
+            panel.innerHTML = `<h3>🧺 Cargo Hold</h3>${this.getCargoHTML()}`;
+        }
+        panel.style.display = visible ? 'block' : 'none';
+    }
+    
+    /**
+     * Shake the view by up to `intensity` pixels (collision feedback)
+     */
+    shakeCamera(intensity) {
+        this.cameraShake = Math.max(this.cameraShake, intensity);
+    }
+    
+    addVessel(vessel) {
+        if (!this.vessels.includes(vessel)) {
+            this.vessels.push(vessel);
+        }
+        return vessel;
+    }
+    
+    removeVessel(vessel) {
+        this.vessels = this.vessels.filter(other => other !== vessel);
+    }
+    
     // Method to reload islands from updated islands-data.js
     async reloadIslands() {
         try {
@@ -394,36 +691,164 @@ class Game {
             const script = document.createElement('script');
             script.src = `js/islands-data.js?t=${timestamp}`;
             
-            return new Promise((resolve, reject) => {
-                script.onload = () => {
-                    console.log('🔄 Reloaded islands-data.js');
-                    if (window.ISLANDS_DATA) {
-                        this.map.updateIslands(window.ISLANDS_DATA);
-                        // Update collision manager with new islands
-                        if (this.collisionManager) {
-                            this.collisionManager.islands = this.map.islands;
-                        }
-                        console.log('✅ Islands updated from file!');
-                        resolve();
-                    } else {
-                        reject(new Error('ISLANDS_DATA not found after reload'));
-                    }
-                };
-                script.onerror = reject;
+            await new Promise((resolve, reject) => {
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('Could not load islands-data.js'));
                 document.head.appendChild(script);
-                
-                // Clean up old script tag
-                setTimeout(() => {
-                    if (script.parentNode) {
-                        script.parentNode.removeChild(script);
-                    }
-                }, 1000);
             });
+            script.parentNode.removeChild(script);
+            
+            console.log('🔄 Reloaded islands-data.js');
+            if (!Array.isArray(window.ISLANDS_DATA)) {
+                throw new Error('ISLANDS_DATA not found after reload');
+            }
+            
+            // Islands added in the editor may use images loadAssets never fetched
+            const missingImages = new Set(window.ISLANDS_DATA
+                .map(island => island.imageFilename)
+                .filter(filename => filename && !this.assets[`island_${filename}`]));
+            await Promise.all([...missingImages].map(filename => this.loadIslandImage(filename)));
+            
+            this.applyIslands(window.ISLANDS_DATA);
+            console.log('✅ Islands updated from file!');
         } catch (error) {
             console.error('❌ Failed to reload islands:', error);
         }
     }
     
+    // Reload hazard zones from updated hazards-data.js
+    async reloadHazards() {
+        try {
+            const script = document.createElement('script');
+            script.src = `js/hazards-data.js?t=${Date.now()}`;
+            
+            await new Promise((resolve, reject) => {
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('Could not load hazards-data.js'));
+                document.head.appendChild(script);
+            });
+            script.parentNode.removeChild(script);
+            
+            if (!Array.isArray(window.HAZARDS_DATA)) {
+                throw new Error('HAZARDS_DATA not found after reload');
+            }
+            this.map.updateHazards(window.HAZARDS_DATA);
+            console.log('✅ Hazard zones updated from file!');
+        } catch (error) {
+            console.error('❌ Failed to reload hazards:', error);
+        }
+    }
+    
+    // Swap in new island data; the ship keeps its position and heading
+    applyIslands(islands) {
+        this.map.updateIslands(islands);
+        // Update collision manager with new islands
+        if (this.collisionManager) {
+            this.collisionManager.islands = this.map.islands;
+            
+            // Towns live on the islands: rebuild them now so the port prompt
+            // points at the new data (a removed town sends town:leave next frame)
+            this.collisionManager.refreshTownAreas();
+            if (this.nearbyTown) {
+                this.nearbyTown = this.collisionManager.townAreas.get(this.nearbyTown.id) || this.nearbyTown;
+            }
+        }
+    }
+    
+    // Load (or re-load after a replace) a single island image outside the loading screen
+    loadIslandImage(filename, bustCache = false) {
+        return new Promise((resolve) => {
+            const img = new Image();
+            img.onload = () => {
+                this.assets[`island_${filename}`] = img;
+                console.log(`🖼️ Loaded island image: ${filename}`);
+                resolve(img);
+            };
+            img.onerror = () => {
+                console.warn(`⚠️ Failed to load island image: ${filename}`);
+                resolve(null);
+            };
+            const query = bustCache ? `?t=${Date.now()}` : '';
+            img.src = `assets/Islands/${encodeURIComponent(filename)}${query}`;
+        });
+    }
+    
+    /**
+     * Subscribe to the server's change stream so editor saves show up
+     * in the running game without a page reload
+     */
+    setupLiveUpdates() {
+        if (typeof EventSource === 'undefined' || window.location.protocol === 'file:') {
+            console.log('📡 Live updates unavailable (open the game via npm start)');
+            return;
+        }
+        
+        this.liveUpdates = {
+            source: null,
+            retryDelay: 1000,
+            minRetryDelay: 1000,
+            maxRetryDelay: 30000,
+            reconnectTimer: null,
+            wasDisconnected: false
+        };
+        this.connectLiveUpdates();
+    }
+    
+    connectLiveUpdates() {
+        const live = this.liveUpdates;
+        const source = new EventSource('/api/events');
+        live.source = source;
+        
+        source.onopen = () => {
+            console.log('📡 Live updates connected');
+            live.retryDelay = live.minRetryDelay;
+            
+            // Changes may have been saved while we were offline
+            if (live.wasDisconnected) {
+                live.wasDisconnected = false;
+                this.reloadIslands();
+                this.reloadHazards();
+            }
+        };
+        
+        source.addEventListener('islands-changed', (e) => {
+            const data = JSON.parse(e.data);
+            console.log(`📡 Islands changed on server (revision ${data.revision})`);
+            this.reloadIslands();
+        });
+        
+        source.addEventListener('hazards-changed', (e) => {
+            const data = JSON.parse(e.data);
+            console.log(`📡 Hazard zones changed on server (${data.count} zones)`);
+            this.reloadHazards();
+        });
+        
+        source.addEventListener('island-image-changed', async (e) => {
+            const { filename } = JSON.parse(e.data);
+            const inUse = Array.isArray(window.ISLANDS_DATA) &&
+                window.ISLANDS_DATA.some(island => island.imageFilename === filename);
+            
+            // Only fetch images the game already shows or that an island points at
+            if (inUse || this.assets[`island_${filename}`]) {
+                console.log(`📡 Island image changed on server: ${filename}`);
+                await this.loadIslandImage(filename, true);
+                this.applyIslands(window.ISLANDS_DATA);
+            }
+        });
+        
+        // EventSource retries on its own, but not after a failed reconnect and
+        // not with backoff, so close it and schedule our own attempt
+        source.onerror = () => {
+            source.close();
+            live.wasDisconnected = true;
+            clearTimeout(live.reconnectTimer);
+            
+            console.warn(`⚠️ Live updates disconnected, retrying in ${live.retryDelay / 1000}s`);
+            live.reconnectTimer = setTimeout(() => this.connectLiveUpdates(), live.retryDelay);
+            live.retryDelay = Math.min(live.retryDelay * 2, live.maxRetryDelay);
+        };
+    }
+    
     gameLoop(currentTime = 0) {
         if (this.gameState === 'loading') {
             requestAnimationFrame((time) => this.gameLoop(time));
@@ -459,31 +884,64 @@ class Game {
             this.map.update(this.deltaTime);
         }
         
-        // Update ship
-        if (this.ship) {
-            this.ship.update(this.deltaTime, this.keys, this.map, this.collisionManager);
+        // Move every vessel and resolve their collisions
+        this.stepPhysics(this.deltaTime);
+        
+        // Clear away ships that went down
+        this.checkSinkings();
+        if (this.gameState !== 'playing') return;
+        
+        // Crew wages and morale, settled once a day
+        const payday = this.ship.updateCrew(this.deltaTime);
+        if (payday) {
+            this.reportPayday(payday);
         }
         
-        // Update collision manager
-        if (this.collisionManager && this.ship) {
-            this.collisionManager.updateLastValidPosition(this.ship);
-            
-            // Check for town area interactions
-            const townCheck = this.collisionManager.checkTownAreaEntry(this.ship);
-            if (townCheck.canEnter) {
-                this.collisionManager.showTownEntryPrompt(townCheck.townArea);
-            } else if (townCheck.approaching) {
-                // Ship is approaching but not close enough to enter
-                this.collisionManager.hideTownEntryPrompt();
-            } else {
-                this.collisionManager.hideTownEntryPrompt();
-            }
+        // Town proximity: emits town events, which drive the entry prompt
+        if (this.collisionManager) {
+            this.vessels.forEach(vessel => this.collisionManager.updateTownProximity(vessel));
         }
         
         // Update HUD
         this.updateHUD();
     }
     
+    /**
+     * Advance the physics in fixed steps. Each step moves every vessel
+     * (islands included), resolves ship-vs-ship contacts for all of them
+     * at once and then moves the cannonballs in flight.
+     */
+    stepPhysics(deltaTime) {
+        this.physicsAccumulator += deltaTime;
+        
+        let steps = 0;
+        while (this.physicsAccumulator >= this.physicsStep) {
+            if (steps === this.maxPhysicsSteps) {
+                this.physicsAccumulator = 0;
+                break;
+            }
+            
+            this.vessels.forEach(vessel => {
+                // NPC vessels steer through their own controls object
+                const controls = vessel === this.ship ? this.keys : (vessel.controls || {});
+                vessel.update(this.physicsStep, controls, this.map, this.collisionManager);
+            });
+            
+            if (this.collisionManager) {
+                this.collisionManager.resolveShipCollisions(this.vessels);
+                this.vessels.forEach(vessel => this.collisionManager.updateLastValidPosition(vessel));
+            }
+            
+            // Cannonballs in flight
+            if (this.combat) {
+                this.combat.update(this.physicsStep, this.vessels);
+            }
+            
+            this.physicsAccumulator -= this.physicsStep;
+            steps++;
+        }
+    }
+    
     render() {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -516,14 +974,25 @@ class Game {
         this.ctx.scale(this.zoom, this.zoom);
         this.ctx.translate(-this.cameraX, -this.cameraY);
         
+        // Collision shake, fading out over a fraction of a second
+        if (this.cameraShake > 0.1) {
+            this.ctx.translate((Math.random() - 0.5) * 2 * this.cameraShake, (Math.random() - 0.5) * 2 * this.cameraShake);
+            this.cameraShake *= Math.max(0, 1 - this.deltaTime * 8);
+        } else {
+            this.cameraShake = 0;
+        }
+        
         // Render map
         if (this.map) {
             this.map.render(this.ctx, this.deltaTime, this.cameraX, this.cameraY, this.zoom, this.ship);
         }
         
-        // Render ship
-        if (this.ship) {
-            this.ship.draw(this.ctx);
+        // Render ships
+        this.vessels.forEach(vessel => vessel.draw(this.ctx));
+        
+        // Render cannonballs and splashes
+        if (this.combat) {
+            this.combat.draw(this.ctx);
         }
         
         // Debug rendering
@@ -545,6 +1014,35 @@ class Game {
             const info = this.ship.getInfo();
             this.speedValue.textContent = Math.abs(info.speed);
             this.directionValue.textContent = info.direction;
+            
+            // Wind at the ship: arrow points downwind, text names where it comes from
+            if (info.wind && this.windArrow) {
+                this.windArrow.style.transform = `rotate(${info.wind.angle}rad)`;
+                this.windText.textContent = `${Wind.getDirectionFrom(info.wind.angle)} ${Math.round(info.wind.knots)} kn`;
+            }
+            if (this.sailValue) {
+                this.sailValue.textContent = info.pointOfSail ? `${info.sail} · ${info.pointOfSail}` : info.sail;
+            }
+            
+            // Hull and sail condition, red once either is below a third
+            if (this.hullValue) {
+                const hull = Math.round(info.health / info.maxHealth * 100);
+                const sails = Math.round(info.sailHealth / info.maxSailHealth * 100);
+                this.hullValue.textContent = `${hull}% · sails ${sails}%`;
+                this.hullValue.classList.toggle('critical', Math.min(hull, sails) < 34);
+            }
+            
+            // Loaded shot and each battery: ready or seconds left to reload
+            if (this.gunsValue) {
+                const side = reload => reload > 0 ? `${Math.ceil(reload)}s` : 'ready';
+                this.gunsValue.textContent = `${CombatManager.AMMO[info.ammo].name} · P ${side(info.reload.port)} · S ${side(info.reload.starboard)}`;
+            }
+            
+            // Headcount and morale, red when the crew is close to mutiny
+            if (this.crewValue) {
+                this.crewValue.textContent = `${info.crew}/${info.crewCapacity} · morale ${Math.round(info.morale)}%`;
+                this.crewValue.classList.toggle('critical', info.morale < 25);
+            }
         }
         
         // Update zoom indicator if it exists
@@ -10,67 +10,9 @@
  * - Game integration capabilities
  */
 
-// Advanced Event Bus for inter-component communication
-class EventBus {
-    constructor() {
-        this.listeners = new Map();
-        this.debugMode = false;
-    }
-    
-    on(event, listener, options = {}) {
-        const { once = false, priority = 0 } = options;
-        
-        if (!this.listeners.has(event)) {
-            this.listeners.set(event, []);
-        }
-        
-        const wrappedListener = {
-            listener,
-            once,
-            priority,
-            id: Math.random().toString(36).substr(2, 9)
-        };
-        
-        const listeners = this.listeners.get(event);
-        listeners.push(wrappedListener);
-        listeners.sort((a, b) => b.priority - a.priority);
-        
-        return () => this.off(event, listener);
-    }
-    
-    emit(event, data) {
-        const listeners = this.listeners.get(event) || [];
-        const toRemove = [];
-        
-        listeners.forEach((wrapper, index) => {
-            try {
-                wrapper.listener(data);
-                if (wrapper.once) {
-                    toRemove.push(index);
-                }
-            } catch (error) {
-                console.error(`Event listener error for '${event}':`, error);
-            }
-        });
-        
-        // Remove 'once' listeners
-        toRemove.reverse().forEach(index => listeners.splice(index, 1));
-        
-        if (this.debugMode) {
-            console.log(`📡 Event '${event}' emitted to ${listeners.length} listeners`);
-        }
-    }
-    
-    off(event, listener) {
-        const listeners = this.listeners.get(event);
-        if (!listeners) return;
-        
-        const index = listeners.findIndex(wrapper => wrapper.listener === listener);
-        if (index > -1) {
-            listeners.splice(index, 1);
-        }
-    }
-}
+// Inter-component communication uses the shared EventBus (js/event-bus.js, load it first);
+// island image sizes come from GameMap (js/map.js, load it first too);
+// save conflicts are merged by ConflictResolver (js/map-editor/ConflictResolver.js)
 
 // Advanced Debug Framework
 class DebugFramework {
@@ -242,8 +184,9 @@ class ValidationSystem {
         });
         
         this.addRule('island-collision', (island) => {
-            if (!island.collision || island.collision.length < 3) {
-                return { valid: false, message: 'Island needs at least 3 collision points' };
+            const hasCircles = island.collisionCircles && island.collisionCircles.length > 0;
+            if (!hasCircles && (!island.collision || island.collision.length < 3)) {
+                return { valid: false, message: 'Island needs collision circles or at least 3 collision points' };
             }
             return { valid: true };
         });
@@ -408,6 +351,8 @@ class AdvancedMapEditor {
         this.debugFramework = new DebugFramework(this);
         this.validationSystem = new ValidationSystem(this);
         this.performanceMonitor = new PerformanceMonitor(this);
+        this.conflictResolver = new ConflictResolver(this);
+        this.tiledFormat = typeof TiledFormat !== 'undefined' ? new TiledFormat() : null;
         
         // Canvas and rendering (inheriting from optimized version)
         this.canvas = null;
@@ -438,6 +383,8 @@ class AdvancedMapEditor {
                     ['move', { name: 'Move', icon: '✋', cursor: 'move' }],
                     ['rotate', { name: 'Rotate', icon: '🔄', cursor: 'grab' }],
                     ['collision', { name: 'Collision', icon: '💥', cursor: 'crosshair' }],
+                    ['hazard', { name: 'Hazard Zones', icon: '⚠️', cursor: 'crosshair' }],
+                    ['town', { name: 'Towns', icon: '🏘️', cursor: 'crosshair' }],
                     ['measure', { name: 'Measure', icon: '📏', cursor: 'crosshair' }]
                 ])
             },
@@ -489,6 +436,14 @@ class AdvancedMapEditor {
                     'collision:add',
                     'collision:remove',
                     'collision:modify',
+                    'hazard:add',
+                    'hazard:move',
+                    'hazard:modify',
+                    'hazard:delete',
+                    'town:add',
+                    'town:move',
+                    'town:modify',
+                    'town:delete',
                     'viewport:change'
                 ]
             }
@@ -506,6 +461,17 @@ class AdvancedMapEditor {
         // Island data (inheriting structure from optimized version)
         this.islands = [];
         this.selectedIsland = null;
+        
+        // Hazard zones ({ id, type, name, x, y, radius } plus optional effect overrides)
+        this.hazards = [];
+        this.selectedHazard = null;
+        this.hazardType = 'shallows'; // Type the hazard tool draws
+        this.hazardDrag = null;       // { mode: 'draw' | 'move', hazard, offsetX, offsetY }
+        
+        // Town areas live in island.towns, offset from the island centre
+        this.selectedTown = null;     // { island, town }
+        this.townDrag = null;         // { island, town, offsetX, offsetY }
+        this.townPanel = null;
         this.selectedPointIndex = -1;
         this.mousePos = { x: 0, y: 0 };
         this.worldMousePos = { x: 0, y: 0 };
@@ -518,6 +484,8 @@ class AdvancedMapEditor {
         
         // Server connection
         this.serverAvailable = false;
+        this.serverEtag = null;   // ETag of the server copy our edits are based on
+        this.baseIslands = [];    // That server copy, for three-way merges on conflict
         
         // UI state flags
         this.showGrid = true;
@@ -530,6 +498,10 @@ class AdvancedMapEditor {
         this.tempCollisionPoints = [];
         this.selectedPointIndex = -1;
         
+        // Auto-fit collision preview ({ islandId, circles, error, options })
+        this.collisionPreview = null;
+        this.collisionPreviewPanel = null;
+        
         console.log(`🗺️ GORET Advanced Map Editor v${this.version} initializing...`);
     }
     
@@ -642,7 +614,9 @@ class AdvancedMapEditor {
             ['Ctrl+A', () => this.selectAll()],
             ['Delete', () => this.deleteSelected()],
             ['Escape', () => {
-                if (this.collisionLineMode) {
+                if (this.collisionPreview) {
+                    this.cancelCollisionPreview();
+                } else if (this.collisionLineMode) {
                     this.cancelCollisionLine();
                 } else {
                     this.deselectAll();
@@ -654,6 +628,10 @@ class AdvancedMapEditor {
             ['M', () => this.setTool('move')],
             ['R', () => this.setTool('rotate')],
             ['C', () => this.setTool('collision')],
+            ['Z', () => this.setTool('hazard')],
+            ['Shift+Z', () => this.cycleHazardType()],
+            ['T', () => this.setTool('town')],
+            ['Ctrl+Shift+F', () => this.autoFitCollision()],
             ['L', () => this.setTool('measure')],
             
             // View
@@ -672,6 +650,8 @@ class AdvancedMapEditor {
             
             // Advanced features  
             ['Ctrl+Shift+E', () => this.exportAdvanced()],
+            ['Ctrl+Shift+J', () => this.exportAdvanced('tiled-json')],
+            ['Ctrl+Shift+X', () => this.exportAdvanced('tmx')],
             ['Ctrl+Shift+I', () => this.importAdvanced()],
             ['H', () => this.showHelp()]
         ]);
@@ -722,7 +702,7 @@ class AdvancedMapEditor {
             this.state.selectedIslands.add(islandId);
             
             // Find and set primary selection
-            this.selectedIsland = this.islands.find(island => island.name === islandId);
+            this.selectedIsland = this.islands.find(island => island.id === islandId);
             
             // Validate selected island if real-time validation is enabled
             if (this.features.realTimeValidation && this.selectedIsland) {
@@ -902,36 +882,17 @@ class AdvancedMapEditor {
         
         try {
             // Try to load from server first (same endpoint as original map-editor.html)
-            const response = await fetch('http://localhost:8001/api/islands/load');
+            const response = await fetch('/api/islands/load');
             if (response.ok) {
                 const result = await response.json();
                 if (result.success && result.islands && result.islands.length > 0) {
                     // Reconstruct islands with proper image objects (same as original)
-                    this.islands = result.islands.map(islandData => {
-                        const island = { ...islandData };
-                        
-                        // Load image if we have image data
-                        if (island.originalImageData) {
-                            // Create image object from base64 data
-                            const img = new Image();
-                            img.onload = () => {
-                                island.image = img;
-                                this.markDirty('all'); // Re-render when image loads
-                            };
-                            img.onerror = () => {
-                                this.debugFramework.log(`Failed to load image for island: ${island.name}`, 'warn');
-                            };
-                            img.src = island.originalImageData;
-                        } else if (island.imagePath) {
-                            // Fallback to loading from path
-                            this.loadIslandImageFromPath(island, island.imagePath);
-                        } else {
-                            // Handle default islands (Saint Kitts, Nevis, etc.)
-                            this.loadDefaultIslandImage(island);
-                        }
-                        
-                        return island;
-                    });
+                    this.islands = result.islands.map(islandData => this.hydrateIsland(islandData));
+                    this.hazards = Array.isArray(result.hazards) ? result.hazards : [];
+                    
+                    // Remember what our edits are based on, for conflict detection
+                    this.serverEtag = result.etag || response.headers.get('ETag');
+                    this.baseIslands = this.conflictResolver.snapshotAll(result.islands);
                     
                     this.serverAvailable = true;
                     this.debugFramework.log(`Loaded ${this.islands.length} islands from server with images`, 'info');
@@ -946,6 +907,44 @@ class AdvancedMapEditor {
         if (this.islands.length === 0) {
             this.loadFromExistingGameFiles();
         }
+        
+        this.ensureIslandIds();
+    }
+    
+    /**
+     * Turn saved island data into an editor island with its image loading
+     */
+    hydrateIsland(islandData, existing = null) {
+        const island = { ...islandData };
+        
+        // Reuse the image we already have if the island still points at it
+        if (existing && existing.image && existing.imageFilename === island.imageFilename &&
+            existing.originalImageData === island.originalImageData) {
+            island.image = existing.image;
+            return island;
+        }
+        
+        // Load image if we have image data
+        if (island.originalImageData) {
+            // Create image object from base64 data
+            const img = new Image();
+            img.onload = () => {
+                island.image = img;
+                this.markDirty('all'); // Re-render when image loads
+            };
+            img.onerror = () => {
+                this.debugFramework.log(`Failed to load image for island: ${island.name}`, 'warn');
+            };
+            img.src = island.originalImageData;
+        } else if (island.imagePath) {
+            // Fallback to loading from path
+            this.loadIslandImageFromPath(island, island.imagePath);
+        } else {
+            // Handle default islands (Saint Kitts, Nevis, etc.)
+            this.loadDefaultIslandImage(island);
+        }
+        
+        return island;
     }
     
     async setupUI() {
@@ -1009,6 +1008,10 @@ class AdvancedMapEditor {
             }
         }
         
+        // Draw hazard zones and town areas over the islands
+        this.drawHazards(this.ctx, zoom, offsetX, offsetY);
+        this.drawTowns(this.ctx, zoom, offsetX, offsetY);
+        
         // Draw selection indicators
         this.drawSelectionIndicators(this.ctx, zoom, offsetX, offsetY);
     }
@@ -1031,6 +1034,11 @@ class AdvancedMapEditor {
         if (this.collisionLineMode && this.tempCollisionPoints.length > 0) {
             this.drawTempCollisionPoints(ctx);
         }
+        
+        // Auto-fit collision preview
+        if (this.collisionPreview) {
+            this.drawCollisionPreview(ctx);
+        }
     }
     
     onIslandSelected(data) {
@@ -1067,16 +1075,30 @@ class AdvancedMapEditor {
             }
         }
         
+        // Hazard tool: drag out a new zone or move an existing one
+        if (this.state.tools.active === 'hazard' && e.button === 0) {
+            this.startHazardDrag(this.worldMousePos.x, this.worldMousePos.y);
+            this.performanceMonitor.endOperation('mouse-down');
+            return true;
+        }
+        
+        // Town tool: select/move a town, or add one to the clicked island
+        if (this.state.tools.active === 'town' && e.button === 0) {
+            this.startTownDrag(this.worldMousePos.x, this.worldMousePos.y);
+            this.performanceMonitor.endOperation('mouse-down');
+            return true;
+        }
+        
         if (e.button === 0) { // Left click
             if (this.state.navigation.ctrlPressed) {
                 // Ctrl+Click: Select/deselect island
                 const clickedIsland = this.getIslandAtPosition(this.worldMousePos.x, this.worldMousePos.y);
                 if (clickedIsland) {
-                    if (this.state.selectedIslands.has(clickedIsland.name)) {
-                        this.state.selectedIslands.delete(clickedIsland.name);
+                    if (this.state.selectedIslands.has(clickedIsland.id)) {
+                        this.state.selectedIslands.delete(clickedIsland.id);
                         this.debugFramework.log(`Deselected island: ${clickedIsland.name}`, 'debug');
                     } else {
-                        this.state.selectedIslands.add(clickedIsland.name);
+                        this.state.selectedIslands.add(clickedIsland.id);
                         this.selectedIsland = clickedIsland;
                         this.debugFramework.log(`Selected island: ${clickedIsland.name}`, 'debug');
                         this.updateIslandUI(clickedIsland);
@@ -1135,7 +1157,7 @@ class AdvancedMapEditor {
                     if (clickedIsland) {
                         // Select single island and prepare for dragging
                         this.state.selectedIslands.clear();
-                        this.state.selectedIslands.add(clickedIsland.name);
+                        this.state.selectedIslands.add(clickedIsland.id);
                         this.selectedIsland = clickedIsland;
                         
                         // Save state before drag (not on selection)
@@ -1165,6 +1187,13 @@ class AdvancedMapEditor {
     handleMouseUp(e) {
         this.performanceMonitor.startOperation('mouse-up');
         
+        if (this.hazardDrag) {
+            this.finishHazardDrag();
+        }
+        if (this.townDrag) {
+            this.finishTownDrag();
+        }
+        
         // Reset drag states (undo state already saved in mouse down)
         this.state.navigation.isDragging = false;
         this.state.navigation.isPanning = false;
@@ -1226,6 +1255,15 @@ class AdvancedMapEditor {
             y: (this.state.navigation.mousePos.y - this.state.viewport.offsetY) / this.state.viewport.zoom
         };
         
+        if (this.hazardDrag) {
+            this.updateHazardDrag(this.worldMousePos.x, this.worldMousePos.y);
+            return;
+        }
+        if (this.townDrag) {
+            this.updateTownDrag(this.worldMousePos.x, this.worldMousePos.y);
+            return;
+        }
+        
         // Handle panning
         if (this.state.navigation.isPanning) {
             const dx = this.state.navigation.mousePos.x - this.state.navigation.dragStart.x;
@@ -1301,6 +1339,11 @@ class AdvancedMapEditor {
     }, 16); // 60fps throttling
     
     handleKeyDown(e) {
+        // Typing in a panel field (town editor, auto-fit options) is not a shortcut
+        if (e.target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) {
+            return;
+        }
+        
         // Store key state for WASD navigation
         this.state.navigation.keys[e.code] = true;
         
@@ -1467,6 +1510,11 @@ class AdvancedMapEditor {
     }
     
     async save() {
+        // Don't auto-save over the server copy while a conflict is being resolved
+        if (this.conflictResolver.isOpen()) {
+            return false;
+        }
+        
         this.performanceMonitor.startOperation('save');
         
         try {
@@ -1488,19 +1536,41 @@ class AdvancedMapEditor {
                         ...island,
                         // Ensure we save the image data properly
                         image: null // Don't serialize the Image object itself
-                    }))
+                    })),
+                    hazards: this.hazards
                 };
                 
-                const response = await fetch('http://localhost:8001/api/islands/save', {
+                // If-Match makes the server refuse the save if someone else saved first
+                const headers = { 'Content-Type': 'application/json' };
+                if (this.serverEtag) {
+                    headers['If-Match'] = this.serverEtag;
+                }
+                
+                const response = await fetch('/api/islands/save', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers,
                     body: JSON.stringify(saveData)
                 });
                 
                 if (response.ok) {
+                    const result = await response.json();
+                    this.serverEtag = result.etag || response.headers.get('ETag');
+                    this.baseIslands = this.conflictResolver.snapshotAll(saveData.islands);
                     this.debugFramework.log('Map data saved to server', 'info');
                     return true;
                 }
+                
+                if (response.status === 409) {
+                    const conflict = await response.json();
+                    return this.resolveConflict(conflict);
+                }
+                
+                // Server rejected the data - report it instead of falling back to localStorage
+                if (response.status === 422) {
+                    const result = await response.json();
+                    this.showValidationErrors(result.errors || []);
+                    return false;
+                }
             }
             
             // Fallback to localStorage
@@ -1516,6 +1586,58 @@ class AdvancedMapEditor {
         }
     }
     
+    /**
+     * Handle a 409 from the server: let the user keep their copy, take the
+     * server copy or merge island by island, then save the result
+     */
+    async resolveConflict(conflict) {
+        this.showStatusMessage('Map was changed on the server - choose how to merge', 'warn');
+        
+        const resolution = await this.conflictResolver.resolve(this.baseIslands, this.islands, conflict.islands);
+        if (!resolution) {
+            this.debugFramework.log('Conflict resolution cancelled - local changes kept unsaved', 'warn');
+            return false;
+        }
+        
+        // Whatever was chosen is now based on the current server copy
+        this.serverEtag = conflict.etag;
+        this.baseIslands = this.conflictResolver.snapshotAll(conflict.islands);
+        
+        const existingById = new Map(this.islands.map(island => [island.id, island]));
+        const selectedId = this.selectedIsland?.id;
+        this.islands = resolution.islands.map(island => this.hydrateIsland(island, existingById.get(island.id)));
+        this.selectedIsland = this.islands.find(island => island.id === selectedId) || null;
+        this.state.selectedIslands = new Set(this.selectedIsland ? [this.selectedIsland.id] : []);
+        
+        this.saveUndoState('conflict:resolve', `Resolved save conflict (${resolution.action})`);
+        this.updateIslandSelector();
+        this.markDirty('all');
+        
+        if (resolution.action === 'theirs') {
+            this.hazards = Array.isArray(conflict.hazards) ? conflict.hazards : this.hazards;
+            this.selectedHazard = null;
+            this.showStatusMessage('Loaded the server copy of the map', 'info');
+            return true;
+        }
+        return this.save();
+    }
+    
+    /**
+     * Show server-side validation errors (422 responses) in the status bar
+     */
+    showValidationErrors(errors) {
+        const lines = errors.map(error => {
+            const location = error.index === null ? error.path : `#${error.index}${error.island ? ` ${error.island}` : ''} ${error.path}`;
+            return `${location}: ${error.message}`;
+        });
+        
+        lines.forEach(line => this.debugFramework.log(`Save rejected - ${line}`, 'warn'));
+        
+        const shown = lines.slice(0, 3).join('; ');
+        const more = lines.length > 3 ? ` (+${lines.length - 3} more)` : '';
+        this.showStatusMessage(`Save rejected: ${shown}${more}`, 'error');
+    }
+    
     // Load islands from existing islands-data.js file
     loadFromExistingGameFiles() {
         // Check if ISLANDS_DATA is available from islands-data.js
@@ -1975,7 +2097,7 @@ class AdvancedMapEditor {
             const island = this.islands.find(isl => isl.name === selector.value);
             if (island) {
                 this.state.selectedIslands.clear();
-                this.state.selectedIslands.add(island.name);
+                this.state.selectedIslands.add(island.id);
                 this.selectedIsland = island;
                 this.updateIslandUI(island);
                 this.markDirty('all');
@@ -2149,7 +2271,7 @@ class AdvancedMapEditor {
     copy() {
         if (this.state.selectedIslands.size > 0) {
             const selectedData = Array.from(this.state.selectedIslands).map(id =>
-                this.islands.find(island => island.name === id)
+                this.islands.find(island => island.id === id)
             ).filter(Boolean);
             
             this.state.clipboard = JSON.parse(JSON.stringify(selectedData));
@@ -2164,6 +2286,7 @@ class AdvancedMapEditor {
             this.state.clipboard.forEach((island, index) => {
                 const newIsland = JSON.parse(JSON.stringify(island));
                 newIsland.name = `${island.name}_copy_${Date.now()}_${index}`;
+                newIsland.id = this.createIslandId(newIsland.name);
                 newIsland.x += pasteOffset;
                 newIsland.y += pasteOffset;
                 
@@ -2179,13 +2302,13 @@ class AdvancedMapEditor {
     selectAll() {
         this.state.selectedIslands.clear();
         this.islands.forEach(island => {
-            this.state.selectedIslands.add(island.name);
+            this.state.selectedIslands.add(island.id);
         });
         
         this.selectedIsland = this.islands[0];
         this.eventBus.emit('island:selected', {
             selected: Array.from(this.state.selectedIslands),
-            primary: this.selectedIsland?.name
+            primary: this.selectedIsland?.id
         });
         
         this.markDirty('ui');
@@ -2193,12 +2316,21 @@ class AdvancedMapEditor {
     }
     
     deleteSelected() {
+        if (this.selectedHazard) {
+            this.deleteSelectedHazard();
+            return;
+        }
+        if (this.selectedTown) {
+            this.deleteSelectedTown();
+            return;
+        }
+        
         if (this.state.selectedIslands.size > 0) {
             const count = this.state.selectedIslands.size;
             
             if (confirm(`Delete ${count} selected island(s)?`)) {
                 this.islands = this.islands.filter(island => 
-                    !this.state.selectedIslands.has(island.name)
+                    !this.state.selectedIslands.has(island.id)
                 );
                 
                 this.state.selectedIslands.clear();
@@ -2214,6 +2346,8 @@ class AdvancedMapEditor {
     deselectAll() {
         this.state.selectedIslands.clear();
         this.selectedIsland = null;
+        this.selectedHazard = null;
+        this.selectTown(null);
         this.markDirty('ui');
         this.debugFramework.log('Deselected all islands', 'debug');
     }
@@ -2262,36 +2396,80 @@ class AdvancedMapEditor {
         }
     }
     
-    exportAdvanced() {
-        const exportData = {
-            version: this.version,
-            timestamp: new Date().toISOString(),
-            worldConfig: this.worldConfig,
-            islands: this.islands,
-            metadata: {
-                totalIslands: this.islands.length,
-                validationResults: this.validationSystem.validateAll()
+    /**
+     * Download the map as GORET JSON ('goret'), Tiled JSON ('tiled-json') or TMX ('tmx')
+     */
+    exportAdvanced(format = 'goret') {
+        let content;
+        let type = 'application/json';
+        let extension = 'json';
+        
+        if (format === 'goret') {
+            const exportData = {
+                version: this.version,
+                timestamp: new Date().toISOString(),
+                worldConfig: this.worldConfig,
+                islands: this.islands,
+                metadata: {
+                    totalIslands: this.islands.length,
+                    validationResults: this.validationSystem.validateAll()
+                }
+            };
+            content = JSON.stringify(exportData, null, 2);
+        } else if (this.tiledFormat && (format === 'tiled-json' || format === 'tmx')) {
+            const tiledMap = this.buildTiledMap();
+            if (format === 'tmx') {
+                content = this.tiledFormat.toTmx(tiledMap);
+                type = 'application/xml';
+                extension = 'tmx';
+            } else {
+                content = JSON.stringify(tiledMap, null, 2);
+                extension = 'tmj';
             }
-        };
+        } else {
+            this.debugFramework.log(`Export format not available: ${format}`, 'error');
+            return;
+        }
         
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { 
-            type: 'application/json' 
-        });
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
         a.href = url;
-        a.download = `goret-map-${Date.now()}.json`;
+        a.download = `goret-map-${Date.now()}.${extension}`;
         a.click();
         
         URL.revokeObjectURL(url);
-        this.debugFramework.log('Map exported successfully', 'info');
+        this.debugFramework.log(`Map exported successfully (${format})`, 'info');
+    }
+    
+    /**
+     * Tiled map of the current islands, sized from their loaded images
+     */
+    buildTiledMap() {
+        const imageSizes = {};
+        this.islands.forEach(island => {
+            if (island.imageFilename && island.image && island.image.naturalWidth) {
+                imageSizes[island.imageFilename] = {
+                    width: island.image.naturalWidth,
+                    height: island.image.naturalHeight
+                };
+            }
+        });
+        
+        const islands = this.islands;
+        const unsized = islands.filter(island => island.imageFilename && !imageSizes[island.imageFilename]);
+        if (unsized.length > 0) {
+            this.debugFramework.log(`Images not loaded, exported as rectangles: ${unsized.map(island => island.name).join(', ')}`, 'warn');
+        }
+        
+        return this.tiledFormat.toTiled(this.worldConfig, islands, imageSizes);
     }
     
     importAdvanced() {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.json';
+        input.accept = '.json,.tmj,.tmx';
         
         input.onchange = (e) => {
             const file = e.target.files[0];
@@ -2299,16 +2477,20 @@ class AdvancedMapEditor {
                 const reader = new FileReader();
                 reader.onload = (e) => {
                     try {
-                        const data = JSON.parse(e.target.result);
+                        const data = this.parseImportFile(file.name, e.target.result);
                         
-                        if (data.version && data.islands) {
-                            this.islands = data.islands;
+                        if (data.islands) {
+                            const existingById = new Map(this.islands.map(island => [island.id, island]));
+                            this.islands = data.tiled
+                                ? data.islands.map(island => this.hydrateIsland(island, existingById.get(island.id)))
+                                : data.islands;
+                            this.ensureIslandIds();
                             if (data.worldConfig) {
                                 this.worldConfig = data.worldConfig;
                             }
                             
                             this.markDirty('all');
-                            this.debugFramework.log(`Imported ${data.islands.length} islands`, 'info');
+                            this.debugFramework.log(`Imported ${data.islands.length} islands${data.tiled ? ' from Tiled' : ''}`, 'info');
                         } else {
                             throw new Error('Invalid map file format');
                         }
@@ -2323,6 +2505,26 @@ class AdvancedMapEditor {
         input.click();
     }
     
+    /**
+     * Read GORET JSON, Tiled JSON or TMX into { worldConfig, islands, tiled }
+     */
+    parseImportFile(filename, text) {
+        const isTmx = /\.tmx$/i.test(filename) || text.trimStart().startsWith('<');
+        const data = isTmx ? null : JSON.parse(text);
+        
+        if (isTmx || (data.type === 'map' && data.tiledversion !== undefined)) {
+            if (!this.tiledFormat) {
+                throw new Error('Tiled support not loaded (js/map-editor/TiledFormat.js)');
+            }
+            const tiledMap = isTmx ? this.tiledFormat.fromTmx(text) : data;
+            return { ...this.tiledFormat.fromTiled(tiledMap), tiled: true };
+        }
+        if (data.version && data.islands) {
+            return { worldConfig: data.worldConfig, islands: data.islands, tiled: false };
+        }
+        return {};
+    }
+    
     showHelp() {
         const helpContent = `
 GORET Advanced Map Editor v${this.version}
@@ -2332,6 +2534,10 @@ KEYBOARD SHORTCUTS:
 • M - Move Tool  
 • R - Rotate Tool
 • C - Collision Editor
+• Z - Hazard Zones (drag to draw, drag a zone to move it)
+• Shift+Z - Cycle Hazard Type (shallows, reef, whirlpool, calm)
+• T - Towns (click an island to add a town, drag a town to move it)
+• Ctrl+Shift+F - Auto-fit Collision (selected island)
 • L - Measure Tool
 
 • Ctrl+Z - Undo
@@ -2353,6 +2559,11 @@ KEYBOARD SHORTCUTS:
 • Ctrl+Shift+D - Advanced Debug
 • Ctrl+Shift+P - Performance Report
 • Ctrl+Shift+V - Validate All
+
+• Ctrl+Shift+E - Export Map (JSON)
+• Ctrl+Shift+J - Export to Tiled (JSON)
+• Ctrl+Shift+X - Export to Tiled (TMX)
+• Ctrl+Shift+I - Import Map (JSON, Tiled .tmj/.tmx)
         `;
         
         alert(helpContent);
@@ -2418,6 +2629,7 @@ KEYBOARD SHORTCUTS:
         
         const state = {
             islands: JSON.parse(JSON.stringify(this.islands)),
+            hazards: JSON.parse(JSON.stringify(this.hazards)),
             viewport: JSON.parse(JSON.stringify(this.state.viewport)),
             selectedIslands: new Set(this.state.selectedIslands),
             timestamp: Date.now(),
@@ -2450,6 +2662,7 @@ KEYBOARD SHORTCUTS:
     statesEqual(state1, state2) {
         // Quick comparison to avoid saving identical states
         return JSON.stringify(state1.islands) === JSON.stringify(state2.islands) &&
+               JSON.stringify(state1.hazards) === JSON.stringify(state2.hazards) &&
                JSON.stringify(state1.viewport) === JSON.stringify(state2.viewport);
     }
     
@@ -2504,6 +2717,11 @@ KEYBOARD SHORTCUTS:
             
             console.log(`🖼️ Images: ${imagesRestored} restored, ${imagesReloaded} reloaded`);
             
+            // Restore hazard zones (states from before hazards existed have none)
+            this.hazards = JSON.parse(JSON.stringify(state.hazards || []));
+            this.selectedHazard = null;
+            this.selectTown(null);
+            
             // Restore viewport
             if (state.viewport) {
                 const oldZoom = this.state.viewport.zoom;
@@ -2515,7 +2733,7 @@ KEYBOARD SHORTCUTS:
             if (state.selectedIslands) {
                 this.state.selectedIslands = new Set(state.selectedIslands);
                 this.selectedIsland = this.islands.find(island => 
-                    this.state.selectedIslands.has(island.name)
+                    this.state.selectedIslands.has(island.id)
                 ) || null;
                 console.log(`✅ Selection restored: ${this.state.selectedIslands.size} selected, primary: ${this.selectedIsland?.name || 'none'}`);
             } else {
@@ -2806,7 +3024,7 @@ KEYBOARD SHORTCUTS:
             );
             
             // Draw selection border if selected
-            if (this.state.selectedIslands.has(island.name)) {
+            if (this.state.selectedIslands.has(island.id)) {
                 ctx.strokeStyle = '#3498db';
                 ctx.lineWidth = 3;
                 ctx.setLineDash([8, 4]);
@@ -2837,7 +3055,7 @@ KEYBOARD SHORTCUTS:
             
         } else {
             // Fallback: Draw island circle if no image is loaded
-            ctx.fillStyle = this.state.selectedIslands.has(island.name) ? '#3498db' : '#27ae60';
+            ctx.fillStyle = this.state.selectedIslands.has(island.id) ? '#3498db' : '#27ae60';
             ctx.strokeStyle = '#2c3e50';
             ctx.lineWidth = 2;
             
@@ -2924,7 +3142,7 @@ KEYBOARD SHORTCUTS:
     
     drawSelectionIndicators(ctx, zoom, offsetX, offsetY) {
         for (const islandId of this.state.selectedIslands) {
-            const island = this.islands.find(i => i.name === islandId);
+            const island = this.islands.find(i => i.id === islandId);
             if (island && this.isInViewport(island.x, island.y, island.radius)) {
                 const screenX = island.x * zoom + offsetX;
                 const screenY = island.y * zoom + offsetY;
@@ -2949,6 +3167,386 @@ KEYBOARD SHORTCUTS:
         }
     }
     
+    // Hazard zones
+    
+    getHazardAtPosition(worldX, worldY) {
+        // Topmost (last drawn) zone first
+        for (let i = this.hazards.length - 1; i >= 0; i--) {
+            const hazard = this.hazards[i];
+            if (Math.hypot(worldX - hazard.x, worldY - hazard.y) <= hazard.radius) {
+                return hazard;
+            }
+        }
+        return null;
+    }
+    
+    createHazardId(type) {
+        const taken = new Set(this.hazards.map(hazard => hazard.id));
+        let suffix = 1;
+        while (taken.has(`${type}-${suffix}`)) suffix++;
+        return `${type}-${suffix}`;
+    }
+    
+    /**
+     * Clicking a zone selects it and starts moving it; clicking open water
+     * starts a new zone of the current type whose radius follows the mouse
+     */
+    startHazardDrag(worldX, worldY) {
+        const hazard = this.getHazardAtPosition(worldX, worldY);
+        if (hazard) {
+            this.selectedHazard = hazard;
+            this.hazardDrag = { mode: 'move', hazard, offsetX: worldX - hazard.x, offsetY: worldY - hazard.y };
+            this.showStatusMessage(`Selected ${hazard.type}: ${hazard.name || hazard.id}`, 'info');
+        } else {
+            const draft = {
+                id: this.createHazardId(this.hazardType),
+                type: this.hazardType,
+                x: Math.round(worldX),
+                y: Math.round(worldY),
+                radius: 0
+            };
+            this.selectedHazard = null;
+            this.hazardDrag = { mode: 'draw', hazard: draft, offsetX: 0, offsetY: 0 };
+        }
+        this.markDirty('all');
+    }
+    
+    updateHazardDrag(worldX, worldY) {
+        const { mode, hazard, offsetX, offsetY } = this.hazardDrag;
+        if (mode === 'draw') {
+            hazard.radius = Math.round(Math.hypot(worldX - hazard.x, worldY - hazard.y));
+        } else {
+            hazard.x = Math.round(worldX - offsetX);
+            hazard.y = Math.round(worldY - offsetY);
+        }
+        this.markDirty('all');
+    }
+    
+    finishHazardDrag() {
+        const { mode, hazard } = this.hazardDrag;
+        this.hazardDrag = null;
+        
+        if (mode === 'draw') {
+            // A click without a drag just deselects
+            if (hazard.radius < AdvancedMapEditor.MIN_HAZARD_RADIUS) {
+                this.markDirty('all');
+                return;
+            }
+            this.hazards.push(hazard);
+            this.selectedHazard = hazard;
+            this.saveUndoState('hazard:add', `Added ${hazard.type} zone ${hazard.id}`);
+            this.debugFramework.log(`Added ${hazard.type} zone ${hazard.id} (radius ${hazard.radius})`, 'info');
+        } else {
+            this.saveUndoState('hazard:move', `Moved ${hazard.type} zone ${hazard.id}`);
+        }
+        this.markDirty('all');
+    }
+    
+    deleteSelectedHazard() {
+        const hazard = this.selectedHazard;
+        this.hazards = this.hazards.filter(other => other !== hazard);
+        this.selectedHazard = null;
+        
+        this.saveUndoState('hazard:delete', `Deleted ${hazard.type} zone ${hazard.id}`);
+        this.markDirty('all');
+        this.debugFramework.log(`Deleted hazard zone ${hazard.id}`, 'info');
+    }
+    
+    /**
+     * Switch the type new zones get; a selected zone changes type too
+     */
+    cycleHazardType() {
+        const types = Object.keys(AdvancedMapEditor.HAZARD_STYLES);
+        this.hazardType = types[(types.indexOf(this.hazardType) + 1) % types.length];
+        
+        if (this.selectedHazard) {
+            this.selectedHazard.type = this.hazardType;
+            this.saveUndoState('hazard:modify', `Changed ${this.selectedHazard.id} to ${this.hazardType}`);
+        }
+        this.showStatusMessage(`Hazard type: ${AdvancedMapEditor.HAZARD_STYLES[this.hazardType].label}`, 'info');
+        this.markDirty('all');
+    }
+    
+    drawHazards(ctx, zoom, offsetX, offsetY) {
+        const hazards = this.hazardDrag && this.hazardDrag.mode === 'draw'
+            ? [...this.hazards, this.hazardDrag.hazard]
+            : this.hazards;
+        
+        ctx.save();
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        
+        hazards.forEach(hazard => {
+            if (!this.isInViewport(hazard.x, hazard.y, hazard.radius)) return;
+            
+            const style = AdvancedMapEditor.HAZARD_STYLES[hazard.type] || AdvancedMapEditor.HAZARD_STYLES.shallows;
+            const screenX = hazard.x * zoom + offsetX;
+            const screenY = hazard.y * zoom + offsetY;
+            const screenRadius = hazard.radius * zoom;
+            const selected = hazard === this.selectedHazard;
+            
+            ctx.fillStyle = `rgba(${style.color}, 0.2)`;
+            ctx.strokeStyle = `rgba(${style.color}, ${selected ? 1 : 0.7})`;
+            ctx.lineWidth = selected ? 3 : 2;
+            ctx.setLineDash(selected ? [8, 4] : []);
+            ctx.beginPath();
+            ctx.arc(screenX, screenY, screenRadius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            
+            ctx.fillStyle = 'white';
+            ctx.fillText(`${style.icon} ${hazard.name || hazard.id}`, screenX, screenY - screenRadius - 6);
+        });
+        
+        ctx.restore();
+    }
+    
+    // Town areas
+    
+    /**
+     * Town whose radius contains the point, as { island, town }
+     */
+    getTownAtPosition(worldX, worldY) {
+        for (let i = this.islands.length - 1; i >= 0; i--) {
+            const island = this.islands[i];
+            const towns = island.towns || [];
+            for (let j = towns.length - 1; j >= 0; j--) {
+                const town = towns[j];
+                if (Math.hypot(worldX - (island.x + town.x), worldY - (island.y + town.y)) <= town.radius) {
+                    return { island, town };
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Slug a town name into an ID no other town on the map uses
+     */
+    createTownId(name) {
+        const taken = new Set();
+        this.islands.forEach(island => (island.towns || []).forEach(town => taken.add(town.id)));
+        
+        const base = String(name || 'town').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'town';
+        let id = base;
+        let suffix = 2;
+        while (taken.has(id)) {
+            id = `${base}_${suffix++}`;
+        }
+        return id;
+    }
+    
+    startTownDrag(worldX, worldY) {
+        const hit = this.getTownAtPosition(worldX, worldY);
+        if (hit) {
+            this.selectTown(hit);
+            this.townDrag = {
+                ...hit,
+                offsetX: worldX - (hit.island.x + hit.town.x),
+                offsetY: worldY - (hit.island.y + hit.town.y)
+            };
+            return;
+        }
+        
+        const island = this.getIslandAtPosition(worldX, worldY);
+        if (island) {
+            this.addTown(island, worldX, worldY);
+        } else {
+            this.selectTown(null);
+        }
+    }
+    
+    updateTownDrag(worldX, worldY) {
+        const { island, town, offsetX, offsetY } = this.townDrag;
+        town.x = Math.round(worldX - offsetX - island.x);
+        town.y = Math.round(worldY - offsetY - island.y);
+        this.markDirty('all');
+    }
+    
+    finishTownDrag() {
+        const { town } = this.townDrag;
+        this.townDrag = null;
+        this.saveUndoState('town:move', `Moved town ${town.name}`);
+        this.showTownPanel();
+    }
+    
+    addTown(island, worldX, worldY) {
+        const name = `${island.name.replace(/\s*Island$/i, '')} Port`;
+        const town = {
+            id: this.createTownId(name),
+            name,
+            x: Math.round(worldX - island.x),
+            y: Math.round(worldY - island.y),
+            radius: 80,
+            entryRadius: 120,
+            type: 'port',
+            services: [...AdvancedMapEditor.TOWN_OPTIONS.services]
+        };
+        
+        island.towns = [...(island.towns || []), town];
+        this.selectTown({ island, town });
+        this.saveUndoState('town:add', `Added town ${town.name} to ${island.name}`);
+        this.debugFramework.log(`Added town ${town.id} to ${island.name}`, 'info');
+    }
+    
+    deleteSelectedTown() {
+        const { island, town } = this.selectedTown;
+        island.towns = island.towns.filter(other => other !== town);
+        this.selectTown(null);
+        
+        this.saveUndoState('town:delete', `Deleted town ${town.name}`);
+        this.debugFramework.log(`Deleted town ${town.id} from ${island.name}`, 'info');
+    }
+    
+    selectTown(selection) {
+        this.selectedTown = selection;
+        if (selection) {
+            this.showTownPanel();
+        } else if (this.townPanel) {
+            this.townPanel.style.display = 'none';
+        }
+        this.markDirty('all');
+    }
+    
+    /**
+     * Floating form for the selected town's fields
+     */
+    showTownPanel() {
+        const { island, town } = this.selectedTown;
+        const options = AdvancedMapEditor.TOWN_OPTIONS;
+        const escape = text => this.conflictResolver.escapeHtml(String(text === undefined ? '' : text));
+        
+        if (!this.townPanel) {
+            this.townPanel = document.createElement('div');
+            this.townPanel.style.cssText = `
+                position: fixed;
+                bottom: 10px;
+                left: 10px;
+                width: 280px;
+                background: rgba(0,0,0,0.9);
+                color: white;
+                font-family: monospace;
+                font-size: 11px;
+                border: 2px solid #f1c40f;
+                border-radius: 8px;
+                padding: 8px;
+                z-index: 10000;
+            `;
+            this.townPanel.addEventListener('click', (e) => {
+                const action = e.target.dataset && e.target.dataset.action;
+                if (action === 'apply') {
+                    this.applyTownPanel();
+                } else if (action === 'delete') {
+                    this.deleteSelectedTown();
+                } else if (action === 'close') {
+                    this.selectTown(null);
+                }
+            });
+            document.body.appendChild(this.townPanel);
+        }
+        
+        const select = (name, values, current, allowNone = false) => `
+            <select name="${name}">
+                ${allowNone ? `<option value="" ${!current ? 'selected' : ''}>(none)</option>` : ''}
+                ${values.map(value => `<option value="${value}" ${value === current ? 'selected' : ''}>${value}</option>`).join('')}
+            </select>`;
+        const services = town.services || [];
+        
+        this.townPanel.innerHTML = `
+            <strong>🏘️ ${escape(town.name)}</strong> <small>on ${escape(island.name)}</small>
+            <div style="margin: 6px 0; display: grid; grid-template-columns: 80px 1fr; gap: 3px;">
+                <label>Name</label><input name="name" value="${escape(town.name)}">
+                <label>Type</label>${select('type', options.types, town.type || 'port')}
+                <label>Nation</label>${select('nation', options.nations, town.nation, true)}
+                <label>Radius</label><input name="radius" type="number" min="1" value="${town.radius}">
+                <label>Entry radius</label><input name="entryRadius" type="number" min="1" value="${town.entryRadius || ''}">
+                <label>Background</label><input name="background" placeholder="assets/Ports/..." value="${escape(town.background || '')}">
+            </div>
+            <div>
+                ${options.services.map(service => `
+                    <label><input type="checkbox" name="service" value="${service}" ${services.includes(service) ? 'checked' : ''}> ${service}</label>
+                `).join('')}
+            </div>
+            <div style="margin-top: 6px; display: flex; gap: 4px;">
+                <button data-action="apply">Apply</button>
+                <button data-action="delete">Delete</button>
+                <button data-action="close">Close</button>
+            </div>
+        `;
+        this.townPanel.style.display = 'block';
+    }
+    
+    applyTownPanel() {
+        const { town } = this.selectedTown;
+        const field = name => this.townPanel.querySelector(`[name="${name}"]`).value.trim();
+        
+        const radius = parseFloat(field('radius'));
+        const entryRadius = parseFloat(field('entryRadius')) || radius * 1.5;
+        if (!field('name') || !(radius > 0) || entryRadius < radius) {
+            this.showStatusMessage('Town needs a name, a radius above 0 and an entry radius at least as large', 'error');
+            return;
+        }
+        
+        town.name = field('name');
+        town.type = field('type');
+        town.radius = radius;
+        town.entryRadius = entryRadius;
+        town.services = [...this.townPanel.querySelectorAll('[name="service"]:checked')].map(input => input.value);
+        // Leave optional fields out rather than saving empty strings
+        ['nation', 'background'].forEach(name => {
+            if (field(name)) {
+                town[name] = field(name);
+            } else {
+                delete town[name];
+            }
+        });
+        
+        this.saveUndoState('town:modify', `Edited town ${town.name}`);
+        this.showTownPanel();
+        this.markDirty('all');
+    }
+    
+    drawTowns(ctx, zoom, offsetX, offsetY) {
+        ctx.save();
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        
+        this.islands.forEach(island => {
+            (island.towns || []).forEach(town => {
+                const worldX = island.x + town.x;
+                const worldY = island.y + town.y;
+                const entryRadius = town.entryRadius || town.radius * 1.5;
+                if (!this.isInViewport(worldX, worldY, entryRadius)) return;
+                
+                const screenX = worldX * zoom + offsetX;
+                const screenY = worldY * zoom + offsetY;
+                const selected = this.selectedTown && this.selectedTown.town === town;
+                
+                // Entry radius (approach) dashed yellow, dock radius green
+                ctx.strokeStyle = 'rgba(255, 255, 0, 0.7)';
+                ctx.lineWidth = 1;
+                ctx.setLineDash([5, 5]);
+                ctx.beginPath();
+                ctx.arc(screenX, screenY, entryRadius * zoom, 0, Math.PI * 2);
+                ctx.stroke();
+                
+                ctx.strokeStyle = selected ? '#f1c40f' : 'rgba(0, 255, 0, 0.8)';
+                ctx.fillStyle = 'rgba(0, 255, 0, 0.15)';
+                ctx.lineWidth = selected ? 3 : 2;
+                ctx.setLineDash([]);
+                ctx.beginPath();
+                ctx.arc(screenX, screenY, town.radius * zoom, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                
+                ctx.fillStyle = 'white';
+                ctx.fillText(`🏘️ ${town.name}`, screenX, screenY - entryRadius * zoom - 6);
+            });
+        });
+        
+        ctx.restore();
+    }
+    
     drawToolOverlays(ctx) {
         // Tool-specific overlay rendering will be handled by individual tools
     }
@@ -3024,10 +3622,43 @@ KEYBOARD SHORTCUTS:
     handleToolMouseUp(e, worldPos) { return false; }
     handleToolMouseMove(e, worldPos) { return false; }
     
+    /**
+     * Slug a name into an island ID that is not in use yet
+     * (same rules as the server, so IDs survive a save round-trip)
+     */
+    createIslandId(name) {
+        const reserved = ['save', 'load', 'revisions', 'diff'];
+        const taken = new Set(this.islands.map(island => island.id).filter(Boolean));
+        const base = String(name || 'island')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'island';
+        
+        let id = base;
+        let suffix = 2;
+        while (taken.has(id) || reserved.includes(id)) {
+            id = `${base}-${suffix++}`;
+        }
+        return id;
+    }
+    
+    // Islands from older files or exports may not have IDs yet
+    ensureIslandIds() {
+        this.islands.forEach(island => {
+            if (!island.id) {
+                island.id = this.createIslandId(island.name);
+            }
+        });
+    }
+    
     // Public API methods for UI integration
     addIsland() {
+        const name = `Island_${Date.now()}`;
         const newIsland = {
-            name: `Island_${Date.now()}`,
+            id: this.createIslandId(name),
+            name,
             x: this.worldMousePos?.x || 2000,
             y: this.worldMousePos?.y || 2000,
             width: 400,
@@ -3127,7 +3758,7 @@ if (typeof module !== 'undefined' && module.exports) {
     selectIslandByIndex(index) {
         if (index >= 0 && index < this.islands.length) {
             const island = this.islands[index];
-            this.selectIsland(island.name);
+            this.selectIsland(island.id);
             this.updateIslandFormValues();
             this.updateCollisionPointsList();
         }
@@ -3237,6 +3868,180 @@ if (typeof module !== 'undefined' && module.exports) {
         }
     }
     
+    /**
+     * Ask the server to fit collision circles to the selected island's image
+     * and show them as a preview with the coverage error
+     */
+    async autoFitCollision(options = {}) {
+        const island = this.selectedIsland;
+        if (!island) {
+            this.showStatusMessage('Select an island to auto-fit its collision', 'warn');
+            return null;
+        }
+        
+        const filename = island.imageFilename || (island.imagePath && island.imagePath.split('/').pop());
+        if (!filename) {
+            this.showStatusMessage(`${island.name} has no image to fit collision to`, 'warn');
+            return null;
+        }
+        
+        const fitOptions = {
+            scale: this.getIslandImageScale(island),
+            tolerance: options.tolerance ?? this.collisionPreview?.options.tolerance ?? 20,
+            maxCircles: options.maxCircles ?? this.collisionPreview?.options.maxCircles ?? 24
+        };
+        
+        try {
+            const response = await fetch(`/api/island-images/${encodeURIComponent(filename)}/fit-collision`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(fitOptions)
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showStatusMessage(`Auto-fit failed: ${result.error}`, 'error');
+                return null;
+            }
+            
+            this.collisionPreview = {
+                islandId: island.id,
+                circles: result.circles,
+                error: result.error,
+                options: fitOptions
+            };
+            this.showCollisionPreviewPanel();
+            this.markDirty('ui');
+            return result;
+        } catch (error) {
+            this.showStatusMessage(`Auto-fit needs the map server: ${error.message}`, 'error');
+            return null;
+        }
+    }
+    
+    /**
+     * World units per image pixel, matching how the game draws island
+     * images (GameMap.getImageScale: the image spans the island's diameter)
+     */
+    getIslandImageScale(island) {
+        return GameMap.getImageScale(island, island.image && island.image.naturalWidth);
+    }
+    
+    applyCollisionPreview() {
+        const preview = this.collisionPreview;
+        const island = preview && this.islands.find(isl => isl.id === preview.islandId);
+        if (!island) {
+            this.cancelCollisionPreview();
+            return;
+        }
+        
+        this.saveUndoState('collision:modify', `Auto-fit collision for ${island.name}`);
+        island.collisionCircles = preview.circles;
+        this.cancelCollisionPreview();
+        this.markDirty('all');
+        this.showStatusMessage(`Applied ${preview.circles.length} collision circles to ${island.name}`, 'success');
+    }
+    
+    cancelCollisionPreview() {
+        this.collisionPreview = null;
+        if (this.collisionPreviewPanel) {
+            this.collisionPreviewPanel.remove();
+            this.collisionPreviewPanel = null;
+        }
+        this.markDirty('ui');
+    }
+    
+    showCollisionPreviewPanel() {
+        const { error, options } = this.collisionPreview;
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        
+        if (!this.collisionPreviewPanel) {
+            this.collisionPreviewPanel = document.createElement('div');
+            this.collisionPreviewPanel.style.cssText = `
+                position: fixed;
+                bottom: 10px;
+                right: 10px;
+                width: 260px;
+                background: rgba(0,0,0,0.9);
+                color: white;
+                font-family: monospace;
+                font-size: 11px;
+                border: 2px solid #2ecc71;
+                border-radius: 8px;
+                padding: 8px;
+                z-index: 10000;
+            `;
+            this.collisionPreviewPanel.addEventListener('click', (e) => {
+                const action = e.target.dataset && e.target.dataset.action;
+                if (action === 'apply') {
+                    this.applyCollisionPreview();
+                } else if (action === 'cancel') {
+                    this.cancelCollisionPreview();
+                } else if (action === 'refit') {
+                    this.autoFitCollision({
+                        tolerance: parseFloat(this.collisionPreviewPanel.querySelector('[name="tolerance"]').value),
+                        maxCircles: parseInt(this.collisionPreviewPanel.querySelector('[name="maxCircles"]').value, 10)
+                    });
+                }
+            });
+            document.body.appendChild(this.collisionPreviewPanel);
+        }
+        
+        this.collisionPreviewPanel.innerHTML = `
+            <strong>🎯 Auto-fit collision preview</strong>
+            <div style="margin: 6px 0;">
+                Circles: ${error.circleCount}<br>
+                Land covered: ${percent(error.landCoverage)}<br>
+                Land missed: ${percent(error.uncoveredLand)}<br>
+                Water blocked: ${percent(error.blockedWater)} of land area<br>
+                ${error.withinTolerance ? '✅ Within tolerance' : '⚠️ Circle limit reached before tolerance'}
+            </div>
+            <label>Tolerance <input name="tolerance" type="number" min="0" value="${options.tolerance}" style="width: 60px;"></label>
+            <label>Max <input name="maxCircles" type="number" min="1" max="200" value="${options.maxCircles}" style="width: 50px;"></label>
+            <div style="margin-top: 6px; display: flex; gap: 4px;">
+                <button data-action="refit">Refit</button>
+                <button data-action="apply">Apply</button>
+                <button data-action="cancel">Cancel</button>
+            </div>
+        `;
+    }
+    
+    drawCollisionPreview(ctx) {
+        const preview = this.collisionPreview;
+        const island = this.islands.find(isl => isl.id === preview.islandId);
+        if (!island) return;
+        
+        const zoom = this.state.viewport.zoom;
+        const offsetX = this.state.viewport.offsetX;
+        const offsetY = this.state.viewport.offsetY;
+        
+        ctx.save();
+        
+        // Current circles for comparison
+        ctx.strokeStyle = 'rgba(231, 76, 60, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        (island.collisionCircles || []).forEach(circle => {
+            ctx.beginPath();
+            ctx.arc((island.x + circle.x) * zoom + offsetX, (island.y + circle.y) * zoom + offsetY, circle.radius * zoom, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        
+        // Proposed circles
+        ctx.setLineDash([]);
+        ctx.strokeStyle = '#2ecc71';
+        ctx.fillStyle = 'rgba(46, 204, 113, 0.2)';
+        ctx.lineWidth = 2;
+        preview.circles.forEach(circle => {
+            ctx.beginPath();
+            ctx.arc((island.x + circle.x) * zoom + offsetX, (island.y + circle.y) * zoom + offsetY, circle.radius * zoom, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+        
+        ctx.restore();
+    }
+    
     optimizePoints() {
         if (!this.selectedIsland || !this.selectedIsland.collision) {
             this.debugFramework.log('No collision points to optimize', 'warn');
@@ -3360,7 +4165,7 @@ if (typeof module !== 'undefined' && module.exports) {
             this.state.selectedIslands.add(islandId);
             
             // Find and set primary selection
-            this.selectedIsland = this.islands.find(island => island.name === islandId);
+            this.selectedIsland = this.islands.find(island => island.id === islandId);
             
             // Validate selected island if real-time validation is enabled
             if (this.features.realTimeValidation && this.selectedIsland) {
@@ -3395,5 +4200,23 @@ if (typeof module !== 'undefined' && module.exports) {
     }
 }
 
+// Editor colours (r, g, b) and labels per hazard type, in Shift+Z order
+AdvancedMapEditor.HAZARD_STYLES = {
+    shallows: { label: 'Shallows', icon: '🏖️', color: '120, 220, 200' },
+    reef: { label: 'Reef', icon: '🪸', color: '255, 120, 60' },
+    whirlpool: { label: 'Whirlpool', icon: '🌀', color: '170, 90, 255' },
+    calm: { label: 'Calm', icon: '🍃', color: '200, 200, 200' }
+};
+
+// Choices for the town panel (same lists as server/island-schema.js)
+AdvancedMapEditor.TOWN_OPTIONS = {
+    types: ['port', 'town', 'fort', 'village'],
+    nations: ['england', 'france', 'spain', 'netherlands', 'pirates'],
+    services: ['governor', 'market', 'tavern', 'dockmaster', 'bank', 'church']
+};
+
+// Zones dragged out smaller than this (world units) are treated as clicks
+AdvancedMapEditor.MIN_HAZARD_RADIUS = 20;
+
 // Export for use
 window.AdvancedMapEditor = AdvancedMapEditor;
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * GORET Save Conflict Resolver
+ * Three-way merge of the island list when a save is refused with 409:
+ * compares the copy last loaded from the server (base), the local islands
+ * (mine) and the current server copy (theirs) island by island, and lets
+ * the user keep their copy, take the server copy or pick per island.
+ */
+
+class ConflictResolver {
+    constructor(editor) {
+        this.editor = editor;
+        this.dialog = null;
+    }
+    
+    isOpen() {
+        return this.dialog !== null;
+    }
+    
+    /**
+     * Plain copy of an island without runtime-only fields (Image objects)
+     */
+    snapshot(island) {
+        const { image, ...data } = island;
+        return JSON.parse(JSON.stringify(data));
+    }
+    
+    snapshotAll(islands) {
+        return islands.map(island => this.snapshot(island));
+    }
+    
+    // Key order differs between editor and server copies, so compare canonically
+    canonical(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.canonical(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.keys(value).sort().reduce((result, key) => {
+                result[key] = this.canonical(value[key]);
+                return result;
+            }, {});
+        }
+        return value;
+    }
+    
+    same(a, b) {
+        return JSON.stringify(this.canonical(a)) === JSON.stringify(this.canonical(b));
+    }
+    
+    changedFields(a = {}, b = {}) {
+        const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...fields].filter(field => !this.same(a[field], b[field]));
+    }
+    
+    /**
+     * Three-way compare by island ID.
+     * base = copy last loaded from / saved to the server, mine = local islands,
+     * theirs = current server copy. Each entry gets a status and a default choice.
+     */
+    analyze(base, mine, theirs) {
+        const byId = list => new Map(list.map(island => [island.id, island]));
+        const baseById = byId(base);
+        const mineById = byId(this.snapshotAll(mine));
+        const theirsById = byId(theirs);
+        
+        const ids = new Set([...theirsById.keys(), ...mineById.keys(), ...baseById.keys()]);
+        return [...ids].map(id => {
+            const baseIsland = baseById.get(id);
+            const mineIsland = mineById.get(id);
+            const theirsIsland = theirsById.get(id);
+            
+            const mineChanged = !this.same(baseIsland, mineIsland);
+            const theirsChanged = !this.same(baseIsland, theirsIsland);
+            
+            let status = 'unchanged';
+            if (mineChanged && theirsChanged) {
+                status = this.same(mineIsland, theirsIsland) ? 'same' : 'conflict';
+            } else if (mineChanged) {
+                status = 'mine';
+            } else if (theirsChanged) {
+                status = 'theirs';
+            }
+            
+            return {
+                id,
+                name: (mineIsland || theirsIsland || baseIsland).name,
+                base: baseIsland,
+                mine: mineIsland,
+                theirs: theirsIsland,
+                status,
+                // Take whichever side changed; on a real conflict default to local edits
+                choice: status === 'theirs' ? 'theirs' : 'mine'
+            };
+        });
+    }
+    
+    /**
+     * Build the merged island list from per-island choices
+     * (a missing version means that side deleted the island)
+     */
+    merge(entries) {
+        return entries
+            .map(entry => (entry.choice === 'theirs' ? entry.theirs : entry.mine))
+            .filter(Boolean);
+    }
+    
+    describe(entry) {
+        const side = island => (island ? 'changed' : 'deleted');
+        switch (entry.status) {
+            case 'mine':
+                return entry.base ? `${side(entry.mine)} here` : 'added here';
+            case 'theirs':
+                return entry.base ? `${side(entry.theirs)} on server` : 'added on server';
+            case 'same':
+                return 'same change on both sides';
+            case 'conflict': {
+                if (!entry.mine || !entry.theirs) {
+                    return entry.mine ? 'deleted on server, changed here' : 'changed on server, deleted here';
+                }
+                const fields = this.changedFields(entry.mine, entry.theirs);
+                return `changed on both sides (${fields.join(', ')})`;
+            }
+            default:
+                return 'unchanged';
+        }
+    }
+    
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+    
+    /**
+     * Show the merge dialog. Resolves to { action, islands } where action is
+     * 'mine', 'theirs' or 'merge', or to null if the user cancels.
+     */
+    resolve(base, mine, theirs) {
+        const entries = this.analyze(base, mine, theirs);
+        const changed = entries.filter(entry => entry.status !== 'unchanged');
+        const conflicts = changed.filter(entry => entry.status === 'conflict').length;
+        
+        return new Promise(resolve => {
+            this.dialog = document.createElement('div');
+            this.dialog.style.cssText = `
+                position: fixed;
+                inset: 0;
+                background: rgba(0,0,0,0.6);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10001;
+            `;
+            
+            const rows = changed.map((entry, index) => `
+                <tr style="${entry.status === 'conflict' ? 'background: rgba(231,76,60,0.2);' : ''}">
+                    <td style="padding: 4px 8px;">${this.escapeHtml(entry.name)}</td>
+                    <td style="padding: 4px 8px; color: #bdc3c7;">${this.escapeHtml(this.describe(entry))}</td>
+                    <td style="padding: 4px 8px; white-space: nowrap;">
+                        <label><input type="radio" name="merge-${index}" value="mine" ${entry.choice === 'mine' ? 'checked' : ''}> Mine</label>
+                        <label><input type="radio" name="merge-${index}" value="theirs" ${entry.choice === 'theirs' ? 'checked' : ''}> Theirs</label>
+                    </td>
+                </tr>
+            `).join('');
+            
+            this.dialog.innerHTML = `
+                <div style="background: #2c3e50; color: white; border: 2px solid #e67e22; border-radius: 8px; width: 640px; max-height: 80vh; display: flex; flex-direction: column; font-family: sans-serif; font-size: 13px;">
+                    <div style="background: #e67e22; padding: 8px;"><strong>⚠️ The map was changed on the server</strong></div>
+                    <div style="padding: 8px;">
+                        Someone saved since you loaded the map: ${changed.length} island(s) differ, ${conflicts} changed on both sides.
+                    </div>
+                    <div style="flex: 1; overflow-y: auto; padding: 0 8px;">
+                        <table style="width: 100%; border-collapse: collapse;">${rows}</table>
+                    </div>
+                    <div style="padding: 8px; display: flex; gap: 8px; justify-content: flex-end; border-top: 1px solid #34495e;">
+                        <button data-action="mine">Keep mine</button>
+                        <button data-action="theirs">Take theirs</button>
+                        <button data-action="merge">Merge selected</button>
+                        <button data-action="cancel">Cancel</button>
+                    </div>
+                </div>
+            `;
+            
+            this.dialog.addEventListener('click', (e) => {
+                const action = e.target.dataset && e.target.dataset.action;
+                if (!action) return;
+                
+                let result = null;
+                if (action === 'mine') {
+                    result = { action, islands: this.snapshotAll(mine) };
+                } else if (action === 'theirs') {
+                    result = { action, islands: theirs };
+                } else if (action === 'merge') {
+                    changed.forEach((entry, index) => {
+                        const checked = this.dialog.querySelector(`input[name="merge-${index}"]:checked`);
+                        entry.choice = checked ? checked.value : entry.choice;
+                    });
+                    result = { action, islands: this.merge(entries) };
+                }
+                
+                this.dialog.remove();
+                this.dialog = null;
+                resolve(result);
+            });
+            
+            document.body.appendChild(this.dialog);
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ConflictResolver = ConflictResolver;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConflictResolver;
+}
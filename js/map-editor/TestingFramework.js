@@ -124,7 +124,8 @@ class TestingFramework {
         this.addTestSuite('performance', 'Performance Tests', [
             this.testRenderingPerformance,
             this.testMemoryUsage,
-            this.testEventHandlingPerformance
+            this.testEventHandlingPerformance,
+            this.testCollisionBroadphase
         ]);
         
         // Integration tests
@@ -567,6 +568,56 @@ class TestingFramework {
         console.log(`  📊 Event performance: ${eventsPerMs.toFixed(2)} events/ms`);
     }
     
+    /**
+     * Spatial hash broadphase vs testing every island circle, on a full
+     * ocean of islands. Both must find the same collisions.
+     */
+    async testCollisionBroadphase() {
+        if (typeof SpatialHash === 'undefined') {
+            console.log('  ⚠️ SpatialHash not loaded (js/spatial-hash.js)');
+            return;
+        }
+        
+        const world = this.mockData.worldConfig;
+        const shapes = [];
+        for (let i = 0; i < 60; i++) {
+            const islandX = Math.random() * world.width;
+            const islandY = Math.random() * world.height;
+            for (let c = 0; c < 6; c++) {
+                shapes.push({
+                    x: islandX + (Math.random() - 0.5) * 400,
+                    y: islandY + (Math.random() - 0.5) * 400,
+                    radius: 40 + Math.random() * 150
+                });
+            }
+        }
+        
+        const hash = new SpatialHash(512);
+        shapes.forEach(shape => hash.insert(shape, shape.x, shape.y, shape.radius));
+        
+        const ships = [];
+        for (let i = 0; i < 1000; i++) {
+            ships.push({ x: Math.random() * world.width, y: Math.random() * world.height, radius: 45 });
+        }
+        
+        const firstHit = (ship, candidates) => candidates.find(shape =>
+            Math.hypot(ship.x - shape.x, ship.y - shape.y) < shape.radius + ship.radius) || null;
+        
+        ships.forEach(ship => {
+            this.assertEqual(firstHit(ship, hash.query(ship.x, ship.y, ship.radius)), firstHit(ship, shapes),
+                'Broadphase should find the same collision as brute force');
+        });
+        
+        const bruteForce = await this.benchmark('collision-brute-force', () => {
+            ships.forEach(ship => firstHit(ship, shapes));
+        }, 20);
+        const broadphase = await this.benchmark('collision-spatial-hash', () => {
+            ships.forEach(ship => firstHit(ship, hash.query(ship.x, ship.y, ship.radius)));
+        }, 20);
+        
+        console.log(`  📊 ${shapes.length} circles, ${ships.length} queries: brute force ${bruteForce.avg.toFixed(2)}ms, spatial hash ${broadphase.avg.toFixed(2)}ms (${(bruteForce.avg / broadphase.avg).toFixed(1)}x)`);
+    }
+    
     // ===============================
     // INTEGRATION TESTS
     // ===============================
@@ -0,0 +1,677 @@
+/**
+ * GORET Tiled Format
+ * Converts the map (worldConfig + islands) to and from Tiled maps,
+ * as Tiled JSON (.tmj/.json) or TMX (XML).
+ *
+ * Layout in Tiled:
+ * - "Islands" object layer: one tile (image) object per island, using an
+ *   image-collection tileset of the island PNGs, with GORET fields as
+ *   custom properties
+ * - "Collision" object layer: one ellipse per collision circle, and
+ *   legacy collision polygons, linked to their island by the "island" property
+ * - "Towns" object layer: one named ellipse per town area
+ *
+ * Objects also carry their exact GORET values as properties. On import these
+ * are used while the object still sits where they say, so a round trip does
+ * not pick up floating point drift; anything moved in Tiled uses its new geometry.
+ */
+
+const TILED_VERSION = '1.10';
+const TILED_EDITOR_VERSION = '1.10.2';
+
+// Island fields that map to Tiled geometry or dedicated properties
+const ISLAND_GEOMETRY_FIELDS = [
+    'id', 'name', 'x', 'y', 'scale', 'rotation', 'imageFilename',
+    'collisionCircles', 'collision', 'towns',
+    // Runtime-only editor fields
+    'image', 'width', 'height', 'fittedToBounds', 'originalImageData', 'imagePath'
+];
+
+class TiledFormat {
+    constructor(options = {}) {
+        // Image paths are written relative to where the .tmx/.tmj is saved
+        this.imageBasePath = options.imageBasePath !== undefined ? options.imageBasePath : 'assets/Islands/';
+    }
+
+    // Export
+
+    /**
+     * Build a Tiled JSON map.
+     * imageSizes maps imageFilename -> { width, height } in pixels; islands
+     * whose image size is unknown are exported as rectangles.
+     */
+    toTiled(world, islands, imageSizes = {}) {
+        const gridSize = world.gridSize || 100;
+        let nextObjectId = 1;
+
+        // Image collection tileset: one tile per island image
+        const tiles = [];
+        const gidByImage = new Map();
+        islands.forEach(island => {
+            const size = island.imageFilename && imageSizes[island.imageFilename];
+            if (size && !gidByImage.has(island.imageFilename)) {
+                gidByImage.set(island.imageFilename, tiles.length + 1);
+                tiles.push({
+                    id: tiles.length,
+                    image: `${this.imageBasePath}${island.imageFilename}`,
+                    imagewidth: size.width,
+                    imageheight: size.height
+                });
+            }
+        });
+
+        const islandObjects = [];
+        const collisionObjects = [];
+        const townObjects = [];
+
+        islands.forEach(island => {
+            const scale = island.scale || 1;
+            const rotation = island.rotation || 0;
+            const size = island.imageFilename && imageSizes[island.imageFilename];
+            const width = size ? size.width * scale : (island.radius || 100) * 2;
+            const height = size ? size.height * scale : (island.radius || 100) * 2;
+
+            // Tiled rotates around the object origin: bottom-left for tiles, top-left otherwise
+            const originOffset = size ? { x: -width / 2, y: height / 2 } : { x: -width / 2, y: -height / 2 };
+            const origin = this.rotate(originOffset, rotation);
+
+            // Collision and town objects point back at their island by id (or name, for unsaved islands)
+            const islandKey = island.id || island.name;
+
+            const properties = [
+                this.property('centerX', island.x, 'float'),
+                this.property('centerY', island.y, 'float'),
+                this.property('scale', scale, 'float')
+            ];
+            if (island.id) {
+                properties.unshift(this.property('id', island.id));
+            }
+            if (island.imageFilename) {
+                properties.push(this.property('imageFilename', island.imageFilename));
+            }
+            properties.push(...this.extraProperties(island, ISLAND_GEOMETRY_FIELDS));
+
+            const object = {
+                id: nextObjectId++,
+                name: island.name,
+                type: 'island',
+                x: island.x + origin.x,
+                y: island.y + origin.y,
+                width,
+                height,
+                rotation,
+                visible: true,
+                properties
+            };
+            if (size) {
+                object.gid = gidByImage.get(island.imageFilename);
+            }
+            islandObjects.push(object);
+
+            (island.collisionCircles || []).forEach((circle, index) => {
+                collisionObjects.push({
+                    id: nextObjectId++,
+                    name: `${island.name} #${index + 1}`,
+                    type: 'collision',
+                    ellipse: true,
+                    x: island.x + circle.x - circle.radius,
+                    y: island.y + circle.y - circle.radius,
+                    width: circle.radius * 2,
+                    height: circle.radius * 2,
+                    rotation: 0,
+                    visible: true,
+                    properties: [
+                        this.property('island', islandKey),
+                        this.property('offsetX', circle.x, 'float'),
+                        this.property('offsetY', circle.y, 'float'),
+                        this.property('radius', circle.radius, 'float')
+                    ]
+                });
+            });
+
+            // Legacy polygons are in world coordinates, so a zero origin keeps them exact
+            if (island.collision && island.collision.length > 0) {
+                collisionObjects.push({
+                    id: nextObjectId++,
+                    name: `${island.name} polygon`,
+                    type: 'collision',
+                    x: 0,
+                    y: 0,
+                    width: 0,
+                    height: 0,
+                    rotation: 0,
+                    visible: true,
+                    polygon: island.collision.map(point => ({ x: point.x, y: point.y })),
+                    properties: [this.property('island', islandKey)]
+                });
+            }
+
+            (island.towns || []).forEach(town => {
+                const radius = town.radius || 0;
+                townObjects.push({
+                    id: nextObjectId++,
+                    name: town.name,
+                    type: 'town',
+                    ellipse: true,
+                    x: island.x + town.x - radius,
+                    y: island.y + town.y - radius,
+                    width: radius * 2,
+                    height: radius * 2,
+                    rotation: 0,
+                    visible: true,
+                    properties: [
+                        this.property('island', islandKey),
+                        this.property('offsetX', town.x, 'float'),
+                        this.property('offsetY', town.y, 'float'),
+                        ...this.extraProperties(town, ['name', 'x', 'y'])
+                    ]
+                });
+            });
+        });
+
+        const layer = (id, name, objects) => ({
+            id,
+            name,
+            type: 'objectgroup',
+            draworder: 'topdown',
+            objects,
+            opacity: 1,
+            visible: true,
+            x: 0,
+            y: 0
+        });
+
+        const maxTileWidth = Math.max(1, ...tiles.map(tile => tile.imagewidth));
+        const maxTileHeight = Math.max(1, ...tiles.map(tile => tile.imageheight));
+
+        return {
+            type: 'map',
+            version: TILED_VERSION,
+            tiledversion: TILED_EDITOR_VERSION,
+            orientation: 'orthogonal',
+            renderorder: 'right-down',
+            infinite: false,
+            width: Math.ceil(world.width / gridSize),
+            height: Math.ceil(world.height / gridSize),
+            tilewidth: gridSize,
+            tileheight: gridSize,
+            nextlayerid: 4,
+            nextobjectid: nextObjectId,
+            properties: [
+                this.property('worldWidth', world.width),
+                this.property('worldHeight', world.height),
+                this.property('units', world.units || 'pixels')
+            ],
+            tilesets: tiles.length === 0 ? [] : [{
+                firstgid: 1,
+                name: 'Islands',
+                tilewidth: maxTileWidth,
+                tileheight: maxTileHeight,
+                tilecount: tiles.length,
+                columns: 0,
+                margin: 0,
+                spacing: 0,
+                grid: { orientation: 'orthogonal', width: 1, height: 1 },
+                tiles
+            }],
+            layers: [
+                layer(1, 'Islands', islandObjects),
+                layer(2, 'Collision', collisionObjects),
+                layer(3, 'Towns', townObjects)
+            ]
+        };
+    }
+
+    /**
+     * Typed Tiled property; objects and arrays are stored as JSON strings.
+     * Geometry passes type 'float' so Tiled does not restrict it to integers.
+     */
+    property(name, value, type = null) {
+        if (typeof value === 'boolean') {
+            return { name, type: 'bool', value };
+        }
+        if (typeof value === 'number') {
+            return { name, type: type || (Number.isInteger(value) ? 'int' : 'float'), value };
+        }
+        if (value !== null && typeof value === 'object') {
+            return { name, type: 'string', value: JSON.stringify(value), propertytype: 'json' };
+        }
+        return { name, type: 'string', value: value === undefined || value === null ? '' : String(value) };
+    }
+
+    extraProperties(source, skipFields) {
+        return Object.keys(source)
+            .filter(field => !skipFields.includes(field) && source[field] !== undefined && typeof source[field] !== 'function')
+            .map(field => this.property(field, source[field]));
+    }
+
+    rotate(point, degrees) {
+        if (!degrees) return { x: point.x, y: point.y };
+        const angle = (degrees * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return { x: point.x * cos - point.y * sin, y: point.x * sin + point.y * cos };
+    }
+
+    // Import
+
+    /**
+     * Read a Tiled JSON map back into { worldConfig, islands }
+     */
+    fromTiled(map) {
+        if (!map || map.type !== 'map' || !Array.isArray(map.layers)) {
+            throw new Error('Not a Tiled map');
+        }
+
+        const mapProperties = this.readProperties(map.properties);
+        const gridSize = map.tilewidth || 100;
+        const worldConfig = {
+            width: mapProperties.worldWidth !== undefined ? mapProperties.worldWidth : map.width * map.tilewidth,
+            height: mapProperties.worldHeight !== undefined ? mapProperties.worldHeight : map.height * map.tileheight,
+            gridSize,
+            units: mapProperties.units || 'pixels'
+        };
+
+        // gid -> image tile (gids may carry flip flags in the top bits)
+        const tilesByGid = new Map();
+        (map.tilesets || []).forEach(tileset => {
+            (tileset.tiles || []).forEach(tile => {
+                tilesByGid.set(tileset.firstgid + tile.id, tile);
+            });
+        });
+
+        const objectsIn = name => {
+            const layer = this.findLayer(map.layers, name);
+            return layer ? layer.objects || [] : [];
+        };
+
+        const islands = [];
+        const islandsByKey = new Map();
+
+        objectsIn('Islands').forEach(object => {
+            const props = this.readProperties(object.properties);
+            const tile = object.gid ? tilesByGid.get(object.gid & 0x1fffffff) : null;
+            const rotation = object.rotation || 0;
+
+            // Scale from the drawn size unless it still matches the stored scale
+            let scale = props.scale !== undefined ? props.scale : 1;
+            if (tile && !this.near(object.width, tile.imagewidth * scale)) {
+                scale = object.width / tile.imagewidth;
+            }
+
+            const originOffset = tile
+                ? { x: -object.width / 2, y: object.height / 2 }
+                : { x: -object.width / 2, y: -object.height / 2 };
+            const origin = this.rotate(originOffset, rotation);
+            let x = object.x - origin.x;
+            let y = object.y - origin.y;
+            if (this.near(x, props.centerX) && this.near(y, props.centerY)) {
+                x = props.centerX;
+                y = props.centerY;
+            }
+
+            const imageFilename = tile
+                ? tile.image.split(/[\\/]/).pop()
+                : (props.imageFilename || null);
+
+            const island = {};
+            if (props.id) island.id = props.id;
+            island.name = object.name || props.id || `Island_${object.id}`;
+            const islandKey = props.id || island.name;
+            island.x = x;
+            island.y = y;
+            island.scale = scale;
+            if (rotation) island.rotation = rotation;
+            if (imageFilename) island.imageFilename = imageFilename;
+            island.collisionCircles = [];
+
+            Object.keys(props)
+                .filter(name => !['id', 'centerX', 'centerY', 'scale', 'imageFilename'].includes(name))
+                .forEach(name => { island[name] = props[name]; });
+
+            islands.push(island);
+            islandsByKey.set(islandKey, island);
+        });
+
+        // Collision shapes belong to the island named in their "island" property
+        objectsIn('Collision').forEach(object => {
+            const props = this.readProperties(object.properties);
+            const island = islandsByKey.get(props.island);
+            if (!island) return;
+
+            if (object.polygon) {
+                island.collision = object.polygon.map(point => ({
+                    x: object.x + point.x,
+                    y: object.y + point.y
+                }));
+                return;
+            }
+
+            const radius = object.width / 2;
+            const centerX = object.x + radius;
+            const centerY = object.y + object.height / 2;
+            if (this.nearOffset(centerX, centerY, island, props) && this.near(radius, props.radius)) {
+                island.collisionCircles.push({ x: props.offsetX, y: props.offsetY, radius: props.radius });
+            } else {
+                island.collisionCircles.push({ x: centerX - island.x, y: centerY - island.y, radius });
+            }
+        });
+
+        objectsIn('Towns').forEach(object => {
+            const props = this.readProperties(object.properties);
+            const island = islandsByKey.get(props.island);
+            if (!island) return;
+
+            const radius = object.width / 2;
+            const centerX = object.x + radius;
+            const centerY = object.y + object.height / 2;
+            const unmoved = this.nearOffset(centerX, centerY, island, props);
+            const x = unmoved ? props.offsetX : centerX - island.x;
+            const y = unmoved ? props.offsetY : centerY - island.y;
+
+            const town = { name: object.name, x, y };
+            Object.keys(props)
+                .filter(name => !['island', 'offsetX', 'offsetY'].includes(name))
+                .forEach(name => { town[name] = props[name]; });
+            if (!this.near(radius, town.radius)) {
+                town.radius = radius;
+            }
+
+            island.towns = island.towns || [];
+            island.towns.push(town);
+        });
+
+        return { worldConfig, islands };
+    }
+
+    findLayer(layers, name) {
+        for (const layer of layers) {
+            if (layer.type === 'objectgroup' && layer.name === name) return layer;
+            if (layer.type === 'group' && layer.layers) {
+                const nested = this.findLayer(layer.layers, name);
+                if (nested) return nested;
+            }
+        }
+        return null;
+    }
+
+    readProperties(properties = []) {
+        const result = {};
+        properties.forEach(({ name, type, value, propertytype }) => {
+            if (propertytype === 'json' && typeof value === 'string') {
+                try {
+                    result[name] = JSON.parse(value);
+                    return;
+                } catch (error) {
+                    // Not JSON after editing in Tiled - keep the text
+                }
+            }
+            if (type === 'int' || type === 'float') {
+                result[name] = Number(value);
+            } else if (type === 'bool') {
+                result[name] = value === true || value === 'true';
+            } else {
+                result[name] = value;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Same value up to the rounding Tiled applies when saving
+     */
+    near(value, stored) {
+        return typeof stored === 'number' && Math.abs(value - stored) <= 1e-5 * Math.max(1, Math.abs(stored));
+    }
+
+    /**
+     * Whether a world position is still the island position plus the stored
+     * offset, compared in world units so rounding is judged at map scale
+     */
+    nearOffset(x, y, island, props) {
+        return typeof props.offsetX === 'number' && typeof props.offsetY === 'number' &&
+            this.near(x, island.x + props.offsetX) && this.near(y, island.y + props.offsetY);
+    }
+
+    // TMX (XML)
+
+    toTmx(map) {
+        const attrs = values => Object.entries(values)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => ` ${key}="${this.escapeXml(typeof value === 'boolean' ? Number(value) : value)}"`)
+            .join('');
+
+        const propertiesXml = (properties, indent) => {
+            if (!properties || properties.length === 0) return '';
+            const items = properties.map(({ name, type, value, propertytype }) =>
+                `${indent} <property${attrs({ name, type: type === 'string' ? undefined : type, propertytype, value: String(value) })}/>`);
+            return `${indent}<properties>\n${items.join('\n')}\n${indent}</properties>\n`;
+        };
+
+        const objectXml = object => {
+            const head = `  <object${attrs({
+                id: object.id,
+                name: object.name,
+                type: object.type,
+                gid: object.gid,
+                x: object.x,
+                y: object.y,
+                width: object.width || undefined,
+                height: object.height || undefined,
+                rotation: object.rotation || undefined
+            })}`;
+            let body = propertiesXml(object.properties, '   ');
+            if (object.ellipse) body += '   <ellipse/>\n';
+            if (object.polygon) body += `   <polygon points="${object.polygon.map(point => `${point.x},${point.y}`).join(' ')}"/>\n`;
+            return body ? `${head}>\n${body}  </object>` : `${head}/>`;
+        };
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<map${attrs({
+                version: map.version,
+                tiledversion: map.tiledversion,
+                orientation: map.orientation,
+                renderorder: map.renderorder,
+                width: map.width,
+                height: map.height,
+                tilewidth: map.tilewidth,
+                tileheight: map.tileheight,
+                infinite: map.infinite,
+                nextlayerid: map.nextlayerid,
+                nextobjectid: map.nextobjectid
+            })}>`
+        ];
+        const mapProperties = propertiesXml(map.properties, ' ');
+        if (mapProperties) lines.push(mapProperties.trimEnd());
+
+        map.tilesets.forEach(tileset => {
+            lines.push(` <tileset${attrs({
+                firstgid: tileset.firstgid,
+                name: tileset.name,
+                tilewidth: tileset.tilewidth,
+                tileheight: tileset.tileheight,
+                tilecount: tileset.tilecount,
+                columns: tileset.columns
+            })}>`);
+            lines.push('  <grid orientation="orthogonal" width="1" height="1"/>');
+            tileset.tiles.forEach(tile => {
+                lines.push(`  <tile id="${tile.id}">`);
+                lines.push(`   <image${attrs({ source: tile.image, width: tile.imagewidth, height: tile.imageheight })}/>`);
+                lines.push('  </tile>');
+            });
+            lines.push(' </tileset>');
+        });
+
+        map.layers.forEach(layer => {
+            lines.push(` <objectgroup${attrs({ id: layer.id, name: layer.name })}>`);
+            layer.objects.forEach(object => lines.push(objectXml(object)));
+            lines.push(' </objectgroup>');
+        });
+
+        lines.push('</map>');
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Parse TMX into the same structure as Tiled JSON
+     */
+    fromTmx(text) {
+        const root = this.parseXml(text);
+        if (root.name !== 'map') {
+            throw new Error('Not a TMX map');
+        }
+
+        const number = value => (value === undefined ? undefined : Number(value));
+        const childrenNamed = (element, name) => element.children.filter(child => child.name === name);
+        const readProperties = element => {
+            const container = childrenNamed(element, 'properties')[0];
+            if (!container) return [];
+            return childrenNamed(container, 'property').map(property => ({
+                name: property.attributes.name,
+                type: property.attributes.type || 'string',
+                propertytype: property.attributes.propertytype,
+                value: property.attributes.value !== undefined ? property.attributes.value : property.text
+            }));
+        };
+
+        const readObject = element => {
+            const a = element.attributes;
+            const object = {
+                id: number(a.id),
+                name: a.name || '',
+                type: a.type || a.class || '',
+                x: number(a.x) || 0,
+                y: number(a.y) || 0,
+                width: number(a.width) || 0,
+                height: number(a.height) || 0,
+                rotation: number(a.rotation) || 0,
+                properties: readProperties(element)
+            };
+            if (a.gid !== undefined) object.gid = number(a.gid);
+            if (childrenNamed(element, 'ellipse').length > 0) object.ellipse = true;
+            const polygon = childrenNamed(element, 'polygon')[0];
+            if (polygon) {
+                object.polygon = polygon.attributes.points.trim().split(/\s+/).map(pair => {
+                    const [x, y] = pair.split(',').map(Number);
+                    return { x, y };
+                });
+            }
+            return object;
+        };
+
+        const readLayers = element => element.children
+            .filter(child => child.name === 'objectgroup' || child.name === 'group')
+            .map(child => (child.name === 'group'
+                ? { type: 'group', name: child.attributes.name, layers: readLayers(child) }
+                : {
+                    type: 'objectgroup',
+                    id: number(child.attributes.id),
+                    name: child.attributes.name,
+                    objects: childrenNamed(child, 'object').map(readObject)
+                }));
+
+        const a = root.attributes;
+        return {
+            type: 'map',
+            version: a.version,
+            orientation: a.orientation,
+            width: number(a.width),
+            height: number(a.height),
+            tilewidth: number(a.tilewidth),
+            tileheight: number(a.tileheight),
+            properties: readProperties(root),
+            tilesets: childrenNamed(root, 'tileset').map(tileset => {
+                if (tileset.attributes.source) {
+                    throw new Error(`External tilesets are not supported (${tileset.attributes.source}) - embed the tileset in Tiled`);
+                }
+                return {
+                    firstgid: number(tileset.attributes.firstgid),
+                    name: tileset.attributes.name,
+                    tiles: childrenNamed(tileset, 'tile').map(tile => {
+                        const image = childrenNamed(tile, 'image')[0];
+                        return {
+                            id: number(tile.attributes.id),
+                            image: image ? image.attributes.source : '',
+                            imagewidth: image ? number(image.attributes.width) : 0,
+                            imageheight: image ? number(image.attributes.height) : 0
+                        };
+                    })
+                };
+            }),
+            layers: readLayers(root)
+        };
+    }
+
+    /**
+     * Small XML parser for TMX: elements, attributes and text.
+     * Returns the root element as { name, attributes, children, text }.
+     */
+    parseXml(text) {
+        const stack = [{ name: '#document', attributes: {}, children: [], text: '' }];
+        const tagPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+        const attributePattern = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+        let match;
+        while ((match = tagPattern.exec(text)) !== null) {
+            const current = stack[stack.length - 1];
+            const [whole, cdata, closing, name, attributeText, selfClosing, textContent] = match;
+
+            if (textContent !== undefined || cdata !== undefined) {
+                current.text += cdata !== undefined ? cdata : this.unescapeXml(textContent);
+            } else if (name && closing) {
+                if (current.name !== name) {
+                    throw new Error(`Unexpected </${name}> in TMX`);
+                }
+                current.text = current.text.trim();
+                stack.pop();
+            } else if (name) {
+                const attributes = {};
+                let attribute;
+                attributePattern.lastIndex = 0;
+                while ((attribute = attributePattern.exec(attributeText)) !== null) {
+                    attributes[attribute[1]] = this.unescapeXml(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+                }
+                const element = { name, attributes, children: [], text: '' };
+                current.children.push(element);
+                if (!selfClosing) {
+                    stack.push(element);
+                }
+            } else if (whole.startsWith('<') && !whole.startsWith('<!--') && !whole.startsWith('<?') && !whole.startsWith('<!')) {
+                throw new Error('Malformed XML in TMX');
+            }
+        }
+
+        if (stack.length !== 1 || stack[0].children.length === 0) {
+            throw new Error('Unclosed or empty TMX document');
+        }
+        return stack[0].children[0];
+    }
+
+    escapeXml(value) {
+        // Newlines as references, since XML parsers turn raw ones in attributes into spaces
+        return String(value).replace(/[&<>"'\n\r\t]/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;',
+            '\n': '&#10;', '\r': '&#13;', '\t': '&#9;'
+        })[char]);
+    }
+
+    unescapeXml(value) {
+        return value.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (entity, code) => {
+            if (code[0] === '#') {
+                return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+            }
+            return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[code];
+        });
+    }
+}
+
+// Make available to the editor in the browser
+if (typeof window !== 'undefined') {
+    window.TiledFormat = TiledFormat;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TiledFormat;
+}
@@ -32,8 +32,22 @@ class GameMap {
         // Islands with Multi-Circle collision system
         this.islands = [];
         
+        // Broadphase over island collision shapes, rebuilt with the islands.
+        // islandsVersion lets other systems notice the islands were replaced.
+        this.collisionIndex = typeof SpatialHash !== 'undefined' ? new SpatialHash(512) : null;
+        this.islandsVersion = 0;
+        
+        // Hazard zones (shallows, reefs, whirlpools, calm water) from the map editor
+        this.hazards = [];
+        this.hazardIndex = typeof SpatialHash !== 'undefined' ? new SpatialHash(512) : null;
+        
+        // Wind field ships sail by (null without wind.js: sails then drive at full strength)
+        this.wind = typeof Wind !== 'undefined' ? new Wind() : null;
+        
         // Initialize islands with positions
         this.initializeIslands();
+        this.rebuildCollisionIndex();
+        this.updateHazards(typeof HAZARDS_DATA !== 'undefined' ? HAZARDS_DATA : []);
         
         console.log('🗺️ Map initialized with Multi-Circle collision system');
     }
@@ -94,6 +108,9 @@ class GameMap {
                         { x: -160, y: -155, radius: 120 },
                         { x: 140, y: 145, radius: 100 },
                         { x: -50, y: 100, radius: 80 }
+                    ],
+                    towns: [
+                        { id: 'saint_kitts_port', name: 'Saint Kitts Port', x: 150, y: -100, radius: 80, entryRadius: 120, nation: 'england', background: 'Saint-Kitts.jpg' }
                     ]
                 },
                 {
@@ -142,26 +159,23 @@ class GameMap {
                 islandImage = this.assets.island || this.assets.island2;
             }
             
-            // Calculate radius from collision circles if not provided
-            let radius = island.radius;
-            if (!radius && island.collisionCircles && island.collisionCircles.length > 0) {
-                // Find the maximum distance from center to edge of any collision circle
-                radius = 0;
-                island.collisionCircles.forEach(circle => {
-                    const distance = Math.sqrt(circle.x * circle.x + circle.y * circle.y) + circle.radius;
-                    radius = Math.max(radius, distance);
-                });
-            }
-            
             const gameIsland = {
+                id: island.id,
                 x: island.x,
                 y: island.y,
-                radius: radius || 400,
+                radius: GameMap.getIslandRadius(island),
                 name: island.name,
                 image: islandImage,
                 collisionCircles: []
             };
             
+            // Collision response overrides (CollisionManager has the defaults)
+            if (island.bounce !== undefined) gameIsland.bounce = island.bounce;
+            if (island.friction !== undefined) gameIsland.friction = island.friction;
+            
+            // Town and port areas, relative to the island centre (CollisionManager places them)
+            gameIsland.towns = Array.isArray(island.towns) ? island.towns : [];
+            
             // Convert collision data to Multi-Circle format
             if (island.collisionCircles && island.collisionCircles.length > 0) {
                 // Already in Multi-Circle format
@@ -234,6 +248,11 @@ class GameMap {
     update(deltaTime) {
         // Update wave animation time
         this.waveTime += deltaTime * this.waveSpeed;
+        
+        // Let the wind veer and gust
+        if (this.wind) {
+            this.wind.update(deltaTime);
+        }
     }
     
     render(ctx, deltaTime, cameraX, cameraY, zoom, ship) {
@@ -271,10 +290,64 @@ class GameMap {
         if (newIslands && Array.isArray(newIslands)) {
             console.log('🔄 Updating islands from map editor...');
             this.islands = this.convertMapEditorData(newIslands);
+            this.rebuildCollisionIndex();
             console.log(`✅ Updated ${this.islands.length} islands`);
         }
     }
     
+    /**
+     * Replace the hazard zones, filling in the per-type defaults
+     * from GameMap.HAZARD_DEFAULTS
+     */
+    updateHazards(newHazards) {
+        if (!Array.isArray(newHazards)) return;
+        
+        this.hazards = newHazards
+            .filter(hazard => GameMap.HAZARD_DEFAULTS[hazard.type])
+            .map(hazard => ({ ...GameMap.HAZARD_DEFAULTS[hazard.type], ...hazard }));
+        
+        if (this.hazardIndex) {
+            this.hazardIndex.clear();
+            this.hazards.forEach(hazard => this.hazardIndex.insert(hazard, hazard.x, hazard.y, hazard.radius));
+        }
+        console.log(`⚠️ ${this.hazards.length} hazard zones loaded`);
+    }
+    
+    /**
+     * Hazard zones containing the point (x, y)
+     */
+    getHazardsAt(x, y) {
+        const candidates = this.hazardIndex ? this.hazardIndex.query(x, y) : this.hazards;
+        return candidates.filter(hazard => {
+            const dx = x - hazard.x;
+            const dy = y - hazard.y;
+            return dx * dx + dy * dy <= hazard.radius * hazard.radius;
+        });
+    }
+    
+    /**
+     * Index every collision circle (or the island radius when an island has
+     * none) in world coordinates
+     */
+    rebuildCollisionIndex() {
+        this.islandsVersion++;
+        if (!this.collisionIndex) return;
+        
+        this.collisionIndex.clear();
+        this.islands.forEach(island => {
+            if (!island.collisionCircles || island.collisionCircles.length === 0) {
+                this.collisionIndex.insert({ island, circle: null, x: island.x, y: island.y, radius: island.radius },
+                    island.x, island.y, island.radius);
+                return;
+            }
+            island.collisionCircles.forEach(circle => {
+                const x = island.x + circle.x;
+                const y = island.y + circle.y;
+                this.collisionIndex.insert({ island, circle, x, y, radius: circle.radius }, x, y, circle.radius);
+            });
+        });
+    }
+    
     renderWaveLayers(ctx) {
         // Calculate visible area for optimization
         const visibleBounds = {
@@ -547,5 +620,47 @@ class GameMap {
         ctx.fillText(`Collision System: Multi-Circle`, 10, 50);
         ctx.fillText(`Total Islands: ${this.islands.length}`, 10, 65);
         ctx.fillText(`Collision Circles: ${this.islands.reduce((sum, i) => sum + (i.collisionCircles?.length || 1), 0)}`, 10, 80);
+        ctx.fillText(`Hazard Zones: ${this.hazards.length}`, 10, 95);
+    }
+    
+    /**
+     * Radius the game gives an island: its own, else how far its collision
+     * circles reach from the centre, else 400
+     */
+    static getIslandRadius(island) {
+        if (island.radius) return island.radius;
+        
+        // Find the maximum distance from center to edge of any collision circle
+        let radius = 0;
+        (island.collisionCircles || []).forEach(circle => {
+            const distance = Math.sqrt(circle.x * circle.x + circle.y * circle.y) + circle.radius;
+            radius = Math.max(radius, distance);
+        });
+        return radius || 400;
     }
-}
\ No newline at end of file
+    
+    /**
+     * World units per image pixel as renderIslands draws the island's
+     * image (across the island's diameter), or island.scale when the
+     * image width is not known
+     */
+    static getImageScale(island, imageWidth) {
+        if (imageWidth) {
+            return GameMap.getIslandRadius(island) * 2 / imageWidth;
+        }
+        return island.scale || 1;
+    }
+}
+
+// Effect strengths per hazard type; zones in HAZARDS_DATA can override any of them
+GameMap.HAZARD_DEFAULTS = {
+    shallows: { maxSpeed: 150 },          // Speed cap (px/s) while over the shallows
+    reef: { damagePerSecond: 8 },         // Hull damage per second while moving over the reef
+    whirlpool: { pull: 180 },             // Pull towards the centre (px/s²), strongest at the centre
+    calm: { windFactor: 0.3 }             // Share of the wind left to fill the sails
+};
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameMap;
+}
@@ -53,6 +53,9 @@ class PortManager {
             
             this.currentPort = portData;
             this.game.gameState = 'port';
+            this.game.lastPortId = portData.id; // Respawn point if the ship sinks
+            this.game.toggleCargoPanel(false); // The port footer opens the hold instead
+            this.game.ship.endVoyage();
             
             // Load port background image
             await this.loadPortBackground();
@@ -84,10 +87,29 @@ class PortManager {
                 this.portBackground = null;
                 resolve(); // Continue even if image fails to load
             };
-            img.src = 'assets/Ports/Saint-Kitts.jpg';
+            img.src = this.getBackgroundPath(this.currentPort);
         });
     }
     
+    /**
+     * Background image for a port: its own file in assets/Ports, or the default
+     */
+    getBackgroundPath(port) {
+        return `assets/Ports/${encodeURIComponent(port.background || PortManager.DEFAULT_BACKGROUND)}`;
+    }
+    
+    /**
+     * Title flag and subtitle from the port's nation and type
+     */
+    getPortHeading(port) {
+        const nation = PortManager.NATIONS[port.nation];
+        const description = PortManager.TOWN_TYPES[port.type] || PortManager.TOWN_TYPES.port;
+        return {
+            flag: nation ? nation.flag : '⚓',
+            subtitle: nation ? `${description} under the flag of ${nation.name}` : description
+        };
+    }
+    
     createPortInterface() {
         // Remove existing interface if any
         this.removePortInterface();
@@ -97,18 +119,20 @@ class PortManager {
         this.portInterface.id = 'portInterface';
         this.portInterface.className = 'port-interface';
         
+        const heading = this.getPortHeading(this.currentPort);
+        
         // Set up the interface HTML
         this.portInterface.innerHTML = `
             <div class="port-background">
-                <img src="assets/Ports/Saint-Kitts.jpg" alt="Saint Kitts Port" class="port-background-img" 
+                <img src="${this.getBackgroundPath(this.currentPort)}" alt="${this.currentPort.name}" class="port-background-img" 
                      onerror="this.style.display='none'; this.parentElement.style.background='linear-gradient(135deg, #2C5282, #3182CE, #4299E1)';">
                 <div class="port-overlay"></div>
             </div>
             
             <div class="port-content">
                 <header class="port-header">
-                    <h1 class="port-title">�🇧 ${this.currentPort.name}</h1>
-                    <p class="port-subtitle">A bustling colonial port city</p>
+                    <h1 class="port-title">${heading.flag} ${this.currentPort.name}</h1>
+                    <p class="port-subtitle">${heading.subtitle}</p>
                 </header>
                 
                 <main class="port-main">
@@ -118,6 +142,9 @@ class PortManager {
                 </main>
                 
                 <footer class="port-footer">
+                    <button class="cargo-btn" onclick="game.portManager.showCargoInterface()">
+                        🧺 Cargo Hold
+                    </button>
                     <button class="exit-port-btn" onclick="game.portManager.exitPort()">
                         🚢 Return to Ship
                     </button>
@@ -135,7 +162,13 @@ class PortManager {
     }
     
     createServicesHTML() {
-        const serviceKeys = ['governor', 'market', 'tavern', 'dockmaster', 'bank', 'church'];
+        // Only the services this port offers, in the port's own order
+        const serviceKeys = (this.currentPort.services || Object.keys(this.services))
+            .filter(serviceKey => this.services[serviceKey]);
+        
+        if (serviceKeys.length === 0) {
+            return '<p class="service-description">Nothing here but a jetty and a few fishing boats.</p>';
+        }
         
         return serviceKeys.map(serviceKey => {
             const service = this.services[serviceKey];
@@ -192,8 +225,7 @@ class PortManager {
                     <button class="close-modal-btn" onclick="this.parentElement.parentElement.parentElement.remove()">×</button>
                 </header>
                 <main class="service-modal-body">
-                    <p>${service.description}</p>
-                    ${this.getServiceContent(serviceKey)}
+                    ${this.getServiceBody(serviceKey)}
                 </main>
                 <footer class="service-modal-footer">
                     <button class="modal-btn secondary" onclick="this.parentElement.parentElement.parentElement.remove()">
@@ -213,6 +245,26 @@ class PortManager {
         });
     }
     
+    getServiceBody(serviceKey) {
+        if (serviceKey === 'cargo') {
+            return this.game.getCargoHTML();
+        }
+        return `
+                    <p>${this.services[serviceKey].description}</p>
+                    ${this.getServiceContent(serviceKey)}
+        `;
+    }
+    
+    /**
+     * Re-render an open service modal (after a purchase changed what it shows)
+     */
+    refreshServiceInterface(serviceKey) {
+        const body = this.portInterface && this.portInterface.querySelector('.service-modal-body');
+        if (body) {
+            body.innerHTML = this.getServiceBody(serviceKey);
+        }
+    }
+    
     getServiceContent(serviceKey) {
         switch (serviceKey) {
             case 'governor':
@@ -233,11 +285,7 @@ class PortManager {
                     <div class="service-content">
                         <h3>Trading Post</h3>
                         <p>Merchants from across the Caribbean gather here to trade.</p>
-                        <div class="service-options">
-                            <button class="modal-btn primary" onclick="alert('Buy Goods - Coming Soon!')">Buy Goods</button>
-                            <button class="modal-btn primary" onclick="alert('Sell Cargo - Coming Soon!')">Sell Cargo</button>
-                            <button class="modal-btn primary" onclick="alert('View Prices - Coming Soon!')">View Market Prices</button>
-                        </div>
+                        ${this.getMarketHTML()}
                     </div>
                 `;
             
@@ -246,10 +294,9 @@ class PortManager {
                     <div class="service-content">
                         <h3>The Salty Sailor</h3>
                         <p>A rowdy establishment where sailors gather to drink and share tales.</p>
+                        ${this.getTavernHTML()}
                         <div class="service-options">
-                            <button class="modal-btn primary" onclick="alert('Hire Crew - Coming Soon!')">Hire Crew</button>
                             <button class="modal-btn primary" onclick="alert('Gather Info - Coming Soon!')">Gather Information</button>
-                            <button class="modal-btn primary" onclick="alert('Buy Drinks - Coming Soon!')">Buy Drinks</button>
                         </div>
                     </div>
                 `;
@@ -259,8 +306,9 @@ class PortManager {
                     <div class="service-content">
                         <h3>Harbor Master's Office</h3>
                         <p>Manage your ship and harbor affairs here.</p>
+                        ${this.getRepairHTML()}
                         <div class="service-options">
-                            <button class="modal-btn primary" onclick="alert('Ship Repairs - Coming Soon!')">Repair Ship</button>
+                            ${this.getRepairButtonHTML()}
                             <button class="modal-btn primary" onclick="alert('Ship Upgrades - Coming Soon!')">Upgrade Ship</button>
                             <button class="modal-btn primary" onclick="alert('Harbor Info - Coming Soon!')">Harbor Information</button>
                         </div>
@@ -298,6 +346,312 @@ class PortManager {
         }
     }
     
+    /**
+     * The player's hold, in the same modal as the services
+     */
+    showCargoInterface() {
+        this.showServiceInterface('cargo', PortManager.CARGO_VIEW);
+    }
+    
+    // Market
+    
+    /**
+     * Buy and sell price of every good at a port: GOODS base prices times
+     * the port's own factor for each good (PortManager.getPriceFactor)
+     */
+    getMarketPrices(port = this.currentPort) {
+        const goods = typeof GOODS !== 'undefined' ? GOODS : {};
+        const prices = {};
+        Object.keys(goods).forEach(goodId => {
+            const buy = Math.max(1, Math.round(goods[goodId].basePrice * PortManager.getPriceFactor(port.id, goodId)));
+            prices[goodId] = { buy, sell: Math.floor(buy * PortManager.MARKET_SELL_SHARE) };
+        });
+        return prices;
+    }
+    
+    getMarketHTML() {
+        const ship = this.game.ship;
+        const prices = this.getMarketPrices();
+        const load = ship.getCargoLoad();
+        const rows = Object.keys(prices).map(goodId => {
+            const good = GOODS[goodId];
+            const held = ship.getCargoQuantity(goodId);
+            const canBuy = ship.gold >= prices[goodId].buy && ship.getCargoSpace(goodId) > 0 ? '' : 'disabled';
+            const canSell = held > 0 ? '' : 'disabled';
+            return `
+                            <tr>
+                                <td>${good.icon} ${good.name}</td>
+                                <td>${prices[goodId].buy}</td>
+                                <td>${prices[goodId].sell}</td>
+                                <td>${held}</td>
+                                <td class="market-actions">
+                                    <button class="modal-btn primary" onclick="game.portManager.buyGoods('${goodId}', 1)" ${canBuy}>Buy 1</button>
+                                    <button class="modal-btn primary" onclick="game.portManager.buyGoods('${goodId}', 10)" ${canBuy}>Buy 10</button>
+                                    <button class="modal-btn primary" onclick="game.portManager.sellGoods('${goodId}', 1)" ${canSell}>Sell 1</button>
+                                    <button class="modal-btn primary" onclick="game.portManager.sellGoods('${goodId}', Infinity)" ${canSell}>Sell all</button>
+                                </td>
+                            </tr>`;
+        }).join('');
+        return `
+                        <p class="repair-purse">Your purse: ${ship.gold} gold · Hold: ${load.weight.toFixed(1)}/${ship.cargoCapacity} t, ${load.volume.toFixed(1)}/${ship.cargoVolume} space</p>
+                        <table class="market-table">
+                            <thead>
+                                <tr><th>Goods</th><th>Buy</th><th>Sell</th><th>Aboard</th><th></th></tr>
+                            </thead>
+                            <tbody>${rows}
+                            </tbody>
+                        </table>
+        `;
+    }
+    
+    /**
+     * Buy up to `quantity` units for the player's ship, as many as the purse
+     * and the hold allow. Returns the units bought and the gold paid.
+     */
+    buyGoods(goodId, quantity) {
+        const ship = this.game.ship;
+        const price = this.getMarketPrices()[goodId];
+        if (!price) return { quantity: 0, cost: 0 };
+        
+        const affordable = Math.floor(ship.gold / price.buy);
+        const bought = ship.addCargo(goodId, Math.min(quantity, affordable));
+        const cost = bought * price.buy;
+        ship.gold -= cost;
+        
+        console.log(`🛒 Bought ${bought} ${goodId} for ${cost} gold`);
+        this.refreshServiceInterface('market');
+        return { quantity: bought, cost };
+    }
+    
+    /**
+     * Sell up to `quantity` units from the player's hold. Returns the units
+     * sold and the gold received.
+     */
+    sellGoods(goodId, quantity) {
+        const ship = this.game.ship;
+        const price = this.getMarketPrices()[goodId];
+        if (!price) return { quantity: 0, income: 0 };
+        
+        const sold = ship.removeCargo(goodId, quantity);
+        const income = sold * price.sell;
+        ship.gold += income;
+        
+        console.log(`💰 Sold ${sold} ${goodId} for ${income} gold`);
+        this.refreshServiceInterface('market');
+        return { quantity: sold, income };
+    }
+    
+    // Tavern
+    
+    /**
+     * Officers looking for a berth at a port, one per Ship.CREW_ROLES role:
+     * { name, skill, wage }, fixed per port and role like market prices
+     */
+    getTavernOfficers(port = this.currentPort) {
+        const names = PortManager.OFFICER_NAMES;
+        const officers = {};
+        Object.keys(Ship.CREW_ROLES).forEach(role => {
+            const skill = Math.round((0.3 + 0.7 * PortManager.hashShare(`${port.id}:${role}:skill`)) * 100) / 100;
+            officers[role] = {
+                name: names[Math.floor(PortManager.hashShare(`${port.id}:${role}:name`) * names.length)],
+                skill,
+                wage: Math.round(PortManager.TAVERN_PRICES.officerWage * (0.5 + skill))
+            };
+        });
+        return officers;
+    }
+    
+    getTavernHTML() {
+        const ship = this.game.ship;
+        const prices = PortManager.TAVERN_PRICES;
+        const candidates = this.getTavernOfficers();
+        const room = ship.crewCapacity - ship.crew;
+        const canHire = room > 0 && ship.gold >= prices.hand ? '' : 'disabled';
+        const canDismiss = ship.crew > 0 ? '' : 'disabled';
+        const drinks = ship.crew * prices.drinks;
+        
+        const rows = Object.keys(Ship.CREW_ROLES).map(role => {
+            const officer = ship.officers[role];
+            const candidate = candidates[role];
+            const fee = candidate.wage * prices.officerFeeDays;
+            const hired = officer && officer.name === candidate.name;
+            // A berth must be free (dismiss the officer aboard first)
+            const canHireOfficer = !officer && ship.gold >= fee ? '' : 'disabled';
+            return `
+                            <tr>
+                                <td title="${Ship.CREW_ROLES[role].description}">${Ship.CREW_ROLES[role].name}</td>
+                                <td>${officer ? `${officer.name} (${Math.round(officer.skill * 100)}%)` : '-'}</td>
+                                <td>${hired ? '-' : `${candidate.name} (${Math.round(candidate.skill * 100)}%), ${candidate.wage} gold/day`}</td>
+                                <td class="market-actions">
+                                    <button class="modal-btn primary" onclick="game.portManager.hireOfficer('${role}')" ${canHireOfficer}>Hire (${fee} gold)</button>
+                                    <button class="modal-btn primary" onclick="game.portManager.dismissOfficer('${role}')" ${officer ? '' : 'disabled'}>Dismiss</button>
+                                </td>
+                            </tr>`;
+        }).join('');
+        
+        return `
+                        <p class="repair-status">Crew ${ship.crew}/${ship.crewCapacity}, morale ${Math.round(ship.morale)}%, wages ${ship.getDailyWages()} gold a day${ship.wagesOwed > 0 ? `, <strong>${ship.wagesOwed} gold owed</strong>` : ''}.</p>
+                        <p class="repair-purse">Your purse: ${ship.gold} gold</p>
+                        <div class="service-options">
+                            <button class="modal-btn primary" onclick="game.portManager.hireCrew(1)" ${canHire}>Hire a Hand (${prices.hand} gold)</button>
+                            <button class="modal-btn primary" onclick="game.portManager.hireCrew(10)" ${canHire}>Hire 10 Hands</button>
+                            <button class="modal-btn primary" onclick="game.portManager.dismissCrew(10)" ${canDismiss}>Dismiss 10 Hands</button>
+                            <button class="modal-btn primary" onclick="game.portManager.payWages()" ${ship.wagesOwed > 0 && ship.gold > 0 ? '' : 'disabled'}>Pay Wages Owed</button>
+                            <button class="modal-btn primary" onclick="game.portManager.buyDrinks()" ${ship.crew > 0 && ship.gold >= drinks ? '' : 'disabled'}>Buy the Crew a Round (${drinks} gold)</button>
+                        </div>
+                        <table class="market-table">
+                            <thead>
+                                <tr><th>Role</th><th>Aboard</th><th>Looking for a berth</th><th></th></tr>
+                            </thead>
+                            <tbody>${rows}
+                            </tbody>
+                        </table>
+        `;
+    }
+    
+    /**
+     * Sign on up to `count` hands, as many as the purse and the crew
+     * quarters allow. Returns the hands hired and the gold paid.
+     */
+    hireCrew(count) {
+        const ship = this.game.ship;
+        const price = PortManager.TAVERN_PRICES.hand;
+        const hired = Math.max(0, Math.min(count, ship.crewCapacity - ship.crew, Math.floor(ship.gold / price)));
+        const cost = hired * price;
+        ship.crew += hired;
+        ship.gold -= cost;
+        
+        console.log(`🍺 Hired ${hired} hands for ${cost} gold`);
+        this.refreshServiceInterface('tavern');
+        return { hired, cost };
+    }
+    
+    /**
+     * Put up to `count` hands ashore. Returns the hands dismissed.
+     */
+    dismissCrew(count) {
+        const ship = this.game.ship;
+        const dismissed = Math.max(0, Math.min(count, ship.crew));
+        ship.crew -= dismissed;
+        
+        console.log(`🍺 Dismissed ${dismissed} hands`);
+        this.refreshServiceInterface('tavern');
+        return dismissed;
+    }
+    
+    /**
+     * Hire this port's officer for a free role for
+     * PortManager.TAVERN_PRICES.officerFeeDays of their wage up front.
+     * Returns false if the role is filled or the purse can't cover it.
+     */
+    hireOfficer(role) {
+        const ship = this.game.ship;
+        const officer = this.getTavernOfficers()[role];
+        if (!officer || ship.officers[role]) return false;
+        const fee = officer.wage * PortManager.TAVERN_PRICES.officerFeeDays;
+        if (ship.gold < fee) return false;
+        
+        ship.gold -= fee;
+        ship.officers[role] = { ...officer };
+        console.log(`🍺 ${officer.name} signed on as ${Ship.CREW_ROLES[role].name} for ${fee} gold`);
+        this.refreshServiceInterface('tavern');
+        return true;
+    }
+    
+    dismissOfficer(role) {
+        const ship = this.game.ship;
+        if (!ship.officers[role]) return false;
+        ship.officers[role] = null;
+        this.refreshServiceInterface('tavern');
+        return true;
+    }
+    
+    /**
+     * Pay off as much of the wages owed as the purse covers. Returns the gold paid.
+     */
+    payWages() {
+        const ship = this.game.ship;
+        const paid = Math.min(ship.gold, ship.wagesOwed);
+        ship.gold -= paid;
+        ship.wagesOwed -= paid;
+        this.refreshServiceInterface('tavern');
+        return paid;
+    }
+    
+    /**
+     * A round for the whole crew raises morale by PortManager.TAVERN_PRICES.drinksMorale.
+     * Returns false if the purse can't cover it.
+     */
+    buyDrinks() {
+        const ship = this.game.ship;
+        const cost = ship.crew * PortManager.TAVERN_PRICES.drinks;
+        if (ship.crew === 0 || ship.gold < cost) return false;
+        
+        ship.gold -= cost;
+        ship.changeMorale(PortManager.TAVERN_PRICES.drinksMorale);
+        this.refreshServiceInterface('tavern');
+        return true;
+    }
+    
+    // Dockmaster repairs
+    
+    /**
+     * Damage to repair and what it costs at PortManager.REPAIR_PRICES
+     */
+    getRepairQuote(ship) {
+        const damage = ship.getDamage();
+        const prices = PortManager.REPAIR_PRICES;
+        return {
+            hull: damage.hull,
+            sails: damage.sails,
+            cost: Math.ceil(damage.hull * prices.hull + damage.sails * prices.sails)
+        };
+    }
+    
+    getRepairHTML() {
+        const ship = this.game.ship;
+        const quote = this.getRepairQuote(ship);
+        const condition = `Hull ${Math.round(ship.health)}/${ship.maxHealth}, sails ${Math.round(ship.sailHealth)}/${ship.maxSailHealth}.`;
+        const verdict = quote.cost > 0
+            ? `Full repairs come to <strong>${quote.cost} gold</strong>.`
+            : 'Not a plank out of place.';
+        return `
+                        <p class="repair-status">${condition} ${verdict}</p>
+                        <p class="repair-purse">Your purse: ${ship.gold} gold</p>
+        `;
+    }
+    
+    getRepairButtonHTML() {
+        const ship = this.game.ship;
+        const quote = this.getRepairQuote(ship);
+        let label = 'Repair Ship';
+        if (quote.cost > 0) {
+            label = ship.gold >= quote.cost ? `Repair Ship (${quote.cost} gold)` : `Patch Up (${ship.gold} gold)`;
+        }
+        const disabled = quote.cost === 0 || ship.gold <= 0 ? 'disabled' : '';
+        return `<button class="modal-btn primary" onclick="game.portManager.repairShip()" ${disabled}>${label}</button>`;
+    }
+    
+    /**
+     * Repair the player's ship as far as the purse allows, hull first.
+     * Returns the points repaired and the gold paid.
+     */
+    repairShip() {
+        const ship = this.game.ship;
+        const prices = PortManager.REPAIR_PRICES;
+        const damage = ship.getDamage();
+        
+        const hull = Math.min(damage.hull, ship.gold / prices.hull);
+        const sails = Math.min(damage.sails, (ship.gold - hull * prices.hull) / prices.sails);
+        const repaired = ship.repair(hull, sails);
+        const cost = Math.min(ship.gold, Math.ceil(repaired.hull * prices.hull + repaired.sails * prices.sails));
+        ship.gold -= cost;
+        
+        console.log(`🔨 Repaired ${repaired.hull.toFixed(0)} hull and ${repaired.sails.toFixed(0)} sail points for ${cost} gold`);
+        this.refreshServiceInterface('dockmaster');
+        return { ...repaired, cost };
+    }
+    
     exitPort() {
         console.log('🚢 Exiting port, returning to sea');
         
@@ -311,6 +665,11 @@ class PortManager {
         // Show game UI again
         this.showGameUI();
         
+        // Still in the harbour: offer the town again
+        if (this.game.nearbyTown && this.game.collisionManager) {
+            this.game.collisionManager.showTownEntryPrompt(this.game.nearbyTown);
+        }
+        
         // Focus back on canvas for controls
         if (this.game.canvas) {
             this.game.canvas.focus();
@@ -552,6 +911,54 @@ class PortManager {
                 box-shadow: 0 6px 16px rgba(220, 20, 60, 0.4);
             }
             
+            .cargo-btn {
+                background: linear-gradient(45deg, #8B4513, #CD853F);
+                color: white;
+                border: 2px solid #FFD700;
+                padding: 15px 30px;
+                margin-right: 1rem;
+                border-radius: 10px;
+                font-size: 1.3rem;
+                font-weight: bold;
+                cursor: pointer;
+                transition: all 0.3s ease;
+                text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.8);
+            }
+            
+            .cargo-btn:hover {
+                background: linear-gradient(45deg, #CD853F, #FFD700);
+                color: #8B4513;
+                transform: scale(1.05);
+            }
+            
+            .market-table {
+                width: 100%;
+                border-collapse: collapse;
+                margin-top: 1rem;
+            }
+            
+            .market-table th,
+            .market-table td {
+                padding: 6px 8px;
+                border-bottom: 1px solid rgba(139, 69, 19, 0.6);
+                text-align: left;
+            }
+            
+            .market-table th {
+                color: #FFD700;
+            }
+            
+            .market-actions {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+            }
+            
+            .market-actions .modal-btn {
+                padding: 4px 8px;
+                font-size: 0.85rem;
+            }
+            
             .service-modal {
                 position: fixed;
                 top: 0;
@@ -646,7 +1053,12 @@ class PortManager {
                 border-color: #FFD700;
             }
             
-            .modal-btn.primary:hover {
+            .modal-btn:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+            
+            .modal-btn.primary:not(:disabled):hover {
                 background: linear-gradient(45deg, #1E90FF, #00BFFF);
                 transform: translateY(-2px);
                 box-shadow: 0 4px 12px rgba(30, 144, 255, 0.4);
@@ -697,4 +1109,76 @@ class PortManager {
         
         document.head.appendChild(style);
     }
+    
+    /**
+     * A port's price factor for a good, between 0.7 and 1.3: fixed per
+     * port and good, so each market has its own cheap and dear goods
+     */
+    static getPriceFactor(portId, goodId) {
+        return 0.7 + PortManager.hashShare(`${portId}:${goodId}`) * 0.6;
+    }
+    
+    /**
+     * A number in [0, 1) fixed for a string key (FNV-1a hash)
+     */
+    static hashShare(key) {
+        let hash = 2166136261;
+        for (let i = 0; i < key.length; i++) {
+            hash = Math.imul(hash ^ key.charCodeAt(i), 16777619) >>> 0;
+        }
+        return (hash % 1000) / 1000;
+    }
+}
+
+// Used when a town has no background of its own
+PortManager.DEFAULT_BACKGROUND = 'Saint-Kitts.jpg';
+
+// Town types and nations a town area can have (see the island schema)
+PortManager.TOWN_TYPES = {
+    port: 'A bustling colonial port city',
+    town: 'A quiet harbour town',
+    fort: 'A fortified garrison harbour',
+    village: 'A small fishing village'
+};
+
+// Title and icon of the cargo hold modal (opened from the port footer)
+PortManager.CARGO_VIEW = { name: 'Cargo Hold', icon: '🧺' };
+
+// Markets pay this share of their selling price for goods
+PortManager.MARKET_SELL_SHARE = 0.8;
+
+// Tavern prices in gold: signing a hand, a drink per head (worth
+// drinksMorale morale), officers' base wage per day and the days of wages
+// they want up front
+PortManager.TAVERN_PRICES = {
+    hand: 10,
+    drinks: 2,
+    drinksMorale: 15,
+    officerWage: 10,
+    officerFeeDays: 5
+};
+
+// Officers' names at the taverns
+PortManager.OFFICER_NAMES = [
+    'Anne Bonny', 'Jack Rackham', 'Mary Read', 'Israel Hands', 'Billy Bones',
+    'Ned Low', 'Grace O\'Malley', 'Black Caesar', 'Hal Morgan', 'Jean Lafitte'
+];
+
+// Dockmaster prices in gold per point of damage
+PortManager.REPAIR_PRICES = {
+    hull: 3,
+    sails: 2
+};
+
+PortManager.NATIONS = {
+    england: { name: 'England', flag: '🇬🇧' },
+    france: { name: 'France', flag: '🇫🇷' },
+    spain: { name: 'Spain', flag: '🇪🇸' },
+    netherlands: { name: 'the Netherlands', flag: '🇳🇱' },
+    pirates: { name: 'the Brethren of the Coast', flag: '🏴‍☠️' }
+};
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortManager;
 }
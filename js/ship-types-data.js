@@ -0,0 +1,114 @@
+// Ship classes: handling, stats, hull shape and sprite per type
+// Hand-edited (not generated). new Ship(x, y, typeId) reads these values.
+//
+// Speeds in px/s, acceleration in px/s², turnSpeed in radians/s.
+// cargoCapacity: tons the hold takes before the ship is overloaded;
+// cargoVolume: hold space (see GOODS in js/goods-data.js).
+// hull: collision circles in ship space (+x bow, +y starboard), sized to the
+// sprite's width x height; F10 shows them in game.
+// sprite: image in assets/Ships/
+
+// var (not const) so the game and the tests can share one definition
+var SHIP_TYPES = {
+    sloop: {
+        name: 'Sloop',
+        description: 'Small, quick and nimble; carries little',
+        maxSpeed: 400,
+        acceleration: 300,
+        deceleration: 200,
+        turnSpeed: 4,
+        mass: 100,
+        maxHealth: 100,
+        maxSailHealth: 60,
+        cargoCapacity: 40,
+        cargoVolume: 50,
+        crewCapacity: 30,
+        cannonSlots: 6,
+        width: 60,
+        height: 40,
+        // Narrow bow, full midships, broad stern
+        hull: [
+            { x: 19, y: 0, radius: 11 },
+            { x: 2, y: 0, radius: 18 },
+            { x: -14, y: 0, radius: 16 }
+        ],
+        sprite: 'ship-4741839_960_720.webp'
+    },
+    brigantine: {
+        name: 'Brigantine',
+        description: 'Two-masted all-rounder',
+        maxSpeed: 360,
+        acceleration: 240,
+        deceleration: 170,
+        turnSpeed: 3,
+        mass: 180,
+        maxHealth: 180,
+        maxSailHealth: 90,
+        cargoCapacity: 100,
+        cargoVolume: 120,
+        crewCapacity: 80,
+        cannonSlots: 12,
+        width: 76,
+        height: 48,
+        hull: [
+            { x: 26, y: 0, radius: 12 },
+            { x: 8, y: 0, radius: 20 },
+            { x: -10, y: 0, radius: 21 },
+            { x: -22, y: 0, radius: 15 }
+        ],
+        sprite: 'ship-4741839_960_720.webp'
+    },
+    frigate: {
+        name: 'Frigate',
+        description: 'Fast warship with a full gun deck',
+        maxSpeed: 340,
+        acceleration: 200,
+        deceleration: 150,
+        turnSpeed: 2.4,
+        mass: 300,
+        maxHealth: 300,
+        maxSailHealth: 140,
+        cargoCapacity: 160,
+        cargoVolume: 150,
+        crewCapacity: 200,
+        cannonSlots: 28,
+        width: 92,
+        height: 56,
+        hull: [
+            { x: 30, y: 0, radius: 14 },
+            { x: 12, y: 0, radius: 24 },
+            { x: -8, y: 0, radius: 26 },
+            { x: -28, y: 0, radius: 18 }
+        ],
+        sprite: 'ship-4741839_960_720.webp'
+    },
+    galleon: {
+        name: 'Galleon',
+        description: 'Slow, heavy treasure carrier',
+        maxSpeed: 280,
+        acceleration: 140,
+        deceleration: 110,
+        turnSpeed: 1.6,
+        mass: 500,
+        maxHealth: 450,
+        maxSailHealth: 180,
+        cargoCapacity: 400,
+        cargoVolume: 450,
+        crewCapacity: 300,
+        cannonSlots: 36,
+        width: 110,
+        height: 66,
+        hull: [
+            { x: 38, y: 0, radius: 16 },
+            { x: 18, y: 0, radius: 28 },
+            { x: -6, y: 0, radius: 31 },
+            { x: -29, y: 0, radius: 26 }
+        ],
+        sprite: 'ship-4741839_960_720.webp'
+    }
+};
+
+// Export for both CommonJS and ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SHIP_TYPES;
+}
@@ -4,26 +4,73 @@
  */
 
 class Ship {
-    constructor(x, y, sprite) {
+    /**
+     * typeId is a key of SHIP_TYPES (js/ship-types-data.js); unknown or
+     * missing IDs get Ship.DEFAULT_TYPE
+     */
+    constructor(x, y, typeId = Ship.DEFAULT_TYPE, sprite = null) {
+        // Stable ID: ship contacts are resolved in ID order
+        this.id = Ship.nextId++;
+        
         // Position
         this.x = x;
         this.y = y;
         this.prevX = x;
         this.prevY = y;
         
-        // Movement physics - increased for massive ocean
+        // Movement: maxSpeed, acceleration, deceleration and turnSpeed come from the ship type
         this.angle = 0; // angle in radians
         this.currentSpeed = 0;
-        this.maxSpeed = 400; // pixels per second - doubled for bigger map
-        this.acceleration = 300; // acceleration - doubled
-        this.deceleration = 200; // deceleration - doubled
-        this.turnSpeed = 4; // turn speed (radians per second) - slightly faster
         
-        // Visualization
-        this.sprite = sprite;
-        this.width = 60;
-        this.height = 40;
-        this.radius = 35; // for collisions
+        // Rigid body: ramming pushes ships sideways as well as along their heading.
+        // drift is velocity not along the heading; water drag bleeds it off.
+        // mass comes from the ship type.
+        this.driftX = 0;
+        this.driftY = 0;
+        this.driftDrag = 2; // share of drift lost per second
+        
+        // Hazard zones the ship is in this step (filled by CollisionManager.updateHazards)
+        this.hazards = [];
+        this.hazardSpeedCap = Infinity; // Top speed allowed by shallows
+        this.hazardWindFactor = 1; // Share of the wind left by calm water
+        
+        // Sails: the ship makes speed from the wind at the ship (map.wind),
+        // depending on the sail setting and the point of sail
+        this.sail = Ship.DEFAULT_SAIL;
+        this.wind = null; // { angle, strength, knots } this step, null without a wind field
+        this.sailEfficiency = 0; // Share of full speed the current point of sail gives
+        this.sailKeyHeld = false; // Sail keys change the setting once per press
+        
+        // Sinking: starts when the hull reaches zero, ends with isSunk() after Ship.SINK_DURATION
+        this.sinking = false;
+        this.sinkTime = 0;
+        this.sunkBy = null; // Damage source that finished the hull
+        
+        // Purse (repairs and trade are paid from it) and hold: GOODS ID -> units.
+        // Weight beyond cargoCapacity overloads the ship; volume is a hard limit.
+        this.gold = 0;
+        this.cargo = {};
+        
+        // Guns: a battery per side (see setType); CombatManager fires them
+        // and sets the reload timer, which counts down here
+        this.batteries = null;
+        this.ammo = 'round'; // CombatManager.AMMO key loaded for the next broadside
+        
+        // Crew: headcount (crew, up to the type's crewCapacity), morale (0 to
+        // Ship.MORALE.max), an officer or null per Ship.CREW_ROLES role, and
+        // wages paid from the purse every Ship.CREW_DAY seconds (updateCrew)
+        this.morale = Ship.MORALE.max;
+        this.officers = {};
+        Object.keys(Ship.CREW_ROLES).forEach(role => this.officers[role] = null);
+        this.wagesOwed = 0;
+        this.dayTime = 0; // Seconds into the current day
+        this.voyageDays = 0; // Days at sea since the last port
+        
+        // Handling, hull and sail condition (maxHealth/health,
+        // maxSailHealth/sailHealth), capacities, crew, guns, size, collision hull and sprite
+        if (!this.setType(typeId || Ship.DEFAULT_TYPE, sprite)) {
+            this.setType(Ship.DEFAULT_TYPE, sprite);
+        }
         
         // Effects
         this.wakeTrail = []; // ship wake
@@ -46,12 +93,10 @@ class Ship {
         this.maxAngleHistory = 5; // Number of recent angles to average
         
         // Ship state
-        this.isMovingForward = false;
-        this.isMovingBackward = false;
         this.isTurningLeft = false;
         this.isTurningRight = false;
         
-        console.log('🚢 Ship created at position:', x, y);
+        console.log(`🚢 ${this.typeName} created at position:`, x, y);
     }
     
     update(deltaTime, keys, map, collisionManager = null) {
@@ -59,12 +104,32 @@ class Ship {
         this.prevX = this.x;
         this.prevY = this.y;
         
+        // A sinking ship no longer answers the helm
+        if (this.sinking) {
+            this.sinkTime += deltaTime;
+            keys = {};
+        }
+        
+        // Reload the guns and patch the hull, as fast as the crew can
+        const crewEffects = this.getCrewEffects();
+        Object.values(this.batteries).forEach(battery => {
+            battery.reload = Math.max(0, battery.reload - deltaTime * crewEffects.reload);
+        });
+        this.carpenterRepair(crewEffects.repair * deltaTime);
+        
         // Input processing
         this.handleInput(keys);
         
         // Update rotation angle
         this.updateRotation(deltaTime);
         
+        // Shallows, reefs, whirlpools and calm water
+        this.hazards = collisionManager ? collisionManager.updateHazards(this) : [];
+        this.applyHazardEffects(deltaTime);
+        
+        // Wind at the ship drives the sails
+        this.wind = map && map.wind ? map.wind.getWindAt(this.x, this.y) : null;
+        
         // Update speed
         this.updateSpeed(deltaTime);
         
@@ -80,18 +145,16 @@ class Ship {
     
     handleInput(keys) {
         // Reset state
-        this.isMovingForward = false;
-        this.isMovingBackward = false;
         this.isTurningLeft = false;
         this.isTurningRight = false;
         
-        // Process forward/backward movement
-        if (keys['ArrowUp'] || keys['KeyW']) {
-            this.isMovingForward = true;
-        }
-        if (keys['ArrowDown'] || keys['KeyS']) {
-            this.isMovingBackward = true;
+        // Hoist or reef the sails one setting per key press
+        const hoist = keys['ArrowUp'] || keys['KeyW'];
+        const reef = keys['ArrowDown'] || keys['KeyS'];
+        if ((hoist || reef) && !this.sailKeyHeld) {
+            this.stepSail(hoist ? 1 : -1);
         }
+        this.sailKeyHeld = Boolean(hoist || reef);
         
         // Process turns
         if (keys['ArrowLeft'] || keys['KeyA']) {
@@ -103,11 +166,12 @@ class Ship {
     }
     
     updateRotation(deltaTime) {
+        const turnSpeed = this.turnSpeed * this.getDamageEffects().turn * this.getCrewEffects().turn;
         if (this.isTurningLeft) {
-            this.angle -= this.turnSpeed * deltaTime;
+            this.angle -= turnSpeed * deltaTime;
         }
         if (this.isTurningRight) {
-            this.angle += this.turnSpeed * deltaTime;
+            this.angle += turnSpeed * deltaTime;
         }
         
         // Normalize angle
@@ -115,16 +179,42 @@ class Ship {
         if (this.angle >= Math.PI * 2) this.angle -= Math.PI * 2;
     }
     
+    /**
+     * Move the sails one setting up (1) or down (-1), in Ship.SAIL_SETTINGS order
+     */
+    stepSail(direction) {
+        const order = Object.keys(Ship.SAIL_SETTINGS);
+        const index = order.indexOf(this.sail) + direction;
+        this.sail = order[Math.max(0, Math.min(order.length - 1, index))];
+    }
+    
+    /**
+     * Angle between the bow and where the wind comes from:
+     * 0 is dead into the wind, PI is running straight before it
+     */
+    getWindAngle() {
+        if (!this.wind) return Math.PI / 2;
+        const offWind = Math.abs(this.angle - (this.wind.angle + Math.PI)) % (Math.PI * 2);
+        return offWind > Math.PI ? Math.PI * 2 - offWind : offWind;
+    }
+    
+    /**
+     * Speed the sails drive the ship at. maxSpeed needs full sail on a beam
+     * reach in a strength-1 wind with an undamaged ship; without a wind
+     * field the ship sails as if it had that wind on the beam.
+     */
+    getSailSpeed() {
+        const strength = this.wind ? this.wind.strength : 1;
+        this.sailEfficiency = Ship.getSailEfficiency(this.getWindAngle());
+        return this.maxSpeed * Ship.SAIL_SETTINGS[this.sail].area * this.sailEfficiency *
+               strength * this.hazardWindFactor * this.getDamageEffects().speed * this.getCargoSpeedFactor();
+    }
+    
     updateSpeed(deltaTime) {
-        let targetSpeed = 0;
-        
-        if (this.isMovingForward) {
-            targetSpeed = this.maxSpeed;
-        } else if (this.isMovingBackward) {
-            targetSpeed = -this.maxSpeed * 0.5; // slower backward
-        }
+        // Sails only drive the ship forward: no sail, no wind or in irons means coasting to a stop
+        const targetSpeed = Math.min(this.getSailSpeed(), this.hazardSpeedCap);
         
-        // Smooth speed change (inertia)
+        // Smooth speed change (inertia); at the target speed the ship holds it
         if (targetSpeed > this.currentSpeed) {
             this.currentSpeed += this.acceleration * deltaTime;
             if (this.currentSpeed > targetSpeed) {
@@ -135,15 +225,6 @@ class Ship {
             if (this.currentSpeed < targetSpeed) {
                 this.currentSpeed = targetSpeed;
             }
-        } else {
-            // Natural deceleration
-            if (this.currentSpeed > 0) {
-                this.currentSpeed -= this.deceleration * deltaTime;
-                if (this.currentSpeed < 0) this.currentSpeed = 0;
-            } else if (this.currentSpeed < 0) {
-                this.currentSpeed += this.deceleration * deltaTime;
-                if (this.currentSpeed > 0) this.currentSpeed = 0;
-            }
         }
     }
     
@@ -155,6 +236,452 @@ class Ship {
         
         this.x += deltaX;
         this.y += deltaY;
+        
+        // Sideways drift from impacts, decaying in the water
+        this.x += this.driftX * deltaTime;
+        this.y += this.driftY * deltaTime;
+        const drag = Math.max(0, 1 - this.driftDrag * deltaTime);
+        this.driftX *= drag;
+        this.driftY *= drag;
+    }
+    
+    /**
+     * World velocity: speed along the heading plus drift
+     */
+    getVelocity() {
+        return {
+            x: Math.cos(this.angle - Math.PI/2) * this.currentSpeed + this.driftX,
+            y: Math.sin(this.angle - Math.PI/2) * this.currentSpeed + this.driftY
+        };
+    }
+    
+    /**
+     * Change velocity by (deltaX, deltaY): the part along the heading goes
+     * into the ship's speed, the rest into drift
+     */
+    applyVelocityChange(deltaX, deltaY) {
+        const headingX = Math.cos(this.angle - Math.PI/2);
+        const headingY = Math.sin(this.angle - Math.PI/2);
+        const along = deltaX * headingX + deltaY * headingY;
+        
+        this.currentSpeed += along; // Inertia brings it back within maxSpeed
+        this.driftX += deltaX - headingX * along;
+        this.driftY += deltaY - headingY * along;
+    }
+    
+    /**
+     * Hull damage. At zero hull the ship starts sinking.
+     */
+    takeDamage(amount, source = null) {
+        if (amount <= 0 || this.sinking) return;
+        this.health = Math.max(0, this.health - amount);
+        if (this.health === 0) {
+            this.startSinking(source);
+        }
+    }
+    
+    takeSailDamage(amount, source = null) {
+        if (amount <= 0 || this.sinking) return;
+        this.sailHealth = Math.max(0, this.sailHealth - amount);
+    }
+    
+    /**
+     * Repair up to `hull` and `sails` points; returns the points repaired
+     */
+    repair(hull = Infinity, sails = Infinity) {
+        if (this.sinking) return { hull: 0, sails: 0 };
+        const repaired = {
+            hull: Math.min(Math.max(0, hull), this.maxHealth - this.health),
+            sails: Math.min(Math.max(0, sails), this.maxSailHealth - this.sailHealth)
+        };
+        this.health += repaired.hull;
+        this.sailHealth += repaired.sails;
+        return repaired;
+    }
+    
+    /**
+     * Points of hull and sail damage taken
+     */
+    getDamage() {
+        return {
+            hull: this.maxHealth - this.health,
+            sails: this.maxSailHealth - this.sailHealth
+        };
+    }
+    
+    /**
+     * Speed and turn multipliers from damage (Ship.DAMAGE_EFFECTS): a
+     * holed hull drags and steers badly, torn sails catch less wind
+     */
+    getDamageEffects() {
+        const hullLoss = 1 - this.health / this.maxHealth;
+        const sailLoss = 1 - this.sailHealth / this.maxSailHealth;
+        return {
+            speed: (1 - Ship.DAMAGE_EFFECTS.hullSpeed * hullLoss) * (1 - Ship.DAMAGE_EFFECTS.sailSpeed * sailLoss),
+            turn: 1 - Ship.DAMAGE_EFFECTS.hullTurn * hullLoss
+        };
+    }
+    
+    /**
+     * Lose up to `count` hands (grapeshot sweeping the deck)
+     */
+    takeCrewCasualties(count) {
+        if (count <= 0 || this.sinking) return;
+        this.crew = Math.max(0, this.crew - count);
+    }
+    
+    // Crew
+    
+    /**
+     * Skill (0 to 1) of the officer in a Ship.CREW_ROLES role; 0 if there is none
+     */
+    getCrewSkill(role) {
+        const officer = this.officers[role];
+        return officer ? officer.skill : 0;
+    }
+    
+    /**
+     * Crew multipliers (Ship.CREW_EFFECTS): turning needs hands on the
+     * sheets and gains from the helmsman, reloading needs hands at the
+     * guns and gains from the master gunner; repair is the hull and sail
+     * points the carpenter patches per second at sea
+     */
+    getCrewEffects() {
+        const effects = Ship.CREW_EFFECTS;
+        const manning = this.crewCapacity ? Math.min(1, this.crew / this.crewCapacity) : 0;
+        const gunCrews = this.cannonSlots ? Math.min(1, this.crew / (this.cannonSlots * effects.crewPerGun)) : 0;
+        return {
+            turn: (1 - effects.shorthandedTurn * (1 - manning)) * (1 + effects.helmsmanTurn * this.getCrewSkill('helmsman')),
+            reload: gunCrews * (1 + effects.gunnersReload * this.getCrewSkill('gunners')),
+            repair: effects.carpenterRepair * this.getCrewSkill('carpenter') * manning
+        };
+    }
+    
+    /**
+     * Patch up to `points` of hull and of sails, but only up to
+     * Ship.CREW_EFFECTS.carpenterLimit of their health: the rest needs a dockyard
+     */
+    carpenterRepair(points) {
+        if (points <= 0) return;
+        const limit = Ship.CREW_EFFECTS.carpenterLimit;
+        this.repair(Math.min(points, Math.max(0, this.maxHealth * limit - this.health)),
+                    Math.min(points, Math.max(0, this.maxSailHealth * limit - this.sailHealth)));
+    }
+    
+    /**
+     * Gold per day: Ship.CREW_WAGES.hand for every hand plus each officer's wage
+     */
+    getDailyWages() {
+        return this.crew * Ship.CREW_WAGES.hand +
+               Object.values(this.officers).reduce((sum, officer) => sum + (officer ? officer.wage : 0), 0);
+    }
+    
+    changeMorale(amount) {
+        this.morale = Math.max(0, Math.min(Ship.MORALE.max, this.morale + amount));
+    }
+    
+    /**
+     * Run the crew's day at sea (the game does this for the player's ship).
+     * Returns payCrew()'s report when a day ends, otherwise null.
+     */
+    updateCrew(deltaTime) {
+        if (this.sinking) return null;
+        this.dayTime += deltaTime;
+        if (this.dayTime < Ship.CREW_DAY) return null;
+        this.dayTime -= Ship.CREW_DAY;
+        return this.payCrew();
+    }
+    
+    /**
+     * Payday: the day's wages and any arrears come out of the purse, and
+     * whatever it can't cover stays owed. Paid hands gain morale, unpaid
+     * ones lose it, and every day at sea past Ship.MORALE.voyageDays costs
+     * more (less with a navigator). At zero morale the crew mutinies.
+     * Returns { paid, owed, morale, mutiny } with mutiny null or mutiny()'s report.
+     */
+    payCrew() {
+        const morale = Ship.MORALE;
+        const due = this.getDailyWages() + this.wagesOwed;
+        const paid = Math.min(this.gold, due);
+        this.gold -= paid;
+        this.wagesOwed = due - paid;
+        
+        this.voyageDays++;
+        let change = this.wagesOwed > 0 ? -morale.unpaidDay : morale.paidDay;
+        if (this.voyageDays > morale.voyageDays) {
+            change -= morale.voyageDay * (1 - Ship.CREW_EFFECTS.navigatorVoyage * this.getCrewSkill('navigator'));
+        }
+        this.changeMorale(change);
+        
+        const mutiny = this.morale === 0 && this.crew > 0 ? this.mutiny() : null;
+        return { paid, owed: this.wagesOwed, morale: this.morale, mutiny };
+    }
+    
+    /**
+     * The crew rises: they empty the purse, half the hands and every
+     * officer desert, and those who stay are settled at
+     * Ship.MORALE.afterMutiny. Returns { deserters, gold } taken.
+     */
+    mutiny() {
+        const report = { deserters: Math.ceil(this.crew / 2), gold: this.gold };
+        this.crew -= report.deserters;
+        this.gold = 0;
+        this.wagesOwed = 0;
+        Object.keys(this.officers).forEach(role => this.officers[role] = null);
+        this.morale = Ship.MORALE.afterMutiny;
+        console.log(`🏴‍☠️ Mutiny on the ${this.typeName}: ${report.deserters} hands deserted with ${report.gold} gold`);
+        return report;
+    }
+    
+    /**
+     * Making port ends the voyage: days at sea count from zero again
+     */
+    endVoyage() {
+        this.voyageDays = 0;
+    }
+    
+    startSinking(source = null) {
+        this.sinking = true;
+        this.sinkTime = 0;
+        this.sunkBy = source;
+        this.sail = 'furled';
+        console.log(`🌊 ${this.typeName} ${this.id} is sinking${source ? ` (${source})` : ''}`);
+    }
+    
+    /**
+     * True once the sinking has played out and the ship is gone
+     */
+    isSunk() {
+        return this.sinking && this.sinkTime >= Ship.SINK_DURATION;
+    }
+    
+    // Cargo
+    
+    /**
+     * Units of a good in the hold
+     */
+    getCargoQuantity(goodId) {
+        return this.cargo[goodId] || 0;
+    }
+    
+    /**
+     * Tons and hold space the cargo takes up
+     */
+    getCargoLoad() {
+        return Object.keys(this.cargo).reduce((load, goodId) => {
+            const good = Ship.getGood(goodId);
+            load.weight += good.weight * this.cargo[goodId];
+            load.volume += good.volume * this.cargo[goodId];
+            return load;
+        }, { weight: 0, volume: 0 });
+    }
+    
+    /**
+     * Whole units of a good that still fit: the hold's volume, and weight
+     * up to the overload limit (Ship.CARGO_OVERLOAD)
+     */
+    getCargoSpace(goodId) {
+        const good = Ship.getGood(goodId);
+        if (!good) return 0;
+        const load = this.getCargoLoad();
+        const maxWeight = this.cargoCapacity * (1 + Ship.CARGO_OVERLOAD.maxOverload);
+        // The epsilon keeps fractional weights (0.2 t spices) from rounding a unit away
+        const byVolume = Math.floor((this.cargoVolume - load.volume) / good.volume + 1e-9);
+        const byWeight = Math.floor((maxWeight - load.weight) / good.weight + 1e-9);
+        return Math.max(0, Math.min(byVolume, byWeight));
+    }
+    
+    /**
+     * Load up to `quantity` whole units of a good; returns the units that fit
+     */
+    addCargo(goodId, quantity) {
+        if (!Ship.getGood(goodId)) {
+            console.warn(`⚠️ Unknown goods: ${goodId}`);
+            return 0;
+        }
+        const added = Math.min(Math.floor(Math.max(0, quantity)), this.getCargoSpace(goodId));
+        if (added > 0) {
+            this.cargo[goodId] = this.getCargoQuantity(goodId) + added;
+        }
+        return added;
+    }
+    
+    /**
+     * Unload up to `quantity` units of a good; returns the units removed
+     */
+    removeCargo(goodId, quantity) {
+        const removed = Math.min(Math.floor(Math.max(0, quantity)), this.getCargoQuantity(goodId));
+        if (removed > 0) {
+            this.cargo[goodId] -= removed;
+            if (this.cargo[goodId] === 0) {
+                delete this.cargo[goodId];
+            }
+        }
+        return removed;
+    }
+    
+    /**
+     * Move up to `quantity` units of a good into another ship's hold, as
+     * many as it has room for; returns the units moved
+     */
+    transferCargo(otherShip, goodId, quantity) {
+        const moved = Math.min(Math.floor(Math.max(0, quantity)), this.getCargoQuantity(goodId), otherShip.getCargoSpace(goodId));
+        this.removeCargo(goodId, moved);
+        otherShip.addCargo(goodId, moved);
+        return moved;
+    }
+    
+    /**
+     * Speed multiplier from the load: 1 up to cargoCapacity, falling to
+     * 1 - Ship.CARGO_OVERLOAD.speedLoss at the overload limit
+     */
+    getCargoSpeedFactor() {
+        const overload = this.getCargoLoad().weight - this.cargoCapacity;
+        if (overload <= 0) return 1;
+        const share = Math.min(1, overload / (this.cargoCapacity * Ship.CARGO_OVERLOAD.maxOverload));
+        return 1 - Ship.CARGO_OVERLOAD.speedLoss * share;
+    }
+    
+    /**
+     * Put the ship back afloat at (x, y): whole hull and sails, stopped,
+     * sails furled, hold empty (respawning after a sinking)
+     */
+    refloat(x, y) {
+        this.sinking = false;
+        this.sinkTime = 0;
+        this.sunkBy = null;
+        this.health = this.maxHealth;
+        this.sailHealth = this.maxSailHealth;
+        this.crew = this.crewCapacity;
+        this.morale = Ship.MORALE.max;
+        this.wagesOwed = 0;
+        this.voyageDays = 0;
+        this.resetBatteries();
+        this.cargo = {};
+        this.currentSpeed = 0;
+        this.driftX = 0;
+        this.driftY = 0;
+        this.sail = 'furled';
+        this.hazards = [];
+        this.wakeTrail = [];
+        this.bowWaveTrail = [];
+        this.setPosition(x, y);
+    }
+    
+    /**
+     * Apply the zones in this.hazards: shallows cap the speed (the ship
+     * slows to it with its usual inertia), calm water takes most of the
+     * wind out of the sails, reefs scrape the hull while moving and
+     * whirlpools pull the ship towards their centre (and round it) through
+     * drift
+     */
+    applyHazardEffects(deltaTime) {
+        this.hazardSpeedCap = Infinity;
+        this.hazardWindFactor = 1;
+        
+        this.hazards.forEach(hazard => {
+            if (hazard.type === 'shallows') {
+                this.hazardSpeedCap = Math.min(this.hazardSpeedCap, hazard.maxSpeed);
+            } else if (hazard.type === 'calm') {
+                this.hazardWindFactor = Math.min(this.hazardWindFactor, hazard.windFactor);
+            } else if (hazard.type === 'reef') {
+                if (Math.abs(this.currentSpeed) > 1) {
+                    this.takeDamage(hazard.damagePerSecond * deltaTime, 'reef');
+                }
+            } else if (hazard.type === 'whirlpool') {
+                const dx = hazard.x - this.x;
+                const dy = hazard.y - this.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance < 1) return;
+                
+                // Strongest at the centre, with a swirl half as strong (anticlockwise on screen)
+                const strength = hazard.pull * (1 - distance / hazard.radius) * deltaTime;
+                this.driftX += (dx - dy * 0.5) / distance * strength;
+                this.driftY += (dy + dx * 0.5) / distance * strength;
+            }
+        });
+    }
+    
+    /**
+     * Switch to another ship type (SHIP_TYPES key): handling, capacities,
+     * guns, size, hull and sprite change; hull and sails keep their share of
+     * health, and the crew is cut to the new capacity if it has to be. The
+     * cargo stays aboard, even if it overloads the new hull.
+     * Returns false (and changes nothing) for an unknown type.
+     */
+    setType(typeId, sprite = this.sprite) {
+        const type = Ship.getType(typeId);
+        if (!type) {
+            console.warn(`⚠️ Unknown ship type: ${typeId}`);
+            return false;
+        }
+        
+        const healthShare = this.maxHealth ? this.health / this.maxHealth : 1;
+        const sailShare = this.maxSailHealth ? this.sailHealth / this.maxSailHealth : 1;
+        
+        this.type = typeId;
+        this.typeName = type.name;
+        this.maxSpeed = type.maxSpeed; // pixels per second
+        this.acceleration = type.acceleration;
+        this.deceleration = type.deceleration;
+        this.turnSpeed = type.turnSpeed; // radians per second
+        this.mass = type.mass;
+        this.maxHealth = type.maxHealth;
+        this.health = this.maxHealth * healthShare;
+        this.maxSailHealth = type.maxSailHealth;
+        this.sailHealth = this.maxSailHealth * sailShare;
+        this.cargoCapacity = type.cargoCapacity; // Tons before the ship is overloaded
+        this.cargoVolume = type.cargoVolume;
+        this.crewCapacity = type.crewCapacity;
+        this.crew = this.crew === undefined ? this.crewCapacity : Math.min(this.crew, this.crewCapacity);
+        this.cannonSlots = type.cannonSlots;
+        this.resetBatteries();
+        
+        // Visualization
+        this.sprite = sprite;
+        this.width = type.width;
+        this.height = type.height;
+        
+        // Collision hull: circles in ship space that turn with the ship.
+        // radius is the hull's bounding radius (map edges, broadphase).
+        this.setHull(type.hull);
+        return true;
+    }
+    
+    /**
+     * Split the cannon slots between port and starboard batteries, loaded
+     * and ready to fire
+     */
+    resetBatteries() {
+        const perSide = Math.floor(this.cannonSlots / 2);
+        this.batteries = {
+            port: { cannons: perSide, reload: 0 },
+            starboard: { cannons: perSide, reload: 0 }
+        };
+    }
+    
+    /**
+     * Replace the collision hull. Circles are { x, y, radius } with +x
+     * towards the bow and +y to starboard, relative to the ship centre.
+     */
+    setHull(circles) {
+        this.hull = circles.map(circle => ({ x: circle.x, y: circle.y, radius: circle.radius }));
+        this.radius = this.hull.reduce((bound, circle) =>
+            Math.max(bound, Math.sqrt(circle.x * circle.x + circle.y * circle.y) + circle.radius), 0);
+    }
+    
+    /**
+     * Hull circles in world space for the ship at (x, y) facing `angle`;
+     * offsetX/offsetY are each circle's offset from the ship centre
+     */
+    getHullCircles(x = this.x, y = this.y, angle = this.angle) {
+        const cos = Math.cos(angle - Math.PI/2);
+        const sin = Math.sin(angle - Math.PI/2);
+        return this.hull.map(circle => {
+            const offsetX = circle.x * cos - circle.y * sin;
+            const offsetY = circle.x * sin + circle.y * cos;
+            return { x: x + offsetX, y: y + offsetY, radius: circle.radius, offsetX, offsetY };
+        });
     }
     
     handleMapConstraints(map, collisionManager = null) {
@@ -172,11 +699,10 @@ class Ship {
         
         // Use collision manager if available, otherwise fallback to map collision
         if (collisionManager) {
-            const islandCollision = collisionManager.checkIslandCollision(this);
-            if (islandCollision.collision) {
-                // Revert to last valid position for more accurate PNG collision
-                collisionManager.revertShipPosition(this);
-            }
+            // Sweep this frame's whole move so fast ships and long frames
+            // cannot tunnel through small islands, then slide along the coast
+            const sweep = collisionManager.sweepIslandCollision(this, this.prevX, this.prevY, this.x, this.y);
+            collisionManager.resolveIslandCollision(this, sweep);
         } else {
             // Fallback to original map collision detection
             const islandCollision = map.checkIslandCollision(this.x, this.y, this.radius);
@@ -314,6 +840,14 @@ class Ship {
         // Adjust rotation to account for ship image orientation (bow points right in image)
         ctx.rotate(this.angle - Math.PI/2);
         
+        // Sinking: the ship settles, lists and fades under the waves
+        if (this.sinking) {
+            const progress = Math.min(1, this.sinkTime / Ship.SINK_DURATION);
+            ctx.globalAlpha = 1 - progress;
+            ctx.rotate(progress * 0.3);
+            ctx.scale(1 - progress * 0.3, 1 - progress * 0.3);
+        }
+        
         // Draw ship relative to center
         if (this.sprite) {
             ctx.drawImage(
@@ -468,7 +1002,27 @@ class Ship {
             y: Math.round(this.y),
             angle: Math.round(this.angle * 180 / Math.PI),
             speed: Math.round(this.currentSpeed),
-            direction: this.getDirectionString()
+            type: this.typeName,
+            health: Math.round(this.health),
+            maxHealth: this.maxHealth,
+            sailHealth: Math.round(this.sailHealth),
+            maxSailHealth: this.maxSailHealth,
+            sinking: this.sinking,
+            crew: this.crew,
+            crewCapacity: this.crewCapacity,
+            morale: this.morale,
+            wagesOwed: this.wagesOwed,
+            ammo: this.ammo,
+            gold: this.gold,
+            cargo: { ...this.cargo },
+            cargoLoad: this.getCargoLoad(),
+            cargoCapacity: this.cargoCapacity,
+            cargoVolume: this.cargoVolume,
+            reload: { port: this.batteries.port.reload, starboard: this.batteries.starboard.reload },
+            direction: this.getDirectionString(),
+            sail: Ship.SAIL_SETTINGS[this.sail].label,
+            pointOfSail: this.wind ? Ship.getPointOfSail(this.getWindAngle()) : null,
+            wind: this.wind
         };
     }
     
@@ -510,7 +1064,10 @@ class Ship {
         ctx.fillText(`Ship: (${this.x.toFixed(1)}, ${this.y.toFixed(1)})`, this.x + 40, this.y - 20);
         ctx.fillText(`Speed: ${this.currentSpeed.toFixed(1)}`, this.x + 40, this.y - 5);
         ctx.fillText(`Angle: ${(this.angle * 180 / Math.PI).toFixed(1)}°`, this.x + 40, this.y + 10);
-        ctx.fillText(`F:${this.isMovingForward} B:${this.isMovingBackward} L:${this.isTurningLeft} R:${this.isTurningRight}`, this.x + 40, this.y + 25);
+        ctx.fillText(`Sail:${this.sail} x${this.sailEfficiency.toFixed(2)} L:${this.isTurningLeft} R:${this.isTurningRight}`, this.x + 40, this.y + 25);
+        if (this.hazards.length > 0) {
+            ctx.fillText(`Hazards: ${this.hazards.map(hazard => hazard.type).join(', ')}`, this.x + 40, this.y + 40);
+        }
     }
     
     getDirectionString() {
@@ -519,4 +1076,133 @@ class Ship {
         const index = Math.round(angle / 45) % 8;
         return directions[index < 0 ? index + 8 : index];
     }
-} 
\ No newline at end of file
+    
+    /**
+     * A ship type's definition from SHIP_TYPES, or null if there is none
+     */
+    static getType(typeId) {
+        const types = typeof SHIP_TYPES !== 'undefined' ? SHIP_TYPES : {};
+        return Object.prototype.hasOwnProperty.call(types, typeId) ? types[typeId] : null;
+    }
+    
+    /**
+     * A trade good's definition from GOODS, or null if there is none
+     */
+    static getGood(goodId) {
+        const goods = typeof GOODS !== 'undefined' ? GOODS : {};
+        return Object.prototype.hasOwnProperty.call(goods, goodId) ? goods[goodId] : null;
+    }
+    
+    /**
+     * Share of full speed at `offWind` radians from the wind, interpolated
+     * between Ship.POINTS_OF_SAIL
+     */
+    static getSailEfficiency(offWind) {
+        const degrees = offWind * 180 / Math.PI;
+        const points = Ship.POINTS_OF_SAIL;
+        for (let i = 1; i < points.length; i++) {
+            if (degrees <= points[i].angle) {
+                const from = points[i - 1];
+                const to = points[i];
+                const t = (degrees - from.angle) / (to.angle - from.angle);
+                return from.efficiency + (to.efficiency - from.efficiency) * Math.max(0, t);
+            }
+        }
+        return points[points.length - 1].efficiency;
+    }
+    
+    /**
+     * Name of the point of sail closest to `offWind` radians from the wind
+     */
+    static getPointOfSail(offWind) {
+        const degrees = offWind * 180 / Math.PI;
+        return Ship.POINTS_OF_SAIL.reduce((best, point) =>
+            Math.abs(point.angle - degrees) < Math.abs(best.angle - degrees) ? point : best).name;
+    }
+}
+
+Ship.nextId = 1;
+
+// Type for ships created without one (and the player's starting ship)
+Ship.DEFAULT_TYPE = 'sloop';
+
+// Share of speed/turning lost at zero hull or sail health (scaled by the share of damage)
+Ship.DAMAGE_EFFECTS = {
+    hullSpeed: 0.3,
+    sailSpeed: 0.6,
+    hullTurn: 0.5
+};
+
+// Crew roles: one officer each, with a skill from 0 to 1
+Ship.CREW_ROLES = {
+    helmsman: { name: 'Helmsman', description: 'Turns the ship faster' },
+    gunners: { name: 'Master gunner', description: 'Reloads the guns faster' },
+    carpenter: { name: 'Carpenter', description: 'Repairs the hull and sails at sea' },
+    navigator: { name: 'Navigator', description: 'Keeps spirits up on long voyages' }
+};
+
+// How crew numbers and officers' skills (at skill 1) change the ship's handling
+Ship.CREW_EFFECTS = {
+    shorthandedTurn: 0.5,   // Turning lost with no hands at all (scaled by the share missing)
+    helmsmanTurn: 0.3,      // Extra turning rate
+    crewPerGun: 4,          // Hands needed per cannon slot to reload at full speed
+    gunnersReload: 0.5,     // Extra reload speed
+    carpenterRepair: 0.5,   // Hull and sail points repaired per second with a full crew
+    carpenterLimit: 0.75,   // Share of health the carpenter can restore at sea
+    navigatorVoyage: 0.5    // Share of the long-voyage morale loss avoided
+};
+
+// Seconds of game time in a crew day (wages are paid once a day)
+Ship.CREW_DAY = 60;
+
+// Gold per day for each hand (officers have their own wage)
+Ship.CREW_WAGES = {
+    hand: 1
+};
+
+// Morale points: gained on a paid day, lost on an unpaid one and on each
+// day at sea after voyageDays; a mutiny leaves it at afterMutiny
+Ship.MORALE = {
+    max: 100,
+    paidDay: 2,
+    unpaidDay: 20,
+    voyageDays: 5,
+    voyageDay: 10,
+    afterMutiny: 50
+};
+
+// Overloading: weight can exceed cargoCapacity by up to maxOverload of it,
+// costing up to speedLoss of the speed at that limit
+Ship.CARGO_OVERLOAD = {
+    maxOverload: 0.5,
+    speedLoss: 0.5
+};
+
+// Seconds from the hull giving out to the ship being gone
+Ship.SINK_DURATION = 3;
+
+// Sail settings in hoisting order; area scales the speed the wind gives
+Ship.SAIL_SETTINGS = {
+    furled: { label: 'Furled', area: 0 },
+    half: { label: 'Half sail', area: 0.5 },
+    full: { label: 'Full sail', area: 1 }
+};
+
+// New ships put to sea under half sail, so they get under way without touching the sail keys
+Ship.DEFAULT_SAIL = 'half';
+
+// Speed share by angle off the wind (degrees): nothing within 30 degrees
+// of the wind, fastest with the wind on the beam
+Ship.POINTS_OF_SAIL = [
+    { name: 'In irons', angle: 0, efficiency: 0 },
+    { name: 'In irons', angle: 30, efficiency: 0 },
+    { name: 'Close-hauled', angle: 50, efficiency: 0.6 },
+    { name: 'Beam reach', angle: 90, efficiency: 1 },
+    { name: 'Broad reach', angle: 135, efficiency: 0.85 },
+    { name: 'Running', angle: 180, efficiency: 0.6 }
+];
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Ship;
+}
@@ -0,0 +1,168 @@
+/**
+ * Pirate Game - Spatial Hash
+ * Uniform grid broadphase: shapes are bucketed by the cells their bounding
+ * box covers, so a query only looks at shapes in nearby cells
+ */
+
+class SpatialHash {
+    constructor(cellSize = 512) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.entries = [];
+
+        // Incremented per query to skip shapes already seen in another cell
+        this.queryStamp = 0;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries = [];
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    // Cell coordinates packed into one number (valid for +/- 32768 cells)
+    cellKey(cellX, cellY) {
+        return (cellX + 32768) * 65536 + (cellY + 32768);
+    }
+
+    cellRange(x, y, radius) {
+        return {
+            minX: Math.floor((x - radius) / this.cellSize),
+            maxX: Math.floor((x + radius) / this.cellSize),
+            minY: Math.floor((y - radius) / this.cellSize),
+            maxY: Math.floor((y + radius) / this.cellSize)
+        };
+    }
+
+    /**
+     * Add an item covering the circle (x, y, radius)
+     */
+    insert(item, x, y, radius) {
+        const entry = { item, x, y, radius, order: this.entries.length, stamp: 0 };
+        this.entries.push(entry);
+
+        const range = this.cellRange(x, y, radius);
+        for (let cellX = range.minX; cellX <= range.maxX; cellX++) {
+            for (let cellY = range.minY; cellY <= range.maxY; cellY++) {
+                const key = this.cellKey(cellX, cellY);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(entry);
+            }
+        }
+        return entry;
+    }
+
+    /**
+     * Items whose cells overlap the circle (x, y, radius), in insertion
+     * order so results match a loop over every item
+     */
+    query(x, y, radius = 0) {
+        const stamp = ++this.queryStamp;
+        const found = [];
+
+        const range = this.cellRange(x, y, radius);
+        for (let cellX = range.minX; cellX <= range.maxX; cellX++) {
+            for (let cellY = range.minY; cellY <= range.maxY; cellY++) {
+                const cell = this.cells.get(this.cellKey(cellX, cellY));
+                if (!cell) continue;
+
+                for (const entry of cell) {
+                    if (entry.stamp !== stamp) {
+                        entry.stamp = stamp;
+                        found.push(entry);
+                    }
+                }
+            }
+        }
+
+        if (found.length > 1) {
+            found.sort((a, b) => a.order - b.order);
+        }
+        return found.map(entry => entry.item);
+    }
+
+    /**
+     * Items whose cells come within `radius` of the segment from
+     * (fromX, fromY) to (toX, toY), in insertion order. Only cells near
+     * the segment are visited, so long rays stay cheap.
+     */
+    querySegment(fromX, fromY, toX, toY, radius = 0) {
+        const stamp = ++this.queryStamp;
+        const found = [];
+
+        const dx = toX - fromX;
+        const dy = toY - fromY;
+        const lengthSquared = dx * dx + dy * dy;
+        // A cell can touch the padded segment only if its centre is this close
+        const reach = radius + this.cellSize * Math.SQRT1_2;
+
+        const range = {
+            minX: Math.floor((Math.min(fromX, toX) - radius) / this.cellSize),
+            maxX: Math.floor((Math.max(fromX, toX) + radius) / this.cellSize),
+            minY: Math.floor((Math.min(fromY, toY) - radius) / this.cellSize),
+            maxY: Math.floor((Math.max(fromY, toY) + radius) / this.cellSize)
+        };
+        for (let cellX = range.minX; cellX <= range.maxX; cellX++) {
+            for (let cellY = range.minY; cellY <= range.maxY; cellY++) {
+                const cell = this.cells.get(this.cellKey(cellX, cellY));
+                if (!cell) continue;
+
+                // Distance from the cell centre to the segment
+                const centerX = (cellX + 0.5) * this.cellSize;
+                const centerY = (cellY + 0.5) * this.cellSize;
+                const t = lengthSquared > 0
+                    ? Math.max(0, Math.min(1, ((centerX - fromX) * dx + (centerY - fromY) * dy) / lengthSquared))
+                    : 0;
+                const distanceX = centerX - (fromX + dx * t);
+                const distanceY = centerY - (fromY + dy * t);
+                if (distanceX * distanceX + distanceY * distanceY > reach * reach) continue;
+
+                for (const entry of cell) {
+                    if (entry.stamp !== stamp) {
+                        entry.stamp = stamp;
+                        found.push(entry);
+                    }
+                }
+            }
+        }
+
+        if (found.length > 1) {
+            found.sort((a, b) => a.order - b.order);
+        }
+        return found.map(entry => entry.item);
+    }
+
+    /**
+     * Occupied cells in world coordinates (debug overlay)
+     */
+    getCells() {
+        const cells = [];
+        this.cells.forEach((entries, key) => {
+            const cellX = Math.floor(key / 65536) - 32768;
+            const cellY = (key % 65536) - 32768;
+            cells.push({
+                x: cellX * this.cellSize,
+                y: cellY * this.cellSize,
+                size: this.cellSize,
+                count: entries.length
+            });
+        });
+        return cells;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SpatialHash = SpatialHash;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpatialHash;
+}
@@ -0,0 +1,76 @@
+/**
+ * Pirate Game - Wind
+ * Global wind field that veers and gusts slowly over time and differs a
+ * little from one part of the map to another
+ */
+
+class Wind {
+    constructor(options = {}) {
+        // Direction the wind blows towards, in ship angles (0 = north, clockwise).
+        // Default: Caribbean trade wind from the east-north-east.
+        this.baseAngle = options.angle !== undefined ? options.angle : Wind.TRADE_WIND_ANGLE;
+        this.baseStrength = options.strength !== undefined ? options.strength : 0.8;
+
+        // Scales every variation term; 0 gives a steady, uniform wind
+        this.variation = options.variation !== undefined ? options.variation : 1;
+
+        this.time = options.time || 0;
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+    }
+
+    /**
+     * Wind at a world position: { angle, strength, knots }. angle is where
+     * the wind blows towards; strength 1 drives a ship at its full speed.
+     * Sums of slow sines, so the field is smooth in both time and space
+     * (minutes for a shift, thousands of pixels between regions).
+     */
+    getWindAt(x, y) {
+        const t = this.time;
+        const v = this.variation;
+
+        // Veering shared by the whole map plus gentler regional bends
+        let angle = this.baseAngle + v * (
+            0.5 * Math.sin(t * 0.011) +
+            0.35 * Math.sin(x / 2300 + t * 0.017) +
+            0.25 * Math.cos(y / 1900 - t * 0.013)
+        );
+        angle %= Math.PI * 2;
+        if (angle < 0) angle += Math.PI * 2;
+
+        // Gusts and lulls, plus stronger and weaker regions
+        let strength = this.baseStrength + v * (
+            0.2 * Math.sin(t * 0.023 + 1.3) +
+            0.15 * Math.sin((x + y) / 2700 - t * 0.019)
+        );
+        strength = Math.max(Wind.MIN_STRENGTH, Math.min(Wind.MAX_STRENGTH, strength));
+
+        return { angle, strength, knots: strength * Wind.KNOTS_PER_STRENGTH };
+    }
+
+    /**
+     * Compass point the wind comes from (winds are named by their source)
+     */
+    static getDirectionFrom(angle) {
+        const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+        const degrees = (angle * 180 / Math.PI + 180) % 360;
+        return directions[Math.round(degrees / 45) % 8];
+    }
+}
+
+// Blowing towards the west-south-west
+Wind.TRADE_WIND_ANGLE = Math.PI * 1.375;
+Wind.MIN_STRENGTH = 0.2;
+Wind.MAX_STRENGTH = 1.2;
+Wind.KNOTS_PER_STRENGTH = 20;
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.Wind = Wind;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Wind;
+}
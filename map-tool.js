@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * GORET Map Data Tool
+ * Validate, build, diff and migrate map data without opening the editor
+ *
+ * Usage:
+ *   node map-tool.js validate [map.json]              # Check a map against the island schema
+ *   node map-tool.js build [map.json] [--out file]    # Regenerate js/islands-data.js
+ *   node map-tool.js diff <from.json> [to.json]       # Readable diff between two maps
+ *   node map-tool.js migrate [map.json] [--dry-run]   # Convert polygon collision to Multi-Circle
+ *
+ * Map files are island arrays, { "islands": [...] } (revisions, editor
+ * exports) or Tiled maps (.tmx/.tmj). The default map is data/islands.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MapStore = require('./server/map-store');
+const IslandSchema = require('./server/island-schema');
+const CollisionFitter = require('./server/collision-fitter');
+const TiledFormat = require('./js/map-editor/TiledFormat.js');
+
+const store = new MapStore({
+    dataDir: path.join(__dirname, 'data'),
+    jsDir: path.join(__dirname, 'js')
+});
+const schema = new IslandSchema();
+
+// Command line arguments: positional files plus --flag [value] options
+const command = process.argv[2];
+const { files, options } = parseArgs(process.argv.slice(3));
+
+// Helper functions
+function parseArgs(args) {
+    const files = [];
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const name = args[i].slice(2);
+            const next = args[i + 1];
+            if (next !== undefined && !next.startsWith('--') && ['out', 'tolerance', 'max-circles'].includes(name)) {
+                options[name] = next;
+                i++;
+            } else {
+                options[name] = true;
+            }
+        } else {
+            files.push(args[i]);
+        }
+    }
+    return { files, options };
+}
+
+/**
+ * Island array of a map file's contents, or null
+ */
+function islandsOf(data) {
+    const islands = Array.isArray(data) ? data : data && data.islands;
+    return Array.isArray(islands) ? islands : null;
+}
+
+function resolveMapPath(file) {
+    return file ? path.resolve(file) : store.jsonPath;
+}
+
+/**
+ * Parse any supported map file (exits on unreadable files)
+ */
+function readMap(filePath) {
+    try {
+        const text = fs.readFileSync(filePath, 'utf8');
+        if (/\.(tmx|tmj)$/i.test(filePath)) {
+            const tiled = new TiledFormat();
+            const map = filePath.toLowerCase().endsWith('.tmx') ? tiled.fromTmx(text) : JSON.parse(text);
+            return tiled.fromTiled(map).islands;
+        }
+        return JSON.parse(text);
+    } catch (error) {
+        console.error(`❌ Could not read ${filePath}: ${error.message}`);
+        process.exit(2);
+    }
+}
+
+/**
+ * Validate a map, printing every problem. Returns the island list or null.
+ */
+function validateMap(filePath, data) {
+    const result = schema.validate(data);
+    if (result.valid) {
+        console.log(`✅ ${filePath}: ${result.islands.length} islands, no problems found`);
+        return result.islands;
+    }
+
+    console.error(`❌ ${filePath}: ${result.errors.length} problems found`);
+    result.errors.forEach(error => {
+        console.error(`  - ${schema.formatError(error)}`);
+    });
+    return null;
+}
+
+function validateCommand() {
+    const filePath = resolveMapPath(files[0]);
+    const islands = validateMap(filePath, readMap(filePath));
+    process.exit(islands ? 0 : 1);
+}
+
+function buildCommand() {
+    const filePath = resolveMapPath(files[0]);
+    const data = readMap(filePath);
+    const islands = validateMap(filePath, data) || (options.force && islandsOf(data));
+    if (!islands) {
+        console.error(`❌ Not building from an invalid map${options.force ? '' : ' (use --force to build anyway)'}`);
+        process.exit(1);
+    }
+
+    const outPath = options.out ? path.resolve(options.out) : store.jsPath;
+    const withIds = store.assignIslandIds(islands);
+    store.writeFileAtomic(outPath, store.generateGameDataFile(withIds));
+    console.log(`🏗️ Wrote ${withIds.length} islands to ${outPath}`);
+}
+
+/**
+ * Short display form of a field value for diffs
+ */
+function formatValue(value) {
+    if (value === undefined) return '(none)';
+    const json = JSON.stringify(value);
+    if (json.length <= 60) return json;
+    return Array.isArray(value) ? `[${value.length} items]` : `${json.slice(0, 57)}...`;
+}
+
+function diffCommand() {
+    if (files.length === 0) {
+        console.error('❌ Usage: node map-tool.js diff <from.json> [to.json]');
+        process.exit(2);
+    }
+
+    const fromPath = path.resolve(files[0]);
+    const toPath = resolveMapPath(files[1]);
+    const fromIslands = islandsOf(readMap(fromPath)) || [];
+    const toIslands = islandsOf(readMap(toPath)) || [];
+    const diff = store.diffIslands(fromIslands, toIslands);
+    const names = new Map(store.assignIslandIds([...fromIslands, ...toIslands]).map(island => [island.id, island.name]));
+
+    console.log(`📊 ${fromPath} → ${toPath}`);
+    if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+        console.log('  No differences');
+        process.exit(0);
+    }
+
+    diff.added.forEach(id => console.log(`  + ${id} (${names.get(id)})`));
+    diff.removed.forEach(id => console.log(`  - ${id} (${names.get(id)})`));
+    diff.changed.forEach(({ id, name, changes }) => {
+        console.log(`  ~ ${id} (${name})`);
+        changes.forEach(change => {
+            console.log(`      ${change.field}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+        });
+    });
+    console.log(`\n  ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+    process.exit(1);
+}
+
+function migrateCommand() {
+    const filePath = resolveMapPath(files[0]);
+    const data = readMap(filePath);
+    const islands = islandsOf(data);
+    if (!islands) {
+        console.error(`❌ ${filePath}: Expected an array of islands or { "islands": [...] }`);
+        process.exit(1);
+    }
+
+    const fitter = new CollisionFitter();
+    const fitOptions = {
+        tolerance: options.tolerance !== undefined ? Number(options.tolerance) : 20,
+        maxCircles: options['max-circles'] !== undefined ? Number(options['max-circles']) : 24
+    };
+    let migrated = 0;
+
+    const result = islands.map(island => {
+        const hasPolygon = Array.isArray(island.collision) && island.collision.length > 0;
+        if (!hasPolygon) {
+            return island;
+        }
+
+        const { collision, ...rest } = island;
+        if (Array.isArray(island.collisionCircles) && island.collisionCircles.length > 0) {
+            console.log(`  ${island.name}: already has ${island.collisionCircles.length} circles, dropping unused polygon`);
+        } else if (collision.length < 3) {
+            console.warn(`  ⚠️ ${island.name}: polygon has fewer than 3 points, left as is`);
+            return island;
+        } else {
+            const fit = fitter.fitPolygon(collision, island, fitOptions);
+            rest.collisionCircles = fit.circles;
+            const coverage = Math.round(fit.error.landCoverage * 100);
+            console.log(`  ${island.name}: ${collision.length}-point polygon → ${fit.circles.length} circles (${coverage}% covered)`);
+            if (!fit.error.withinTolerance) {
+                console.warn(`  ⚠️ ${island.name}: ran out of circles before reaching the tolerance (raise --max-circles)`);
+            }
+        }
+        migrated++;
+        return rest;
+    });
+
+    if (migrated === 0) {
+        console.log(`✅ ${filePath}: no polygon collision to migrate`);
+        return;
+    }
+    if (options['dry-run']) {
+        console.log(`🔍 Dry run: ${migrated} islands would be migrated, nothing written`);
+        return;
+    }
+
+    const outPath = options.out ? path.resolve(options.out) : filePath;
+    if (outPath === store.jsonPath) {
+        // The live map goes through the store: new revision and regenerated islands-data.js
+        const revision = store.saveIslands(result, { source: 'map-tool', command: 'migrate' });
+        console.log(`✅ Migrated ${migrated} islands (revision ${revision.id}, islands-data.js regenerated)`);
+    } else {
+        const output = Array.isArray(data) ? result : { ...data, islands: result };
+        store.writeFileAtomic(outPath, JSON.stringify(output, null, 2));
+        console.log(`✅ Migrated ${migrated} islands into ${outPath}`);
+    }
+}
+
+// Main command handler
+switch (command) {
+    case 'validate':
+        validateCommand();
+        break;
+
+    case 'build':
+        buildCommand();
+        break;
+
+    case 'diff':
+        diffCommand();
+        break;
+
+    case 'migrate':
+        migrateCommand();
+        break;
+
+    case 'help':
+    case '--help':
+    case '-h':
+    case undefined:
+        console.log(`
+🗺️ GORET Map Data Tool
+
+Commands:
+  validate [map]                      Check a map against the island schema
+  build [map] [--out file] [--force]  Regenerate js/islands-data.js from a map
+  diff <from> [to]                    Show islands added, removed and changed
+  migrate [map] [options]             Convert polygon collision to Multi-Circle
+      --tolerance <units>             Allowed overshoot/uncovered coast (default 20)
+      --max-circles <n>               Circles per island (default 24)
+      --out <file>                    Write somewhere else instead of in place
+      --dry-run                       Report only, write nothing
+  help                                Show this help message
+
+The map defaults to data/islands.json. Tiled maps (.tmx/.tmj) can be read too.
+
+Examples:
+  node map-tool.js validate
+  node map-tool.js build
+  node map-tool.js diff data/revisions/2024-01-01T12-00-00-000Z.json
+  node map-tool.js migrate old-map.json --out data/islands.json
+        `);
+        break;
+
+    default:
+        console.log('❌ Unknown command. Use "help" to see available commands.');
+        process.exit(2);
+}
@@ -2,11 +2,58 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const MapStore = require('./server/map-store');
+const IslandSchema = require('./server/island-schema');
+const StaticFileServer = require('./server/static-files');
+const ChangeEventStream = require('./server/change-events');
+const ImageStore = require('./server/image-store');
+const CollisionFitter = require('./server/collision-fitter');
+const { parseMultipart } = require('./server/multipart');
 
-const PORT = 8001;
-const ASSETS_DIR = path.join(__dirname, 'assets', 'Islands');
-const DATA_DIR = path.join(__dirname, 'data');
-const JS_DIR = path.join(__dirname, 'js');
+/**
+ * Read a setting from CLI flags (--name value or --name=value),
+ * then from an environment variable, then fall back to a default
+ */
+function readOption(name, envName, fallback) {
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === `--${name}` && args[i + 1] !== undefined) {
+            return args[i + 1];
+        }
+        if (args[i].startsWith(`--${name}=`)) {
+            return args[i].slice(name.length + 3);
+        }
+    }
+    return process.env[envName] !== undefined ? process.env[envName] : fallback;
+}
+
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(`
+🏴‍☠️ GORET Server - game, map editor and API on one port
+
+Options (flag / environment variable / default):
+  --port         PORT              8000
+  --host         HOST              all interfaces
+  --data-dir     GORET_DATA_DIR    ./data    (islands.json, revisions)
+  --assets-dir   GORET_ASSETS_DIR  ./assets  (island images go in Islands/)
+  --js-dir       GORET_JS_DIR      <data-dir>/../js  (generated islands-data.js, hazards-data.js)
+  --max-revisions GORET_MAX_REVISIONS 0     (keep every map revision; N deletes all but the newest N)
+
+Example:
+  node server.js --port 3000 --data-dir ./my-world
+    `);
+    process.exit(0);
+}
+
+const PORT = parseInt(readOption('port', 'PORT', '8000'), 10);
+const HOST = readOption('host', 'HOST', undefined);
+const ROOT_DIR = __dirname;
+const DATA_DIR = path.resolve(readOption('data-dir', 'GORET_DATA_DIR', path.join(ROOT_DIR, 'data')));
+const ASSETS_ROOT = path.resolve(readOption('assets-dir', 'GORET_ASSETS_DIR', path.join(ROOT_DIR, 'assets')));
+const ASSETS_DIR = path.join(ASSETS_ROOT, 'Islands');
+const JS_DIR = path.join(ROOT_DIR, 'js');
+const GENERATED_JS_DIR = path.resolve(readOption('js-dir', 'GORET_JS_DIR', path.join(DATA_DIR, '..', 'js')));
+const MAX_REVISIONS = parseInt(readOption('max-revisions', 'GORET_MAX_REVISIONS', String(MapStore.DEFAULT_MAX_REVISIONS)), 10);
 
 // Ensure directories exist
 if (!fs.existsSync(ASSETS_DIR)) {
@@ -15,12 +62,169 @@ if (!fs.existsSync(ASSETS_DIR)) {
 if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
 }
+if (!fs.existsSync(GENERATED_JS_DIR)) {
+    fs.mkdirSync(GENERATED_JS_DIR, { recursive: true });
+}
+
+// Versioned island storage (revisions live in data/revisions); the
+// generated game scripts go next to the data so --data-dir isolates writes
+const mapStore = new MapStore({ dataDir: DATA_DIR, jsDir: GENERATED_JS_DIR, maxRevisions: MAX_REVISIONS });
+mapStore.ensureGameData();
+const islandSchema = new IslandSchema();
+
+// Island images in assets/Islands
+const imageStore = new ImageStore({ imagesDir: ASSETS_DIR });
+const MAX_IMAGE_BYTES = 25 * 1024 * 1024;
+
+// Multi-Circle collision generated from island image alpha masks
+const collisionFitter = new CollisionFitter();
+
+// Live update stream for running games (GET /api/events)
+const changeEvents = new ChangeEventStream();
+
+// Game and editor files (index.html, map-editor.html, js/, css/, assets/)
+const staticFiles = new StaticFileServer({
+    rootDir: ROOT_DIR,
+    mounts: {
+        '/js/': JS_DIR,
+        '/css/': path.join(ROOT_DIR, 'css'),
+        '/assets/': ASSETS_ROOT
+    },
+    files: {
+        '/js/islands-data.js': mapStore.jsPath,
+        '/js/hazards-data.js': mapStore.hazardsJsPath
+    }
+});
+
+function sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * Read a JSON request body. Sends 400 and resolves to undefined if it does not parse.
+ */
+function readJsonBody(req, res) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (parseError) {
+                sendJson(res, 400, { error: `Invalid JSON: ${parseError.message}` });
+                resolve(undefined);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read a raw request body up to a size limit. Sends 413 and resolves to
+ * undefined if the body is too large.
+ */
+function readRawBody(req, res, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                tooLarge = true;
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (tooLarge) {
+                sendJson(res, 413, { error: `Request body larger than ${limit} bytes` });
+                resolve(undefined);
+                return;
+            }
+            resolve(Buffer.concat(chunks));
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Get the uploaded image from a request: the first file in a multipart
+ * form (field "image" preferred), or the raw body for image content types.
+ * Sends an error response and resolves to undefined if there is none.
+ */
+async function readImageUpload(req, res) {
+    const body = await readRawBody(req, res, MAX_IMAGE_BYTES);
+    if (body === undefined) return undefined;
+
+    const contentType = req.headers['content-type'] || '';
+    if (contentType.startsWith('multipart/form-data')) {
+        const parts = parseMultipart(body, contentType);
+        if (!parts) {
+            sendJson(res, 400, { error: 'Malformed multipart body' });
+            return undefined;
+        }
+        const file = parts.find(part => part.name === 'image' && part.filename !== null) ||
+            parts.find(part => part.filename !== null);
+        if (!file) {
+            sendJson(res, 400, { error: 'No file in upload (use field "image")' });
+            return undefined;
+        }
+        const filenameField = parts.find(part => part.name === 'filename' && part.filename === null);
+        return {
+            data: file.data,
+            filename: filenameField ? filenameField.data.toString('utf8').trim() : file.filename
+        };
+    }
+
+    if (contentType.startsWith('image/') || contentType === 'application/octet-stream') {
+        return { data: body, filename: null };
+    }
+
+    sendJson(res, 415, { error: 'Send multipart/form-data or an image body' });
+    return undefined;
+}
+
+/**
+ * Validate and save a changed island list as a new revision.
+ * Sends 422 and returns null if the result would be invalid.
+ */
+function commitIslands(res, islands, meta) {
+    const validation = islandSchema.validate(islands);
+    if (!validation.valid) {
+        console.warn(`⚠️ Island change rejected: ${validation.errors.length} validation errors`);
+        sendJson(res, 422, { error: 'Invalid island data', errors: validation.errors });
+        return null;
+    }
+
+    const revision = mapStore.saveIslands(islands, meta);
+    changeEvents.broadcast('islands-changed', { revision: revision.id, count: islands.length, island: meta.island });
+    return revision;
+}
+
+/**
+ * True if the request has an If-Match header that does not match the current ETag
+ */
+function isStale(req, etag) {
+    const ifMatch = req.headers['if-match'];
+    if (!ifMatch) return false;
+    return !ifMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*');
+}
+
+const IMAGE_ROUTE = /^\/api\/island-images\/([^/]+)$/;
+const IMAGE_FIT_ROUTE = /^\/api\/island-images\/([^/]+)\/fit-collision$/;
+const IMAGE_RENAME_ROUTE = /^\/api\/island-images\/([^/]+)\/rename$/;
+const ISLAND_ROUTE = /^\/api\/islands\/([^/]+)$/;
 
 const server = http.createServer(async (req, res) => {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
 
     if (req.method === 'OPTIONS') {
         res.writeHead(200);
@@ -42,64 +246,67 @@ const server = http.createServer(async (req, res) => {
             
             req.on('end', () => {
                 try {
-                    const data = JSON.parse(body);
-                    const islands = data.islands || data; // Handle both formats
+                    let data;
+                    try {
+                        data = JSON.parse(body);
+                    } catch (parseError) {
+                        sendJson(res, 400, { error: `Invalid JSON: ${parseError.message}` });
+                        return;
+                    }
                     
-                    // Save to JSON file for editor
-                    const jsonPath = path.join(DATA_DIR, 'islands.json');
-                    fs.writeFileSync(jsonPath, JSON.stringify(islands, null, 2));
+                    // Refuse saves based on an older copy of the map
+                    const currentEtag = mapStore.getEtag();
+                    if (isStale(req, currentEtag)) {
+                        console.warn('⚠️ Island save rejected: map changed since it was loaded');
+                        res.setHeader('ETag', currentEtag);
+                        sendJson(res, 409, {
+                            error: 'Map changed on the server since it was loaded',
+                            etag: currentEtag,
+                            islands: mapStore.loadIslands(),
+                            hazards: mapStore.loadHazards()
+                        });
+                        return;
+                    }
                     
-                    // Convert islands to game-compatible format with Multi-Circle collision
-                    const gameCompatibleIslands = islands.map(island => {
-                        // Calculate radius from collision circles if not provided
-                        let radius = island.radius;
-                        if (!radius && island.collisionCircles && island.collisionCircles.length > 0) {
-                            // Find the maximum distance from center to edge of any collision circle
-                            radius = 0;
-                            island.collisionCircles.forEach(circle => {
-                                const distance = Math.sqrt(circle.x * circle.x + circle.y * circle.y) + circle.radius;
-                                radius = Math.max(radius, distance);
-                            });
-                        }
-                        
-                        return {
-                            name: island.name,
-                            x: island.x,
-                            y: island.y,
-                            radius: radius || 400,
-                            collisionCircles: island.collisionCircles || [
-                                { x: 0, y: 0, radius: (radius || 400) * 0.7 }
-                            ],
-                            imageFilename: island.imageFilename || null
-                        };
-                    });
-
-                    // Generate JavaScript file for game
-                    const jsContent = `// Auto-generated by map editor - ${new Date().toISOString()}
-// Do not edit manually - changes will be overwritten
-// Multi-Circle Collision System
-
-const ISLANDS_DATA = ${JSON.stringify(gameCompatibleIslands, null, 2)};
-
-// Export for both CommonJS and ES6 modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = ISLANDS_DATA;
-}
-`;
+                    // Reject malformed islands before they reach the game
+                    const validation = islandSchema.validate(data);
+                    // Hazard zones are optional; saves without them leave hazards.json alone
+                    const hasHazards = data && !Array.isArray(data) && data.hazards !== undefined;
+                    if (hasHazards) {
+                        validation.errors.push(...islandSchema.validateHazards(data.hazards));
+                    }
+                    if (validation.errors.length > 0) {
+                        console.warn(`⚠️ Island save rejected: ${validation.errors.length} validation errors`);
+                        sendJson(res, 422, { error: 'Invalid island data', errors: validation.errors });
+                        return;
+                    }
+                    // Islands new to the server get an ID derived from their name
+                    const islands = mapStore.assignIslandIds(validation.islands);
                     
-                    const jsPath = path.join(JS_DIR, 'islands-data.js');
-                    fs.writeFileSync(jsPath, jsContent);
+                    // Save as a new revision (atomic writes of islands.json, hazards.json and the game scripts)
+                    const revision = mapStore.saveIslands(islands, { source: 'save' }, hasHazards ? data.hazards : null);
+                    const hazards = hasHazards ? mapStore.loadHazards() : null;
                     
-                    console.log(`✅ Islands auto-saved: ${islands.length} islands`);
-                    console.log(`📁 JSON: ${jsonPath}`);
-                    console.log(`📁 JS: ${jsPath}`);
+                    console.log(`✅ Islands auto-saved: ${islands.length} islands (revision ${revision.id})`);
+                    changeEvents.broadcast('islands-changed', { revision: revision.id, count: islands.length });
+                    if (hazards) {
+                        console.log(`⚠️ Hazard zones saved: ${hazards.length}`);
+                        changeEvents.broadcast('hazards-changed', { count: hazards.length });
+                    }
+                    console.log(`📁 JSON: ${mapStore.jsonPath}`);
+                    console.log(`📁 JS: ${mapStore.jsPath}`);
                     
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    const etag = mapStore.getEtag();
+                    res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': etag });
                     res.end(JSON.stringify({ 
                         success: true, 
                         count: islands.length,
-                        jsonPath: 'data/islands.json',
-                        jsPath: 'js/islands-data.js'
+                        revision: revision.id,
+                        etag,
+                        ids: islands.map(island => island.id),
+                        hazardIds: hazards ? hazards.map(hazard => hazard.id) : undefined,
+                        jsonPath: path.relative(ROOT_DIR, mapStore.jsonPath),
+                        jsPath: path.relative(ROOT_DIR, mapStore.jsPath)
                     }));
                     
                 } catch (error) {
@@ -116,108 +323,467 @@ if (typeof module !== 'undefined' && module.exports) {
         }
     } else if (pathname === '/api/islands/load' && req.method === 'GET') {
         try {
-            const jsonPath = path.join(DATA_DIR, 'islands.json');
+            const islands = mapStore.loadIslands();
+            const hazards = mapStore.loadHazards();
+            const etag = mapStore.getEtag();
             
-            if (fs.existsSync(jsonPath)) {
-                const data = fs.readFileSync(jsonPath, 'utf8');
-                const islands = JSON.parse(data);
-                
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true, islands }));
-            } else {
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true, islands: [] }));
-            }
+            // Send the ETag back as If-Match when saving
+            res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': etag });
+            res.end(JSON.stringify({ success: true, islands, hazards, etag }));
         } catch (error) {
             console.error('❌ Error loading islands:', error);
             res.writeHead(500, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ error: 'Failed to load islands data' }));
         }
-    } else if (pathname === '/api/save-island-image' && req.method === 'POST') {
+    } else if (pathname === '/api/islands/revisions' && req.method === 'GET') {
+        // Revision history, newest first
         try {
-            let body = '';
+            sendJson(res, 200, { success: true, revisions: mapStore.listRevisions() });
+        } catch (error) {
+            console.error('❌ Error listing revisions:', error);
+            sendJson(res, 500, { error: 'Failed to list revisions' });
+        }
+    } else if (pathname.startsWith('/api/islands/revisions/') && req.method === 'GET') {
+        try {
+            const revisionId = decodeURIComponent(pathname.slice('/api/islands/revisions/'.length));
+            const revision = mapStore.loadRevision(revisionId);
             
-            req.on('data', chunk => {
-                body += chunk.toString();
+            if (!revision) {
+                sendJson(res, 404, { error: `Revision not found: ${revisionId}` });
+                return;
+            }
+            
+            sendJson(res, 200, { success: true, revision });
+        } catch (error) {
+            console.error('❌ Error loading revision:', error);
+            sendJson(res, 500, { error: 'Failed to load revision' });
+        }
+    } else if (/^\/api\/islands\/revisions\/[^/]+\/restore$/.test(pathname) && req.method === 'POST') {
+        try {
+            const revisionId = decodeURIComponent(pathname.split('/')[4]);
+            const revision = mapStore.restoreRevision(revisionId);
+            
+            if (!revision) {
+                sendJson(res, 404, { error: `Revision not found: ${revisionId}` });
+                return;
+            }
+            
+            console.log(`⏪ Islands restored from revision ${revisionId} (new revision ${revision.id})`);
+            changeEvents.broadcast('islands-changed', { revision: revision.id, count: revision.count });
+            changeEvents.broadcast('hazards-changed', { count: revision.hazardCount });
+            sendJson(res, 200, {
+                success: true,
+                count: revision.count,
+                revision: revision.id,
+                restoredFrom: revisionId
             });
+        } catch (error) {
+            console.error('❌ Error restoring revision:', error);
+            sendJson(res, 500, { error: 'Failed to restore revision' });
+        }
+    } else if (pathname === '/api/islands/diff' && req.method === 'GET') {
+        // Compare two revisions: ?from=<id>&to=<id|current> (to defaults to current)
+        try {
+            const { from, to = 'current' } = parsedUrl.query;
+            const resolve = (id) => {
+                if (id === 'current') return mapStore.loadIslands();
+                const revision = mapStore.loadRevision(id);
+                return revision ? revision.islands : null;
+            };
             
-            req.on('end', () => {
-                try {
-                    const data = JSON.parse(body);
-                    const { filename, imageData, islandName } = data;
-                    
-                    // Validate input
-                    if (!filename || !imageData || !islandName) {
-                        res.writeHead(400, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: 'Missing required fields' }));
+            if (!from) {
+                sendJson(res, 400, { error: 'Missing "from" revision' });
+                return;
+            }
+            
+            const fromIslands = resolve(from);
+            const toIslands = resolve(to);
+            
+            if (!fromIslands || !toIslands) {
+                sendJson(res, 404, { error: `Revision not found: ${!fromIslands ? from : to}` });
+                return;
+            }
+            
+            sendJson(res, 200, { success: true, from, to, diff: mapStore.diffIslands(fromIslands, toIslands) });
+        } catch (error) {
+            console.error('❌ Error diffing revisions:', error);
+            sendJson(res, 500, { error: 'Failed to diff revisions' });
+        }
+    } else if (pathname === '/api/islands' && req.method === 'GET') {
+        try {
+            sendJson(res, 200, { success: true, islands: mapStore.loadIslands() });
+        } catch (error) {
+            console.error('❌ Error loading islands:', error);
+            sendJson(res, 500, { error: 'Failed to load islands data' });
+        }
+    } else if (pathname === '/api/islands' && req.method === 'POST') {
+        // Create one island; the ID is derived from its name unless given
+        try {
+            const island = await readJsonBody(req, res);
+            if (island === undefined) return;
+            
+            const islands = mapStore.loadIslands();
+            if (island && island.id && islands.some(existing => existing.id === island.id)) {
+                sendJson(res, 409, { error: `Island already exists: ${island.id}` });
+                return;
+            }
+            
+            const created = island && typeof island === 'object' && !Array.isArray(island) && !island.id
+                ? { id: mapStore.createIslandId(island.name, new Set(islands.map(existing => existing.id))), ...island }
+                : island;
+            const revision = commitIslands(res, [...islands, created], { source: 'create', island: created && created.id });
+            if (!revision) return;
+            
+            console.log(`🏝️ Island created: ${created.id} (revision ${revision.id})`);
+            const createdEtag = mapStore.getIslandEtag(created);
+            res.setHeader('Location', `/api/islands/${encodeURIComponent(created.id)}`);
+            res.setHeader('ETag', createdEtag);
+            sendJson(res, 201, { success: true, island: created, revision: revision.id, etag: createdEtag });
+        } catch (error) {
+            console.error('❌ Error creating island:', error);
+            sendJson(res, 500, { error: 'Failed to create island' });
+        }
+    } else if (ISLAND_ROUTE.test(pathname) && ['GET', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) {
+        // Single island by ID: read, replace, partial update, delete
+        try {
+            const islandId = decodeURIComponent(ISLAND_ROUTE.exec(pathname)[1]);
+            
+            let body = null;
+            if (req.method === 'PUT' || req.method === 'PATCH') {
+                body = await readJsonBody(req, res);
+                if (body === undefined) return;
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    sendJson(res, 400, { error: 'Expected an island object' });
+                    return;
+                }
+                if (body.id !== undefined && body.id !== islandId) {
+                    sendJson(res, 400, { error: 'Island id cannot be changed' });
+                    return;
+                }
+            }
+            
+            // Load after the body is read so concurrent edits to other islands are kept
+            const islands = mapStore.loadIslands();
+            const index = islands.findIndex(island => island.id === islandId);
+            if (index === -1) {
+                sendJson(res, 404, { error: `Island not found: ${islandId}` });
+                return;
+            }
+            
+            const islandEtag = mapStore.getIslandEtag(islands[index]);
+            res.setHeader('ETag', islandEtag);
+            
+            if (req.method === 'GET') {
+                sendJson(res, 200, { success: true, island: islands[index], etag: islandEtag });
+                return;
+            }
+            
+            // Someone else changed this island since it was read
+            if (isStale(req, islandEtag)) {
+                sendJson(res, 409, {
+                    error: `Island changed on the server since it was loaded: ${islandId}`,
+                    etag: islandEtag,
+                    island: islands[index]
+                });
+                return;
+            }
+            
+            if (req.method === 'DELETE') {
+                const remaining = islands.filter(island => island.id !== islandId);
+                const revision = commitIslands(res, remaining, { source: 'delete', island: islandId });
+                if (!revision) return;
+                
+                console.log(`🗑️ Island deleted: ${islandId} (revision ${revision.id})`);
+                sendJson(res, 200, { success: true, revision: revision.id });
+                return;
+            }
+            
+            let updated;
+            if (req.method === 'PUT') {
+                updated = { ...body, id: islandId };
+            } else {
+                // Merge patch: listed fields are replaced, null removes a field
+                updated = { ...islands[index] };
+                Object.entries(body).forEach(([field, value]) => {
+                    if (value === null) {
+                        delete updated[field];
+                    } else {
+                        updated[field] = value;
+                    }
+                });
+            }
+            
+            const changed = islands.map((island, i) => (i === index ? updated : island));
+            const revision = commitIslands(res, changed, { source: req.method === 'PUT' ? 'update' : 'patch', island: islandId });
+            if (!revision) return;
+            
+            console.log(`✏️ Island updated: ${islandId} (revision ${revision.id})`);
+            const updatedEtag = mapStore.getIslandEtag(updated);
+            res.setHeader('ETag', updatedEtag);
+            sendJson(res, 200, { success: true, island: updated, revision: revision.id, etag: updatedEtag });
+        } catch (error) {
+            console.error('❌ Error updating island:', error);
+            sendJson(res, 500, { error: 'Failed to update island' });
+        }
+    } else if (pathname === '/api/island-images' && req.method === 'GET') {
+        // Every image with format, size and the islands using it
+        try {
+            sendJson(res, 200, { success: true, images: imageStore.list(mapStore.loadIslands()) });
+        } catch (error) {
+            console.error('❌ Error listing images:', error);
+            sendJson(res, 500, { error: 'Failed to list images' });
+        }
+    } else if (pathname === '/api/island-images' && req.method === 'POST') {
+        // Upload a new image (multipart field "image", optional field "filename")
+        try {
+            const upload = await readImageUpload(req, res);
+            if (upload === undefined) return;
+            
+            const filename = upload.filename || parsedUrl.query.filename;
+            if (imageStore.exists(filename)) {
+                sendJson(res, 409, { error: `Image already exists: ${filename} (use PUT to replace it)` });
+                return;
+            }
+            
+            const check = imageStore.check(filename, upload.data);
+            if (!check.valid) {
+                sendJson(res, imageStore.isValidFilename(filename) ? 415 : 400, { error: check.error });
+                return;
+            }
+            
+            imageStore.write(filename, upload.data);
+            console.log(`🖼️ Island image uploaded: ${filename} (${check.info.width}x${check.info.height} ${check.info.format})`);
+            changeEvents.broadcast('island-image-changed', { filename });
+            
+            res.setHeader('Location', `/api/island-images/${encodeURIComponent(filename)}`);
+            sendJson(res, 201, { success: true, image: imageStore.describe(filename, mapStore.loadIslands()) });
+        } catch (error) {
+            console.error('❌ Error uploading image:', error);
+            sendJson(res, 500, { error: 'Failed to save image' });
+        }
+    } else if (IMAGE_FIT_ROUTE.test(pathname) && req.method === 'POST') {
+        // Propose collision circles for an image; nothing is saved
+        try {
+            const filename = decodeURIComponent(IMAGE_FIT_ROUTE.exec(pathname)[1]);
+            const body = await readJsonBody(req, res);
+            if (body === undefined) return;
+            
+            if (!imageStore.exists(filename)) {
+                sendJson(res, 404, { error: `Image not found: ${filename}` });
+                return;
+            }
+            if (path.extname(filename).toLowerCase() !== '.png') {
+                sendJson(res, 415, { error: 'Auto-fit needs a PNG image with an alpha channel' });
+                return;
+            }
+            
+            const options = {};
+            const limits = {
+                scale: [0.001, 100],
+                tolerance: [0, 1000],
+                maxCircles: [1, 200],
+                alphaThreshold: [1, 255]
+            };
+            for (const [field, [min, max]] of Object.entries(limits)) {
+                const value = body ? body[field] : undefined;
+                if (value === undefined || value === null) continue;
+                if (typeof value !== 'number' || !(value >= min && value <= max)) {
+                    sendJson(res, 400, { error: `${field} must be a number from ${min} to ${max}` });
+                    return;
+                }
+                options[field] = field === 'maxCircles' ? Math.floor(value) : value;
+            }
+            
+            const result = collisionFitter.fit(imageStore.readAlphaMask(filename), options);
+            console.log(`🎯 Fitted ${result.circles.length} collision circles to ${filename} (${(result.error.landCoverage * 100).toFixed(1)}% land covered)`);
+            sendJson(res, 200, { success: true, filename, ...result });
+        } catch (error) {
+            console.error('❌ Error fitting collision:', error);
+            sendJson(res, 500, { error: `Failed to fit collision: ${error.message}` });
+        }
+    } else if (IMAGE_RENAME_ROUTE.test(pathname) && req.method === 'POST') {
+        // Rename an image and point every island that used it at the new name
+        try {
+            const filename = decodeURIComponent(IMAGE_RENAME_ROUTE.exec(pathname)[1]);
+            const body = await readJsonBody(req, res);
+            if (body === undefined) return;
+            
+            const newFilename = body && body.filename;
+            if (!imageStore.exists(filename)) {
+                sendJson(res, 404, { error: `Image not found: ${filename}` });
+                return;
+            }
+            if (!imageStore.isValidFilename(newFilename)) {
+                sendJson(res, 400, { error: 'Body must be { "filename": "<new name>" } with an image filename' });
+                return;
+            }
+            if (path.extname(newFilename).toLowerCase() !== path.extname(filename).toLowerCase()) {
+                sendJson(res, 400, { error: 'Renaming cannot change the file extension' });
+                return;
+            }
+            if (imageStore.exists(newFilename)) {
+                sendJson(res, 409, { error: `Image already exists: ${newFilename}` });
+                return;
+            }
+            
+            imageStore.rename(filename, newFilename);
+            
+            // Repoint the islands; if they cannot be saved the file goes back to its old name
+            let referencing;
+            let revision = null;
+            try {
+                const islands = mapStore.loadIslands();
+                referencing = imageStore.findReferences(filename, islands);
+                if (referencing.length > 0) {
+                    const renamed = islands.map(island => (island.imageFilename === filename
+                        ? { ...island, imageFilename: newFilename }
+                        : island));
+                    revision = commitIslands(res, renamed, { source: 'rename-image', from: filename, to: newFilename });
+                    if (!revision) {
+                        imageStore.rename(newFilename, filename);
                         return;
                     }
-                    
-                    // Clean filename
-                    const cleanFilename = filename.replace(/[^a-zA-Z0-9._-]/g, '_');
-                    const filepath = path.join(ASSETS_DIR, cleanFilename);
-                    
-                    // Convert base64 to buffer
-                    const base64Data = imageData.replace(/^data:image\/[a-z]+;base64,/, '');
-                    const buffer = Buffer.from(base64Data, 'base64');
-                    
-                    // Save file
-                    fs.writeFileSync(filepath, buffer);
-                    
-                    console.log(`Saved island image: ${cleanFilename} for island: ${islandName}`);
-                    
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ 
-                        success: true, 
-                        filename: cleanFilename,
-                        path: `assets/Islands/${cleanFilename}`
-                    }));
-                    
-                } catch (error) {
-                    console.error('Error saving image:', error);
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Failed to save image' }));
                 }
+            } catch (error) {
+                imageStore.rename(newFilename, filename);
+                throw error;
+            }
+            changeEvents.broadcast('island-image-changed', { filename: newFilename, renamedFrom: filename });
+            
+            console.log(`🖼️ Island image renamed: ${filename} -> ${newFilename} (${referencing.length} islands updated)`);
+            sendJson(res, 200, {
+                success: true,
+                image: imageStore.describe(newFilename, mapStore.loadIslands()),
+                updatedIslands: referencing,
+                revision: revision ? revision.id : null
             });
+        } catch (error) {
+            console.error('❌ Error renaming image:', error);
+            sendJson(res, 500, { error: 'Failed to rename image' });
+        }
+    } else if (IMAGE_ROUTE.test(pathname) && ['GET', 'PUT', 'DELETE'].includes(req.method)) {
+        // Single image: inspect, replace contents, delete
+        try {
+            const filename = decodeURIComponent(IMAGE_ROUTE.exec(pathname)[1]);
+            
+            let upload = null;
+            if (req.method === 'PUT') {
+                upload = await readImageUpload(req, res);
+                if (upload === undefined) return;
+            }
+            
+            if (!imageStore.exists(filename)) {
+                sendJson(res, 404, { error: `Image not found: ${filename}` });
+                return;
+            }
+            
+            if (req.method === 'GET') {
+                sendJson(res, 200, { success: true, image: imageStore.describe(filename, mapStore.loadIslands()) });
+                return;
+            }
+            
+            if (req.method === 'DELETE') {
+                const referencedBy = imageStore.findReferences(filename, mapStore.loadIslands());
+                if (referencedBy.length > 0) {
+                    sendJson(res, 409, { error: `Image is still used by ${referencedBy.length} island(s)`, referencedBy });
+                    return;
+                }
+                
+                imageStore.remove(filename);
+                console.log(`🗑️ Island image deleted: ${filename}`);
+                sendJson(res, 200, { success: true });
+                return;
+            }
+            
+            // PUT keeps the name; the new contents must still match its extension
+            const check = imageStore.check(filename, upload.data);
+            if (!check.valid) {
+                sendJson(res, 415, { error: check.error });
+                return;
+            }
+            
+            imageStore.write(filename, upload.data);
+            console.log(`🖼️ Island image replaced: ${filename} (${check.info.width}x${check.info.height} ${check.info.format})`);
+            changeEvents.broadcast('island-image-changed', { filename });
             
+            sendJson(res, 200, { success: true, image: imageStore.describe(filename, mapStore.loadIslands()) });
         } catch (error) {
-            console.error('Error processing request:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Server error' }));
+            console.error('❌ Error updating image:', error);
+            sendJson(res, 500, { error: 'Failed to update image' });
         }
-    } else if (pathname === '/api/list-island-images' && req.method === 'GET') {
+    } else if (pathname === '/api/save-island-image' && req.method === 'POST') {
+        // Legacy base64 upload used by older editor builds
         try {
-            const files = fs.readdirSync(ASSETS_DIR)
-                .filter(file => /\.(png|jpg|jpeg|gif|webp)$/i.test(file))
-                .map(file => ({
-                    filename: file,
-                    path: `assets/Islands/${file}`
-                }));
+            const data = await readJsonBody(req, res);
+            if (data === undefined) return;
+            const { filename, imageData, islandName } = data || {};
+            
+            // Validate input
+            if (!filename || !imageData || !islandName) {
+                sendJson(res, 400, { error: 'Missing required fields' });
+                return;
+            }
             
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ images: files }));
+            // Clean filename
+            const cleanFilename = filename.replace(/[^a-zA-Z0-9._-]/g, '_');
+            
+            // Convert base64 to buffer
+            const base64Data = imageData.replace(/^data:image\/[a-z]+;base64,/, '');
+            const buffer = Buffer.from(base64Data, 'base64');
+            
+            const check = imageStore.check(cleanFilename, buffer);
+            if (!check.valid) {
+                sendJson(res, imageStore.isValidFilename(cleanFilename) ? 415 : 400, { error: check.error });
+                return;
+            }
+            
+            imageStore.write(cleanFilename, buffer);
+            
+            console.log(`Saved island image: ${cleanFilename} for island: ${islandName}`);
+            changeEvents.broadcast('island-image-changed', { filename: cleanFilename, islandName });
+            
+            sendJson(res, 200, {
+                success: true,
+                filename: cleanFilename,
+                path: `assets/Islands/${cleanFilename}`
+            });
+        } catch (error) {
+            console.error('Error saving image:', error);
+            sendJson(res, 500, { error: 'Failed to save image' });
+        }
+    } else if (pathname === '/api/list-island-images' && req.method === 'GET') {
+        // Same listing as GET /api/island-images, kept for the map editor
+        try {
+            sendJson(res, 200, { images: imageStore.list(mapStore.loadIslands()) });
         } catch (error) {
             console.error('Error listing images:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Failed to list images' }));
+            sendJson(res, 500, { error: 'Failed to list images' });
         }
-    } else {
-        // Serve static files (fallback to existing functionality)
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Not found' }));
+    } else if (pathname === '/api/events' && req.method === 'GET') {
+        changeEvents.subscribe(req, res);
+    } else if (pathname.startsWith('/api/')) {
+        sendJson(res, 404, { error: 'Not found' });
+    } else if (!staticFiles.handle(req, res, pathname)) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
     }
 });
 
-server.listen(PORT, () => {
-    console.log(`🚀 GORET Map Editor Server running on http://localhost:${PORT}`);
+server.listen(PORT, HOST, () => {
+    const baseUrl = `http://${HOST || 'localhost'}:${PORT}`;
+    console.log(`🚀 GORET Server running on ${baseUrl}`);
+    console.log(`🎮 Game: ${baseUrl}/index.html`);
+    console.log(`🗺️ Map editor: ${baseUrl}/map-editor.html`);
+    console.log(`📁 Map data: ${DATA_DIR}`);
+    console.log(`📁 Generated game data: ${GENERATED_JS_DIR}`);
     console.log(`📁 Island images will be saved to: ${ASSETS_DIR}`);
-    console.log(`💡 Run your main game on http://localhost:8000 (http-server)`);
-    console.log(`💡 This server handles image uploads for the map editor`);
 });
 
 // Handle server shutdown gracefully
 process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down server...');
+    // Open event streams would otherwise keep server.close() waiting
+    changeEvents.close();
     server.close(() => {
         console.log('✅ Server shut down successfully');
         process.exit(0);
@@ -0,0 +1,56 @@
+/**
+ * GORET Change Events
+ * Server-Sent Events stream that tells running games when map data changes
+ */
+
+class ChangeEventStream {
+    constructor(options = {}) {
+        this.clients = new Set();
+        this.nextEventId = 1;
+        this.heartbeatInterval = options.heartbeatInterval || 25000;
+        this.retryDelay = options.retryDelay || 2000;
+
+        // Comment lines keep proxies and browsers from closing idle connections
+        this.heartbeatTimer = setInterval(() => {
+            this.clients.forEach(res => res.write(': ping\n\n'));
+        }, this.heartbeatInterval);
+        this.heartbeatTimer.unref();
+    }
+
+    /**
+     * Attach a client to the stream (GET /api/events)
+     */
+    subscribe(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${this.retryDelay}\n\n`);
+
+        this.clients.add(res);
+        console.log(`📡 Live update client connected (${this.clients.size} total)`);
+
+        req.on('close', () => {
+            this.clients.delete(res);
+            console.log(`📡 Live update client disconnected (${this.clients.size} total)`);
+        });
+    }
+
+    /**
+     * Send a named event to every connected client
+     */
+    broadcast(type, data = {}) {
+        const payload = `id: ${this.nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, timestamp: Date.now() })}\n\n`;
+        this.clients.forEach(res => res.write(payload));
+    }
+
+    close() {
+        clearInterval(this.heartbeatTimer);
+        this.clients.forEach(res => res.end());
+        this.clients.clear();
+    }
+}
+
+module.exports = ChangeEventStream;
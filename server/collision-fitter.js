@@ -0,0 +1,324 @@
+/**
+ * GORET Collision Fitter
+ * Generates Multi-Circle collision for an island from its image's alpha mask
+ */
+
+const DEFAULT_OPTIONS = {
+    scale: 1,             // World units per image pixel (island.scale)
+    tolerance: 20,        // World units a circle may overshoot the coastline / land may be left uncovered
+    maxCircles: 24,
+    alphaThreshold: 128,  // Pixels at least this opaque count as land
+    resolution: 256       // Grid cells along the image's longest side
+};
+
+class CollisionFitter {
+    constructor(options = {}) {
+        this.defaults = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Fit circles to an alpha mask ({ width, height, alpha } from PngDecoder).
+     * Circles are relative to the image centre in world units, matching
+     * how islands are drawn. Returns { circles, error, options }.
+     */
+    fit(image, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const grid = this.buildGrid(image, settings);
+        const distance = this.distanceToWater(grid);
+
+        // World units per grid cell, and the tolerance in cells
+        const cellWorld = grid.cellSize * settings.scale;
+        const toleranceCells = settings.tolerance / cellWorld;
+
+        const circles = this.placeCircles(grid, distance, toleranceCells, settings.maxCircles);
+        const error = this.measure(grid, distance, circles, toleranceCells);
+
+        const centerX = image.width / 2;
+        const centerY = image.height / 2;
+        const round = value => Math.round(value * 10) / 10;
+
+        return {
+            circles: circles.map(circle => ({
+                x: round(((circle.x + 0.5) * grid.cellSize - centerX) * settings.scale),
+                y: round(((circle.y + 0.5) * grid.cellSize - centerY) * settings.scale),
+                radius: round(circle.radius * cellWorld)
+            })),
+            error,
+            options: settings
+        };
+    }
+
+    /**
+     * Fit circles to a legacy collision polygon (world coordinates) by
+     * rasterising it around the island centre first
+     */
+    fitPolygon(polygon, center, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const mask = this.rasterizePolygon(polygon, center, settings.resolution * 2);
+        return this.fit(mask, { ...settings, scale: mask.pixelSize });
+    }
+
+    /**
+     * Even-odd scanline fill of a polygon into an alpha mask centred on
+     * `center`, with `size` pixels along the longest side
+     */
+    rasterizePolygon(polygon, center, size) {
+        let extentX = 0;
+        let extentY = 0;
+        polygon.forEach(point => {
+            extentX = Math.max(extentX, Math.abs(point.x - center.x));
+            extentY = Math.max(extentY, Math.abs(point.y - center.y));
+        });
+
+        const pixelSize = Math.max(extentX, extentY, 1) * 2 / size;
+        const width = Math.max(1, Math.ceil((extentX * 2) / pixelSize));
+        const height = Math.max(1, Math.ceil((extentY * 2) / pixelSize));
+        const alpha = new Uint8Array(width * height);
+
+        // Polygon in pixel coordinates, image centre on the island centre
+        const points = polygon.map(point => ({
+            x: (point.x - center.x) / pixelSize + width / 2,
+            y: (point.y - center.y) / pixelSize + height / 2
+        }));
+
+        for (let y = 0; y < height; y++) {
+            const scanY = y + 0.5;
+            const crossings = [];
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const a = points[i];
+                const b = points[j];
+                if ((a.y > scanY) !== (b.y > scanY)) {
+                    crossings.push(a.x + ((scanY - a.y) / (b.y - a.y)) * (b.x - a.x));
+                }
+            }
+            crossings.sort((a, b) => a - b);
+
+            for (let k = 0; k + 1 < crossings.length; k += 2) {
+                const start = Math.max(0, Math.ceil(crossings[k] - 0.5));
+                const end = Math.min(width - 1, Math.floor(crossings[k + 1] - 0.5));
+                for (let x = start; x <= end; x++) {
+                    alpha[y * width + x] = 255;
+                }
+            }
+        }
+
+        return { width, height, alpha, pixelSize };
+    }
+
+    /**
+     * Downsample the alpha mask to a grid where a cell is land if most of
+     * its pixels are at least alphaThreshold opaque
+     */
+    buildGrid(image, settings) {
+        const cellSize = Math.max(1, Math.ceil(Math.max(image.width, image.height) / settings.resolution));
+        const width = Math.ceil(image.width / cellSize);
+        const height = Math.ceil(image.height / cellSize);
+
+        const landPixels = new Uint32Array(width * height);
+        const totalPixels = new Uint32Array(width * height);
+
+        for (let y = 0; y < image.height; y++) {
+            const row = Math.floor(y / cellSize) * width;
+            for (let x = 0; x < image.width; x++) {
+                const cell = row + Math.floor(x / cellSize);
+                totalPixels[cell]++;
+                if (image.alpha[y * image.width + x] >= settings.alphaThreshold) {
+                    landPixels[cell]++;
+                }
+            }
+        }
+
+        const land = new Uint8Array(width * height);
+        for (let i = 0; i < land.length; i++) {
+            land[i] = landPixels[i] * 2 >= totalPixels[i] && landPixels[i] > 0 ? 1 : 0;
+        }
+
+        return { width, height, cellSize, land };
+    }
+
+    /**
+     * Euclidean distance (in cells) from every land cell to the nearest water
+     * cell, treating everything outside the image as water
+     * (Felzenszwalb & Huttenlocher two-pass transform)
+     */
+    distanceToWater(grid) {
+        const width = grid.width + 2;
+        const height = grid.height + 2;
+        const INF = 1e20;
+        const squared = new Float64Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const inside = x > 0 && y > 0 && x <= grid.width && y <= grid.height;
+                const isLand = inside && grid.land[(y - 1) * grid.width + (x - 1)];
+                squared[y * width + x] = isLand ? INF : 0;
+            }
+        }
+
+        const size = Math.max(width, height);
+        const f = new Float64Array(size);
+        const d = new Float64Array(size);
+        const v = new Int32Array(size);
+        const z = new Float64Array(size + 1);
+
+        const transform1D = (n) => {
+            let k = 0;
+            v[0] = 0;
+            z[0] = -INF;
+            z[1] = INF;
+            for (let q = 1; q < n; q++) {
+                let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+                while (s <= z[k]) {
+                    k--;
+                    s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+                }
+                k++;
+                v[k] = q;
+                z[k] = s;
+                z[k + 1] = INF;
+            }
+            k = 0;
+            for (let q = 0; q < n; q++) {
+                while (z[k + 1] < q) k++;
+                d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+            }
+        };
+
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) f[y] = squared[y * width + x];
+            transform1D(height);
+            for (let y = 0; y < height; y++) squared[y * width + x] = d[y];
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) f[x] = squared[y * width + x];
+            transform1D(width);
+            for (let x = 0; x < width; x++) squared[y * width + x] = d[x];
+        }
+
+        // Drop the padding
+        const distance = new Float32Array(grid.width * grid.height);
+        for (let y = 0; y < grid.height; y++) {
+            for (let x = 0; x < grid.width; x++) {
+                distance[y * grid.width + x] = Math.sqrt(squared[(y + 1) * width + (x + 1)]);
+            }
+        }
+        return distance;
+    }
+
+    /**
+     * Greedy cover: repeatedly place the largest inscribed circle (grown by
+     * the tolerance) at the deepest land cell that is not covered yet, then
+     * drop circles that other circles made redundant
+     */
+    placeCircles(grid, distance, toleranceCells, maxCircles) {
+        // Land within the tolerance of the coast does not have to be covered
+        const required = [];
+        for (let i = 0; i < distance.length; i++) {
+            if (grid.land[i] && distance[i] - 0.5 > toleranceCells) {
+                required.push(i);
+            }
+        }
+        // Land that is all coast (smaller than the tolerance) still gets one circle at its deepest point
+        if (required.length === 0) {
+            let deepest = -1;
+            for (let i = 0; i < distance.length; i++) {
+                if (grid.land[i] && (deepest === -1 || distance[i] > distance[deepest])) {
+                    deepest = i;
+                }
+            }
+            if (deepest !== -1) {
+                required.push(deepest);
+            }
+        }
+        required.sort((a, b) => distance[b] - distance[a]);
+
+        const coverCount = new Uint16Array(distance.length);
+        const circles = [];
+
+        for (const cell of required) {
+            if (circles.length >= maxCircles) break;
+            if (coverCount[cell] > 0) continue;
+
+            const circle = {
+                x: cell % grid.width,
+                y: Math.floor(cell / grid.width),
+                radius: distance[cell] - 0.5 + toleranceCells
+            };
+            circle.cells = this.cellsInCircle(grid, circle);
+            circle.cells.forEach(i => coverCount[i]++);
+            circles.push(circle);
+        }
+
+        // Smallest first: remove circles whose required land is all covered elsewhere
+        const isRequired = new Uint8Array(distance.length);
+        required.forEach(i => { isRequired[i] = 1; });
+
+        const kept = [...circles].sort((a, b) => a.radius - b.radius).filter(circle => {
+            const redundant = circle.cells.every(i => !isRequired[i] || coverCount[i] > 1);
+            if (redundant) {
+                circle.cells.forEach(i => coverCount[i]--);
+            }
+            return !redundant;
+        });
+
+        return kept.sort((a, b) => b.radius - a.radius);
+    }
+
+    cellsInCircle(grid, circle) {
+        const cells = [];
+        const r = circle.radius;
+        const minY = Math.max(0, Math.floor(circle.y - r));
+        const maxY = Math.min(grid.height - 1, Math.ceil(circle.y + r));
+        const minX = Math.max(0, Math.floor(circle.x - r));
+        const maxX = Math.min(grid.width - 1, Math.ceil(circle.x + r));
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const dx = x - circle.x;
+                const dy = y - circle.y;
+                if (dx * dx + dy * dy <= r * r) {
+                    cells.push(y * grid.width + x);
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Coverage error of a circle set: how much land is left uncovered and
+     * how much water the circles block, as fractions of the land area
+     */
+    measure(grid, distance, circles, toleranceCells) {
+        const covered = new Uint8Array(grid.land.length);
+        circles.forEach(circle => circle.cells.forEach(i => { covered[i] = 1; }));
+
+        let land = 0;
+        let landCovered = 0;
+        let waterCovered = 0;
+        let requiredMissed = 0;
+        for (let i = 0; i < grid.land.length; i++) {
+            if (grid.land[i]) {
+                land++;
+                if (covered[i]) {
+                    landCovered++;
+                } else if (distance[i] - 0.5 > toleranceCells) {
+                    requiredMissed++;
+                }
+            } else if (covered[i]) {
+                waterCovered++;
+            }
+        }
+
+        const ratio = value => (land === 0 ? 0 : Math.round((value / land) * 10000) / 10000);
+        return {
+            landCoverage: land === 0 ? 1 : ratio(landCovered),
+            uncoveredLand: ratio(land - landCovered),
+            blockedWater: ratio(waterCovered),
+            // False when maxCircles ran out before all land deeper than the tolerance was covered
+            withinTolerance: requiredMissed === 0,
+            circleCount: circles.length
+        };
+    }
+}
+
+module.exports = CollisionFitter;
@@ -0,0 +1,270 @@
+/**
+ * GORET Image Store
+ * Island images in assets/Islands: header checks, metadata and
+ * which islands reference each image
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { IMAGE_FILENAME_PATTERN } = require('./island-schema');
+const PngDecoder = require('./png-decoder');
+
+// Filename extension -> image format it must contain
+const EXTENSION_FORMATS = {
+    '.png': 'png',
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.webp': 'webp',
+    '.gif': 'gif'
+};
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    gif: 'image/gif'
+};
+
+class ImageStore {
+    constructor(options = {}) {
+        this.imagesDir = options.imagesDir;
+        this.urlPrefix = options.urlPrefix || 'assets/Islands/';
+
+        // Decoded alpha masks, most recently used last
+        this.pngDecoder = new PngDecoder();
+        this.alphaCache = new Map();
+        this.alphaCacheSize = options.alphaCacheSize || 4;
+
+        if (!fs.existsSync(this.imagesDir)) {
+            fs.mkdirSync(this.imagesDir, { recursive: true });
+        }
+    }
+
+    isValidFilename(filename) {
+        return typeof filename === 'string' && IMAGE_FILENAME_PATTERN.test(filename);
+    }
+
+    getPath(filename) {
+        return path.join(this.imagesDir, filename);
+    }
+
+    exists(filename) {
+        return this.isValidFilename(filename) && fs.existsSync(this.getPath(filename));
+    }
+
+    /**
+     * Read format and pixel size from the file header.
+     * Returns { format, mimeType, width, height } or null if it is not a
+     * PNG, JPEG, WebP or GIF image.
+     */
+    sniff(buffer) {
+        const info = this.sniffPng(buffer) || this.sniffJpeg(buffer) || this.sniffWebp(buffer) || this.sniffGif(buffer);
+        if (!info || !(info.width > 0) || !(info.height > 0)) {
+            return null;
+        }
+        return { ...info, mimeType: MIME_TYPES[info.format] };
+    }
+
+    sniffPng(buffer) {
+        const signature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+        if (buffer.length < 24 || !buffer.subarray(0, 8).equals(signature) ||
+            buffer.toString('ascii', 12, 16) !== 'IHDR') {
+            return null;
+        }
+        return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    sniffJpeg(buffer) {
+        if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8 || buffer[2] !== 0xff) {
+            return null;
+        }
+
+        // Walk the marker segments until the start-of-frame that holds the size
+        let offset = 2;
+        while (offset + 4 <= buffer.length) {
+            if (buffer[offset] !== 0xff) {
+                return null;
+            }
+            const marker = buffer[offset + 1];
+            if (marker === 0xff) {
+                offset++; // fill byte
+                continue;
+            }
+            if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+                offset += 2; // markers without a length
+                continue;
+            }
+
+            const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf &&
+                marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+            if (isStartOfFrame) {
+                if (offset + 9 > buffer.length) return null;
+                return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            if (marker === 0xd9 || marker === 0xda) {
+                return null; // end of image / start of scan before any frame header
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return null;
+    }
+
+    sniffWebp(buffer) {
+        if (buffer.length < 30 || buffer.toString('ascii', 0, 4) !== 'RIFF' ||
+            buffer.toString('ascii', 8, 12) !== 'WEBP') {
+            return null;
+        }
+
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') {
+            // Lossy: frame tag, start code 9d 01 2a, then 14-bit sizes
+            if (buffer[23] !== 0x9d || buffer[24] !== 0x01 || buffer[25] !== 0x2a) return null;
+            return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            // Lossless: signature byte, then two packed 14-bit sizes minus one
+            if (buffer[20] !== 0x2f) return null;
+            const bits = buffer.readUInt32LE(21);
+            return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            // Extended: 24-bit canvas sizes minus one
+            return { format: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+    }
+
+    sniffGif(buffer) {
+        const header = buffer.toString('ascii', 0, 6);
+        if (buffer.length < 10 || (header !== 'GIF87a' && header !== 'GIF89a')) {
+            return null;
+        }
+        return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    /**
+     * Check that a buffer is an image whose format matches the filename.
+     * Returns { valid, info, error }.
+     */
+    check(filename, buffer) {
+        if (!this.isValidFilename(filename)) {
+            return { valid: false, info: null, error: 'Filename must use letters, digits, . _ - and end in .png, .jpg, .jpeg, .webp or .gif' };
+        }
+
+        const info = this.sniff(buffer);
+        if (!info) {
+            return { valid: false, info: null, error: 'Not a PNG, JPEG, WebP or GIF image' };
+        }
+
+        const expected = EXTENSION_FORMATS[path.extname(filename).toLowerCase()];
+        if (info.format !== expected) {
+            return { valid: false, info, error: `File contains ${info.format.toUpperCase()} data but is named ${filename}` };
+        }
+
+        return { valid: true, info, error: null };
+    }
+
+    /**
+     * Write via temp file + rename so the game never loads a partial image
+     */
+    write(filename, buffer) {
+        const filePath = this.getPath(filename);
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, buffer);
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            if (fs.existsSync(tempPath)) {
+                fs.unlinkSync(tempPath);
+            }
+            throw error;
+        }
+    }
+
+    remove(filename) {
+        fs.unlinkSync(this.getPath(filename));
+    }
+
+    rename(fromFilename, toFilename) {
+        fs.renameSync(this.getPath(fromFilename), this.getPath(toFilename));
+    }
+
+    /**
+     * Decoded alpha channel of a PNG image ({ width, height, alpha }),
+     * cached until the file changes
+     */
+    readAlphaMask(filename) {
+        const filePath = this.getPath(filename);
+        const { mtimeMs, size } = fs.statSync(filePath);
+        const cached = this.alphaCache.get(filename);
+
+        if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+            this.alphaCache.delete(filename);
+            this.alphaCache.set(filename, cached);
+            return cached.mask;
+        }
+
+        const mask = this.pngDecoder.decodeAlpha(fs.readFileSync(filePath));
+        this.alphaCache.set(filename, { mtimeMs, size, mask });
+        if (this.alphaCache.size > this.alphaCacheSize) {
+            this.alphaCache.delete(this.alphaCache.keys().next().value);
+        }
+        return mask;
+    }
+
+    /**
+     * Islands whose imageFilename points at this image
+     */
+    findReferences(filename, islands) {
+        return islands
+            .filter(island => island.imageFilename === filename)
+            .map(island => ({ id: island.id, name: island.name }));
+    }
+
+    /**
+     * Metadata for one image, or null if it does not exist
+     */
+    describe(filename, islands = []) {
+        if (!this.exists(filename)) {
+            return null;
+        }
+
+        const filePath = this.getPath(filename);
+        const stats = fs.statSync(filePath);
+
+        // The header is all we need for format and size
+        const header = Buffer.alloc(Math.min(stats.size, 256 * 1024));
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            fs.readSync(fd, header, 0, header.length, 0);
+        } finally {
+            fs.closeSync(fd);
+        }
+        const info = this.sniff(header);
+
+        return {
+            filename,
+            path: `${this.urlPrefix}${filename}`,
+            format: info ? info.format : null,
+            mimeType: info ? info.mimeType : null,
+            width: info ? info.width : null,
+            height: info ? info.height : null,
+            size: stats.size,
+            modified: stats.mtime.toISOString(),
+            referencedBy: this.findReferences(filename, islands)
+        };
+    }
+
+    /**
+     * Metadata for every image in the directory
+     */
+    list(islands = []) {
+        return fs.readdirSync(this.imagesDir)
+            .filter(file => this.isValidFilename(file))
+            .sort()
+            .map(file => this.describe(file, islands));
+    }
+}
+
+module.exports = ImageStore;
@@ -0,0 +1,324 @@
+/**
+ * GORET Island Schema
+ * Validates the map editor island format and reports every violation
+ * by island index and field path
+ */
+
+const { RESERVED_ISLAND_IDS } = require('./map-store');
+
+const IMAGE_FILENAME_PATTERN = /^[A-Za-z0-9._-]+\.(png|jpe?g|webp|gif)$/i;
+const ISLAND_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const HAZARD_TYPES = ['shallows', 'reef', 'whirlpool', 'calm'];
+
+// Town areas: the game's PortManager knows these services and nations
+const TOWN_TYPES = ['port', 'town', 'fort', 'village'];
+const TOWN_SERVICES = ['governor', 'market', 'tavern', 'dockmaster', 'bank', 'church'];
+const TOWN_NATIONS = ['england', 'france', 'spain', 'netherlands', 'pirates'];
+
+class IslandSchema {
+    /**
+     * Validate a save payload: either an island array or { islands: [...] }
+     * Returns { valid, islands, errors }
+     */
+    validate(data) {
+        const islands = Array.isArray(data) ? data : (data && data.islands);
+        const errors = [];
+
+        if (!Array.isArray(islands)) {
+            errors.push(this.error(null, null, 'islands', 'Expected an array of islands or { "islands": [...] }'));
+            return { valid: false, islands: null, errors };
+        }
+
+        const seenNames = new Map();
+        const seenIds = new Map();
+        const seenTownIds = new Map();
+        islands.forEach((island, index) => {
+            errors.push(...this.validateIsland(island, index));
+
+            if (island && typeof island.name === 'string') {
+                if (seenNames.has(island.name)) {
+                    errors.push(this.error(index, island, 'name',
+                        `Duplicate island name (also used by island ${seenNames.get(island.name)})`));
+                } else {
+                    seenNames.set(island.name, index);
+                }
+            }
+
+            if (island && typeof island.id === 'string') {
+                if (seenIds.has(island.id)) {
+                    errors.push(this.error(index, island, 'id',
+                        `Duplicate island id (also used by island ${seenIds.get(island.id)})`));
+                } else {
+                    seenIds.set(island.id, index);
+                }
+            }
+
+            // Town IDs key discovery state in the game, so they are unique map-wide
+            if (island && Array.isArray(island.towns)) {
+                island.towns.forEach((town, townIndex) => {
+                    if (!town || typeof town.id !== 'string') return;
+                    if (seenTownIds.has(town.id)) {
+                        errors.push(this.error(index, island, `towns[${townIndex}].id`,
+                            `Duplicate town id (also used on island ${seenTownIds.get(town.id)})`));
+                    } else {
+                        seenTownIds.set(town.id, index);
+                    }
+                });
+            }
+        });
+
+        return { valid: errors.length === 0, islands, errors };
+    }
+
+    /**
+     * Validate a single island, returning a list of errors
+     */
+    validateIsland(island, index = null) {
+        const errors = [];
+
+        if (!island || typeof island !== 'object' || Array.isArray(island)) {
+            errors.push(this.error(index, null, '', 'Island must be an object'));
+            return errors;
+        }
+
+        const fail = (path, message) => errors.push(this.error(index, island, path, message));
+
+        // Identity and position
+        if (island.id !== undefined) {
+            if (typeof island.id !== 'string' || !ISLAND_ID_PATTERN.test(island.id)) {
+                fail('id', 'Must be a string of letters, digits, _ and -');
+            } else if (RESERVED_ISLAND_IDS.includes(island.id)) {
+                fail('id', `"${island.id}" is reserved`);
+            }
+        }
+        if (typeof island.name !== 'string' || island.name.trim() === '') {
+            fail('name', 'Required non-empty string');
+        }
+        this.checkNumber(island, 'x', fail, { required: true });
+        this.checkNumber(island, 'y', fail, { required: true });
+        this.checkNumber(island, 'scale', fail, { positive: true });
+        this.checkNumber(island, 'radius', fail, { positive: true });
+
+        // Collision response
+        this.checkNumber(island, 'bounce', fail, { unit: true });
+        this.checkNumber(island, 'friction', fail, { unit: true });
+
+        // Image reference
+        if (island.imageFilename !== undefined && island.imageFilename !== null) {
+            if (typeof island.imageFilename !== 'string' || !IMAGE_FILENAME_PATTERN.test(island.imageFilename)) {
+                fail('imageFilename', 'Must be an image filename (letters, digits, . _ -) ending in .png, .jpg, .jpeg, .webp or .gif');
+            }
+        }
+
+        // Multi-Circle collision
+        const hasCircles = Array.isArray(island.collisionCircles) && island.collisionCircles.length > 0;
+        if (island.collisionCircles !== undefined) {
+            if (!Array.isArray(island.collisionCircles)) {
+                fail('collisionCircles', 'Must be an array of circles');
+            } else {
+                island.collisionCircles.forEach((circle, circleIndex) => {
+                    const circlePath = `collisionCircles[${circleIndex}]`;
+                    if (!circle || typeof circle !== 'object') {
+                        fail(circlePath, 'Circle must be an object');
+                        return;
+                    }
+                    this.checkNumber(circle, 'x', fail, { required: true, prefix: circlePath });
+                    this.checkNumber(circle, 'y', fail, { required: true, prefix: circlePath });
+                    this.checkNumber(circle, 'radius', fail, { required: true, positive: true, prefix: circlePath });
+                });
+            }
+        }
+
+        // Legacy polygon collision
+        const hasPolygon = Array.isArray(island.collision) && island.collision.length >= 3;
+        if (island.collision !== undefined) {
+            if (!Array.isArray(island.collision)) {
+                fail('collision', 'Must be an array of polygon points');
+            } else {
+                if (island.collision.length < 3) {
+                    fail('collision', 'Polygon needs at least 3 points');
+                }
+                island.collision.forEach((point, pointIndex) => {
+                    const pointPath = `collision[${pointIndex}]`;
+                    if (!point || typeof point !== 'object') {
+                        fail(pointPath, 'Point must be an object');
+                        return;
+                    }
+                    this.checkNumber(point, 'x', fail, { required: true, prefix: pointPath });
+                    this.checkNumber(point, 'y', fail, { required: true, prefix: pointPath });
+                });
+            }
+        }
+
+        // Town and port areas, relative to the island centre
+        if (island.towns !== undefined) {
+            if (!Array.isArray(island.towns)) {
+                fail('towns', 'Must be an array of town areas');
+            } else {
+                island.towns.forEach((town, townIndex) => this.validateTown(town, `towns[${townIndex}]`, fail));
+            }
+        }
+
+        // Without any collision shape the game would have to guess one
+        if (!hasCircles && !hasPolygon && island.radius === undefined) {
+            fail('collisionCircles', 'Island needs collisionCircles, a legacy collision polygon or a radius');
+        }
+
+        return errors;
+    }
+
+    validateTown(town, prefix, fail) {
+        if (!town || typeof town !== 'object' || Array.isArray(town)) {
+            fail(prefix, 'Town must be an object');
+            return;
+        }
+
+        if (typeof town.id !== 'string' || !ISLAND_ID_PATTERN.test(town.id)) {
+            fail(`${prefix}.id`, 'Required string of letters, digits, _ and -');
+        }
+        if (typeof town.name !== 'string' || town.name.trim() === '') {
+            fail(`${prefix}.name`, 'Required non-empty string');
+        }
+        this.checkNumber(town, 'x', fail, { required: true, prefix });
+        this.checkNumber(town, 'y', fail, { required: true, prefix });
+        this.checkNumber(town, 'radius', fail, { required: true, positive: true, prefix });
+        this.checkNumber(town, 'entryRadius', fail, { positive: true, prefix });
+        if (typeof town.entryRadius === 'number' && typeof town.radius === 'number' && town.entryRadius < town.radius) {
+            fail(`${prefix}.entryRadius`, 'Must be at least the town radius');
+        }
+
+        if (town.type !== undefined && !TOWN_TYPES.includes(town.type)) {
+            fail(`${prefix}.type`, `Must be one of ${TOWN_TYPES.join(', ')}`);
+        }
+        if (town.nation !== undefined && !TOWN_NATIONS.includes(town.nation)) {
+            fail(`${prefix}.nation`, `Must be one of ${TOWN_NATIONS.join(', ')}`);
+        }
+        if (town.services !== undefined) {
+            if (!Array.isArray(town.services)) {
+                fail(`${prefix}.services`, 'Must be an array of service names');
+            } else {
+                town.services.forEach((service, serviceIndex) => {
+                    if (!TOWN_SERVICES.includes(service)) {
+                        fail(`${prefix}.services[${serviceIndex}]`, `Must be one of ${TOWN_SERVICES.join(', ')}`);
+                    }
+                });
+            }
+        }
+        if (town.background !== undefined && (typeof town.background !== 'string' || !IMAGE_FILENAME_PATTERN.test(town.background))) {
+            fail(`${prefix}.background`, 'Must be an image filename in assets/Ports (letters, digits, . _ -)');
+        }
+    }
+
+    /**
+     * Validate the hazard zone list sent alongside the islands.
+     * Errors use the same shape as island errors with paths like hazards[2].radius
+     */
+    validateHazards(hazards) {
+        const errors = [];
+
+        if (!Array.isArray(hazards)) {
+            errors.push(this.error(null, null, 'hazards', 'Expected an array of hazard zones'));
+            return errors;
+        }
+
+        const seenIds = new Map();
+        hazards.forEach((hazard, index) => {
+            errors.push(...this.validateHazard(hazard, index));
+
+            if (hazard && typeof hazard.id === 'string') {
+                if (seenIds.has(hazard.id)) {
+                    errors.push(this.error(null, hazard, `hazards[${index}].id`,
+                        `Duplicate hazard id (also used by hazard ${seenIds.get(hazard.id)})`));
+                } else {
+                    seenIds.set(hazard.id, index);
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate a single hazard zone, returning a list of errors
+     */
+    validateHazard(hazard, index) {
+        const errors = [];
+        const prefix = `hazards[${index}]`;
+
+        if (!hazard || typeof hazard !== 'object' || Array.isArray(hazard)) {
+            errors.push(this.error(null, null, prefix, 'Hazard must be an object'));
+            return errors;
+        }
+
+        const fail = (path, message) => errors.push(this.error(null, hazard, path, message));
+
+        if (hazard.id !== undefined && (typeof hazard.id !== 'string' || !ISLAND_ID_PATTERN.test(hazard.id))) {
+            fail(`${prefix}.id`, 'Must be a string of letters, digits, _ and -');
+        }
+        if (!HAZARD_TYPES.includes(hazard.type)) {
+            fail(`${prefix}.type`, `Must be one of ${HAZARD_TYPES.join(', ')}`);
+        }
+        if (hazard.name !== undefined && typeof hazard.name !== 'string') {
+            fail(`${prefix}.name`, 'Must be a string');
+        }
+        this.checkNumber(hazard, 'x', fail, { required: true, prefix });
+        this.checkNumber(hazard, 'y', fail, { required: true, prefix });
+        this.checkNumber(hazard, 'radius', fail, { required: true, positive: true, prefix });
+
+        // Per-type effect strengths; the game has defaults for all of them
+        this.checkNumber(hazard, 'maxSpeed', fail, { positive: true, prefix });
+        this.checkNumber(hazard, 'damagePerSecond', fail, { positive: true, prefix });
+        this.checkNumber(hazard, 'pull', fail, { prefix });
+        this.checkNumber(hazard, 'windFactor', fail, { unit: true, prefix });
+
+        return errors;
+    }
+
+    checkNumber(target, field, fail, options = {}) {
+        const { required = false, positive = false, unit = false, prefix = '' } = options;
+        const path = prefix ? `${prefix}.${field}` : field;
+        const value = target[field];
+
+        if (value === undefined || value === null) {
+            if (required) fail(path, 'Required number');
+            return;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            fail(path, 'Must be a finite number');
+            return;
+        }
+        if (positive && value <= 0) {
+            fail(path, 'Must be greater than 0');
+        }
+        if (unit && (value < 0 || value > 1)) {
+            fail(path, 'Must be between 0 and 1');
+        }
+    }
+
+    error(index, island, path, message) {
+        return {
+            index,
+            island: island && typeof island.name === 'string' ? island.name : null,
+            path,
+            message
+        };
+    }
+
+    /**
+     * Human-readable one-liner for an error (used by the CLI and logs)
+     */
+    formatError(error) {
+        const location = error.index === null ? '' : `islands[${error.index}]`;
+        const path = [location, error.path].filter(Boolean).join('.');
+        const name = error.island ? ` (${error.island})` : '';
+        return `${path}${name}: ${error.message}`;
+    }
+}
+
+IslandSchema.IMAGE_FILENAME_PATTERN = IMAGE_FILENAME_PATTERN;
+IslandSchema.HAZARD_TYPES = HAZARD_TYPES;
+IslandSchema.TOWN_TYPES = TOWN_TYPES;
+IslandSchema.TOWN_SERVICES = TOWN_SERVICES;
+IslandSchema.TOWN_NATIONS = TOWN_NATIONS;
+
+module.exports = IslandSchema;
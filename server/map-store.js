@@ -0,0 +1,448 @@
+/**
+ * GORET Map Store
+ * Versioned storage for island data with atomic writes and rollback
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Path segments under /api/islands/ that are routes, not island IDs
+const RESERVED_ISLAND_IDS = ['save', 'load', 'revisions', 'diff'];
+
+class MapStore {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir;
+        this.jsDir = options.jsDir;
+        this.revisionsDir = options.revisionsDir || path.join(this.dataDir, 'revisions');
+
+        // Oldest revisions beyond this many are deleted; 0 (the default) keeps them all
+        this.maxRevisions = options.maxRevisions !== undefined ? options.maxRevisions : MapStore.DEFAULT_MAX_REVISIONS;
+
+        // Revision ID -> metadata, so listing reads each revision file at most once
+        this.revisionIndex = new Map();
+
+        this.jsonPath = path.join(this.dataDir, 'islands.json');
+        this.jsPath = path.join(this.jsDir, 'islands-data.js');
+        this.hazardsJsonPath = path.join(this.dataDir, 'hazards.json');
+        this.hazardsJsPath = path.join(this.jsDir, 'hazards-data.js');
+
+        // Ensure directories exist
+        [this.dataDir, this.jsDir, this.revisionsDir].forEach(dir => {
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+        });
+    }
+
+    /**
+     * Write a file via temp file + rename so readers never see a partial file
+     */
+    writeFileAtomic(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, content);
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            if (fs.existsSync(tempPath)) {
+                fs.unlinkSync(tempPath);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Load the current island list (empty if nothing has been saved yet)
+     */
+    loadIslands() {
+        if (!fs.existsSync(this.jsonPath)) {
+            return [];
+        }
+        return this.assignIslandIds(JSON.parse(fs.readFileSync(this.jsonPath, 'utf8')));
+    }
+
+    /**
+     * Save islands as a new revision and regenerate islands-data.js.
+     * Hazard zones are saved too when given; either way the revision holds
+     * the hazards in force after the save, so a restore brings both back.
+     */
+    saveIslands(islands, meta = {}, hazards = null) {
+        // Keep the pre-existing files as a baseline before the first revision
+        if (!this.hasRevisions() && (fs.existsSync(this.jsonPath) || fs.existsSync(this.hazardsJsonPath))) {
+            this.createRevision(this.loadIslands(), { source: 'baseline' }, this.loadHazards());
+        }
+
+        islands = this.assignIslandIds(islands);
+        const savedHazards = hazards ? this.assignHazardIds(hazards) : this.loadHazards();
+        const revision = this.createRevision(islands, meta, savedHazards);
+
+        this.writeFileAtomic(this.jsonPath, JSON.stringify(islands, null, 2));
+        this.writeGameData(islands);
+        if (hazards) {
+            this.saveHazards(savedHazards);
+        }
+
+        return revision;
+    }
+
+    // Hazard zones (shallows, reefs, whirlpools, calm water)
+
+    /**
+     * Load the current hazard zones (empty if none have been saved yet)
+     */
+    loadHazards() {
+        if (!fs.existsSync(this.hazardsJsonPath)) {
+            return [];
+        }
+        return this.assignHazardIds(JSON.parse(fs.readFileSync(this.hazardsJsonPath, 'utf8')));
+    }
+
+    /**
+     * Save hazard zones and regenerate hazards-data.js
+     */
+    saveHazards(hazards) {
+        hazards = this.assignHazardIds(hazards);
+        this.writeFileAtomic(this.hazardsJsonPath, JSON.stringify(hazards, null, 2));
+        this.writeFileAtomic(this.hazardsJsPath, this.generateHazardsDataFile(hazards));
+        return hazards;
+    }
+
+    /**
+     * Number hazards without an ID per type (reef-1, reef-2, ...)
+     */
+    assignHazardIds(hazards) {
+        const taken = new Set(hazards.map(hazard => hazard && hazard.id).filter(Boolean));
+        return hazards.map(hazard => {
+            if (!hazard || hazard.id) {
+                return hazard;
+            }
+            let suffix = 1;
+            while (taken.has(`${hazard.type}-${suffix}`)) suffix++;
+            const id = `${hazard.type}-${suffix}`;
+            taken.add(id);
+            return { id, ...hazard };
+        });
+    }
+
+    generateHazardsDataFile(hazards) {
+        return `// Auto-generated by map editor - ${new Date().toISOString()}
+// Do not edit manually - changes will be overwritten
+// Hazard zones: shallows, reef, whirlpool, calm
+
+// var (not const) so the game can re-run this script to hot-reload hazards
+var HAZARDS_DATA = ${JSON.stringify(hazards, null, 2)};
+
+// Export for both CommonJS and ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HAZARDS_DATA;
+}
+`;
+    }
+
+    // ETags for optimistic concurrency
+
+    /**
+     * Strong ETag of the saved map (changes whenever islands.json or hazards.json does)
+     */
+    getEtag() {
+        const hash = crypto.createHash('sha1');
+        [this.jsonPath, this.hazardsJsonPath].forEach(filePath => {
+            if (fs.existsSync(filePath)) {
+                hash.update(fs.readFileSync(filePath));
+            }
+        });
+        return `"${hash.digest('hex')}"`;
+    }
+
+    /**
+     * ETag of a single island, so per-island edits only conflict with
+     * changes to that island
+     */
+    getIslandEtag(island) {
+        return `"${crypto.createHash('sha1').update(JSON.stringify(island)).digest('hex')}"`;
+    }
+
+    // Island IDs
+
+    /**
+     * Give every island without an ID a stable one derived from its name.
+     * Existing IDs are kept, so renaming an island does not change its ID.
+     */
+    assignIslandIds(islands) {
+        const taken = new Set(islands.map(island => island && island.id).filter(Boolean));
+        return islands.map(island => {
+            if (!island || island.id) {
+                return island;
+            }
+            const id = this.createIslandId(island.name, taken);
+            taken.add(id);
+            return { id, ...island };
+        });
+    }
+
+    /**
+     * Slug an island name into an ID that is not in use yet
+     */
+    createIslandId(name, taken = new Set()) {
+        const base = String(name || 'island')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'island';
+
+        let id = base;
+        let suffix = 2;
+        while (taken.has(id) || RESERVED_ISLAND_IDS.includes(id)) {
+            id = `${base}-${suffix++}`;
+        }
+        return id;
+    }
+
+    /**
+     * Regenerate js/islands-data.js from the given islands
+     */
+    writeGameData(islands) {
+        this.writeFileAtomic(this.jsPath, this.generateGameDataFile(islands));
+    }
+
+    /**
+     * Generate islands-data.js and hazards-data.js if they are missing, so a
+     * new data folder starts with game scripts matching its (empty) data
+     */
+    ensureGameData() {
+        if (!fs.existsSync(this.jsPath)) {
+            this.writeGameData(this.loadIslands());
+        }
+        if (!fs.existsSync(this.hazardsJsPath)) {
+            this.writeFileAtomic(this.hazardsJsPath, this.generateHazardsDataFile(this.loadHazards()));
+        }
+    }
+
+    /**
+     * Convert islands to game-compatible format with Multi-Circle collision
+     */
+    toGameIslands(islands) {
+        return islands.map(island => {
+            const hasCircles = island.collisionCircles && island.collisionCircles.length > 0;
+            const hasPolygon = island.collision && island.collision.length > 0;
+
+            // Calculate radius from collision shapes if not provided
+            let radius = island.radius;
+            if (!radius && hasCircles) {
+                // Find the maximum distance from center to edge of any collision circle
+                radius = 0;
+                island.collisionCircles.forEach(circle => {
+                    const distance = Math.sqrt(circle.x * circle.x + circle.y * circle.y) + circle.radius;
+                    radius = Math.max(radius, distance);
+                });
+            } else if (!radius && hasPolygon) {
+                // Legacy polygons use world coordinates
+                radius = 0;
+                island.collision.forEach(point => {
+                    radius = Math.max(radius, Math.hypot(point.x - island.x, point.y - island.y));
+                });
+            }
+
+            const gameIsland = {
+                id: island.id,
+                name: island.name,
+                x: island.x,
+                y: island.y,
+                radius: radius,
+                collisionCircles: hasCircles ? island.collisionCircles : [],
+                imageFilename: island.imageFilename || null
+            };
+
+            // Per-island collision response (the game has defaults for both) and town areas
+            ['bounce', 'friction', 'towns'].forEach(field => {
+                if (island[field] !== undefined) {
+                    gameIsland[field] = island[field];
+                }
+            });
+
+            if (!hasCircles && hasPolygon) {
+                // GameMap converts legacy polygons to circles on load
+                gameIsland.collision = island.collision;
+            } else if (!hasCircles) {
+                gameIsland.collisionCircles = [{ x: 0, y: 0, radius: radius * 0.7 }];
+            }
+
+            return gameIsland;
+        });
+    }
+
+    generateGameDataFile(islands) {
+        return `// Auto-generated by map editor - ${new Date().toISOString()}
+// Do not edit manually - changes will be overwritten
+// Multi-Circle Collision System
+
+// var (not const) so the game can re-run this script to hot-reload islands
+var ISLANDS_DATA = ${JSON.stringify(this.toGameIslands(islands), null, 2)};
+
+// Export for both CommonJS and ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ISLANDS_DATA;
+}
+`;
+    }
+
+    // Revision history
+
+    createRevision(islands, meta = {}, hazards = []) {
+        const timestamp = new Date().toISOString();
+        const baseId = timestamp.replace(/[:.]/g, '-');
+
+        // Several saves can land in the same millisecond
+        let id = baseId;
+        let suffix = 1;
+        while (fs.existsSync(this.getRevisionPath(id))) {
+            id = `${baseId}-${suffix++}`;
+        }
+
+        const revision = {
+            id,
+            timestamp,
+            count: islands.length,
+            hazardCount: hazards.length,
+            ...meta
+        };
+
+        this.writeFileAtomic(this.getRevisionPath(id), JSON.stringify({ ...revision, islands, hazards }, null, 2));
+        this.revisionIndex.set(id, revision);
+        this.pruneRevisions();
+        return revision;
+    }
+
+    /**
+     * Revision IDs on disk, oldest first
+     */
+    listRevisionIds() {
+        if (!fs.existsSync(this.revisionsDir)) {
+            return [];
+        }
+
+        // Sort on the ID, not the filename: "...Z-1.json" must come after "...Z.json"
+        return fs.readdirSync(this.revisionsDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .sort();
+    }
+
+    hasRevisions() {
+        return fs.existsSync(this.revisionsDir) &&
+            fs.readdirSync(this.revisionsDir).some(file => file.endsWith('.json'));
+    }
+
+    /**
+     * Delete the oldest revisions beyond maxRevisions
+     */
+    pruneRevisions() {
+        if (!this.maxRevisions) {
+            return;
+        }
+        const ids = this.listRevisionIds();
+        ids.slice(0, Math.max(0, ids.length - this.maxRevisions)).forEach(id => {
+            fs.unlinkSync(this.getRevisionPath(id));
+            this.revisionIndex.delete(id);
+        });
+    }
+
+    getRevisionPath(id) {
+        return path.join(this.revisionsDir, `${id}.json`);
+    }
+
+    isValidRevisionId(id) {
+        return typeof id === 'string' && /^[0-9A-Za-z-]+$/.test(id);
+    }
+
+    /**
+     * List revision metadata, newest first
+     */
+    listRevisions() {
+        return this.listRevisionIds().reverse().map(id => {
+            if (!this.revisionIndex.has(id)) {
+                const { islands, hazards, ...meta } = JSON.parse(fs.readFileSync(this.getRevisionPath(id), 'utf8'));
+                this.revisionIndex.set(id, meta);
+            }
+            return this.revisionIndex.get(id);
+        });
+    }
+
+    /**
+     * Load a full revision (metadata, islands and hazards), or null if it does not exist
+     */
+    loadRevision(id) {
+        if (!this.isValidRevisionId(id)) {
+            return null;
+        }
+
+        const revisionPath = this.getRevisionPath(id);
+        if (!fs.existsSync(revisionPath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(revisionPath, 'utf8'));
+    }
+
+    /**
+     * Restore a revision by saving its islands and hazard zones as a new
+     * revision (revisions from before hazards were recorded leave them alone)
+     */
+    restoreRevision(id) {
+        const revision = this.loadRevision(id);
+        if (!revision) {
+            return null;
+        }
+        return this.saveIslands(revision.islands, { source: 'restore', restoredFrom: id }, revision.hazards || null);
+    }
+
+    /**
+     * Compare two island lists by island ID. Revisions saved before islands
+     * had IDs get the same name-derived IDs the store would assign.
+     */
+    diffIslands(fromIslands, toIslands) {
+        const fromByKey = new Map(this.assignIslandIds(fromIslands).map(island => [island.id, island]));
+        const toByKey = new Map(this.assignIslandIds(toIslands).map(island => [island.id, island]));
+
+        const added = [];
+        const removed = [];
+        const changed = [];
+
+        toByKey.forEach((island, key) => {
+            if (!fromByKey.has(key)) {
+                added.push(key);
+            }
+        });
+
+        fromByKey.forEach((fromIsland, key) => {
+            const toIsland = toByKey.get(key);
+            if (!toIsland) {
+                removed.push(key);
+                return;
+            }
+
+            const fields = new Set([...Object.keys(fromIsland), ...Object.keys(toIsland)]);
+            const changes = [];
+            fields.forEach(field => {
+                const before = JSON.stringify(fromIsland[field]);
+                const after = JSON.stringify(toIsland[field]);
+                if (before !== after) {
+                    changes.push({ field, from: fromIsland[field], to: toIsland[field] });
+                }
+            });
+
+            if (changes.length > 0) {
+                changed.push({ id: key, name: toIsland.name, changes });
+            }
+        });
+
+        return { added, removed, changed };
+    }
+}
+
+MapStore.RESERVED_ISLAND_IDS = RESERVED_ISLAND_IDS;
+
+// Revisions kept before the oldest are pruned: all of them unless a cap is set
+MapStore.DEFAULT_MAX_REVISIONS = 0;
+
+module.exports = MapStore;
@@ -0,0 +1,70 @@
+/**
+ * GORET Multipart Parser
+ * Minimal multipart/form-data parsing for image uploads
+ */
+
+/**
+ * Split a buffered multipart/form-data body into parts.
+ * Returns [{ name, filename, contentType, data }] or null if the
+ * content type has no boundary or the body is malformed.
+ */
+function parseMultipart(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    if (!match) {
+        return null;
+    }
+
+    const boundary = match[1] || match[2];
+    const delimiter = Buffer.from(`--${boundary}`);
+    const separator = Buffer.from(`\r\n--${boundary}`);
+    const parts = [];
+
+    if (body.indexOf(delimiter) !== 0) {
+        return null;
+    }
+    let position = delimiter.length;
+
+    while (position < body.length) {
+        // "--" after a delimiter closes the body
+        if (body.toString('ascii', position, position + 2) === '--') {
+            return parts;
+        }
+
+        const headerStart = position + 2; // skip CRLF after the delimiter
+        const headerEnd = body.indexOf('\r\n\r\n', headerStart);
+        if (headerEnd === -1) {
+            return null;
+        }
+
+        const headers = {};
+        body.toString('utf8', headerStart, headerEnd).split('\r\n').forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+            }
+        });
+
+        const dataStart = headerEnd + 4;
+        const dataEnd = body.indexOf(separator, dataStart);
+        if (dataEnd === -1) {
+            return null;
+        }
+
+        const disposition = headers['content-disposition'] || '';
+        const name = /\bname="([^"]*)"/i.exec(disposition);
+        const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+
+        parts.push({
+            name: name ? name[1] : null,
+            filename: filename ? filename[1] : null,
+            contentType: headers['content-type'] || null,
+            data: body.subarray(dataStart, dataEnd)
+        });
+
+        position = dataEnd + separator.length;
+    }
+
+    return null;
+}
+
+module.exports = { parseMultipart };
@@ -0,0 +1,168 @@
+/**
+ * GORET PNG Decoder
+ * Just enough PNG decoding to read an island image's alpha channel
+ * (non-interlaced, all colour types and bit depths)
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+class PngDecoder {
+    /**
+     * Decode a PNG into { width, height, alpha } where alpha is a
+     * Uint8Array with one 0-255 value per pixel
+     */
+    decodeAlpha(buffer) {
+        const png = this.readChunks(buffer);
+        const { width, height, bitDepth, colorType } = png.header;
+        const channels = CHANNELS[colorType];
+        const bitsPerPixel = channels * bitDepth;
+        const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+        const stride = Math.ceil((width * bitsPerPixel) / 8);
+
+        const raw = zlib.inflateSync(Buffer.concat(png.data));
+        if (raw.length < (stride + 1) * height) {
+            throw new Error('PNG image data is truncated');
+        }
+
+        const alpha = new Uint8Array(width * height);
+        let previous = Buffer.alloc(stride);
+        let current = Buffer.alloc(stride);
+
+        for (let y = 0; y < height; y++) {
+            const rowStart = y * (stride + 1);
+            this.unfilter(raw[rowStart], raw.subarray(rowStart + 1, rowStart + 1 + stride), previous, current, bytesPerPixel);
+
+            for (let x = 0; x < width; x++) {
+                alpha[y * width + x] = this.pixelAlpha(current, x, png, channels);
+            }
+
+            [previous, current] = [current, previous];
+        }
+
+        return { width, height, alpha };
+    }
+
+    readChunks(buffer) {
+        if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+            throw new Error('Not a PNG file');
+        }
+
+        const png = { header: null, palette: null, transparency: null, data: [] };
+        let offset = 8;
+
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('ascii', offset + 4, offset + 8);
+            const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+            if (type === 'IHDR') {
+                png.header = {
+                    width: data.readUInt32BE(0),
+                    height: data.readUInt32BE(4),
+                    bitDepth: data[8],
+                    colorType: data[9],
+                    interlace: data[12]
+                };
+            } else if (type === 'PLTE') {
+                png.palette = data;
+            } else if (type === 'tRNS') {
+                png.transparency = data;
+            } else if (type === 'IDAT') {
+                png.data.push(data);
+            } else if (type === 'IEND') {
+                break;
+            }
+
+            offset += 12 + length; // length + type + data + CRC
+        }
+
+        if (!png.header || png.data.length === 0) {
+            throw new Error('PNG is missing IHDR or IDAT');
+        }
+        if (!(png.header.colorType in CHANNELS)) {
+            throw new Error(`Unsupported PNG colour type ${png.header.colorType}`);
+        }
+        if (png.header.interlace !== 0) {
+            throw new Error('Interlaced PNGs are not supported');
+        }
+        return png;
+    }
+
+    /**
+     * Undo the per-row filter (None, Sub, Up, Average, Paeth) into `out`
+     */
+    unfilter(filter, row, previous, out, bpp) {
+        for (let i = 0; i < row.length; i++) {
+            const left = i >= bpp ? out[i - bpp] : 0;
+            const up = previous[i];
+            const upLeft = i >= bpp ? previous[i - bpp] : 0;
+
+            let value;
+            switch (filter) {
+                case 0: value = row[i]; break;
+                case 1: value = row[i] + left; break;
+                case 2: value = row[i] + up; break;
+                case 3: value = row[i] + ((left + up) >> 1); break;
+                case 4: {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left);
+                    const pb = Math.abs(p - up);
+                    const pc = Math.abs(p - upLeft);
+                    value = row[i] + (pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft));
+                    break;
+                }
+                default:
+                    throw new Error(`Invalid PNG filter type ${filter}`);
+            }
+            out[i] = value & 0xff;
+        }
+    }
+
+    /**
+     * Read one sample (0..2^bitDepth-1) from an unfiltered row
+     */
+    sample(row, index, bitDepth) {
+        if (bitDepth === 8) return row[index];
+        if (bitDepth === 16) return row.readUInt16BE(index * 2);
+
+        const bitOffset = index * bitDepth;
+        const byte = row[bitOffset >> 3];
+        const shift = 8 - bitDepth - (bitOffset & 7);
+        return (byte >> shift) & ((1 << bitDepth) - 1);
+    }
+
+    pixelAlpha(row, x, png, channels) {
+        const { bitDepth, colorType } = png.header;
+        const max = (1 << bitDepth) - 1;
+        const first = x * channels;
+
+        switch (colorType) {
+            case 6: // RGBA
+            case 4: // grey + alpha
+                return Math.round((this.sample(row, first + channels - 1, bitDepth) / max) * 255);
+            case 3: { // palette, alpha from tRNS
+                const index = this.sample(row, x, bitDepth);
+                return png.transparency && index < png.transparency.length ? png.transparency[index] : 255;
+            }
+            case 0: { // grey, optional transparent key colour
+                if (!png.transparency) return 255;
+                return this.sample(row, first, bitDepth) === png.transparency.readUInt16BE(0) ? 0 : 255;
+            }
+            case 2: { // RGB, optional transparent key colour
+                if (!png.transparency) return 255;
+                const key = png.transparency;
+                const matches = [0, 1, 2].every(c => this.sample(row, first + c, bitDepth) === key.readUInt16BE(c * 2));
+                return matches ? 0 : 255;
+            }
+            default:
+                return 255;
+        }
+    }
+}
+
+module.exports = PngDecoder;
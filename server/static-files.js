@@ -0,0 +1,232 @@
+/**
+ * GORET Static File Server
+ * Serves the game and map editor (HTML, js/, css/, assets/) with MIME types,
+ * conditional caching and byte-range requests
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+class StaticFileServer {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir;
+
+        // URL prefix -> directory on disk. Anything else is not served.
+        this.mounts = options.mounts || {
+            '/js/': path.join(this.rootDir, 'js'),
+            '/css/': path.join(this.rootDir, 'css'),
+            '/assets/': path.join(this.rootDir, 'assets')
+        };
+
+        // Exact URL path -> file on disk, checked before the mounts
+        // (generated data scripts that live outside js/)
+        this.files = options.files || {};
+
+        // Code and pages change during development, and island images are
+        // replaced in place from the editor: everything is revalidated via the ETag
+        this.cacheControl = 'no-cache';
+    }
+
+    /**
+     * Map a URL path to a file on disk, or null if it is not servable
+     */
+    resolve(pathname) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pathname);
+        } catch (error) {
+            return null;
+        }
+
+        if (decoded.includes('\0')) {
+            return null;
+        }
+
+        if (decoded === '/') {
+            decoded = '/index.html';
+        }
+
+        // Top-level pages (index.html, map-editor.html, ...)
+        if (/^\/[^/]+\.html$/.test(decoded)) {
+            return this.resolveInside(this.rootDir, decoded.slice(1));
+        }
+
+        if (Object.prototype.hasOwnProperty.call(this.files, decoded)) {
+            return this.files[decoded];
+        }
+
+        for (const [prefix, dir] of Object.entries(this.mounts)) {
+            if (decoded.startsWith(prefix)) {
+                return this.resolveInside(dir, decoded.slice(prefix.length));
+            }
+        }
+
+        return null;
+    }
+
+    resolveInside(baseDir, relativePath) {
+        const base = path.resolve(baseDir);
+        const filePath = path.resolve(base, relativePath);
+
+        // Block ../ traversal out of the mounted directory
+        if (filePath !== base && !filePath.startsWith(base + path.sep)) {
+            return null;
+        }
+        return filePath;
+    }
+
+    /**
+     * Serve a static file. Returns false if the path is not a static file
+     * so the caller can fall through to its own 404 handling.
+     */
+    handle(req, res, pathname) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return false;
+        }
+
+        const filePath = this.resolve(pathname);
+        if (!filePath) {
+            return false;
+        }
+
+        let stats;
+        try {
+            stats = fs.statSync(filePath);
+        } catch (error) {
+            return false;
+        }
+        if (!stats.isFile()) {
+            return false;
+        }
+
+        const extension = path.extname(filePath).toLowerCase();
+        const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+        const lastModified = stats.mtime.toUTCString();
+
+        const headers = {
+            'Content-Type': MIME_TYPES[extension] || 'application/octet-stream',
+            'Cache-Control': this.cacheControl,
+            'ETag': etag,
+            'Last-Modified': lastModified,
+            'Accept-Ranges': 'bytes'
+        };
+
+        // Conditional requests
+        if (this.isNotModified(req, etag, stats.mtime)) {
+            res.writeHead(304, headers);
+            res.end();
+            return true;
+        }
+
+        // Byte ranges (single range only)
+        let start = 0;
+        let end = stats.size - 1;
+        let statusCode = 200;
+
+        if (req.headers.range && this.rangeStillValid(req, etag, stats.mtime)) {
+            const range = this.parseRange(req.headers.range, stats.size);
+            if (!range) {
+                res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stats.size}` });
+                res.end();
+                return true;
+            }
+            start = range.start;
+            end = range.end;
+            statusCode = 206;
+            headers['Content-Range'] = `bytes ${start}-${end}/${stats.size}`;
+        }
+
+        headers['Content-Length'] = stats.size === 0 ? 0 : end - start + 1;
+        res.writeHead(statusCode, headers);
+
+        if (req.method === 'HEAD' || stats.size === 0) {
+            res.end();
+            return true;
+        }
+
+        const stream = fs.createReadStream(filePath, { start, end });
+        stream.on('error', (error) => {
+            console.error('❌ Error streaming file:', filePath, error.message);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+        return true;
+    }
+
+    isNotModified(req, etag, mtime) {
+        const ifNoneMatch = req.headers['if-none-match'];
+        if (ifNoneMatch) {
+            return ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*');
+        }
+
+        const ifModifiedSince = req.headers['if-modified-since'];
+        if (ifModifiedSince) {
+            const since = Date.parse(ifModifiedSince);
+            return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) <= Math.floor(since / 1000);
+        }
+
+        return false;
+    }
+
+    rangeStillValid(req, etag, mtime) {
+        // If-Range: only honour the range if the file hasn't changed
+        const ifRange = req.headers['if-range'];
+        if (!ifRange) return true;
+        if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+            // Tags need a strong match here, so a weak W/ tag (ours are weak) never validates a range
+            return !ifRange.startsWith('W/') && ifRange === etag;
+        }
+        return Date.parse(ifRange) >= Math.floor(mtime.getTime() / 1000) * 1000;
+    }
+
+    /**
+     * Parse a "bytes=start-end" header. Returns null if unsatisfiable.
+     */
+    parseRange(header, size) {
+        const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+        if (!match || (match[1] === '' && match[2] === '')) {
+            return null;
+        }
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            // Suffix range: last N bytes
+            const suffixLength = parseInt(match[2], 10);
+            if (suffixLength === 0) return null;
+            start = Math.max(0, size - suffixLength);
+            end = size - 1;
+        } else {
+            start = parseInt(match[1], 10);
+            end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+        }
+
+        if (start >= size || start > end) {
+            return null;
+        }
+        return { start, end };
+    }
+}
+
+module.exports = StaticFileServer;
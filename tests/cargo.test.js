@@ -0,0 +1,89 @@
+/**
+ * Cargo hold: weight and volume limits, overloading, transfers and the
+ * port market
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Ship } = require('./helpers/world.js');
+const PortManager = require('../js/port-manager.js');
+
+test('the hold takes goods up to its space and weight limits', () => {
+    const ship = new Ship(0, 0, 'sloop'); // 40 t, 50 space
+
+    // Timber (2 t, 2 space) runs out of space first
+    assert.strictEqual(ship.getCargoSpace('timber'), 25);
+    assert.strictEqual(ship.addCargo('timber', 30), 25);
+    assert.strictEqual(ship.addCargo('sugar', 1), 0, 'no space left');
+    assert.strictEqual(ship.removeCargo('timber', 100), 25);
+    assert.deepStrictEqual(ship.cargo, {});
+
+    // Rum (1.5 t, 1 space) runs into the overload limit: 40 t + 50%
+    assert.strictEqual(ship.addCargo('rum', 50), 40);
+    assert.deepStrictEqual(ship.getCargoLoad(), { weight: 60, volume: 40 });
+
+    // Fractional weights still fill the hold exactly
+    ship.removeCargo('rum', 40);
+    assert.strictEqual(ship.addCargo('spices', 1000), 100);
+
+    assert.strictEqual(ship.addCargo('treasure', 1), 0);
+    assert.strictEqual(ship.removeCargo('rum', 1), 0);
+});
+
+test('overloading the ship slows it', () => {
+    const ship = new Ship(0, 0, 'sloop');
+    ship.sail = 'full';
+    const unladen = ship.getSailSpeed();
+
+    ship.addCargo('sugar', 40); // Exactly at capacity
+    assert.strictEqual(ship.getCargoSpeedFactor(), 1);
+
+    ship.addCargo('gunpowder', 10); // 10 t over, half the way to the limit
+    assert.ok(Math.abs(ship.getCargoSpeedFactor() - (1 - Ship.CARGO_OVERLOAD.speedLoss / 2)) < 1e-9);
+    assert.ok(Math.abs(ship.getSailSpeed() - unladen * ship.getCargoSpeedFactor()) < 1e-9);
+
+    // Switching to a bigger hull takes the cargo along without the overload
+    ship.setType('brigantine');
+    assert.strictEqual(ship.getCargoQuantity('sugar'), 40);
+    assert.strictEqual(ship.getCargoSpeedFactor(), 1);
+});
+
+test('goods transfer between ships as far as the other hold has room', () => {
+    const galleon = new Ship(0, 0, 'galleon');
+    const sloop = new Ship(0, 0, 'sloop');
+    galleon.addCargo('timber', 100);
+
+    assert.strictEqual(galleon.transferCargo(sloop, 'timber', 60), 25);
+    assert.strictEqual(galleon.getCargoQuantity('timber'), 75);
+    assert.strictEqual(sloop.getCargoQuantity('timber'), 25);
+    assert.strictEqual(sloop.transferCargo(galleon, 'rum', 5), 0);
+});
+
+test('the market buys and sells at port prices within the purse and the hold', () => {
+    const ship = new Ship(0, 0, 'sloop');
+    const portManager = new PortManager({ ship });
+    portManager.currentPort = { id: 'basseterre' };
+
+    const prices = portManager.getMarketPrices();
+    assert.deepStrictEqual(Object.keys(prices), Object.keys(GOODS));
+    Object.keys(prices).forEach(goodId => {
+        const factor = prices[goodId].buy / GOODS[goodId].basePrice;
+        assert.ok(factor > 0.65 && factor < 1.35, `${goodId} at ${factor}`);
+        assert.ok(prices[goodId].sell < prices[goodId].buy);
+    });
+    assert.deepStrictEqual(portManager.getMarketPrices({ id: 'basseterre' }), prices, 'prices are fixed per port');
+    assert.notDeepStrictEqual(portManager.getMarketPrices({ id: 'charlestown' }), prices);
+
+    // The purse limits the purchase
+    ship.gold = prices.rum.buy * 3 + 1;
+    assert.deepStrictEqual(portManager.buyGoods('rum', 10), { quantity: 3, cost: prices.rum.buy * 3 });
+    assert.strictEqual(ship.gold, 1);
+
+    // The hold limits it too
+    ship.gold = 100000;
+    assert.strictEqual(portManager.buyGoods('timber', 100).quantity, 23);
+
+    assert.deepStrictEqual(portManager.sellGoods('rum', Infinity), { quantity: 3, income: prices.rum.sell * 3 });
+    assert.strictEqual(ship.getCargoQuantity('rum'), 0);
+});
@@ -0,0 +1,70 @@
+/**
+ * Collision fitter: circles fitted to island image alpha masks and to
+ * legacy collision polygons
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { GameMap } = require('./helpers/world.js');
+const PngDecoder = require('../server/png-decoder');
+const CollisionFitter = require('../server/collision-fitter');
+const { encodeAlphaPng } = require('./helpers/png.js');
+
+const islands = require('../data/islands.json');
+
+const decoder = new PngDecoder();
+
+test('circles fitted at the rendered image scale stay within the island as the game draws it', () => {
+    const fitter = new CollisionFitter();
+
+    islands.forEach(island => {
+        const mask = decoder.decodeAlpha(fs.readFileSync(path.join(__dirname, '..', 'assets', 'Islands', island.imageFilename)));
+        const radius = GameMap.getIslandRadius(island);
+        const scale = GameMap.getImageScale(island, mask.width);
+        assert.ok(Math.abs(scale - radius * 2 / mask.width) < 1e-12);
+
+        // renderIslands draws the image as a square of side radius * 2 round the centre
+        const { circles, options } = fitter.fit(mask, { scale });
+        assert.ok(circles.length > 0);
+        circles.forEach(circle => {
+            const reach = Math.max(Math.abs(circle.x), Math.abs(circle.y)) + circle.radius;
+            assert.ok(reach <= radius + options.tolerance, `${island.name}: circle reaches ${reach}, image half-size ${radius}`);
+        });
+    });
+});
+
+test('a round island is covered by circles inside its coast', () => {
+    const fitter = new CollisionFitter();
+    const disc = (x, y) => Math.hypot(x + 0.5 - 100, y + 0.5 - 100) <= 80;
+    const mask = decoder.decodeAlpha(encodeAlphaPng(200, 200, (x, y) => (disc(x, y) ? 255 : 0)));
+
+    const { circles, error } = fitter.fit(mask, { scale: 2, tolerance: 20 });
+    assert.strictEqual(error.withinTolerance, true);
+    assert.ok(error.landCoverage > 0.9, `${error.landCoverage} of the land covered`);
+    assert.ok(Math.abs(circles[0].x) <= 4 && Math.abs(circles[0].y) <= 4, 'the biggest circle sits in the middle');
+    circles.forEach(circle => {
+        assert.ok(Math.hypot(circle.x, circle.y) + circle.radius <= 160 + 20, 'within the coast plus the tolerance');
+    });
+
+    // Fewer circles than the shape needs is reported, not hidden
+    const stingy = fitter.fit(mask, { scale: 2, tolerance: 0, maxCircles: 1 });
+    assert.deepStrictEqual([stingy.circles.length, stingy.error.withinTolerance], [1, false]);
+    assert.deepStrictEqual(fitter.fit(decoder.decodeAlpha(encodeAlphaPng(8, 8, () => 0))).circles, []);
+});
+
+test('legacy polygons are fitted around the island centre in world units', () => {
+    const fitter = new CollisionFitter();
+    const center = { x: 1000, y: 2000 };
+    const square = [{ x: 900, y: 1950 }, { x: 1100, y: 1950 }, { x: 1100, y: 2050 }, { x: 900, y: 2050 }];
+
+    const { circles, error } = fitter.fitPolygon(square, center, { tolerance: 10 });
+    assert.strictEqual(error.withinTolerance, true);
+    assert.ok(circles.length > 1, 'a long shape needs several circles');
+    circles.forEach(circle => {
+        assert.ok(Math.abs(circle.x) + circle.radius <= 100 + 10 + 1 && Math.abs(circle.y) + circle.radius <= 50 + 10 + 1,
+            `circle at ${circle.x},${circle.y} r${circle.radius} leaves the polygon`);
+    });
+});
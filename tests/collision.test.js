@@ -0,0 +1,326 @@
+/**
+ * Swept island collision: fast ships and long frames must not tunnel
+ * through thin islands
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { GameMap, Ship, CollisionManager, createWorld } = require('./helpers/world.js');
+
+// How far the hull reaches ahead of the ship centre
+function bowReach(ship) {
+    return Math.max(...ship.hull.map(circle => circle.x + circle.radius));
+}
+
+// A sliver of land: one 10-unit circle, far thinner than one frame's move
+const thinIsland = { id: 'reef', name: 'Reef', x: 3000, y: 2000, collisionCircles: [{ x: 0, y: 0, radius: 10 }] };
+
+test('a fast ship over a large timestep stops at a thin island instead of passing through', () => {
+    const { map, collisionManager } = createWorld([thinIsland]);
+    const ship = new Ship(1900, 2000, null);
+    ship.angle = Math.PI / 2; // East
+    ship.maxSpeed = 4000;
+    ship.currentSpeed = 4000;
+
+    // 1000 units per step: without sweeping the ship goes from x=2900 (clear of
+    // the reef) straight to x=3900 (clear on the far side) and never touches it
+    const keys = { ArrowUp: true };
+    let furthestX = ship.x;
+    for (let step = 0; step < 4; step++) {
+        ship.update(0.25, keys, map, collisionManager);
+        collisionManager.updateLastValidPosition(ship);
+
+        assert.ok(ship.x < thinIsland.x, `step ${step}: ship at x=${ship.x} went past the island`);
+        assert.strictEqual(collisionManager.checkIslandCollision(ship).collision, false, `step ${step}: hull overlaps the island`);
+        furthestX = Math.max(furthestX, ship.x);
+    }
+    // It reached the coast (then bounced off) rather than being stopped short
+    assert.ok(furthestX > thinIsland.x - 100, `ship stopped early at x=${furthestX}`);
+});
+
+test('sweep reports time of impact and contact normal', () => {
+    const { collisionManager } = createWorld([thinIsland]);
+    const ship = new Ship(0, 0, null);
+    ship.angle = Math.PI / 2; // Bow first towards the reef
+    const reach = 10 + bowReach(ship) + collisionManager.collisionBuffer;
+
+    const hit = collisionManager.sweepIslandCollision(ship, 2000, 2000, 4000, 2000);
+    assert.strictEqual(hit.hit, true);
+    assert.strictEqual(hit.island.id, 'reef');
+    assert.ok(Math.abs(hit.time - (1000 - reach) / 2000) < 1e-9);
+    assert.ok(Math.abs(hit.x - (3000 - reach)) < 1e-6);
+    assert.ok(Math.abs(hit.normal.x + 1) < 1e-9 && Math.abs(hit.normal.y) < 1e-9);
+});
+
+test('sweep ignores paths that miss the island or move away from it', () => {
+    const { collisionManager } = createWorld([thinIsland]);
+    const ship = new Ship(0, 0, null);
+
+    assert.strictEqual(collisionManager.sweepIslandCollision(ship, 2000, 1800, 4000, 1800).hit, false);
+    assert.strictEqual(collisionManager.sweepIslandCollision(ship, 2000, 2000, 2500, 2000).hit, false);
+    assert.strictEqual(collisionManager.sweepIslandCollision(ship, 2960, 2000, 2000, 2000).hit, false);
+});
+
+test('a glancing hit at speed slides the ship along the coast', () => {
+    const { map, collisionManager } = createWorld([
+        { id: 'cape', name: 'Cape', x: 3000, y: 2000, collisionCircles: [{ x: 0, y: 0, radius: 200 }] }
+    ]);
+    const ship = new Ship(2000, 1800, null);
+    ship.angle = Math.PI / 2;
+    ship.maxSpeed = 4000;
+    ship.currentSpeed = 4000;
+
+    ship.update(0.25, { ArrowUp: true }, map, collisionManager);
+
+    assert.strictEqual(collisionManager.checkIslandCollision(ship).collision, false);
+    assert.ok(ship.x > 2800, `ship should keep moving along the coast, got x=${ship.x}`);
+});
+
+test('the hull is elongated: bow-first and beam-on contacts happen at different distances', () => {
+    const { collisionManager } = createWorld([thinIsland]);
+    const ship = new Ship(0, 0, null);
+
+    ship.angle = Math.PI / 2; // East, bow towards the reef
+    const bowFirst = collisionManager.sweepIslandCollision(ship, 2000, 2000, 4000, 2000);
+    ship.angle = 0; // North, beam towards the reef
+    const beamOn = collisionManager.sweepIslandCollision(ship, 2000, 2000, 4000, 2000);
+
+    assert.ok(Math.abs(bowFirst.x - (3000 - 20 - bowReach(ship))) < 1e-6);
+    assert.ok(beamOn.x > bowFirst.x, 'beam-on contact should be closer to the island than bow-first');
+});
+
+test('hull circles turn with the ship', () => {
+    const ship = new Ship(100, 100, null);
+    ship.angle = Math.PI / 2; // East
+    const [bow] = ship.getHullCircles();
+    assert.ok(Math.abs(bow.x - (100 + ship.hull[0].x)) < 1e-9 && Math.abs(bow.y - 100) < 1e-9);
+
+    ship.angle = Math.PI; // South
+    const [bowSouth] = ship.getHullCircles();
+    assert.ok(Math.abs(bowSouth.x - 100) < 1e-9 && Math.abs(bowSouth.y - (100 + ship.hull[0].x)) < 1e-9);
+});
+
+test('ship types set handling, capacities and hull, and switching keeps the share of health', () => {
+    const galleon = new Ship(0, 0, 'galleon');
+    const sloop = new Ship(0, 0, 'no-such-type');
+    assert.deepStrictEqual(
+        [galleon.maxSpeed, galleon.turnSpeed, galleon.mass, galleon.health, galleon.cargoCapacity, galleon.cannonSlots],
+        [280, 1.6, 500, 450, 400, 36]);
+    assert.strictEqual(sloop.type, Ship.DEFAULT_TYPE);
+    assert.ok(galleon.radius > sloop.radius, 'a galleon hull reaches further than a sloop');
+
+    sloop.health = 50;
+    assert.strictEqual(sloop.setType('frigate'), true);
+    assert.deepStrictEqual([sloop.type, sloop.health, sloop.hull.length], ['frigate', 150, SHIP_TYPES.frigate.hull.length]);
+    assert.strictEqual(sloop.setType('raft'), false);
+    assert.strictEqual(sloop.type, 'frigate');
+});
+
+test('ships colliding head-on exchange momentum by mass and take ramming damage', () => {
+    const { collisionManager } = createWorld([]);
+    const light = new Ship(1000, 1000, null);
+    const heavy = new Ship(1055, 1000, null);
+    light.angle = Math.PI / 2;      // East
+    heavy.angle = 3 * Math.PI / 2;  // West
+    light.currentSpeed = 300;
+    heavy.currentSpeed = 300;
+    heavy.mass = light.mass * 3;
+
+    const momentumBefore = light.mass * light.getVelocity().x + heavy.mass * heavy.getVelocity().x;
+    const contacts = collisionManager.resolveShipCollisions([light, heavy]);
+
+    assert.strictEqual(contacts.length, 1);
+    const momentumAfter = light.mass * light.getVelocity().x + heavy.mass * heavy.getVelocity().x;
+    assert.ok(Math.abs(momentumAfter - momentumBefore) < 1e-6, 'momentum should be conserved');
+    assert.ok(light.getVelocity().x < heavy.getVelocity().x, 'ships should be moving apart');
+    assert.ok(light.health < heavy.health, 'the lighter ship takes more ramming damage');
+    assert.strictEqual(collisionManager.checkShipCollision(light.getHullCircles(), heavy.getHullCircles()), null);
+});
+
+test('ship contacts resolve the same whatever order the vessels are listed in', () => {
+    const createFleet = () => [
+        [1000, 1000, 0.3, 200], [1040, 1010, 2.0, 150], [1020, 1050, 4.1, 250], [1500, 1500, 1.0, 100]
+    ].map(([x, y, angle, speed]) => {
+        const ship = new Ship(x, y, null);
+        ship.angle = angle;
+        ship.currentSpeed = speed;
+        return ship;
+    });
+    const snapshot = fleet => fleet
+        .map(ship => [ship.x, ship.y, ship.currentSpeed, ship.driftX, ship.driftY, ship.health])
+        .sort((a, b) => a[0] - b[0]);
+
+    const { collisionManager } = createWorld([]);
+    const fleet = createFleet();
+    const reversed = createFleet();
+    // Same IDs, listed backwards
+    reversed.forEach((ship, index) => { ship.id = fleet[index].id; });
+
+    const contacts = collisionManager.resolveShipCollisions(fleet);
+    collisionManager.resolveShipCollisions([...reversed].reverse());
+    assert.ok(contacts.length >= 2, 'the fleet should be touching in several places');
+    assert.deepStrictEqual(snapshot(reversed), snapshot(fleet));
+});
+
+test('island contacts emit begin once with point, normal and impact speed, then end', () => {
+    // No bounce, so the ship stays pressed against the coast
+    const { map, collisionManager } = createWorld([{ ...thinIsland, bounce: 0 }]);
+    const events = [];
+    collisionManager.on(CollisionManager.EVENTS.COLLISION_BEGIN, event => events.push(['begin', event]));
+    collisionManager.on(CollisionManager.EVENTS.COLLISION_END, event => events.push(['end', event]));
+
+    const ship = new Ship(2900, 2000, null);
+    ship.angle = Math.PI / 2; // East, bow first
+    ship.currentSpeed = 300;
+    for (let step = 0; step < 30; step++) {
+        ship.update(1 / 60, { ArrowUp: true }, map, collisionManager);
+    }
+    assert.deepStrictEqual(events.map(([type]) => type), ['begin'], 'pressing into the coast is a single contact');
+
+    const [, begin] = events[0];
+    assert.strictEqual(begin.ship, ship);
+    assert.strictEqual(begin.island.id, 'reef');
+    assert.ok(Math.abs(begin.normal.x + 1) < 1e-6 && Math.abs(begin.normal.y) < 1e-6);
+    assert.ok(Math.abs(begin.point.x - 2990) < 1e-6 && Math.abs(begin.point.y - 2000) < 1e-6);
+    assert.ok(begin.impactSpeed > 250, `impact speed ${begin.impactSpeed}`);
+
+    // Back away
+    ship.angle = 3 * Math.PI / 2;
+    ship.currentSpeed = 300;
+    for (let step = 0; step < 30; step++) {
+        ship.update(1 / 60, { ArrowUp: true }, map, collisionManager);
+    }
+    assert.deepStrictEqual(events.map(([type]) => type), ['begin', 'end']);
+    assert.strictEqual(events[1][1].island.id, 'reef');
+});
+
+const harbourIsland = {
+    id: 'harbour', name: 'Harbour Island', x: 5000, y: 5000, collisionCircles: [{ x: 0, y: 0, radius: 50 }],
+    towns: [{ id: 'harbour_port', name: 'Harbour Port', x: 150, y: -100, radius: 80, entryRadius: 120, nation: 'france' }]
+};
+
+test('town areas come from island data and follow their island when it is reloaded', () => {
+    const { map, collisionManager } = createWorld([
+        harbourIsland,
+        { id: 'cay', name: 'Cay', x: 1000, y: 1000, radius: 60, towns: [{ id: 'cay_village', name: 'Cay Village', x: 0, y: 70, radius: 30, type: 'village' }] }
+    ]);
+
+    const port = collisionManager.townAreas.get('harbour_port');
+    assert.deepStrictEqual([port.x, port.y, port.radius, port.entryRadius, port.nation, port.islandId], [5150, 4900, 80, 120, 'france', 'harbour']);
+    assert.deepStrictEqual(port.services, CollisionManager.TOWN_DEFAULTS.services);
+    const village = collisionManager.townAreas.get('cay_village');
+    assert.deepStrictEqual([village.type, village.entryRadius], ['village', 45]);
+
+    // Renaming and moving the island keeps the town (and its discovery) and moves it along
+    port.discovered = true;
+    map.updateIslands([{ ...harbourIsland, name: 'Renamed Island', x: 6000 }]);
+    collisionManager.checkTownAreaEntry(new Ship(0, 0, null));
+    const moved = collisionManager.townAreas.get('harbour_port');
+    assert.deepStrictEqual([moved.x, moved.discovered, collisionManager.townAreas.has('cay_village')], [6150, true, false]);
+});
+
+test('sailing through a town emits approach, enter, leave and depart in order', () => {
+    const { map, collisionManager } = createWorld([harbourIsland]);
+    const town = collisionManager.townAreas.get('harbour_port');
+    const types = [];
+    Object.values(CollisionManager.EVENTS)
+        .filter(name => name.startsWith('town:'))
+        .forEach(name => collisionManager.on(name, event => {
+            assert.strictEqual(event.townArea, town);
+            assert.ok(event.point && event.normal && typeof event.impactSpeed === 'number');
+            types.push(name);
+        }));
+
+    const ship = new Ship(town.x - 300, town.y, null);
+    ship.angle = Math.PI / 2; // East, straight through the town centre
+    ship.currentSpeed = 300;
+    for (let x = town.x - 300; x <= town.x + 300; x += 20) {
+        ship.x = x;
+        collisionManager.updateTownProximity(ship);
+    }
+    assert.deepStrictEqual(types, ['town:approach', 'town:enter', 'town:leave', 'town:depart']);
+});
+
+test('ship impacts emit one ship:contact event per colliding pair', () => {
+    const { collisionManager } = createWorld([]);
+    const contacts = [];
+    collisionManager.on(CollisionManager.EVENTS.SHIP_CONTACT, event => contacts.push(event));
+
+    const a = new Ship(1000, 1000, null);
+    const b = new Ship(1055, 1000, null);
+    a.angle = Math.PI / 2;
+    b.angle = 3 * Math.PI / 2;
+    a.currentSpeed = 200;
+    b.currentSpeed = 200;
+    collisionManager.resolveShipCollisions([a, b]);
+    // Resting contact afterwards is not a new impact
+    collisionManager.resolveShipCollisions([a, b]);
+
+    assert.strictEqual(contacts.length, 1);
+    assert.strictEqual(contacts[0].ship, a);
+    assert.strictEqual(contacts[0].other, b);
+    assert.ok(Math.abs(contacts[0].impactSpeed - 400) < 1e-6);
+    assert.ok(contacts[0].normal.x < 0, 'normal points from the other ship towards this one');
+    assert.ok(contacts[0].point.x > 1000 && contacts[0].point.x < 1055);
+});
+
+test('shallows cap speed, reefs scrape the hull and whirlpools pull the ship in', () => {
+    const { map, collisionManager } = createWorld([]);
+    map.updateHazards([
+        { id: 'shallows-1', type: 'shallows', x: 1000, y: 1000, radius: 300 },
+        { id: 'reef-1', type: 'reef', x: 3000, y: 1000, radius: 300 },
+        { id: 'whirlpool-1', type: 'whirlpool', x: 5000, y: 1000, radius: 300, pull: 400 }
+    ]);
+    const keys = { ArrowUp: true };
+
+    const wader = new Ship(1000, 1250, null); // Heading north across the shallows
+    wader.currentSpeed = wader.maxSpeed;
+    // Slows at its usual deceleration: 400 -> 150 px/s takes 1.25s
+    for (let step = 0; step < 90; step++) {
+        wader.update(1 / 60, keys, map, collisionManager);
+    }
+    assert.strictEqual(Math.round(wader.currentSpeed), GameMap.HAZARD_DEFAULTS.shallows.maxSpeed);
+
+    const scraper = new Ship(3000, 1000, null);
+    scraper.currentSpeed = 100;
+    for (let step = 0; step < 60; step++) {
+        scraper.update(1 / 60, keys, map, collisionManager);
+    }
+    assert.ok(Math.abs(scraper.health - (scraper.maxHealth - GameMap.HAZARD_DEFAULTS.reef.damagePerSecond)) < 0.01,
+        `reef left health at ${scraper.health}`);
+
+    // Drifting, engines off: the whirlpool draws the ship towards its centre
+    const drifter = new Ship(5200, 1000, null);
+    drifter.sail = 'furled';
+    for (let step = 0; step < 60; step++) {
+        drifter.update(1 / 60, {}, map, collisionManager);
+    }
+    assert.ok(Math.hypot(drifter.x - 5000, drifter.y - 1000) < 190, `ship only got to ${drifter.x}, ${drifter.y}`);
+});
+
+test('crossing a hazard zone emits hazard:enter and hazard:leave once each', () => {
+    const { map, collisionManager } = createWorld([]);
+    map.updateHazards([{ id: 'calm-1', type: 'calm', x: 2000, y: 1000, radius: 100 }]);
+    const events = [];
+    collisionManager.on(CollisionManager.EVENTS.HAZARD_ENTER, event => events.push(`enter ${event.hazard.id}`));
+    collisionManager.on(CollisionManager.EVENTS.HAZARD_LEAVE, event => events.push(`leave ${event.hazard.id}`));
+
+    const ship = new Ship(1800, 1000, null);
+    for (let x = 1800; x <= 2200; x += 20) {
+        ship.x = x;
+        collisionManager.updateHazards(ship);
+    }
+    assert.deepStrictEqual(events, ['enter calm-1', 'leave calm-1']);
+});
+
+test('the demo hazard zones load with their type defaults and are found by position', () => {
+    const { map } = createWorld([]);
+    map.updateHazards(require('./fixtures/hazards.json'));
+
+    assert.deepStrictEqual(map.hazards.map(hazard => hazard.type), ['shallows', 'reef', 'whirlpool', 'calm']);
+    const reef = map.hazards.find(hazard => hazard.id === 'reef-1');
+    assert.strictEqual(reef.damagePerSecond, GameMap.HAZARD_DEFAULTS.reef.damagePerSecond);
+    assert.deepStrictEqual(map.getHazardsAt(2650, 1250 + 139).map(hazard => hazard.id), ['reef-1']);
+    assert.deepStrictEqual(map.getHazardsAt(2650, 1250 + 141), []);
+});
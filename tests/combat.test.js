@@ -0,0 +1,135 @@
+/**
+ * Naval combat: broadside batteries, cannonball flight and seeded hit
+ * resolution
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Ship, createWorld } = require('./helpers/world.js');
+const CombatManager = require('../js/combat.js');
+
+function createCombat(islands, seed = 7) {
+    return new CombatManager(createWorld(islands).collisionManager, { seed });
+}
+
+// Let the cannonballs fly until they have all come down
+function fly(combat, vessels, seconds = 3) {
+    for (let step = 0; step < seconds * 60; step++) {
+        combat.update(1 / 60, vessels);
+    }
+}
+
+// A sloop heading north (starboard guns point east) and a target 200px to the east
+function createDuel() {
+    const shooter = new Ship(1000, 1000, 'sloop');
+    const target = new Ship(1200, 1000, 'frigate');
+    return { shooter, target };
+}
+
+function recordEvents(combat) {
+    const events = { hit: [], splash: [] };
+    combat.on(CombatManager.EVENTS.HIT, event => events.hit.push(event));
+    combat.on(CombatManager.EVENTS.SPLASH, event => events.splash.push(event));
+    return events;
+}
+
+test('each side fires half the cannon slots and must reload before firing again', () => {
+    const combat = createCombat([]);
+    const ship = new Ship(1000, 1000, 'brigantine');
+
+    assert.deepStrictEqual(ship.batteries, { port: { cannons: 6, reload: 0 }, starboard: { cannons: 6, reload: 0 } });
+    assert.strictEqual(combat.fireBroadside(ship, 'port').length, 6);
+    assert.strictEqual(combat.fireBroadside(ship, 'port').length, 0, 'still reloading');
+    assert.strictEqual(combat.fireBroadside(ship, 'starboard').length, 6, 'the other side is loaded');
+
+    // Reloading counts down as the ship sails
+    for (let step = 0; step < (CombatManager.AMMO.round.reload - 0.5) * 60; step++) {
+        ship.update(1 / 60, {}, null);
+    }
+    assert.strictEqual(combat.fireBroadside(ship, 'port').length, 0);
+    for (let step = 0; step < 31; step++) {
+        ship.update(1 / 60, {}, null);
+    }
+    assert.strictEqual(combat.selectAmmo(ship, 'chain'), true);
+    assert.strictEqual(combat.selectAmmo(ship, 'bottles'), false);
+    assert.strictEqual(combat.fireBroadside(ship, 'port').length, 6);
+    assert.strictEqual(ship.batteries.port.reload, CombatManager.AMMO.chain.reload);
+
+    ship.crew = 0;
+    ship.batteries.starboard.reload = 0;
+    assert.strictEqual(combat.fireBroadside(ship, 'starboard').length, 0, 'no crew, no broadside');
+});
+
+test('hits split the damage by ammunition and replay identically with the same seed', () => {
+    const fight = (ammo, seed) => {
+        const combat = createCombat([], seed);
+        const events = recordEvents(combat);
+        const { shooter, target } = createDuel();
+        combat.selectAmmo(shooter, ammo);
+        combat.fireBroadside(shooter, 'starboard');
+        fly(combat, [shooter, target]);
+        return { events, shooter, target };
+    };
+
+    const round = fight('round', 42);
+    const { target, shooter, events } = round;
+    assert.strictEqual(events.hit.length, 3, 'all three guns hit at close range');
+    assert.ok(events.hit.every(hit => hit.ship === target && hit.shooter === shooter));
+    assert.strictEqual(shooter.health, shooter.maxHealth, 'the shooter is never hit by its own shot');
+
+    const ammo = CombatManager.AMMO.round;
+    const crewLost = events.hit.reduce((sum, hit) => sum + hit.crew, 0);
+    assert.ok(Math.abs(target.health - (target.maxHealth - 3 * ammo.damage * ammo.split.hull)) < 1e-9);
+    assert.ok(Math.abs(target.sailHealth - (target.maxSailHealth - 3 * ammo.damage * ammo.split.sails)) < 1e-9);
+    assert.strictEqual(target.crew, target.crewCapacity - crewLost);
+
+    // Same seed, same fight
+    const replay = fight('round', 42);
+    assert.deepStrictEqual(replay.events.hit.map(hit => [hit.x, hit.y, hit.crew]), events.hit.map(hit => [hit.x, hit.y, hit.crew]));
+
+    // Chain shot tears sails, grapeshot clears the deck
+    const chain = fight('chain', 42).target;
+    const grape = fight('grape', 42).target;
+    assert.ok(chain.getDamage().sails > chain.getDamage().hull);
+    assert.ok(grape.crewCapacity - grape.crew > target.crewCapacity - target.crew);
+    assert.ok(grape.getDamage().hull < target.getDamage().hull);
+});
+
+test('an island in the line of fire stops the cannonballs', () => {
+    const rock = { id: 'rock', name: 'Rock', x: 1100, y: 1000, collisionCircles: [{ x: 0, y: 0, radius: 40 }] };
+    const combat = createCombat([rock]);
+    const events = recordEvents(combat);
+    const { shooter, target } = createDuel();
+
+    combat.fireBroadside(shooter, 'starboard');
+    fly(combat, [shooter, target]);
+
+    assert.strictEqual(events.hit.length, 0);
+    assert.strictEqual(events.splash.length, 3);
+    events.splash.forEach(splash => {
+        assert.strictEqual(splash.island.id, 'rock');
+        assert.ok(Math.abs(Math.hypot(splash.x - rock.x, splash.y - rock.y) - 40) < 1e-6, 'stops on the coast');
+    });
+    assert.strictEqual(target.health, target.maxHealth);
+    assert.strictEqual(combat.cannonballs.length, 0);
+});
+
+test('a miss comes down in the water at about the ammunition range', () => {
+    const combat = createCombat([]);
+    const events = recordEvents(combat);
+    const ship = new Ship(1000, 1000, 'sloop');
+    ship.angle = Math.PI / 2; // East: port guns point north
+
+    combat.fireBroadside(ship, 'port');
+    fly(combat, [ship], 1);
+    assert.strictEqual(combat.cannonballs.length, 3, 'still in flight after a second');
+    fly(combat, [ship], 2);
+
+    const range = CombatManager.AMMO.round.range;
+    assert.strictEqual(events.splash.length, 3);
+    events.splash.forEach(splash => {
+        assert.strictEqual(splash.island, null);
+        assert.ok(splash.y < ship.y - range * 0.9 && splash.y > ship.y - range * 1.15, `landed at ${splash.y}`);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Conflict resolver: three-way compare of base, local and server islands,
+ * and the merged list built from per-island choices
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ConflictResolver = require('../js/map-editor/ConflictResolver.js');
+
+const resolver = new ConflictResolver(null);
+
+const island = (id, fields = {}) => ({ id, name: id, x: 0, y: 0, collisionCircles: [{ x: 0, y: 0, radius: 100 }], ...fields });
+
+test('each island gets a status and defaults to the side that changed it', () => {
+    const base = [island('kitts'), island('nevis'), island('saba'), island('statia'), island('anguilla')];
+    const mine = [
+        { ...island('kitts', { x: 50 }), image: {} }, // image objects are ignored
+        island('nevis', { x: 10 }),
+        island('saba'),
+        island('statia', { y: 5 }),
+        island('montserrat')
+    ];
+    const theirs = [
+        island('kitts'),
+        island('nevis', { x: 20, scale: 2 }),
+        island('saba', { y: 30 }),
+        // Same change, different key order
+        { collisionCircles: [{ radius: 100, x: 0, y: 0 }], y: 5, x: 0, name: 'statia', id: 'statia' },
+        island('anguilla')
+    ];
+
+    const entries = resolver.analyze(base, mine, theirs);
+    const byId = Object.fromEntries(entries.map(entry => [entry.id, entry]));
+
+    assert.deepStrictEqual(
+        Object.fromEntries(entries.map(entry => [entry.id, [entry.status, entry.choice]])),
+        {
+            kitts: ['mine', 'mine'],
+            nevis: ['conflict', 'mine'],
+            saba: ['theirs', 'theirs'],
+            statia: ['same', 'mine'],
+            anguilla: ['mine', 'mine'],
+            montserrat: ['mine', 'mine']
+        }
+    );
+    assert.strictEqual(resolver.describe(byId.nevis), 'changed on both sides (x, scale)');
+    assert.strictEqual(resolver.describe(byId.anguilla), 'deleted here');
+    assert.strictEqual(resolver.describe(byId.montserrat), 'added here');
+
+    // Defaults keep both sides' edits; picking theirs for the conflict takes the server copy
+    byId.nevis.choice = 'theirs';
+    const merged = resolver.merge(entries);
+    assert.deepStrictEqual(merged.map(entry => entry.id), ['kitts', 'nevis', 'saba', 'statia', 'montserrat']);
+    assert.strictEqual(merged[0].x, 50);
+    assert.strictEqual(merged[0].image, undefined);
+    assert.strictEqual(merged[1].scale, 2);
+    assert.strictEqual(merged[2].y, 30);
+});
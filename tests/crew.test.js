@@ -0,0 +1,138 @@
+/**
+ * Crew: handling effects of headcount and officers, wages and morale,
+ * mutiny and the tavern
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Ship } = require('./helpers/world.js');
+const PortManager = require('../js/port-manager.js');
+
+function turnFor(ship, seconds) {
+    const start = ship.angle;
+    for (let step = 0; step < seconds * 60; step++) {
+        ship.update(1 / 60, { KeyD: true }, null);
+    }
+    return ship.angle - start;
+}
+
+test('headcount and officers change turning, reloading and repairs', () => {
+    const ship = new Ship(0, 0, 'sloop');
+    assert.deepStrictEqual(ship.getCrewEffects(), { turn: 1, reload: 1, repair: 0 });
+    const fullCrewTurn = turnFor(ship, 0.25);
+
+    ship.crew = ship.crewCapacity / 2;
+    assert.strictEqual(ship.getCrewEffects().turn, 0.75);
+    ship.officers.helmsman = { name: 'Israel Hands', skill: 1, wage: 15 };
+    assert.ok(Math.abs(ship.getCrewEffects().turn - 0.75 * 1.3) < 1e-9);
+    assert.ok(Math.abs(turnFor(ship, 0.25) - fullCrewTurn * 0.75 * 1.3) < 1e-9);
+
+    // Six slots need 24 hands; 12 reload at half speed, a master gunner makes up some of it
+    ship.crew = 12;
+    ship.batteries.port.reload = 4;
+    ship.update(1, {}, null);
+    assert.ok(Math.abs(ship.batteries.port.reload - 3.5) < 1e-9);
+    ship.officers.gunners = { name: 'Billy Bones', skill: 1, wage: 15 };
+    ship.update(1, {}, null);
+    assert.ok(Math.abs(ship.batteries.port.reload - 2.75) < 1e-9);
+
+    // The carpenter patches the hull at sea, but only so far
+    ship.crew = ship.crewCapacity;
+    ship.officers.carpenter = { name: 'Hal Morgan', skill: 1, wage: 15 };
+    ship.takeDamage(50);
+    ship.takeSailDamage(30);
+    ship.update(10, {}, null);
+    assert.strictEqual(ship.health, 55);
+    assert.strictEqual(ship.sailHealth, 35);
+    for (let step = 0; step < 100; step++) {
+        ship.update(1, {}, null);
+    }
+    assert.deepStrictEqual([ship.health, ship.sailHealth], [ship.maxHealth * 0.75, ship.maxSailHealth * 0.75]);
+});
+
+test('paydays pay wages from the purse, and unpaid or long voyages cost morale', () => {
+    const ship = new Ship(0, 0, 'sloop'); // 30 hands at 1 gold a day
+    ship.officers.navigator = { name: 'Mary Read', skill: 1, wage: 15 };
+    ship.gold = 100;
+    ship.morale = 90;
+
+    assert.strictEqual(ship.updateCrew(Ship.CREW_DAY - 1), null);
+    assert.deepStrictEqual(ship.updateCrew(1), { paid: 45, owed: 0, morale: 92, mutiny: null });
+    assert.strictEqual(ship.gold, 55);
+
+    // The purse runs dry: the rest is owed and carried to the next payday
+    ship.gold = 10;
+    const short = ship.payCrew();
+    assert.deepStrictEqual([short.paid, short.owed, short.morale, ship.gold], [10, 35, 72, 0]);
+    ship.gold = 200;
+    assert.deepStrictEqual(ship.payCrew(), { paid: 80, owed: 0, morale: 74, mutiny: null });
+
+    // Past the fifth day at sea every day costs morale, halved by the navigator
+    ship.gold = 10000;
+    ship.morale = 50;
+    ship.voyageDays = Ship.MORALE.voyageDays;
+    assert.strictEqual(ship.payCrew().morale, 50 + Ship.MORALE.paidDay - Ship.MORALE.voyageDay / 2);
+    ship.endVoyage();
+    assert.strictEqual(ship.payCrew().morale, 50 + Ship.MORALE.paidDay * 2 - Ship.MORALE.voyageDay / 2);
+});
+
+test('a crew at zero morale mutinies', () => {
+    const ship = new Ship(0, 0, 'sloop');
+    ship.officers.carpenter = { name: 'Ned Low', skill: 0.5, wage: 10 };
+    ship.gold = 20;
+    ship.morale = 10;
+
+    const payday = ship.payCrew();
+    assert.deepStrictEqual(payday.mutiny, { deserters: 15, gold: 0 });
+    assert.deepStrictEqual([ship.crew, ship.gold, ship.wagesOwed, ship.morale, ship.officers.carpenter],
+        [15, 0, 0, Ship.MORALE.afterMutiny, null]);
+});
+
+test('the tavern hires and dismisses hands and officers and buys rounds', () => {
+    const ship = new Ship(0, 0, 'sloop');
+    const portManager = new PortManager({ ship });
+    portManager.currentPort = { id: 'basseterre' };
+    const prices = PortManager.TAVERN_PRICES;
+
+    ship.crew = 20;
+    ship.gold = prices.hand * 4;
+    assert.deepStrictEqual(portManager.hireCrew(10), { hired: 4, cost: prices.hand * 4 });
+    ship.gold = 10000;
+    assert.strictEqual(portManager.hireCrew(10).hired, 6, 'no more than the crew quarters hold');
+    assert.strictEqual(portManager.dismissCrew(5), 5);
+    assert.strictEqual(ship.crew, 25);
+
+    const candidates = portManager.getTavernOfficers();
+    assert.deepStrictEqual(Object.keys(candidates), Object.keys(Ship.CREW_ROLES));
+    assert.deepStrictEqual(portManager.getTavernOfficers({ id: 'basseterre' }), candidates, 'fixed per port');
+    Object.values(candidates).forEach(officer => assert.ok(officer.skill >= 0.3 && officer.skill <= 1));
+
+    const gold = ship.gold;
+    assert.strictEqual(portManager.hireOfficer('helmsman'), true);
+    assert.deepStrictEqual(ship.officers.helmsman, candidates.helmsman);
+    assert.strictEqual(ship.gold, gold - candidates.helmsman.wage * prices.officerFeeDays);
+    assert.strictEqual(ship.getDailyWages(), 25 + candidates.helmsman.wage);
+
+    // A filled berth is not paid for twice, nor taken from the officer aboard
+    const veteran = { name: 'Israel Hands', skill: 1, wage: 15 };
+    ship.officers.gunners = veteran;
+    assert.strictEqual(portManager.hireOfficer('helmsman'), false);
+    assert.strictEqual(portManager.hireOfficer('gunners'), false);
+    assert.strictEqual(ship.officers.gunners, veteran);
+    assert.strictEqual(ship.gold, gold - candidates.helmsman.wage * prices.officerFeeDays);
+    ship.officers.gunners = null;
+
+    assert.strictEqual(portManager.dismissOfficer('helmsman'), true);
+    assert.strictEqual(ship.officers.helmsman, null);
+
+    ship.morale = 50;
+    assert.strictEqual(portManager.buyDrinks(), true);
+    assert.strictEqual(ship.morale, 50 + prices.drinksMorale);
+
+    ship.wagesOwed = 40;
+    ship.gold = 30;
+    assert.strictEqual(portManager.payWages(), 30);
+    assert.deepStrictEqual([ship.wagesOwed, ship.gold], [10, 0]);
+    assert.strictEqual(portManager.buyDrinks(), false);
+});
@@ -0,0 +1,100 @@
+/**
+ * Hull and sail damage: impacts, handling penalties, sinking and
+ * dockmaster repairs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { GameMap, Ship, CollisionManager, createWorld } = require('./helpers/world.js');
+const PortManager = require('../js/port-manager.js');
+
+const wall = { id: 'wall', name: 'Wall', x: 3000, y: 2000, bounce: 0, collisionCircles: [{ x: 0, y: 0, radius: 200 }] };
+
+test('running aground damages the hull in proportion to the impact speed', () => {
+    const { map, collisionManager } = createWorld([wall]);
+    const hits = [];
+    collisionManager.on(CollisionManager.EVENTS.COLLISION_BEGIN, event => hits.push(event));
+
+    [60, 200, 400].forEach(speed => {
+        const ship = new Ship(2755, 2000, null); // 5px off the coast
+        ship.angle = Math.PI / 2; // East, bow into the wall
+        ship.currentSpeed = speed;
+        ship.sail = 'furled'; // Coasting in at the set speed
+        for (let step = 0; step < 30; step++) {
+            ship.update(1 / 60, {}, map, collisionManager);
+        }
+    });
+
+    assert.strictEqual(hits.length, 3);
+    hits.forEach(({ ship, impactSpeed, damage }) => {
+        const expected = Math.max(0, (impactSpeed - collisionManager.groundingDamageThreshold) * collisionManager.groundingDamagePerSpeed);
+        assert.ok(Math.abs(damage - expected) < 1e-9);
+        assert.ok(Math.abs(ship.health - (ship.maxHealth - expected)) < 1e-9);
+    });
+    assert.strictEqual(hits[0].damage, 0, 'a gentle bump does no damage');
+    assert.ok(hits[2].damage > hits[1].damage * 2, 'twice the speed is well over twice the damage');
+});
+
+test('damage slows the ship and its turning', () => {
+    const healthy = new Ship(1000, 1000, null);
+    const battered = new Ship(1000, 1000, null);
+    battered.takeDamage(battered.maxHealth / 2);
+    battered.takeSailDamage(battered.maxSailHealth / 2);
+
+    const effects = battered.getDamageEffects();
+    assert.deepStrictEqual(healthy.getDamageEffects(), { speed: 1, turn: 1 });
+    assert.ok(Math.abs(effects.speed - (1 - 0.3 * 0.5) * (1 - 0.6 * 0.5)) < 1e-9);
+    assert.ok(Math.abs(effects.turn - 0.75) < 1e-9);
+
+    [healthy, battered].forEach(ship => {
+        ship.sail = 'full';
+        for (let step = 0; step < 180; step++) {
+            ship.update(1 / 60, { KeyD: true }, null);
+        }
+    });
+    assert.ok(Math.abs(battered.currentSpeed - healthy.currentSpeed * effects.speed) < 1e-6);
+});
+
+test('a ship at zero hull sinks, stops answering the helm and can be refloated', () => {
+    const ship = new Ship(1000, 1000, null);
+    ship.currentSpeed = 300;
+    ship.takeDamage(ship.maxHealth + 50, 'reef');
+
+    assert.deepStrictEqual([ship.health, ship.sinking, ship.sunkBy, ship.isSunk()], [0, true, 'reef', false]);
+    ship.takeDamage(10);
+    assert.strictEqual(ship.health, 0);
+
+    for (let step = 0; step < Ship.SINK_DURATION * 60 + 1; step++) {
+        ship.update(1 / 60, { KeyW: true }, null);
+    }
+    assert.strictEqual(ship.sail, 'furled', 'no hoisting sails on a sinking ship');
+    assert.strictEqual(ship.currentSpeed, 0);
+    assert.strictEqual(ship.isSunk(), true);
+    assert.deepStrictEqual(ship.repair(), { hull: 0, sails: 0 });
+
+    ship.refloat(500, 600);
+    assert.deepStrictEqual([ship.x, ship.y, ship.health, ship.sinking, ship.isSunk()], [500, 600, ship.maxHealth, false, false]);
+});
+
+test('the dockmaster prices repairs by damage and repairs what the purse covers, hull first', () => {
+    const ship = new Ship(0, 0, null);
+    const portManager = new PortManager({ ship });
+    ship.takeDamage(40);
+    ship.takeSailDamage(10);
+
+    const prices = PortManager.REPAIR_PRICES;
+    const fullCost = 40 * prices.hull + 10 * prices.sails;
+    assert.deepStrictEqual(portManager.getRepairQuote(ship), { hull: 40, sails: 10, cost: fullCost });
+
+    // Enough for half the hull only
+    ship.gold = 20 * prices.hull;
+    const partial = portManager.repairShip();
+    assert.deepStrictEqual([partial.hull, partial.sails, partial.cost, ship.gold], [20, 0, 20 * prices.hull, 0]);
+
+    ship.gold = 1000;
+    const rest = portManager.repairShip();
+    assert.deepStrictEqual([rest.cost, ship.gold, ship.health, ship.sailHealth],
+        [20 * prices.hull + 10 * prices.sails, 1000 - rest.cost, ship.maxHealth, ship.maxSailHealth]);
+    assert.strictEqual(portManager.getRepairQuote(ship).cost, 0);
+});
@@ -0,0 +1,105 @@
+/**
+ * Test helper: encode small PNGs from raw scanlines, with any colour type,
+ * bit depth and row filter, so the decoder can be checked against known pixels
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function paeth(left, up, upLeft) {
+    const p = left + up - upLeft;
+    const pa = Math.abs(p - left);
+    const pb = Math.abs(p - up);
+    const pc = Math.abs(p - upLeft);
+    return pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+}
+
+/**
+ * Filter one raw row with PNG filter type 0-4
+ */
+function filterRow(filter, row, previous, bpp) {
+    const out = Buffer.alloc(row.length + 1);
+    out[0] = filter;
+    for (let i = 0; i < row.length; i++) {
+        const left = i >= bpp ? row[i - bpp] : 0;
+        const up = previous[i];
+        const upLeft = i >= bpp ? previous[i - bpp] : 0;
+        const predictors = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)];
+        out[i + 1] = (row[i] - predictors[filter]) & 0xff;
+    }
+    return out;
+}
+
+/**
+ * Build a PNG from unfiltered scanlines (one Buffer per row).
+ * options: { colorType, bitDepth, filter, palette, transparency, interlace }
+ */
+function encodePng(width, height, rows, options = {}) {
+    const { colorType = 6, bitDepth = 8, filter = 0, palette = null, transparency = null, interlace = 0 } = options;
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    const bpp = Math.max(1, (channels * bitDepth) >> 3);
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = bitDepth;
+    header[9] = colorType;
+    header[12] = interlace;
+
+    let previous = Buffer.alloc(rows[0].length);
+    const scanlines = rows.map(row => {
+        const filtered = filterRow(filter, row, previous, bpp);
+        previous = row;
+        return filtered;
+    });
+
+    const chunks = [chunk('IHDR', header)];
+    if (palette) chunks.push(chunk('PLTE', palette));
+    if (transparency) chunks.push(chunk('tRNS', transparency));
+    chunks.push(chunk('IDAT', zlib.deflateSync(Buffer.concat(scanlines))));
+    chunks.push(chunk('IEND', Buffer.alloc(0)));
+    return Buffer.concat([SIGNATURE, ...chunks]);
+}
+
+/**
+ * RGBA PNG whose alpha comes from alphaAt(x, y)
+ */
+function encodeAlphaPng(width, height, alphaAt, options = {}) {
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        const row = Buffer.alloc(width * 4);
+        for (let x = 0; x < width; x++) {
+            row.writeUInt32BE(0x40a0c000 | alphaAt(x, y), x * 4);
+        }
+        rows.push(row);
+    }
+    return encodePng(width, height, rows, { ...options, colorType: 6, bitDepth: 8 });
+}
+
+module.exports = { encodePng, encodeAlphaPng, chunk, crc32 };
@@ -0,0 +1,87 @@
+/**
+ * Test helper: run server.js on a free port with temporary data, script and
+ * asset folders, and talk to it over HTTP like the map editor and the game do
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start a server and wait until it listens. Returns { baseUrl, tempDir,
+ * request, stop }; request(method, path, body, headers) sends JSON and
+ * resolves to { status, headers, body }.
+ */
+async function startServer(args = []) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goret-server-'));
+    const port = await findFreePort();
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    const child = spawn(process.execPath, [
+        path.join(__dirname, '..', '..', 'server.js'),
+        '--port', String(port),
+        '--host', '127.0.0.1',
+        '--data-dir', path.join(tempDir, 'data'),
+        '--js-dir', path.join(tempDir, 'js'),
+        '--assets-dir', path.join(tempDir, 'assets'),
+        ...args
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const stop = async () => {
+        if (child.exitCode === null && child.signalCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+        }
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    };
+
+    try {
+        await new Promise((resolve, reject) => {
+            let output = '';
+            const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+            child.stdout.on('data', chunk => {
+                output += chunk;
+                if (output.includes('GORET Server running')) {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            });
+            child.stderr.on('data', chunk => { output += chunk; });
+            child.on('exit', code => {
+                clearTimeout(timer);
+                reject(new Error(`Server exited with ${code}:\n${output}`));
+            });
+        });
+    } catch (error) {
+        await stop();
+        throw error;
+    }
+
+    async function request(method, pathname, body, headers = {}) {
+        const options = { method, headers: { ...headers } };
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        const response = await fetch(`${baseUrl}${pathname}`, options);
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    return { baseUrl, tempDir, request, stop };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,28 @@
+/**
+ * Shared test setup: the browser globals the game scripts expect (loaded
+ * in the order index.html loads them) and a small world to sail in
+ */
+
+global.window = {};
+global.SpatialHash = require('../../js/spatial-hash.js');
+global.EventBus = require('../../js/event-bus.js');
+global.SHIP_TYPES = require('../../js/ship-types-data.js');
+global.GOODS = require('../../js/goods-data.js');
+global.Ship = require('../../js/ship.js');
+
+const GameMap = require('../../js/map.js');
+const CollisionManager = require('../../js/collision.js');
+
+/**
+ * A map holding `islands` and a collision manager for it, with the
+ * canvas-only collision effects switched off
+ */
+function createWorld(islands = []) {
+    const map = new GameMap({ width: 1024, height: 768 }, {});
+    map.updateIslands(islands);
+    const collisionManager = new CollisionManager({}, map);
+    collisionManager.showCollisionEffect = () => {};
+    return { map, collisionManager };
+}
+
+module.exports = { GameMap, Ship, CollisionManager, createWorld };
@@ -0,0 +1,83 @@
+/**
+ * Image store: header checks against the filename, metadata with island
+ * references, and the cached alpha masks used by Auto-fit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ImageStore = require('../server/image-store');
+const { encodeAlphaPng } = require('./helpers/png.js');
+
+function createStore(t) {
+    const imagesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goret-images-'));
+    t.after(() => fs.rmSync(imagesDir, { recursive: true, force: true }));
+    return new ImageStore({ imagesDir });
+}
+
+test('image headers give the format and size, and must match the extension', t => {
+    const store = createStore(t);
+    const png = encodeAlphaPng(12, 8, () => 255);
+    const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x20, 0x00, 0x30]);
+    const gif = Buffer.from('GIF89a\x05\x00\x03\x00', 'latin1');
+    const webp = Buffer.alloc(30);
+    webp.write('RIFF', 0);
+    webp.write('WEBPVP8X', 8);
+    webp.writeUIntLE(99, 24, 3);
+    webp.writeUIntLE(49, 27, 3);
+
+    assert.deepStrictEqual(store.sniff(png), { format: 'png', width: 12, height: 8, mimeType: 'image/png' });
+    assert.deepStrictEqual(store.sniff(jpeg), { format: 'jpeg', width: 48, height: 32, mimeType: 'image/jpeg' });
+    assert.deepStrictEqual(store.sniff(gif), { format: 'gif', width: 5, height: 3, mimeType: 'image/gif' });
+    assert.deepStrictEqual(store.sniff(webp), { format: 'webp', width: 100, height: 50, mimeType: 'image/webp' });
+    assert.strictEqual(store.sniff(Buffer.from('not an image at all, just some text')), null);
+
+    assert.deepStrictEqual(store.check('tortuga.png', png), { valid: true, info: store.sniff(png), error: null });
+    assert.strictEqual(store.check('tortuga.jpg', png).error, 'File contains PNG data but is named tortuga.jpg');
+    assert.strictEqual(store.check('photo.jpeg', jpeg).valid, true);
+    assert.match(store.check('../tortuga.png', png).error, /^Filename must use/);
+    assert.strictEqual(store.check('notes.gif', Buffer.from('hello')).error, 'Not a PNG, JPEG, WebP or GIF image');
+});
+
+test('stored images are listed with the islands that use them', t => {
+    const store = createStore(t);
+    const islands = [
+        { id: 'tortuga', name: 'Tortuga', imageFilename: 'tortuga.png' },
+        { id: 'nevis', name: 'Nevis', imageFilename: 'nevis.png' }
+    ];
+
+    store.write('tortuga.png', encodeAlphaPng(4, 4, () => 255));
+    store.write('spare.png', encodeAlphaPng(2, 2, () => 0));
+    fs.writeFileSync(path.join(store.imagesDir, 'readme.txt'), 'not an image');
+
+    assert.strictEqual(store.exists('tortuga.png'), true);
+    assert.strictEqual(store.exists('nevis.png'), false);
+    assert.strictEqual(store.describe('nevis.png', islands), null);
+
+    const images = store.list(islands);
+    assert.deepStrictEqual(images.map(image => image.filename), ['spare.png', 'tortuga.png']);
+    assert.deepStrictEqual(images[1].referencedBy, [{ id: 'tortuga', name: 'Tortuga' }]);
+    assert.deepStrictEqual(images[0].referencedBy, []);
+    assert.deepStrictEqual([images[1].path, images[1].format, images[1].width, images[1].height],
+        ['assets/Islands/tortuga.png', 'png', 4, 4]);
+
+    store.rename('spare.png', 'nevis.png');
+    assert.deepStrictEqual(store.describe('nevis.png', islands).referencedBy, [{ id: 'nevis', name: 'Nevis' }]);
+    store.remove('nevis.png');
+    assert.deepStrictEqual(store.list(islands).map(image => image.filename), ['tortuga.png']);
+});
+
+test('alpha masks are cached until the image changes', t => {
+    const store = createStore(t);
+    store.write('rock.png', encodeAlphaPng(3, 1, x => x * 100));
+
+    const mask = store.readAlphaMask('rock.png');
+    assert.deepStrictEqual(Array.from(mask.alpha), [0, 100, 200]);
+    assert.strictEqual(store.readAlphaMask('rock.png'), mask, 'served from the cache');
+
+    store.write('rock.png', encodeAlphaPng(4, 1, () => 255));
+    assert.deepStrictEqual(Array.from(store.readAlphaMask('rock.png').alpha), [255, 255, 255, 255]);
+});
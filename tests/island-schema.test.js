@@ -0,0 +1,127 @@
+/**
+ * Island schema: every violation reported by island index and field path,
+ * duplicates across the map, reserved IDs, towns and hazard zones
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const IslandSchema = require('../server/island-schema');
+const islands = require('../data/islands.json');
+const demoHazards = require('./fixtures/hazards.json');
+
+const schema = new IslandSchema();
+
+// [path, message] pairs, which is what the editor shows next to each field
+function problems(errors) {
+    return errors.map(error => [error.path, error.message]);
+}
+
+test('the shipped map and the demo hazards are valid', () => {
+    const result = schema.validate({ islands });
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.islands, islands);
+    assert.deepStrictEqual(schema.validateHazards(demoHazards), []);
+});
+
+test('each bad field is reported with the island index, name and path', () => {
+    const result = schema.validate([
+        { name: 'Tortuga', x: 0, y: 0, radius: 100 },
+        {
+            name: 'Nevis',
+            x: '10',
+            scale: 0,
+            bounce: 1.5,
+            imageFilename: '../nevis.png',
+            collisionCircles: [{ x: 0, y: 0, radius: -5 }, null],
+            collision: [{ x: 0, y: 0 }]
+        },
+        'not an island'
+    ]);
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors.filter(error => error.index === 1).map(error => error.island), Array(8).fill('Nevis'));
+    assert.deepStrictEqual(problems(result.errors), [
+        ['x', 'Must be a finite number'],
+        ['y', 'Required number'],
+        ['scale', 'Must be greater than 0'],
+        ['bounce', 'Must be between 0 and 1'],
+        ['imageFilename', 'Must be an image filename (letters, digits, . _ -) ending in .png, .jpg, .jpeg, .webp or .gif'],
+        ['collisionCircles[0].radius', 'Must be greater than 0'],
+        ['collisionCircles[1]', 'Circle must be an object'],
+        ['collision', 'Polygon needs at least 3 points'],
+        ['', 'Island must be an object']
+    ]);
+    assert.strictEqual(result.errors[8].index, 2);
+
+    assert.strictEqual(schema.formatError(result.errors[5]), 'islands[1].collisionCircles[0].radius (Nevis): Must be greater than 0');
+    assert.deepStrictEqual(problems(schema.validate({ islands: 'none' }).errors),
+        [['islands', 'Expected an array of islands or { "islands": [...] }']]);
+    assert.deepStrictEqual(problems(schema.validate([{ name: 'Shoal', x: 0, y: 0 }]).errors),
+        [['collisionCircles', 'Island needs collisionCircles, a legacy collision polygon or a radius']]);
+});
+
+test('names, island IDs and town IDs must be unique, and route names are reserved', () => {
+    const port = { id: 'basseterre', name: 'Basseterre', x: 0, y: 0, radius: 50 };
+    const result = schema.validate([
+        { id: 'kitts', name: 'Saint Kitts', x: 0, y: 0, radius: 100, towns: [port] },
+        { id: 'kitts', name: 'Saint Kitts', x: 10, y: 0, radius: 100, towns: [port] },
+        { id: 'revisions', name: 'Revisions', x: 20, y: 0, radius: 100 },
+        { id: 'no spaces', name: 'Spaces', x: 30, y: 0, radius: 100 }
+    ]);
+
+    assert.deepStrictEqual(problems(result.errors), [
+        ['name', 'Duplicate island name (also used by island 0)'],
+        ['id', 'Duplicate island id (also used by island 0)'],
+        ['towns[0].id', 'Duplicate town id (also used on island 0)'],
+        ['id', '"revisions" is reserved'],
+        ['id', 'Must be a string of letters, digits, _ and -']
+    ]);
+    assert.deepStrictEqual(result.errors.map(error => error.index), [1, 1, 1, 2, 3]);
+});
+
+test('towns are checked for position, size, type, nation and services', () => {
+    const errors = schema.validateIsland({
+        name: 'Nevis',
+        x: 0,
+        y: 0,
+        radius: 100,
+        towns: [
+            { id: 'charlestown', name: 'Charlestown', x: 0, y: 0, radius: 80, entryRadius: 40, type: 'castle', nation: 'portugal', services: ['market', 'brothel'] },
+            { name: '', x: 0, radius: 10, background: 'port.bmp' },
+            'a town'
+        ]
+    }, 0);
+
+    assert.deepStrictEqual(problems(errors), [
+        ['towns[0].entryRadius', 'Must be at least the town radius'],
+        ['towns[0].type', 'Must be one of port, town, fort, village'],
+        ['towns[0].nation', 'Must be one of england, france, spain, netherlands, pirates'],
+        ['towns[0].services[1]', 'Must be one of governor, market, tavern, dockmaster, bank, church'],
+        ['towns[1].id', 'Required string of letters, digits, _ and -'],
+        ['towns[1].name', 'Required non-empty string'],
+        ['towns[1].y', 'Required number'],
+        ['towns[1].background', 'Must be an image filename in assets/Ports (letters, digits, . _ -)'],
+        ['towns[2]', 'Town must be an object']
+    ]);
+});
+
+test('hazard zones are checked with paths into the hazards list', () => {
+    const errors = schema.validateHazards([
+        { id: 'reef-1', type: 'reef', x: 0, y: 0, radius: 100 },
+        { id: 'reef-1', type: 'kraken', x: 0, y: 0, radius: 0, windFactor: 2 },
+        null
+    ]);
+
+    assert.deepStrictEqual(problems(errors), [
+        ['hazards[1].type', 'Must be one of shallows, reef, whirlpool, calm'],
+        ['hazards[1].radius', 'Must be greater than 0'],
+        ['hazards[1].windFactor', 'Must be between 0 and 1'],
+        ['hazards[1].id', 'Duplicate hazard id (also used by hazard 0)'],
+        ['hazards[2]', 'Hazard must be an object']
+    ]);
+    assert.ok(errors.every(error => error.index === null));
+    assert.strictEqual(schema.formatError(errors[1]), 'hazards[1].radius: Must be greater than 0');
+    assert.deepStrictEqual(problems(schema.validateHazards({})), [['hazards', 'Expected an array of hazard zones']]);
+});
@@ -0,0 +1,170 @@
+/**
+ * Map store: revisions with baseline, restore, diff and pruning, island
+ * IDs, ETags and the generated game scripts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MapStore = require('../server/map-store');
+const demoHazards = require('./fixtures/hazards.json');
+
+function createStore(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goret-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new MapStore({ dataDir: path.join(dir, 'data'), jsDir: path.join(dir, 'js'), ...options });
+}
+
+// Generated scripts are CommonJS too; read them fresh every time
+function loadScript(filePath) {
+    delete require.cache[require.resolve(filePath)];
+    return require(filePath);
+}
+
+const tortuga = { name: 'Tortuga', x: 1000, y: 800, radius: 300 };
+const nevis = { name: 'Nevis', x: 4000, y: 2500, collisionCircles: [{ x: 0, y: 0, radius: 200 }] };
+
+test('the first save keeps the existing map as a baseline revision and regenerates the game script', t => {
+    const store = createStore(t);
+    fs.writeFileSync(store.jsonPath, JSON.stringify([{ name: 'Old Rock', x: 0, y: 0, radius: 50 }]));
+
+    const revision = store.saveIslands([tortuga, { ...nevis, name: 'Île à Vache' }], { source: 'save' });
+    assert.deepStrictEqual([revision.count, revision.source], [2, 'save']);
+
+    const revisions = store.listRevisions();
+    assert.deepStrictEqual(revisions.map(entry => [entry.source, entry.count]), [['save', 2], ['baseline', 1]]);
+    assert.strictEqual(revisions[0].id, revision.id);
+
+    assert.deepStrictEqual(store.loadIslands().map(island => island.id), ['tortuga', 'ile-a-vache']);
+    const gameIslands = loadScript(store.jsPath);
+    assert.deepStrictEqual(gameIslands.map(island => island.id), ['tortuga', 'ile-a-vache']);
+    assert.deepStrictEqual(gameIslands[0].collisionCircles, [{ x: 0, y: 0, radius: 210 }], 'radius-only islands get a default circle');
+    assert.strictEqual(gameIslands[1].radius, 200);
+
+    // A second save adds no further baseline
+    store.saveIslands([tortuga]);
+    assert.strictEqual(store.listRevisions().length, 3);
+});
+
+test('revisions load, diff and restore as a new revision, and survive a restart', t => {
+    const store = createStore(t);
+    const first = store.saveIslands([tortuga, nevis]);
+    const second = store.saveIslands([{ ...tortuga, x: 1200, bounce: 0.5 }, { name: 'Saba', x: 0, y: 0, radius: 80 }]);
+
+    const loaded = store.loadRevision(first.id);
+    assert.deepStrictEqual(loaded.islands.map(island => island.id), ['tortuga', 'nevis']);
+    assert.strictEqual(store.loadRevision('../islands'), null);
+    assert.strictEqual(store.loadRevision('2000-01-01T00-00-00-000Z'), null);
+    assert.strictEqual(store.restoreRevision('2000-01-01T00-00-00-000Z'), null);
+
+    assert.deepStrictEqual(store.diffIslands(loaded.islands, store.loadRevision(second.id).islands), {
+        added: ['saba'],
+        removed: ['nevis'],
+        changed: [{ id: 'tortuga', name: 'Tortuga', changes: [
+            { field: 'x', from: 1000, to: 1200 },
+            { field: 'bounce', from: undefined, to: 0.5 }
+        ] }]
+    });
+
+    // Islands saved before IDs existed diff by their name-derived ID
+    assert.deepStrictEqual(store.diffIslands([tortuga], [{ id: 'tortuga', ...tortuga }]), { added: [], removed: [], changed: [] });
+
+    const restored = store.restoreRevision(first.id);
+    assert.deepStrictEqual([restored.source, restored.restoredFrom], ['restore', first.id]);
+    assert.deepStrictEqual(store.loadIslands(), loaded.islands);
+
+    const reopened = new MapStore({ dataDir: store.dataDir, jsDir: store.jsDir });
+    assert.deepStrictEqual(reopened.listRevisions().map(entry => entry.id), [restored.id, second.id, first.id]);
+});
+
+test('revisions hold the hazard zones, and restoring brings them back with the islands', t => {
+    const store = createStore(t);
+    const first = store.saveIslands([tortuga], { source: 'save' }, demoHazards);
+    assert.strictEqual(first.hazardCount, demoHazards.length);
+
+    // Island-only saves keep the zones in force and record them again
+    const second = store.saveIslands([tortuga, nevis]);
+    assert.deepStrictEqual(store.loadRevision(second.id).hazards, demoHazards);
+
+    store.saveIslands([tortuga], { source: 'save' }, []);
+    assert.deepStrictEqual(store.loadHazards(), []);
+
+    store.restoreRevision(second.id);
+    assert.deepStrictEqual(store.loadHazards(), demoHazards);
+    assert.deepStrictEqual(loadScript(store.hazardsJsPath), demoHazards);
+    assert.deepStrictEqual(store.loadIslands().map(island => island.id), ['tortuga', 'nevis']);
+    assert.ok(store.listRevisions().every(entry => entry.hazards === undefined), 'listings carry counts, not zones');
+
+    // Revisions written before hazards were recorded leave the zones alone
+    const legacy = store.listRevisions()[0];
+    const legacyPath = store.getRevisionPath(legacy.id);
+    const { hazards, ...withoutHazards } = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+    fs.writeFileSync(legacyPath, JSON.stringify(withoutHazards));
+    store.saveIslands([tortuga], { source: 'save' }, []);
+    store.restoreRevision(legacy.id);
+    assert.deepStrictEqual(store.loadHazards(), []);
+});
+
+test('every revision is kept unless a cap is set, then the oldest are pruned', t => {
+    const saveFive = store => Array.from({ length: 5 }, (_, i) => store.saveIslands([{ ...tortuga, x: i }]).id);
+
+    const unlimited = createStore(t);
+    assert.strictEqual(unlimited.maxRevisions, 0);
+    const allIds = saveFive(unlimited);
+    assert.deepStrictEqual(unlimited.listRevisions().map(entry => entry.id), allIds.reverse());
+
+    const capped = createStore(t, { maxRevisions: 3 });
+    const ids = saveFive(capped);
+    assert.deepStrictEqual(capped.listRevisions().map(entry => entry.id), ids.slice(2).reverse());
+    assert.strictEqual(capped.loadRevision(ids[0]), null);
+});
+
+test('island IDs are slugs of the name, unique and never a reserved route', t => {
+    const store = createStore(t);
+
+    assert.strictEqual(store.createIslandId('Saint Barthélemy'), 'saint-barthelemy');
+    assert.strictEqual(store.createIslandId('  ?! '), 'island');
+    assert.strictEqual(store.createIslandId('Nevis', new Set(['nevis', 'nevis-2'])), 'nevis-3');
+    MapStore.RESERVED_ISLAND_IDS.forEach(id => {
+        assert.strictEqual(store.createIslandId(id), `${id}-2`);
+    });
+
+    // Existing IDs are kept, so renaming an island does not change its ID
+    assert.deepStrictEqual(store.assignIslandIds([{ id: 'tortuga', name: 'Isla Tortuga' }, { name: 'Tortuga' }]).map(island => island.id),
+        ['tortuga', 'tortuga-2']);
+});
+
+test('ETags follow the saved islands and hazards', t => {
+    const store = createStore(t);
+    const empty = store.getEtag();
+
+    store.saveIslands([tortuga]);
+    const saved = store.getEtag();
+    assert.notStrictEqual(saved, empty);
+    assert.strictEqual(store.getEtag(), saved, 'stable while nothing changes');
+
+    const hazards = store.saveHazards(demoHazards.map(({ id, ...hazard }) => hazard));
+    assert.notStrictEqual(store.getEtag(), saved);
+    assert.deepStrictEqual(store.loadHazards(), hazards);
+    assert.deepStrictEqual(loadScript(store.hazardsJsPath), hazards);
+    assert.strictEqual(hazards.find(hazard => hazard.type === 'reef').id, 'reef-1');
+
+    const island = store.loadIslands()[0];
+    assert.strictEqual(store.getIslandEtag(island), store.getIslandEtag({ ...island }));
+    assert.notStrictEqual(store.getIslandEtag(island), store.getIslandEtag({ ...island, x: 1 }));
+});
+
+test('a new data folder starts with empty game scripts, and existing ones are kept', t => {
+    const store = createStore(t);
+    store.ensureGameData();
+    assert.deepStrictEqual(loadScript(store.jsPath), []);
+    assert.deepStrictEqual(loadScript(store.hazardsJsPath), []);
+
+    store.saveIslands([tortuga]);
+    const script = fs.readFileSync(store.jsPath, 'utf8');
+    store.ensureGameData();
+    assert.strictEqual(fs.readFileSync(store.jsPath, 'utf8'), script);
+});
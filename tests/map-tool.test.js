@@ -0,0 +1,77 @@
+/**
+ * Map tool: validating map files and migrating polygon collision to
+ * Multi-Circle, run as the command line tool on temporary files
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function createDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goret-map-tool-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function mapTool(...args) {
+    return spawnSync(process.execPath, [path.join(__dirname, '..', 'map-tool.js'), ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+// A legacy island: 400 x 200 polygon in world coordinates round (2000, 1000)
+const legacy = {
+    name: 'Old Tortuga',
+    x: 2000,
+    y: 1000,
+    collision: [{ x: 1800, y: 900 }, { x: 2200, y: 900 }, { x: 2200, y: 1100 }, { x: 1800, y: 1100 }]
+};
+const modern = { name: 'Nevis', x: 0, y: 0, collisionCircles: [{ x: 0, y: 0, radius: 100 }] };
+
+test('migrate replaces polygons with fitted circles and leaves other islands alone', t => {
+    const dir = createDir(t);
+    const mapPath = path.join(dir, 'old-map.json');
+    const outPath = path.join(dir, 'migrated.json');
+    fs.writeFileSync(mapPath, JSON.stringify({ version: 1, islands: [legacy, modern] }));
+
+    const dryRun = mapTool('migrate', mapPath, '--dry-run');
+    assert.strictEqual(dryRun.status, 0, dryRun.stderr);
+    assert.match(dryRun.stdout, /Dry run: 1 islands would be migrated/);
+    assert.ok(!fs.existsSync(outPath));
+
+    const result = mapTool('migrate', mapPath, '--out', outPath, '--tolerance', '10', '--max-circles', '12');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Old Tortuga: 4-point polygon → \d+ circles/);
+
+    const migrated = JSON.parse(fs.readFileSync(outPath, 'utf8'));
+    assert.strictEqual(migrated.version, 1, 'other top-level fields are kept');
+    const [tortuga, nevis] = migrated.islands;
+    assert.deepStrictEqual(nevis, modern);
+    assert.strictEqual(tortuga.collision, undefined);
+    assert.ok(tortuga.collisionCircles.length > 1 && tortuga.collisionCircles.length <= 12);
+    tortuga.collisionCircles.forEach(circle => {
+        assert.ok(Math.abs(circle.x) + circle.radius <= 200 + 11 && Math.abs(circle.y) + circle.radius <= 100 + 11,
+            `circle at ${circle.x},${circle.y} r${circle.radius} leaves the polygon`);
+    });
+
+    // The source file is untouched, and the migrated map is valid
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(mapPath, 'utf8')).islands[0], legacy);
+    const validated = mapTool('validate', outPath);
+    assert.strictEqual(validated.status, 0, validated.stderr);
+
+    // Nothing left to do the second time round
+    assert.match(mapTool('migrate', outPath).stdout, /no polygon collision to migrate/);
+});
+
+test('validate lists every problem and fails', t => {
+    const dir = createDir(t);
+    const mapPath = path.join(dir, 'broken.json');
+    fs.writeFileSync(mapPath, JSON.stringify([{ name: 'Saba', x: 0, y: 'north', radius: 10 }, { ...modern, id: 'save' }]));
+
+    const result = mapTool('validate', mapPath);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /2 problems found/);
+    assert.match(result.stderr, /islands\[0\]\.y \(Saba\): Must be a finite number/);
+    assert.match(result.stderr, /islands\[1\]\.id \(Nevis\): "save" is reserved/);
+});
@@ -0,0 +1,47 @@
+/**
+ * Multipart parser: image upload forms, binary file data and malformed bodies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseMultipart } = require('../server/multipart');
+
+const BOUNDARY = '----goret-boundary';
+const CONTENT_TYPE = `multipart/form-data; boundary=${BOUNDARY}`;
+
+function form(parts, closing = `--${BOUNDARY}--\r\n`) {
+    return Buffer.concat([
+        ...parts.map(part => Buffer.concat([Buffer.from(`--${BOUNDARY}\r\n${part.headers}\r\n\r\n`), part.data, Buffer.from('\r\n')])),
+        Buffer.from(closing)
+    ]);
+}
+
+test('fields and files come out with their names, type and raw bytes', () => {
+    const pixels = Buffer.from([0x89, 0x50, 0x0d, 0x0a, 0x2d, 0x2d, 0x00, 0xff]); // CRLF and "--" inside the data
+    const body = form([
+        { headers: 'Content-Disposition: form-data; name="filename"', data: Buffer.from('tortuga.png') },
+        { headers: 'Content-Disposition: form-data; name="image"; filename="upload.png"\r\nContent-Type: image/png', data: pixels }
+    ]);
+
+    const parts = parseMultipart(body, CONTENT_TYPE);
+    assert.strictEqual(parts.length, 2);
+    assert.deepStrictEqual(parts.map(part => [part.name, part.filename, part.contentType]),
+        [['filename', null, null], ['image', 'upload.png', 'image/png']]);
+    assert.strictEqual(parts[0].data.toString(), 'tortuga.png');
+    assert.ok(parts[1].data.equals(pixels));
+
+    // Quoted boundaries work the same
+    assert.strictEqual(parseMultipart(body, `multipart/form-data; boundary="${BOUNDARY}"`).length, 2);
+});
+
+test('bodies without a boundary or with broken framing are rejected', () => {
+    const part = { headers: 'Content-Disposition: form-data; name="image"; filename="a.png"', data: Buffer.from('data') };
+
+    assert.strictEqual(parseMultipart(form([part]), 'multipart/form-data'), null, 'no boundary');
+    assert.strictEqual(parseMultipart(form([part]), undefined), null);
+    assert.strictEqual(parseMultipart(Buffer.from('preamble'), CONTENT_TYPE), null, 'does not start with the boundary');
+    assert.strictEqual(parseMultipart(form([part], ''), CONTENT_TYPE), null, 'never closed');
+    assert.strictEqual(parseMultipart(Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data`), CONTENT_TYPE), null, 'headers never end');
+    assert.deepStrictEqual(parseMultipart(Buffer.from(`--${BOUNDARY}--\r\n`), CONTENT_TYPE), [], 'empty form');
+});
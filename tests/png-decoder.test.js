@@ -0,0 +1,63 @@
+/**
+ * PNG decoder: alpha channel of every colour type, bit depth and row
+ * filter, and the errors for files it cannot read
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const PngDecoder = require('../server/png-decoder');
+const { encodePng, encodeAlphaPng, chunk } = require('./helpers/png.js');
+
+const decoder = new PngDecoder();
+
+test('RGBA images decode to the same alpha with every row filter', () => {
+    const alphaAt = (x, y) => (x * 37 + y * 91) % 256;
+    const expected = Uint8Array.from({ length: 7 * 5 }, (_, i) => alphaAt(i % 7, Math.floor(i / 7)));
+
+    [0, 1, 2, 3, 4].forEach(filter => {
+        const mask = decoder.decodeAlpha(encodeAlphaPng(7, 5, alphaAt, { filter }));
+        assert.deepStrictEqual([mask.width, mask.height], [7, 5]);
+        assert.deepStrictEqual(mask.alpha, expected, `filter ${filter}`);
+    });
+});
+
+test('grey, RGB and palette images take their alpha from the samples or tRNS', () => {
+    const alphaOf = (width, rows, options) => Array.from(decoder.decodeAlpha(encodePng(width, rows.length, rows, options)).alpha);
+
+    // 16-bit grey + alpha: [grey, alpha] per pixel
+    const greyAlpha = Buffer.alloc(8);
+    [0x1234, 0xffff, 0x1234, 0x8000].forEach((value, i) => greyAlpha.writeUInt16BE(value, i * 2));
+    assert.deepStrictEqual(alphaOf(2, [greyAlpha], { colorType: 4, bitDepth: 16, filter: 4 }), [255, 128]);
+
+    // 2-bit palette, indexes 0 1 2 3 1; tRNS covers the first two entries only
+    const palette = Buffer.alloc(12);
+    assert.deepStrictEqual(alphaOf(5, [Buffer.from([0x1b, 0x40])], {
+        colorType: 3, bitDepth: 2, palette, transparency: Buffer.from([0, 128])
+    }), [0, 128, 255, 255, 128]);
+
+    // 1-bit grey with white as the transparent key
+    assert.deepStrictEqual(alphaOf(3, [Buffer.from([0xa0])], {
+        colorType: 0, bitDepth: 1, transparency: Buffer.from([0, 1])
+    }), [0, 255, 0]);
+
+    // 8-bit RGB with magenta as the transparent key, and without a key
+    const rgb = Buffer.from([0xff, 0x00, 0xff, 0x00, 0x00, 0x00]);
+    assert.deepStrictEqual(alphaOf(2, [rgb], {
+        colorType: 2, transparency: Buffer.from([0, 0xff, 0, 0, 0, 0xff])
+    }), [0, 255]);
+    assert.deepStrictEqual(alphaOf(2, [rgb], { colorType: 2, filter: 1 }), [255, 255]);
+});
+
+test('files the decoder cannot read are rejected with a reason', () => {
+    const row = [Buffer.alloc(4)];
+    const signature = encodeAlphaPng(1, 1, () => 0).subarray(0, 8);
+    const header = encodeAlphaPng(1, 1, () => 0).subarray(8, 33);
+
+    assert.throws(() => decoder.decodeAlpha(Buffer.from('GIF89a not a png')), /Not a PNG file/);
+    assert.throws(() => decoder.decodeAlpha(Buffer.concat([signature, header, chunk('IEND', Buffer.alloc(0))])),
+        /PNG is missing IHDR or IDAT/);
+    assert.throws(() => decoder.decodeAlpha(encodePng(1, 1, row, { interlace: 1 })), /Interlaced PNGs are not supported/);
+    assert.throws(() => decoder.decodeAlpha(encodePng(1, 1, [Buffer.alloc(1)], { colorType: 1 })), /Unsupported PNG colour type 1/);
+    assert.throws(() => decoder.decodeAlpha(encodePng(1, 3, row)), /PNG image data is truncated/);
+});
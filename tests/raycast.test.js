@@ -0,0 +1,114 @@
+/**
+ * Line queries against the island collision world: raycast, segment
+ * blocking and nearest land, with and without the broadphase
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createWorld } = require('./helpers/world.js');
+
+const islands = [
+    { id: 'round', name: 'Round', x: 1000, y: 1000, collisionCircles: [{ x: 0, y: 0, radius: 100 }] },
+    {
+        id: 'long', name: 'Long', x: 3000, y: 1000,
+        collisionCircles: [{ x: -150, y: 0, radius: 80 }, { x: 0, y: 0, radius: 80 }, { x: 150, y: 0, radius: 80 }]
+    },
+    // No circles: the map gives it one at 70% of its radius
+    { id: 'legacy', name: 'Legacy', x: 2000, y: 3000, radius: 60 }
+];
+
+const near = (actual, expected, message) =>
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: expected ${expected}, got ${actual}`);
+
+test('raycast returns the first coast hit with its normal and distance', () => {
+    const { collisionManager } = createWorld(islands);
+    const hit = collisionManager.raycast(500, 1000, 4000, 1000);
+
+    assert.strictEqual(hit.hit, true);
+    assert.strictEqual(hit.island.id, 'round');
+    near(hit.x, 900, 'hit x');
+    near(hit.y, 1000, 'hit y');
+    near(hit.normal.x, -1, 'normal x');
+    near(hit.distance, 400, 'distance');
+    near(hit.time, 400 / 3500, 'time');
+});
+
+test('a thick ray stops early but reports the point on the coast', () => {
+    const { collisionManager } = createWorld(islands);
+    const hit = collisionManager.raycast(500, 1000, 4000, 1000, 10);
+
+    near(hit.x, 900, 'hit x');
+    near(hit.distance, 390, 'distance travelled before touching');
+});
+
+test('rays that pass between islands or start inside land', () => {
+    const { collisionManager } = createWorld(islands);
+
+    assert.strictEqual(collisionManager.raycast(500, 1200, 4000, 1200).hit, false);
+    assert.strictEqual(collisionManager.isSegmentBlocked(500, 1200, 4000, 1200), false);
+    assert.strictEqual(collisionManager.isSegmentBlocked(500, 1000, 4000, 1000), true);
+    // Stops short of the island
+    assert.strictEqual(collisionManager.isSegmentBlocked(500, 1000, 850, 1000), false);
+
+    const inside = collisionManager.raycast(1000, 1000, 1500, 1000);
+    assert.strictEqual(inside.hit, true);
+    near(inside.distance, 0, 'distance from inside land');
+});
+
+test('islands without circles block rays with their default circle', () => {
+    const { collisionManager } = createWorld(islands);
+    const hit = collisionManager.raycast(2000, 2500, 2000, 3500);
+
+    assert.strictEqual(hit.island.id, 'legacy');
+    assert.strictEqual(hit.circle.radius, 42);
+    near(hit.y, 2958, 'hit y');
+});
+
+test('nearestLand finds the closest coast, signed inside land', () => {
+    const { collisionManager } = createWorld(islands);
+
+    const outside = collisionManager.nearestLand(3000, 700);
+    assert.strictEqual(outside.island.id, 'long');
+    near(outside.distance, 220, 'distance');
+    near(outside.x, 3000, 'coast x');
+    near(outside.y, 920, 'coast y');
+    near(outside.normal.y, -1, 'normal y');
+
+    const inside = collisionManager.nearestLand(1000, 1050);
+    near(inside.distance, -50, 'distance inside');
+
+    assert.strictEqual(collisionManager.nearestLand(6000, 6000, 500), null);
+    assert.strictEqual(collisionManager.nearestLand(6000, 6000).island.id, 'legacy');
+});
+
+test('queries give the same answers with and without the broadphase', () => {
+    const withIndex = createWorld(islands).collisionManager;
+    const bruteForce = createWorld(islands).collisionManager;
+    bruteForce.useBroadphase = false;
+
+    // Deterministic pseudo-random points across the map
+    let seed = 42;
+    const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+
+    for (let i = 0; i < 500; i++) {
+        const fromX = random() * 5000;
+        const fromY = random() * 4000;
+        const toX = random() * 5000;
+        const toY = random() * 4000;
+
+        const a = withIndex.raycast(fromX, fromY, toX, toY, 5);
+        const b = bruteForce.raycast(fromX, fromY, toX, toY, 5);
+        assert.strictEqual(a.hit, b.hit, `ray ${i}`);
+        if (a.hit) {
+            near(a.distance, b.distance, `ray ${i} distance`);
+        }
+
+        const nearestA = withIndex.nearestLand(fromX, fromY);
+        const nearestB = bruteForce.nearestLand(fromX, fromY);
+        near(nearestA.distance, nearestB.distance, `point ${i} nearest land`);
+    }
+});
@@ -0,0 +1,58 @@
+/**
+ * Optimistic concurrency: saves and per-island edits based on an older copy
+ * of the map are refused with 409 and the current data
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer } = require('./helpers/server.js');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+const tortuga = { name: 'Tortuga', x: 1000, y: 800, radius: 300 };
+const nevis = { name: 'Nevis', x: 4000, y: 2500, collisionCircles: [{ x: 0, y: 0, radius: 200 }] };
+
+test('a save from a stale copy of the map is refused with the current map', async () => {
+    const { request } = server;
+    const loaded = await request('GET', '/api/islands/load');
+    const etag = loaded.headers.get('etag');
+    assert.strictEqual(loaded.body.etag, etag);
+
+    const saved = await request('POST', '/api/islands/save', { islands: [tortuga, nevis] }, { 'If-Match': etag });
+    assert.strictEqual(saved.status, 200);
+    assert.strictEqual(saved.headers.get('etag'), saved.body.etag);
+    assert.notStrictEqual(saved.body.etag, etag);
+
+    // Someone still holding the ETag from before the save is turned away with the current map
+    const stale = await request('POST', '/api/islands/save', { islands: [tortuga] }, { 'If-Match': etag });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.etag, saved.body.etag);
+    assert.deepStrictEqual(stale.body.islands.map(island => island.id), ['tortuga', 'nevis']);
+
+    assert.strictEqual((await request('POST', '/api/islands/save', { islands: [tortuga] }, { 'If-Match': '*' })).status, 200);
+});
+
+test('per-island edits only conflict with changes to the same island', async () => {
+    const { request } = server;
+    await request('POST', '/api/islands/save', { islands: [tortuga, nevis] });
+
+    const read = await request('GET', '/api/islands/tortuga');
+    assert.strictEqual(read.headers.get('etag'), read.body.etag);
+
+    const patched = await request('PATCH', '/api/islands/tortuga', { x: 1100 }, { 'If-Match': read.body.etag });
+    assert.strictEqual(patched.status, 200);
+    assert.notStrictEqual(patched.body.etag, read.body.etag);
+
+    // Edits to another island do not conflict, edits to this one from an old copy do
+    const nevisRead = await request('GET', '/api/islands/nevis');
+    assert.strictEqual((await request('PATCH', '/api/islands/nevis', { bounce: 0.4 }, { 'If-Match': nevisRead.body.etag })).status, 200);
+    const conflict = await request('PUT', '/api/islands/tortuga', { ...tortuga, x: 0 }, { 'If-Match': read.body.etag });
+    assert.strictEqual(conflict.status, 409);
+    assert.strictEqual(conflict.body.island.x, 1100);
+
+    assert.strictEqual((await request('DELETE', '/api/islands/tortuga', undefined, { 'If-Match': read.body.etag })).status, 409);
+    assert.strictEqual((await request('DELETE', '/api/islands/tortuga', undefined, { 'If-Match': patched.body.etag })).status, 200);
+});
@@ -0,0 +1,48 @@
+/**
+ * Live updates: running games are told about map changes over the
+ * Server-Sent Events stream
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { startServer } = require('./helpers/server.js');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+test('running games are told about saves over the event stream', async () => {
+    await server.request('POST', '/api/islands/save', { islands: [{ name: 'Tortuga', x: 1000, y: 800, radius: 300 }] });
+
+    const received = new Promise((resolve, reject) => {
+        const stream = http.get(`${server.baseUrl}/api/events`, response => {
+            assert.strictEqual(response.headers['content-type'], 'text/event-stream; charset=utf-8');
+            let text = '';
+            let changed = false;
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                text += chunk;
+                if (!changed && text.includes('\n\n')) {
+                    // Connected: the retry line has arrived, so make a change
+                    changed = true;
+                    server.request('POST', '/api/islands/save', { islands: [{ name: 'Tortuga', x: 1100, y: 800, radius: 300 }] }).catch(reject);
+                }
+                const match = /event: islands-changed\ndata: (.*)\n\n/.exec(text);
+                if (match) {
+                    stream.destroy();
+                    resolve({ text, data: JSON.parse(match[1]) });
+                }
+            });
+        });
+        stream.on('error', reject);
+    });
+
+    const { text, data } = await received;
+    assert.match(text, /^retry: \d+\n\n/);
+    assert.match(text, /id: \d+\nevent: islands-changed/);
+    assert.strictEqual(data.count, 1);
+    assert.strictEqual(typeof data.revision, 'string');
+    assert.strictEqual(typeof data.timestamp, 'number');
+});
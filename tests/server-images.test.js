@@ -0,0 +1,116 @@
+/**
+ * Island image API: uploads checked against the filename, listed with the
+ * islands that use them
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { startServer } = require('./helpers/server.js');
+const { encodeAlphaPng } = require('./helpers/png.js');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+const disc = (x, y) => (Math.hypot(x - 32, y - 32) < 24 ? 255 : 0);
+
+test('uploaded images are checked and listed', async () => {
+    const { baseUrl, request } = server;
+    const form = new FormData();
+    form.append('filename', 'rock.png');
+    form.append('image', new Blob([encodeAlphaPng(64, 64, disc)], { type: 'image/png' }), 'upload.png');
+
+    const uploaded = await fetch(`${baseUrl}/api/island-images`, { method: 'POST', body: form });
+    assert.strictEqual(uploaded.status, 201);
+    const { image } = await uploaded.json();
+    assert.deepStrictEqual([image.filename, image.format, image.width, image.height], ['rock.png', 'png', 64, 64]);
+    assert.ok(fs.existsSync(path.join(server.tempDir, 'assets', 'Islands', 'rock.png')));
+
+    const renamedPng = new FormData();
+    renamedPng.append('image', new Blob([encodeAlphaPng(4, 4, disc)]), 'rock.jpg');
+    const mismatch = await fetch(`${baseUrl}/api/island-images`, { method: 'POST', body: renamedPng });
+    assert.strictEqual(mismatch.status, 415);
+
+    const broken = await fetch(`${baseUrl}/api/island-images`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'multipart/form-data; boundary=nothing' },
+        body: 'not multipart'
+    });
+    assert.deepStrictEqual([broken.status, (await broken.json()).error], [400, 'Malformed multipart body']);
+
+    const listed = await request('GET', '/api/island-images');
+    assert.deepStrictEqual(listed.body.images.map(entry => entry.filename), ['rock.png']);
+});
+
+test('renaming an image repoints its islands, and images in use cannot be deleted', async () => {
+    const { baseUrl, request } = server;
+    const body = encodeAlphaPng(8, 8, () => 255);
+    assert.strictEqual((await fetch(`${baseUrl}/api/island-images?filename=cay.png`, {
+        method: 'POST', headers: { 'Content-Type': 'image/png' }, body
+    })).status, 201);
+    await request('POST', '/api/islands/save', { islands: [{ name: 'Cay', x: 0, y: 0, radius: 50, imageFilename: 'cay.png' }] });
+
+    const renamed = await request('POST', '/api/island-images/cay.png/rename', { filename: 'little-cay.png' });
+    assert.strictEqual(renamed.status, 200);
+    assert.deepStrictEqual(renamed.body.updatedIslands, [{ id: 'cay', name: 'Cay' }]);
+    assert.strictEqual((await request('GET', '/api/islands/cay')).body.island.imageFilename, 'little-cay.png');
+    assert.strictEqual((await request('POST', '/api/island-images/little-cay.png/rename', { filename: 'cay.jpg' })).status, 400);
+
+    const inUse = await request('DELETE', '/api/island-images/little-cay.png');
+    assert.deepStrictEqual([inUse.status, inUse.body.referencedBy], [409, [{ id: 'cay', name: 'Cay' }]]);
+    await request('DELETE', '/api/islands/cay');
+    assert.strictEqual((await request('DELETE', '/api/island-images/little-cay.png')).status, 200);
+    assert.strictEqual((await request('GET', '/api/island-images/little-cay.png')).status, 404);
+});
+
+test('a rename whose islands cannot be saved leaves the image under its old name', async () => {
+    const { baseUrl, request, tempDir } = server;
+    const imagesDir = path.join(tempDir, 'assets', 'Islands');
+    const dataDir = path.join(tempDir, 'data');
+    assert.strictEqual((await fetch(`${baseUrl}/api/island-images?filename=shoal.png`, {
+        method: 'POST', headers: { 'Content-Type': 'image/png' }, body: encodeAlphaPng(8, 8, () => 255)
+    })).status, 201);
+
+    // A hand-edited islands.json the schema rejects
+    const islandsJson = JSON.stringify([{ id: 'shoal', name: 'Shoal', x: 0, y: 0, radius: 50, scale: 0, imageFilename: 'shoal.png' }]);
+    fs.writeFileSync(path.join(dataDir, 'islands.json'), islandsJson);
+    const invalid = await request('POST', '/api/island-images/shoal.png/rename', { filename: 'sandbar.png' });
+    assert.strictEqual(invalid.status, 422);
+    assert.deepStrictEqual(invalid.body.errors.map(error => error.path), ['scale']);
+    assert.ok(fs.existsSync(path.join(imagesDir, 'shoal.png')));
+    assert.ok(!fs.existsSync(path.join(imagesDir, 'sandbar.png')));
+    assert.strictEqual(fs.readFileSync(path.join(dataDir, 'islands.json'), 'utf8'), islandsJson);
+
+    // Saving fails outright: the revisions folder is not a folder
+    fs.writeFileSync(path.join(dataDir, 'islands.json'), JSON.stringify([{ id: 'shoal', name: 'Shoal', x: 0, y: 0, radius: 50, imageFilename: 'shoal.png' }]));
+    const revisionsDir = path.join(dataDir, 'revisions');
+    fs.rmSync(revisionsDir, { recursive: true, force: true });
+    fs.writeFileSync(revisionsDir, '');
+    try {
+        const failed = await request('POST', '/api/island-images/shoal.png/rename', { filename: 'sandbar.png' });
+        assert.strictEqual(failed.status, 500);
+        assert.ok(fs.existsSync(path.join(imagesDir, 'shoal.png')));
+        assert.ok(!fs.existsSync(path.join(imagesDir, 'sandbar.png')));
+    } finally {
+        fs.rmSync(revisionsDir);
+        fs.mkdirSync(revisionsDir);
+    }
+});
+
+test('auto-fit proposes collision circles for a PNG without saving anything', async () => {
+    const { baseUrl, request } = server;
+    assert.strictEqual((await fetch(`${baseUrl}/api/island-images?filename=rock-fit.png`, {
+        method: 'POST', headers: { 'Content-Type': 'image/png' }, body: encodeAlphaPng(64, 64, disc)
+    })).status, 201);
+
+    const fitted = await request('POST', '/api/island-images/rock-fit.png/fit-collision', { scale: 2, maxCircles: 4 });
+    assert.strictEqual(fitted.status, 200);
+    assert.ok(fitted.body.circles.length >= 1 && fitted.body.circles.length <= 4);
+    assert.ok(fitted.body.error.landCoverage > 0.5);
+    assert.deepStrictEqual([fitted.body.options.scale, fitted.body.options.maxCircles], [2, 4]);
+    assert.strictEqual((await request('POST', '/api/island-images/rock-fit.png/fit-collision', { scale: -1 })).status, 400);
+    assert.strictEqual((await request('POST', '/api/island-images/missing.png/fit-collision', {})).status, 404);
+});
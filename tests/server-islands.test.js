@@ -0,0 +1,46 @@
+/**
+ * Per-island REST resources: create, read, replace, patch and delete one
+ * island by its stable ID
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer } = require('./helpers/server.js');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+test('single islands are created, read, patched, replaced and deleted by ID', async () => {
+    const { request } = server;
+    const created = await request('POST', '/api/islands', { name: 'Saba', x: 200, y: 300, radius: 80 });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.island.id, 'saba');
+    assert.strictEqual(created.headers.get('location'), '/api/islands/saba');
+    assert.strictEqual((await request('POST', '/api/islands', { id: 'saba', name: 'Saba Again', x: 0, y: 0, radius: 1 })).status, 409);
+
+    // Names that would collide with a route get a suffix; explicit reserved IDs are refused
+    assert.strictEqual((await request('POST', '/api/islands', { name: 'Save', x: 0, y: 0, radius: 10 })).body.island.id, 'save-2');
+    const reserved = await request('POST', '/api/islands', { id: 'diff', name: 'Diff', x: 0, y: 0, radius: 10 });
+    assert.strictEqual(reserved.status, 422);
+    assert.deepStrictEqual(reserved.body.errors.map(error => error.message), ['"diff" is reserved']);
+
+    assert.deepStrictEqual((await request('GET', '/api/islands/saba')).body.island, created.body.island);
+    assert.deepStrictEqual((await request('GET', '/api/islands')).body.islands.map(island => island.id), ['saba', 'save-2']);
+
+    // Merge patch: listed fields are replaced, null removes a field
+    const patched = await request('PATCH', '/api/islands/saba', { x: 250, radius: null, collisionCircles: [{ x: 0, y: 0, radius: 60 }] });
+    assert.strictEqual(patched.status, 200);
+    assert.deepStrictEqual(patched.body.island, { id: 'saba', name: 'Saba', x: 250, y: 300, collisionCircles: [{ x: 0, y: 0, radius: 60 }] });
+
+    const replaced = await request('PUT', '/api/islands/saba', { name: 'Saba', x: 0, y: 0, radius: 10 });
+    assert.deepStrictEqual(replaced.body.island, { name: 'Saba', x: 0, y: 0, radius: 10, id: 'saba' });
+
+    assert.strictEqual((await request('PATCH', '/api/islands/saba', { x: 'east' })).status, 422);
+    assert.strictEqual((await request('PUT', '/api/islands/saba', { id: 'other', name: 'Saba', x: 0, y: 0, radius: 10 })).status, 400);
+    assert.strictEqual((await request('PATCH', '/api/islands/saba', [1, 2])).status, 400);
+    assert.strictEqual((await request('DELETE', '/api/islands/saba')).status, 200);
+    assert.strictEqual((await request('GET', '/api/islands/saba')).status, 404);
+    assert.strictEqual((await request('PATCH', '/api/islands/saba', { x: 1 })).status, 404);
+});
@@ -0,0 +1,57 @@
+/**
+ * Revision history over HTTP: every save kept as a revision, listed newest
+ * first, compared and restored with its hazard zones
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer } = require('./helpers/server.js');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+const tortuga = { name: 'Tortuga', x: 1000, y: 800, radius: 300 };
+const nevis = { name: 'Nevis', x: 4000, y: 2500, collisionCircles: [{ x: 0, y: 0, radius: 200 }] };
+
+test('saves are listed as revisions, diffed and restored as a new revision', async () => {
+    const { request } = server;
+    const first = await request('POST', '/api/islands/save', { islands: [tortuga, nevis] });
+    assert.strictEqual(first.status, 200);
+    assert.deepStrictEqual(first.body.ids, ['tortuga', 'nevis']);
+    const second = await request('POST', '/api/islands/save', { islands: [tortuga] });
+    assert.strictEqual(second.status, 200);
+
+    const revisions = await request('GET', '/api/islands/revisions');
+    assert.deepStrictEqual(revisions.body.revisions.map(revision => revision.id), [second.body.revision, first.body.revision]);
+
+    const revision = await request('GET', `/api/islands/revisions/${first.body.revision}`);
+    assert.deepStrictEqual(revision.body.revision.islands.map(island => island.id), ['tortuga', 'nevis']);
+    assert.strictEqual((await request('GET', '/api/islands/revisions/2000-01-01T00-00-00-000Z')).status, 404);
+
+    const diff = await request('GET', `/api/islands/diff?from=${first.body.revision}`);
+    assert.deepStrictEqual(diff.body.diff, { added: [], removed: ['nevis'], changed: [] });
+    assert.strictEqual((await request('GET', '/api/islands/diff')).status, 400);
+
+    const restored = await request('POST', `/api/islands/revisions/${first.body.revision}/restore`);
+    assert.deepStrictEqual([restored.status, restored.body.restoredFrom, restored.body.count], [200, first.body.revision, 2]);
+    assert.strictEqual((await request('POST', '/api/islands/revisions/2000-01-01T00-00-00-000Z/restore')).status, 404);
+    assert.deepStrictEqual((await request('GET', '/api/islands/load')).body.islands.map(island => island.id), ['tortuga', 'nevis']);
+    assert.strictEqual((await request('GET', '/api/islands/revisions')).body.revisions.length, 3);
+});
+
+test('a save that wipes the hazard zones can be undone by restoring the revision before it', async () => {
+    const { request } = server;
+    const reef = { type: 'reef', name: 'Dieppe Reef', x: 2650, y: 1250, radius: 140 };
+    const withReef = await request('POST', '/api/islands/save', { islands: [tortuga], hazards: [reef] });
+    assert.deepStrictEqual(withReef.body.hazardIds, ['reef-1']);
+
+    await request('POST', '/api/islands/save', { islands: [tortuga], hazards: [] });
+    assert.deepStrictEqual((await request('GET', '/api/islands/load')).body.hazards, []);
+
+    const restored = await request('POST', `/api/islands/revisions/${withReef.body.revision}/restore`);
+    assert.strictEqual(restored.status, 200);
+    assert.deepStrictEqual((await request('GET', '/api/islands/load')).body.hazards, [{ id: 'reef-1', ...reef }]);
+    assert.match(await (await fetch(`${server.baseUrl}/js/hazards-data.js`)).text(), /"name": "Dieppe Reef"/);
+});
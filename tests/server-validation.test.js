@@ -0,0 +1,35 @@
+/**
+ * Save validation over HTTP: invalid islands and hazard zones are refused
+ * with 422 and every problem, and nothing is written
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer } = require('./helpers/server.js');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+test('invalid saves are refused with 422 and the errors by island and path', async () => {
+    const { request } = server;
+    const invalid = await request('POST', '/api/islands/save', {
+        islands: [{ name: 'Tortuga', x: 'far' }, { name: 'Nevis', x: 0, y: 0, radius: 100 }],
+        hazards: [{ type: 'kraken', x: 0, y: 0, radius: 10 }]
+    });
+
+    assert.strictEqual(invalid.status, 422);
+    assert.strictEqual(invalid.body.error, 'Invalid island data');
+    assert.deepStrictEqual(invalid.body.errors, [
+        { index: 0, island: 'Tortuga', path: 'x', message: 'Must be a finite number' },
+        { index: 0, island: 'Tortuga', path: 'y', message: 'Required number' },
+        { index: 0, island: 'Tortuga', path: 'collisionCircles', message: 'Island needs collisionCircles, a legacy collision polygon or a radius' },
+        { index: null, island: null, path: 'hazards[0].type', message: 'Must be one of shallows, reef, whirlpool, calm' }
+    ]);
+
+    assert.strictEqual((await request('POST', '/api/islands/save', { islands: 'none' })).status, 422);
+    const loaded = await request('GET', '/api/islands/load');
+    assert.deepStrictEqual([loaded.body.islands, loaded.body.hazards], [[], []], 'nothing was saved');
+    assert.deepStrictEqual((await request('GET', '/api/islands/revisions')).body.revisions, []);
+});
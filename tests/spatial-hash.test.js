@@ -0,0 +1,80 @@
+/**
+ * Spatial hash broadphase: each item once per query however many cells it
+ * covers, segment queries that only visit cells near the line, and the
+ * indexes rebuilt when the map's islands are replaced
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Ship, createWorld } = require('./helpers/world.js');
+const SpatialHash = require('../js/spatial-hash.js');
+
+test('items spanning several cells are returned once, in insertion order', () => {
+    const hash = new SpatialHash(100);
+    hash.insert('big', 150, 150, 120);  // Covers cells (0..2, 0..2)
+    hash.insert('small', 50, 50, 10);   // Cell (0, 0) only
+    hash.insert('far', 1050, 1050, 10);
+
+    assert.strictEqual(hash.size, 3);
+    assert.strictEqual(hash.getCells().find(cell => cell.x === 0 && cell.y === 0).count, 2);
+
+    // A query over all nine cells of 'big' still finds it once
+    assert.deepStrictEqual(hash.query(150, 150, 150), ['big', 'small']);
+    assert.deepStrictEqual(hash.query(250, 250), ['big']);
+    assert.deepStrictEqual(hash.query(1050, 1050), ['far']);
+    assert.deepStrictEqual(hash.query(600, 600, 50), []);
+
+    // Repeated queries are independent of each other
+    assert.deepStrictEqual(hash.query(150, 150, 150), ['big', 'small']);
+
+    hash.clear();
+    assert.deepStrictEqual([hash.size, hash.query(150, 150, 150)], [0, []]);
+});
+
+test('segment queries find items near the line, not everything in its bounding box', () => {
+    const hash = new SpatialHash(100);
+    hash.insert('start', 50, 50, 10);
+    hash.insert('on-line', 550, 550, 10);
+    hash.insert('wide', 850, 850, 150);      // Spans the cells round the end of the line
+    hash.insert('off-corner', 950, 50, 10);  // Inside the bounding box, far from the diagonal
+
+    assert.deepStrictEqual(hash.querySegment(0, 0, 1000, 1000), ['start', 'on-line', 'wide']);
+    // Same answer in the other direction
+    assert.deepStrictEqual(hash.querySegment(1000, 1000, 0, 0), ['start', 'on-line', 'wide']);
+
+    // A radius widens the swept band
+    assert.deepStrictEqual(hash.querySegment(0, 0, 1000, 1000, 700), ['start', 'on-line', 'wide', 'off-corner']);
+
+    // A zero-length segment is a point query
+    assert.deepStrictEqual(hash.querySegment(550, 550, 550, 550), hash.query(550, 550));
+});
+
+test('replacing the islands rebuilds the collision index and the town index', () => {
+    const island = {
+        id: 'nevis', name: 'Nevis', x: 1000, y: 1000,
+        collisionCircles: [{ x: 0, y: 0, radius: 100 }],
+        towns: [{ id: 'charlestown', name: 'Charlestown', x: 200, y: 0, radius: 50 }]
+    };
+    const { map, collisionManager } = createWorld([island]);
+    const version = map.islandsVersion;
+
+    const ship = new Ship(1200, 1000, null);
+    collisionManager.updateTownProximity(ship);
+    assert.strictEqual(collisionManager.townIndex.query(1200, 1000)[0].id, 'charlestown');
+    assert.strictEqual(map.collisionIndex.query(1000, 1000)[0].island.id, 'nevis');
+
+    // The editor moves the island 2000px east
+    map.updateIslands([{ ...island, x: 3000 }]);
+    assert.strictEqual(map.islandsVersion, version + 1);
+    assert.deepStrictEqual(map.collisionIndex.query(1000, 1000), []);
+    assert.strictEqual(map.collisionIndex.query(3000, 1000)[0].island.x, 3000);
+    assert.strictEqual(map.collisionIndex.size, 1);
+
+    // The town index catches up on the next check
+    collisionManager.updateTownProximity(ship);
+    assert.strictEqual(collisionManager.townAreasVersion, map.islandsVersion);
+    assert.deepStrictEqual(collisionManager.townIndex.query(1200, 1000), []);
+    assert.strictEqual(collisionManager.townIndex.query(3200, 1000)[0].x, 3200);
+    assert.strictEqual(collisionManager.townIndex.size, 1);
+});
@@ -0,0 +1,116 @@
+/**
+ * Static files: revalidation, byte ranges and traversal out of the mounted
+ * folders, and the game scripts generated from the map data served from the
+ * generated folder, so a new data folder starts with an empty world
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const StaticFileServer = require('../server/static-files');
+const { startServer } = require('./helpers/server.js');
+
+/**
+ * Serve a temporary root (index.html, assets/, a secret next to it) and
+ * return get(path, headers), which sends the path exactly as written
+ */
+async function serveStaticFiles(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goret-static-'));
+    const rootDir = path.join(dir, 'root');
+    fs.mkdirSync(path.join(rootDir, 'assets'), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, 'index.html'), '<h1>GORET</h1>');
+    fs.writeFileSync(path.join(rootDir, 'assets', 'chart.txt'), '0123456789');
+    fs.writeFileSync(path.join(dir, 'secret.txt'), 'treasure');
+
+    const staticFiles = new StaticFileServer({ rootDir });
+    const server = http.createServer((req, res) => {
+        if (!staticFiles.handle(req, res, new URL(req.url, 'http://localhost').pathname)) {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    return (pathname, headers = {}) => new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.address().port, path: pathname, headers }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+    });
+}
+
+test('unchanged files come back as 304 and assets are revalidated too', async t => {
+    const get = await serveStaticFiles(t);
+
+    const page = await get('/');
+    assert.deepStrictEqual([page.status, page.body, page.headers['content-type']], [200, '<h1>GORET</h1>', 'text/html; charset=utf-8']);
+
+    const asset = await get('/assets/chart.txt');
+    assert.strictEqual(asset.status, 200);
+    assert.strictEqual(asset.headers['cache-control'], 'no-cache');
+    assert.match(asset.headers.etag, /^W\/"/);
+
+    const byTag = await get('/assets/chart.txt', { 'If-None-Match': asset.headers.etag });
+    assert.deepStrictEqual([byTag.status, byTag.body, byTag.headers.etag], [304, '', asset.headers.etag]);
+    assert.strictEqual((await get('/assets/chart.txt', { 'If-Modified-Since': asset.headers['last-modified'] })).status, 304);
+    assert.strictEqual((await get('/assets/chart.txt', { 'If-None-Match': 'W/"stale"' })).status, 200);
+});
+
+test('byte ranges are served unless If-Range holds a weak tag', async t => {
+    const get = await serveStaticFiles(t);
+
+    const middle = await get('/assets/chart.txt', { Range: 'bytes=2-5' });
+    assert.deepStrictEqual([middle.status, middle.body, middle.headers['content-range']], [206, '2345', 'bytes 2-5/10']);
+    assert.strictEqual((await get('/assets/chart.txt', { Range: 'bytes=-3' })).body, '789');
+
+    const beyond = await get('/assets/chart.txt', { Range: 'bytes=20-' });
+    assert.deepStrictEqual([beyond.status, beyond.headers['content-range']], [416, 'bytes */10']);
+
+    const { headers } = await get('/assets/chart.txt');
+    const weakTag = await get('/assets/chart.txt', { Range: 'bytes=2-5', 'If-Range': headers.etag });
+    assert.deepStrictEqual([weakTag.status, weakTag.body], [200, '0123456789']);
+    const byDate = await get('/assets/chart.txt', { Range: 'bytes=2-5', 'If-Range': headers['last-modified'] });
+    assert.deepStrictEqual([byDate.status, byDate.body], [206, '2345']);
+});
+
+test('paths cannot climb out of the served folders', async t => {
+    const get = await serveStaticFiles(t);
+
+    for (const pathname of [
+        '/assets/../../secret.txt',
+        '/assets/%2e%2e/%2e%2e/secret.txt',
+        '/assets/..%2f..%2fsecret.txt',
+        '/assets/chart.txt%00.png',
+        '/..%2fsecret.txt',
+        '/secret.txt'
+    ]) {
+        const response = await get(pathname);
+        assert.strictEqual(response.status, 404, pathname);
+        assert.notStrictEqual(response.body, 'treasure', pathname);
+    }
+});
+
+test('a new data folder serves empty game scripts from the generated folder', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const response = await fetch(`${server.baseUrl}/js/islands-data.js`);
+    assert.strictEqual(response.status, 200);
+    assert.match(await response.text(), /var ISLANDS_DATA = \[\];/);
+    assert.ok(fs.existsSync(path.join(server.tempDir, 'js', 'hazards-data.js')));
+    assert.ok(!fs.existsSync(path.join(server.tempDir, 'data', 'islands.json')), 'nothing saved yet');
+
+    // Saves regenerate the served script
+    await server.request('POST', '/api/islands/save', { islands: [{ name: 'Tortuga', x: 0, y: 0, radius: 100 }] });
+    assert.match(await (await fetch(`${server.baseUrl}/js/islands-data.js`)).text(), /"id": "tortuga"/);
+});
@@ -0,0 +1,72 @@
+/**
+ * Tiled format: maps exported to Tiled JSON and TMX come back unchanged
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const TiledFormat = require('../js/map-editor/TiledFormat.js');
+
+const world = { width: 10240, height: 7680, gridSize: 100, units: 'pixels' };
+const imageSizes = {
+    'Saint_Kitts.png': { width: 2325, height: 2324 },
+    'Nevis.png': { width: 2325, height: 2324 }
+};
+
+const islands = [
+    ...require('../data/islands.json').map((island, index) => ({ id: `island-${index + 1}`, ...island })),
+    {
+        id: 'tilted-cay',
+        name: 'Tilted Cay',
+        x: 4321.123456,
+        y: 987.654321,
+        scale: 0.3337,
+        rotation: 33.3,
+        imageFilename: 'Nevis.png',
+        bounce: 0.2,
+        collisionCircles: [{ x: -12.345, y: 67.891, radius: 45.678 }, { x: 0.1, y: -0.2, radius: 0.3 }]
+    },
+    // No image size known: exported as a rectangle
+    { id: 'sandbar', name: 'Sandbar', x: 7000, y: 5000, scale: 1, collisionCircles: [{ x: 0, y: 0, radius: 60 }] }
+];
+
+test('a Tiled JSON round trip keeps positions, scale, images, collision and towns exactly', () => {
+    const tiled = new TiledFormat();
+    // Through text, as a saved .tmj file would be
+    const map = JSON.parse(JSON.stringify(tiled.toTiled(world, islands, imageSizes)));
+    const result = tiled.fromTiled(map);
+
+    assert.deepStrictEqual(result.worldConfig, world);
+    assert.deepStrictEqual(result.islands, islands);
+});
+
+test('a TMX round trip keeps positions, scale, images, collision and towns exactly', () => {
+    const tiled = new TiledFormat();
+    const tmx = tiled.toTmx(tiled.toTiled(world, islands, imageSizes));
+    assert.ok(tmx.startsWith('<?xml'));
+
+    const result = tiled.fromTiled(tiled.fromTmx(tmx));
+    assert.deepStrictEqual(result.worldConfig, world);
+    assert.deepStrictEqual(result.islands, islands);
+});
+
+test('objects moved or resized in Tiled import with their new geometry', () => {
+    const tiled = new TiledFormat();
+    const map = tiled.toTiled(world, islands, imageSizes);
+    const layer = name => map.layers.find(candidate => candidate.name === name).objects;
+
+    // Move the first island 100 right and grow its first collision circle by 10
+    layer('Islands')[0].x += 100;
+    const circle = layer('Collision')[0];
+    circle.x -= 10;
+    circle.y -= 10;
+    circle.width += 20;
+    circle.height += 20;
+
+    const moved = tiled.fromTiled(map).islands[0];
+    assert.strictEqual(moved.x, islands[0].x + 100);
+    assert.strictEqual(moved.y, islands[0].y);
+    const original = islands[0].collisionCircles[0];
+    assert.deepStrictEqual(moved.collisionCircles[0], { x: original.x - 100, y: original.y, radius: original.radius + 10 });
+    assert.deepStrictEqual(moved.towns, islands[0].towns.map(town => ({ ...town, x: town.x - 100 })));
+});
@@ -0,0 +1,100 @@
+/**
+ * Wind field and sail physics: speed depends on the sail setting and the
+ * point of sail
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Ship, createWorld } = require('./helpers/world.js');
+global.Wind = require('../js/wind.js');
+
+// Steady wind blowing south (from the north)
+function createCalmWorld(strength = 1) {
+    const { map } = createWorld();
+    map.wind = new Wind({ angle: Math.PI, strength, variation: 0 });
+    return map;
+}
+
+function sail(ship, map, seconds, keys = {}) {
+    for (let step = 0; step < seconds * 60; step++) {
+        ship.update(1 / 60, keys, map);
+    }
+}
+
+test('the wind field shifts slowly over time and from region to region', () => {
+    const wind = new Wind();
+    const here = wind.getWindAt(3000, 2000);
+
+    wind.update(1);
+    const secondLater = wind.getWindAt(3000, 2000);
+    assert.ok(Math.abs(secondLater.angle - here.angle) < 0.02, 'one second should barely turn the wind');
+    assert.ok(Math.abs(secondLater.strength - here.strength) < 0.01);
+
+    const elsewhere = wind.getWindAt(8000, 6000);
+    assert.ok(Math.abs(elsewhere.angle - here.angle) > 0.05, 'distant regions should differ');
+
+    wind.update(300);
+    const later = wind.getWindAt(3000, 2000);
+    assert.ok(Math.abs(later.angle - here.angle) > 0.1, 'five minutes should shift the wind');
+    assert.ok(later.strength >= Wind.MIN_STRENGTH && later.strength <= Wind.MAX_STRENGTH);
+    assert.strictEqual(Wind.getDirectionFrom(Math.PI), 'N');
+});
+
+test('a beam reach is fastest, running is slower and heading into the wind stalls', () => {
+    const map = createCalmWorld();
+    const speedHeading = (angle) => {
+        const ship = new Ship(5000, 4000, null);
+        ship.angle = angle;
+        ship.sail = 'full';
+        sail(ship, map, 3);
+        return ship.currentSpeed;
+    };
+
+    const beamReach = speedHeading(Math.PI / 2); // East, wind from the north
+    const running = speedHeading(Math.PI); // South, wind astern
+    const inIrons = speedHeading(0.2); // Almost straight into the wind
+
+    assert.ok(Math.abs(beamReach - 400) < 1e-6, `beam reach ${beamReach}`);
+    assert.ok(Math.abs(running - 400 * 0.6) < 1e-6, `running ${running}`);
+    assert.strictEqual(inIrons, 0);
+
+    // Turning into the wind under way: the ship coasts to a stop
+    const ship = new Ship(5000, 4000, null);
+    ship.sail = 'full';
+    ship.currentSpeed = 300;
+    sail(ship, map, 2);
+    assert.strictEqual(ship.currentSpeed, 0);
+    assert.strictEqual(Ship.getPointOfSail(ship.getWindAngle()), 'In irons');
+});
+
+test('a new ship is under sail and gets under way without touching the sail keys', () => {
+    const map = createCalmWorld();
+    const ship = new Ship(5000, 4000, null);
+    ship.angle = Math.PI / 2;
+
+    assert.strictEqual(ship.sail, 'half');
+    sail(ship, map, 3);
+    assert.ok(Math.abs(ship.currentSpeed - 400 * 0.5) < 1e-6, `half sail ${ship.currentSpeed}`);
+    assert.ok(ship.x > 5000, 'the ship sails east');
+});
+
+test('sail keys step the setting once per press and speed follows the sail area and wind strength', () => {
+    const map = createCalmWorld(0.5);
+    const ship = new Ship(5000, 4000, null);
+    ship.angle = Math.PI / 2;
+    ship.sail = 'furled';
+
+    sail(ship, map, 3, { KeyW: true }); // Held: one step only
+    assert.strictEqual(ship.sail, 'half');
+    assert.ok(Math.abs(ship.currentSpeed - 400 * 0.5 * 0.5) < 1e-6, `half sail ${ship.currentSpeed}`);
+
+    sail(ship, map, 1 / 60);
+    sail(ship, map, 3, { ArrowUp: true });
+    assert.strictEqual(ship.sail, 'full');
+    assert.ok(Math.abs(ship.currentSpeed - 400 * 0.5) < 1e-6, `full sail ${ship.currentSpeed}`);
+
+    ship.sail = 'furled';
+    sail(ship, map, 3);
+    assert.strictEqual(ship.currentSpeed, 0);
+});
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+/**
+ * GORET Island Data Validator
+ * Kept for existing scripts: same as `node map-tool.js validate`
+ *
+ * Usage:
+ *   node validate-islands.js                     # Validate data/islands.json
+ *   node validate-islands.js path/to/map.json    # Validate another map file
+ */
+
+process.argv.splice(2, 0, 'validate');
+require('./map-tool.js');